@@ -16,30 +16,30 @@
 class PalaceCheckout {
     constructor() {
 
-        // ===== ALLOWED DELIVERY POSTAL CODES =====
-        // Only these postal codes are eligible for delivery
-        this.allowedPostalCodes = ['94501', '94504'];
-        // =========================================
+        // ===== DELIVERY ZONES =====
+        // Drawn areas, postal-code zones and distance rings, each with its own fee and minimum (delivery-zones.js)
+        this.deliveryZones = window.deliveryZones;
+        // ==========================
 
 
         // Configuration
         this.config = {
             packagingFee: 0.50,
-            deliveryFee: 2.50,
-            minOrderAmount: 5.00,
-            maxDeliveryDistance: 15, // km from restaurant
+            minOrderAmount: 5.00, // Base minimum - delivery zones may require more
             restaurantLocation: { lat: 47.7648, lng: 18.1281 }, // Komárno coordinates
-            operatingHours: {
-                'wednesday': { open: '11:00', close: '20:00' },
-                'thursday': { open: '11:00', close: '20:00' },
-                'friday': { open: '11:00', close: '22:00' },
-                'saturday': { open: '11:00', close: '22:00' }
-            },
             timeSlotInterval: 15, // minutes
             apiBaseUrl: window.API_BASE_URL
         };
 
-        this.customizationOptions = null; // Will be loaded from API
+        this.schedule = window.openingSchedule; // Shared opening hours (opening-hours.js)
+        this.happyHour = window.happyHourPricing; // Time-windowed price rules (happy-hour.js)
+        this.account = window.customerAccount; // Optional customer account (customer-account.js)
+        this.loyalty = window.loyaltyProgram; // Loyalty points rules (loyalty.js)
+        this.capacity = window.slotCapacity; // Per-slot order and item limits (slot-capacity.js)
+        this.modifiers = window.modifierGroups; // Option groups attached to items (modifier-groups.js)
+        this.combos = window.comboDeals; // Meal deal picks (combo-deals.js)
+        this.packaging = window.packagingFee; // Per-item packaging fee (packaging-fee.js)
+
         this.currentItem = null;
 
         // Stripe initialization
@@ -55,8 +55,19 @@ class PalaceCheckout {
             paymentMethod: 'cash',
             currentEditingItem: null,
             formData: {},
+            promo: null, // Validated promo code rule from the backend
+            deliveryZone: null, // Matched delivery zone
+            deliveryLocation: null, // { lat, lng } from "locate me" or address geocoding
+            deliveryDistance: null, // km from restaurant, distance ring fallback
+            savedAddresses: [], // Addresses saved to the signed-in customer's account
+            loyaltyBalance: 0, // Points available on the signed-in customer's account
+            useLoyaltyPoints: false, // Redeem points as a discount on this order
             addedDrinks: [],
             nonAlcoholicDrinks: [],
+            scheduledDate: null, // YYYY-MM-DD picked for a scheduled order
+            preorderOnly: false, // Closed right now - only scheduled orders for a later shift
+            slotAvailability: {}, // "YYYY-MM-DD HH:MM" -> { orders, items } already booked, from the backend
+            displayedTotal: null, // Total last shown in the order summary
             orderSubmitted: false
         };
 
@@ -84,7 +95,7 @@ class PalaceCheckout {
             // Load cart data from order page
             await this.loadCartData();
 
-            await this.loadCustomizationOptions();
+            await this.modifiers.load();
 
             // Initialize order type to pickup
             this.state.orderType = 'pickup';
@@ -111,8 +122,18 @@ class PalaceCheckout {
                 scheduledTime.style.display = 'none';
             }            
             
-            // Generate time slots
-            this.generateTimeSlots();
+            // Generate time slots from the shared opening hours
+            await Promise.all([this.schedule.load(), this.deliveryZones.load(), this.happyHour.load(), this.loyalty.load(), this.capacity.load()]);
+            await this.refreshTimeSlots();
+
+            // Outside ordering hours only pre-orders for a later shift are taken
+            this.state.preorderOnly = !this.schedule.isAcceptingOrders();
+            if (this.state.preorderOnly) {
+                this.forceScheduledTime();
+            }
+
+            // Prefill contact details and saved addresses for signed-in customers
+            await this.prefillFromAccount();
             
             await this.loadDrinkSuggestions();
 
@@ -313,41 +334,6 @@ class PalaceCheckout {
         }
     }
 
-    /**
-     * Load customization options from API
-     */
-    async loadCustomizationOptions() {
-        try {
-            console.log('🎛️ Loading customization options from API...');
-
-
-
-            const currentLang = window.i18n?.currentLang || 'hu';
-            const response = await fetch(`${this.config.apiBaseUrl}/customization?lang=${currentLang}`);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-
-            if (data.success && data.data) {
-                this.customizationOptions = data.data;
-                console.log('✅ Loaded customization options:', this.customizationOptions);
-            } else {
-                throw new Error('Invalid customization API response');
-            }
-        } catch (error) {
-            console.error('❌ Error loading customization options:', error);
-            // Fallback to basic options if API fails
-            this.customizationOptions = {
-                sauces: [{ slug: 'ketchup', name: 'Ketchup', isDefault: true }],
-                friesOptions: [{ slug: 'regular', name: 'Normál sültkrimpli', priceAddon: 0, isDefault: true }],
-                extras: []
-            };
-        }
-    }
-
-
     /**
      * Display drink suggestions with dynamic quantity controls
      */
@@ -364,13 +350,16 @@ class PalaceCheckout {
         if (drinkSection) drinkSection.style.display = 'block';
         drinkOptionsContainer.style.display = 'grid';
 
-        // Take first 4 drinks for suggestions
-        const suggestedDrinks = this.state.nonAlcoholicDrinks.slice(0, 4);
+        // Take first 4 drinks for suggestions - sized drinks are offered in their default size
+        const suggestedDrinks = this.state.nonAlcoholicDrinks
+            .filter(drink => !drink.variants?.length || this.getDefaultVariant(drink))
+            .slice(0, 4);
 
         drinkOptionsContainer.innerHTML = suggestedDrinks.map(drink => {
+            const variant = this.getDefaultVariant(drink);
             const imgSrc = drink.imageUrl || drink.image || 'photos/default-drink.jpg';
             const safeName = this.sanitizeInput(drink.name || 'Unnamed Drink');
-            const safePrice = parseFloat(drink.price || 0).toFixed(2);
+            const safePrice = parseFloat(variant ? variant.price : drink.price || 0).toFixed(2);
             const safeId = drink.id || `drink-${Math.random().toString(36).substr(2, 9)}`;
 
             // Get current quantity from cart
@@ -385,11 +374,11 @@ class PalaceCheckout {
                              onerror="if (!this.dataset.fallback) { this.dataset.fallback = 'true'; this.src='photos/default-drink.jpg'; }">
                     </div>
                     <div class="drink-info">
-                        <div class="drink-name">${safeName}</div>
+                        <div class="drink-name">${safeName}${variant ? ` (${this.sanitizeInput(variant.name)})` : ''}</div>
                         <div class="drink-price">€${safePrice}</div>
                     </div>
                     <div class="drink-button-container" id="drink-controls-${safeId}">
-                        ${this.generateDrinkButtonHTML(safeId, safeName, drink.price, imgSrc, currentQuantity)}
+                        ${this.generateDrinkButtonHTML(safeId, safeName, safePrice, imgSrc, currentQuantity)}
                     </div>
                 </div>
             `;
@@ -535,12 +524,15 @@ class PalaceCheckout {
      * Add drink to order
      */
     addDrinkToOrder(drinkId, name, price, imageUrl) {
+        const drink = this.state.nonAlcoholicDrinks.find(option => String(option.id) === String(drinkId));
+
         const drinkItem = {
             id: `drink-${Date.now()}`,
             originalId: drinkId,
             name: this.sanitizeInput(name),
             description: this.t('chjs.drink'),
             price: parseFloat(price),
+            variant: drink ? this.getDefaultVariant(drink) : null,
             quantity: 1,
             image: imageUrl || 'photos/default-drink.jpg',
             specialNotes: '',
@@ -574,6 +566,39 @@ class PalaceCheckout {
             locateMeBtn.addEventListener('click', () => this.handleLocateMe());
         }
 
+        // Promo code
+        const applyPromoBtn = document.getElementById('applyPromoBtn');
+        const promoInput = document.getElementById('promoCodeInput');
+        if (applyPromoBtn) {
+            applyPromoBtn.addEventListener('click', () => this.applyPromoCode());
+        }
+        if (promoInput) {
+            promoInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.applyPromoCode();
+                }
+            });
+        }
+        const discountRow = document.getElementById('discountRow');
+        if (discountRow) {
+            discountRow.addEventListener('click', (e) => {
+                if (e.target.closest('.promo-remove-btn')) {
+                    this.removePromoCode();
+                }
+            });
+        }
+
+        // Loyalty points
+        const redeemPointsCheckbox = document.getElementById('redeemPointsCheckbox');
+        if (redeemPointsCheckbox) {
+            redeemPointsCheckbox.addEventListener('change', (e) => {
+                this.state.useLoyaltyPoints = e.target.checked;
+                this.updateOrderSummary();
+                this.validateForm();
+            });
+        }
+
         // Time type selection
         const timeTypeRadios = document.querySelectorAll('input[name="timeType"]');
         timeTypeRadios.forEach(radio => {
@@ -647,6 +672,7 @@ class PalaceCheckout {
                 void deliverySection.offsetWidth;
                 deliverySection.classList.add('visible');
                 this.showDeliveryFee();
+                this.fillSavedAddress();
             } else {
                 deliverySection.classList.remove('visible');
                 // Wait for animation to complete before hiding
@@ -675,8 +701,16 @@ class PalaceCheckout {
                 validationMessage.textContent = '';
                 validationMessage.classList.remove('show', 'success', 'error');
             }
+            this.state.deliveryZone = null;
+            this.state.deliveryLocation = null;
+            this.state.deliveryDistance = null;
         }
 
+        this.updateOrderOptions();
+
+        // Pickup and delivery slots fill up separately
+        this.refreshTimeSlots();
+
         this.updateOrderSummary();
         this.validateForm();
         this.saveCartToStorage();
@@ -717,7 +751,8 @@ class PalaceCheckout {
 
             const { latitude, longitude } = position.coords;
 
-            // Check if location is within Komárno (approx. 15km radius)
+            // Drawn delivery areas are checked first, distance rings are the fallback
+            const location = { lat: latitude, lng: longitude };
             const distance = this.calculateDistance(
                 latitude,
                 longitude,
@@ -725,21 +760,32 @@ class PalaceCheckout {
                 this.config.restaurantLocation.lng
             );
 
-            if (distance > this.config.maxDeliveryDistance) {
-                if (validationMessage) {
-                    validationMessage.textContent = this.t('chjs.geosorry');
-                    validationMessage.classList.add('show', 'error');
-                }
-                this.showNotification(this.t('chjs.geoonly'), 'error');
-                return;
-            }
-
             // Reverse geocode using OpenStreetMap Nominatim API
             const response = await fetch(`https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}&zoom=18&addressdetails=1`);
             const data = await response.json();
 
             if (data.address) {
                 const { road, house_number, city, postcode } = data.address;
+
+                // Neither the postal code nor the distance falls into a delivery zone
+                const zone = this.deliveryZones.findZone({
+                    postalCode: (postcode || '').replace(/\s/g, ''),
+                    location,
+                    distanceKm: distance
+                });
+                if (!zone) {
+                    this.state.deliveryLocation = null;
+                    this.state.deliveryDistance = null;
+                    if (validationMessage) {
+                        validationMessage.textContent = this.t('chjs.geosorry');
+                        validationMessage.classList.add('show', 'error');
+                    }
+                    this.showNotification(this.t('chjs.geoonly'), 'error');
+                    return;
+                }
+
+                this.state.deliveryLocation = location;
+                this.state.deliveryDistance = distance;
                 streetInput.value = this.sanitizeInput(`${road || ''} ${house_number || ''}`.trim());
                 cityInput.value = this.sanitizeInput(city || 'Komárno');
                 postalCodeInput.value = this.sanitizeInput((postcode || '').replace(/\s/g, ''));
@@ -754,6 +800,7 @@ class PalaceCheckout {
                 this.validateField(streetInput);
                 this.validateField(cityInput);
                 this.validateField(postalCodeInput);
+                this.updateDeliveryZone();
             } else {
                 if (validationMessage) {
                     validationMessage.textContent = this.t('chjs.geomanual');
@@ -791,13 +838,36 @@ class PalaceCheckout {
     }
 
     /**
-     * Show delivery fee in cart summary
+     * Show delivery fee in cart summary, with the matched zone's details
      */
     showDeliveryFee() {
         const deliveryFeeRow = document.querySelector('.delivery-fee');
         if (deliveryFeeRow) {
             deliveryFeeRow.style.display = 'flex';
         }
+
+        const deliveryFeeEl = document.getElementById('deliveryFee');
+        if (deliveryFeeEl) {
+            deliveryFeeEl.textContent = `€${this.getDeliveryFee().toFixed(2)}`;
+        }
+
+        const zoneInfo = document.getElementById('deliveryZoneInfo');
+        const zone = this.state.deliveryZone;
+        if (!zoneInfo) return;
+
+        if (zone) {
+            const details = [
+                `${this.t('chjs.zone.fee')}: €${zone.fee.toFixed(2)}`,
+                zone.minOrderAmount > 0 ? `${this.t('chjs.zone.minOrder')}: €${zone.minOrderAmount.toFixed(2)}` : null,
+                zone.etaMinutes ? `${this.t('chjs.zone.eta')}: ~${zone.etaMinutes} ${this.t('chjs.zone.minutes')}` : null
+            ].filter(Boolean);
+
+            zoneInfo.textContent = `🚚 ${zone.name} • ${details.join(' • ')}`;
+            zoneInfo.classList.add('show');
+        } else {
+            zoneInfo.textContent = '';
+            zoneInfo.classList.remove('show');
+        }
     }
 
     /**
@@ -808,7 +878,132 @@ class PalaceCheckout {
         if (deliveryFeeRow) {
             deliveryFeeRow.style.display = 'none';
         }
+
+        const zoneInfo = document.getElementById('deliveryZoneInfo');
+        if (zoneInfo) {
+            zoneInfo.classList.remove('show');
+        }
+    }
+
+    /**
+     * Match the entered address against the delivery zones and refresh fees
+     */
+    updateDeliveryZone() {
+        const postalCode = document.getElementById('postalCode')?.value.trim() || '';
+        const zone = this.deliveryZones.findZone({
+            postalCode,
+            location: this.state.deliveryLocation,
+            distanceKm: this.state.deliveryDistance
+        });
+
+        const changed = zone?.id !== this.state.deliveryZone?.id;
+        this.state.deliveryZone = zone;
+
+        if (this.state.orderType === 'delivery') {
+            this.showDeliveryFee();
+        }
+
+        if (changed) {
+            console.log('🚚 Delivery zone:', zone ? zone.name : 'none');
+            this.updateOrderSummary();
+            this.validateForm();
+        }
+
+        return zone;
+    }
+
+    /**
+     * Forget the located position once the address changes - it no longer describes where the order goes
+     */
+    clearDeliveryLocation() {
+        if (!this.state.deliveryLocation && this.state.deliveryDistance === null) return;
+
+        this.state.deliveryLocation = null;
+        this.state.deliveryDistance = null;
+        this.updateDeliveryZone();
+    }
+
+    /**
+     * Geocode a manually typed address so it can be checked against the drawn delivery areas.
+     * Only the lookup needs the network - the polygon check itself runs locally.
+     */
+    async geocodeDeliveryAddress() {
+        if (this.state.orderType !== 'delivery' || !this.deliveryZones.hasPolygonZones()) return;
+
+        const street = document.getElementById('street')?.value.trim();
+        const city = document.getElementById('city')?.value.trim();
+        const postalCode = document.getElementById('postalCode')?.value.trim();
+        if (!street || !city) return;
+
+        const query = [street, postalCode, city].filter(Boolean).join(', ');
+
+        try {
+            const response = await fetch(`https://nominatim.openstreetmap.org/search?format=json&limit=1&countrycodes=sk&q=${encodeURIComponent(query)}`);
+            const results = await response.json();
+
+            if (!Array.isArray(results) || results.length === 0) {
+                throw new Error('Address not found');
+            }
+
+            const location = { lat: parseFloat(results[0].lat), lng: parseFloat(results[0].lon) };
+            this.state.deliveryLocation = location;
+            this.state.deliveryDistance = this.calculateDistance(
+                location.lat,
+                location.lng,
+                this.config.restaurantLocation.lat,
+                this.config.restaurantLocation.lng
+            );
+        } catch (error) {
+            // Fall back to postal code matching only
+            console.warn('⚠️ Address geocoding failed:', error.message);
+            this.state.deliveryLocation = null;
+            this.state.deliveryDistance = null;
+        }
+
+        this.updateDeliveryZone();
+
+        const postalCodeField = document.getElementById('postalCode');
+        if (postalCodeField?.value.trim()) {
+            this.validateField(postalCodeField);
+        }
     }
+
+    /**
+     * Delivery fee for the current order - the cheapest zone until an address is matched
+     */
+    getDeliveryFee() {
+        if (this.state.orderType !== 'delivery') return 0;
+
+        return this.state.deliveryZone
+            ? this.state.deliveryZone.fee
+            : this.deliveryZones.getLowestFee();
+    }
+
+    /**
+     * Minimum order amount - the matched delivery zone may raise the base minimum
+     */
+    getMinOrderAmount() {
+        if (this.state.orderType === 'delivery' && this.state.deliveryZone) {
+            return Math.max(this.config.minOrderAmount, this.state.deliveryZone.minOrderAmount);
+        }
+        return this.config.minOrderAmount;
+    }
+    /**
+     * Switch to a scheduled order and take away the ASAP option
+     */
+    forceScheduledTime() {
+        const asapRadio = document.querySelector('input[name="timeType"][value="asap"]');
+        const scheduledRadio = document.querySelector('input[name="timeType"][value="scheduled"]');
+        if (asapRadio) {
+            asapRadio.disabled = true;
+        }
+        if (scheduledRadio) {
+            scheduledRadio.checked = true;
+        }
+
+        this.handleTimeTypeChange('scheduled');
+    }
+
     /**
      * Handle time type change (ASAP vs scheduled)
      */
@@ -820,6 +1015,7 @@ class PalaceCheckout {
                 if (type == 'scheduled') {
                     scheduledTime.style.display = 'block';
                     this.setupTimeInput();
+                    this.populateDateOptions();
                     this.displayOperatingHours(); 
                 } else {
                     scheduledTime.style.display = 'none';
@@ -879,6 +1075,10 @@ class PalaceCheckout {
         if (!timeValue || timeValue.length < 5) {
             // Clear stored time if input is empty
             this.state.scheduledTime = null;
+            this.renderTimeSlotList();
+            if (this.state.preorderOnly) {
+                this.validateForm();
+            }
             return;
         }
 
@@ -891,8 +1091,8 @@ class PalaceCheckout {
                 validationMessage.classList.add('show', 'success');
             }
 
-            // Save valid time - CREATE ISO STRING FROM TIME INPUT
-            const scheduledDateTime = this.createDateFromTime(timeValue, true);
+            // Save valid time - CREATE ISO STRING FROM DATE AND TIME INPUT
+            const scheduledDateTime = this.createDateFromTime(timeValue, this.getSelectedDateKey());
             this.state.scheduledTime = scheduledDateTime;
 
             console.log('🕐 Scheduled time saved:', scheduledDateTime);
@@ -905,16 +1105,37 @@ class PalaceCheckout {
             if (validationMessage) {
                 validationMessage.textContent = validation.message;
                 validationMessage.classList.add('show', 'error');
+
+                // Full slot - one click takes the suggested free one
+                if (validation.suggestion) {
+                    const suggestionBtn = document.createElement('button');
+                    suggestionBtn.type = 'button';
+                    suggestionBtn.className = 'time-suggestion-btn';
+                    suggestionBtn.textContent = validation.suggestion.time;
+                    suggestionBtn.addEventListener('click', () => {
+                        this.selectTimeSlot(validation.suggestion.dateKey, validation.suggestion.time);
+                    });
+                    validationMessage.appendChild(suggestionBtn);
+                }
             }
             // Clear stored time if validation fails
             this.state.scheduledTime = null;
         }
+
+        this.renderTimeSlotList();
+
+        // A pre-order cannot be placed until a valid time is picked
+        if (this.state.preorderOnly) {
+            this.validateForm();
+        }
     }
     
     /**
      * Validate if time is valid according to business rules
+     * @param {string} timeString - HH:MM
+     * @param {string} dateKey - YYYY-MM-DD, defaults to the selected date
      */
-    isValidTime(timeString) {
+    isValidTime(timeString, dateKey = this.getSelectedDateKey()) {
         // Check format
         const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
         if (!timeRegex.test(timeString)) {
@@ -926,70 +1147,75 @@ class PalaceCheckout {
 
         const [hours, minutes] = timeString.split(':').map(Number);
         const now = new Date();
-        const today = new Date(now);
+        const day = this.parseDateKey(dateKey);
+        const isToday = day.toDateString() === now.toDateString();
 
-        // Get operating hours for today
-        const operatingHours = this.getOperatingHours();
-        const todayHours = operatingHours[today.getDay()];
+        // Get operating hours for the day (exceptions override the weekly schedule)
+        const dayShifts = this.schedule.getShiftsForDate(day);
 
-        if (!todayHours) {
+        if (dayShifts.length === 0) {
             return {
                 isValid: false,
-                message: this.t('chjs.time.notopen')
+                message: isToday ? this.t('chjs.time.notopen') : this.t('chjs.time.dayclosed')
             };
         }
 
         // Create requested time
-        const requestedTimeToday = new Date(today);
-        requestedTimeToday.setHours(hours, minutes, 0, 0);
+        const requestedDateTime = new Date(day);
+        requestedDateTime.setHours(hours, minutes, 0, 0);
 
-        // Check if within today's operating hours
-        const [openHour, openMin] = todayHours.open.split(':').map(Number);
-        const [closeHour, closeMin] = todayHours.close.split(':').map(Number);
-
-        const openTime = openHour * 60 + openMin;
-        const closeTime = closeHour * 60 + closeMin;
+        // Check if within one of the day's shifts
         const requestedTime = hours * 60 + minutes;
+        const withinShift = dayShifts.some(shift =>
+            requestedTime >= this.schedule.toMinutes(shift.open) &&
+            requestedTime < this.schedule.toMinutes(shift.close)
+        );
 
-        if (requestedTime < openTime || requestedTime >= closeTime) {
+        if (!withinShift) {
             return {
                 isValid: false,
-                message: `${this.t('chjs.today')} ${todayHours.open}-${todayHours.close} ${this.t('chjs.time.open')}`
+                message: `${this.getDateLabel(day)} ${this.schedule.formatShifts(dayShifts)} ${this.t('chjs.time.open')}`
             };
         }
 
         // Check if time is at least 30 minutes from now
         const minTime = new Date(now.getTime() + 30 * 60000);
-        if (requestedTimeToday < minTime) {
+        if (requestedDateTime < minTime) {
             const minTimeStr = minTime.toLocaleTimeString('hu-HU', { 
                 hour: '2-digit', 
                 minute: '2-digit'
             });
             return {
                 isValid: false,
-                message: `${this.t(chjs.time.later)}: ${minTimeStr})`
+                message: `${this.t('chjs.time.later')}: ${minTimeStr})`
+            };
+        }
+
+        if (this.isSlotFull(requestedDateTime)) {
+            const nextSlot = this.findNextFreeSlot(requestedDateTime);
+            if (!nextSlot) {
+                return {
+                    isValid: false,
+                    message: `${this.t('chjs.time.full')}. ${this.t('chjs.time.nonefree')}`
+                };
+            }
+
+            const nextDateKey = this.schedule.toDateKey(nextSlot.date);
+            const nextLabel = nextDateKey === dateKey
+                ? nextSlot.display
+                : `${this.getDateLabel(nextSlot.date)} ${nextSlot.display}`;
+
+            return {
+                isValid: false,
+                message: `${this.t('chjs.time.full')}. ${this.t('chjs.time.nextfree')}: ${nextLabel}`,
+                suggestion: { dateKey: nextDateKey, time: nextSlot.display }
             };
         }
 
         return {
             isValid: true,
             message: '',
-            isToday: true
-        };
-    }
-    
-    /**
-     * Get operating hours
-     */
-    getOperatingHours() {
-        return {
-            0: null, // Sunday - closed
-            1: null, // Monday
-            2: null, // Tuesday  
-            3: { open: '11:00', close: '20:00' }, // Wednesday
-            4: { open: '11:00', close: '20:00' }, // Thursday
-            5: { open: '11:00', close: '22:00' }, // Friday
-            6: { open: '11:00', close: '22:00' }, // Saturday
+            isToday
         };
     }
     
@@ -1003,40 +1229,71 @@ class PalaceCheckout {
         if (!todayHoursEl || !tomorrowHoursEl) return;
         
         const now = new Date();
+        const selectedDay = this.parseDateKey(this.getSelectedDateKey());
+
+        // Later pre-order days show their own hours instead of today and tomorrow
+        if (Math.round((selectedDay - this.parseDateKey(this.schedule.toDateKey(now))) / 86400000) > 1) {
+            todayHoursEl.textContent = `${this.getDateLabel(selectedDay)}: ${this.schedule.formatShifts(this.schedule.getShiftsForDate(selectedDay), this.t('chjs.closed'))}`;
+            tomorrowHoursEl.textContent = '';
+            return;
+        }
+
         const today = new Date(now);
         const tomorrow = new Date(now);
         tomorrow.setDate(tomorrow.getDate() + 1);
         
-        const operatingHours = this.getOperatingHours();
-        const todayHours = operatingHours[today.getDay()];
-        const tomorrowHours = operatingHours[tomorrow.getDay()];
+        const todayShifts = this.schedule.getShiftsForDate(today);
+        const tomorrowShifts = this.schedule.getShiftsForDate(tomorrow);
         
         const todayName = today.toLocaleDateString('hu-HU', { weekday: 'long' });
         const tomorrowName = tomorrow.toLocaleDateString('hu-HU', { weekday: 'long' });
         
-        todayHoursEl.textContent = todayHours 
-            ? `${this.t('chjs.today')} (${todayName}): ${todayHours.open} - ${todayHours.close}`
-            : ` (${todayName}): ${this.t('chjs.closed')}`;
+        todayHoursEl.textContent = `${this.t('chjs.today')} (${todayName}): ${this.schedule.formatShifts(todayShifts, this.t('chjs.closed'))}`;
             
-        tomorrowHoursEl.textContent = tomorrowHours 
-            ? `${this.t('chjs.tomorrow')} (${tomorrowName}): ${tomorrowHours.open} - ${tomorrowHours.close}`
-            : `${this.t('chjs.tomorrow')} (${tomorrowName}): ${this.t('chjs.closed')}`;
+        tomorrowHoursEl.textContent = `${this.t('chjs.tomorrow')} (${tomorrowName}): ${this.schedule.formatShifts(tomorrowShifts, this.t('chjs.closed'))}`;
     }
     
     /**
-     * Create date object from time string
+     * Create an ISO date string from a time string on the given day
+     * @param {string} timeString - HH:MM
+     * @param {string} dateKey - YYYY-MM-DD, defaults to today
      */
-    createDateFromTime(timeString, isToday) {
+    createDateFromTime(timeString, dateKey = this.schedule.toDateKey(new Date())) {
         const [hours, minutes] = timeString.split(':').map(Number);
-        const date = new Date();
-        
-        if (!isToday) {
-            date.setDate(date.getDate() + 1);
-        }
+        const date = this.parseDateKey(dateKey);
         
         date.setHours(hours, minutes, 0, 0);
         return date.toISOString();
     }
+
+    /**
+     * Local midnight of a YYYY-MM-DD key
+     */
+    parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Day picked in the date select - today until the customer chooses
+     */
+    getSelectedDateKey() {
+        return this.state.scheduledDate || this.schedule.toDateKey(new Date());
+    }
+
+    /**
+     * "Ma", "Holnap" or the weekday and date
+     */
+    getDateLabel(date) {
+        const now = new Date();
+        const tomorrow = new Date(now);
+        tomorrow.setDate(now.getDate() + 1);
+
+        if (date.toDateString() === now.toDateString()) return this.t('chjs.today');
+        if (date.toDateString() === tomorrow.toDateString()) return this.t('chjs.tomorrow');
+
+        return date.toLocaleDateString('hu-HU', { weekday: 'long', month: 'short', day: 'numeric' });
+    }
     
     // Temporary test method
     testStripe() {
@@ -1141,36 +1398,439 @@ class PalaceCheckout {
         });
     }
 
+    /**
+     * Packaging fee for the food items in the cart (packaging-fee.js)
+     * @returns {{ count: number, amount: number }}
+     */
+    getPackagingFee() {
+        return this.packaging.calculate(this.state.cart.map(item => ({
+            category: this.getItemCategory(item.originalId || item.id) || item.category,
+            quantity: item.quantity
+        })));
+    }
+
     calculateTotal() {
         const subtotal = this.calculateSubtotal();
-        const deliveryFee = this.state.orderType === 'delivery' ? this.config.deliveryFee : 0;
+        const deliveryFee = this.getDeliveryFee();
         
-        // ============================================
-        // CALCULATE PACKAGING FEE (€0.50 per food item)
-        // ============================================
-        const PACKAGING_FEE_PER_ITEM = 0.50;
-        const nonFoodCategories = [
-            'sides', 'nonalcoholic', 'sauces', 'drink',
-            'coffees', 'lemonades', 'specialty', 'cocktails', 
-            'alcohol', 'shots', 'desserts'
-        ];
-    
-        let packagingFeeCount = 0;
-    
+        const packagingFee = this.getPackagingFee().amount;
+        const discount = this.calculateDiscount(subtotal, deliveryFee).amount;
+        const loyaltyDiscount = this.calculateLoyaltyDiscount(subtotal, discount).amount;
+        
+        console.log(`💰 Total Calculation: Subtotal €${subtotal} + Delivery €${deliveryFee} + Packaging €${packagingFee} - Discount €${discount} - Points €${loyaltyDiscount} = €${subtotal + deliveryFee + packagingFee - discount - loyaltyDiscount}`);
+        
+        return subtotal + deliveryFee + packagingFee - discount - loyaltyDiscount;
+    }
+
+    // ============================================
+    // CUSTOMER ACCOUNT
+    // ============================================
+
+    /**
+     * Fill the contact fields and saved address picker from the signed-in account
+     */
+    async prefillFromAccount() {
+        const hint = document.getElementById('accountHint');
+
+        if (!this.account?.isSignedIn()) {
+            if (hint) {
+                hint.innerHTML = `<a href="my-orders.html?return=checkout" class="account-hint-link">${this.t('chjs.account.signinprompt')}</a>`;
+                // Keep the current cart for when the customer comes back signed in
+                hint.querySelector('a').addEventListener('click', () => this.saveCartToStorage());
+            }
+            return;
+        }
+
+        const customer = this.account.getCustomer();
+        if (hint) {
+            hint.innerHTML = `${this.t('chjs.account.signedin')} <strong>${this.sanitizeInput(customer.name || customer.email || customer.phone)}</strong> · <a href="my-orders.html" class="account-hint-link">${this.t('chjs.account.myorders')}</a>`;
+        }
+
+        // customerName is sent as "firstName lastName"
+        const [firstName, ...lastName] = (customer.name || '').split(' ');
+        const contactValues = { firstName, lastName: lastName.join(' '), phone: customer.phone, email: customer.email };
+
+        Object.entries(contactValues).forEach(([fieldId, value]) => {
+            const field = document.getElementById(fieldId);
+            if (field && !field.value.trim() && value) {
+                field.value = value;
+            }
+        });
+
+        const saveOption = document.getElementById('saveAddressOption');
+        if (saveOption) saveOption.style.display = 'flex';
+
+        try {
+            this.state.savedAddresses = await this.account.getAddresses();
+        } catch (error) {
+            console.warn('⚠️ Could not load saved addresses:', error.message);
+            this.state.savedAddresses = [];
+        }
+
+        this.renderSavedAddresses();
+
+        try {
+            const loyalty = await this.account.getLoyalty();
+            this.state.loyaltyBalance = loyalty.balance;
+        } catch (error) {
+            console.warn('⚠️ Could not load loyalty points:', error.message);
+            this.state.loyaltyBalance = 0;
+        }
+    }
+
+    /**
+     * Saved address picker in the delivery section
+     */
+    renderSavedAddresses() {
+        const container = document.getElementById('savedAddresses');
+        const select = document.getElementById('savedAddressSelect');
+        if (!container || !select) return;
+
+        const addresses = this.state.savedAddresses;
+        if (addresses.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const defaultAddress = addresses.find(address => address.isDefault) || addresses[addresses.length - 1];
+
+        select.innerHTML = addresses.map(address => `
+            <option value="${this.sanitizeInput(address.id)}" ${address.id === defaultAddress.id ? 'selected' : ''}>
+                ${this.sanitizeInput(address.label ? `${address.label} - ${address.street}` : address.street)}, ${this.sanitizeInput(address.city)}
+            </option>
+        `).join('') + `<option value="">${this.t('chjs.account.newaddress')}</option>`;
+
+        select.onchange = () => this.applySavedAddress(select.value);
+        container.style.display = 'block';
+    }
+
+    /**
+     * Fill an empty delivery address with the selected saved address
+     */
+    fillSavedAddress() {
+        const select = document.getElementById('savedAddressSelect');
+        const street = document.getElementById('street');
+        if (select?.value && street && !street.value.trim()) {
+            this.applySavedAddress(select.value);
+        }
+    }
+
+    applySavedAddress(addressId) {
+        const address = this.state.savedAddresses.find(entry => entry.id === addressId);
+        const values = address
+            ? { street: address.street, city: address.city, postalCode: address.postalCode, deliveryNotes: address.notes }
+            : { street: '', city: 'Komárno', postalCode: '', deliveryNotes: '' };
+
+        Object.entries(values).forEach(([fieldId, value]) => {
+            const field = document.getElementById(fieldId);
+            if (field) field.value = value || '';
+        });
+
+        const saveCheckbox = document.getElementById('saveAddressCheckbox');
+        if (saveCheckbox) saveCheckbox.checked = false;
+
+        this.clearDeliveryLocation();
+
+        const postalCodeField = document.getElementById('postalCode');
+        if (postalCodeField) {
+            this.validatePostalCode({ target: postalCodeField });
+        }
+        this.geocodeDeliveryAddress();
+        this.validateForm();
+    }
+
+    /**
+     * Link a placed order to the signed-in account and save the address if requested.
+     * Never blocks the redirect to the confirmation page.
+     */
+    async recordAccountOrder(orderData, orderNumber) {
+        if (!this.account?.isSignedIn()) return;
+
+        try {
+            const formData = this.collectFormData();
+            if (this.state.orderType === 'delivery' && document.getElementById('saveAddressCheckbox')?.checked) {
+                await this.account.saveAddress({
+                    street: formData.street,
+                    city: formData.city,
+                    postalCode: formData.postalCode,
+                    notes: formData.deliveryNotes,
+                    isDefault: this.state.savedAddresses.length === 0
+                });
+            }
+
+            // Items are built from the cart in the same order - keep their names for "My orders"
+            await this.account.recordOrder({
+                ...orderData,
+                items: orderData.items.map((item, index) => ({ ...item, name: this.state.cart[index]?.name || '' }))
+            }, orderNumber, this.calculateTotal());
+        } catch (error) {
+            console.warn('⚠️ Could not save order to account:', error.message);
+        }
+    }
+
+    // ============================================
+    // PROMO CODES
+    // ============================================
+
+    /**
+     * Validate the entered promo code against the backend
+     */
+    async applyPromoCode() {
+        const input = document.getElementById('promoCodeInput');
+        const applyBtn = document.getElementById('applyPromoBtn');
+        const code = input?.value.trim().toUpperCase();
+        if (!code) return;
+
+        if (applyBtn) applyBtn.disabled = true;
+
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}/promo-codes/validate`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': this.csrfToken
+                },
+                body: JSON.stringify({
+                    code,
+                    orderType: this.state.orderType.toUpperCase(),
+                    subtotal: this.calculateSubtotal()
+                })
+            });
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                this.state.promo = null;
+                this.showPromoMessage(result.error || this.t('chjs.promo.invalid'), 'error');
+            } else {
+                this.state.promo = this.normalizePromo(result.data);
+                console.log('🏷️ Promo code applied:', this.state.promo);
+
+                const { amount, reason } = this.calculateDiscount(this.calculateSubtotal(), this.getDeliveryFee());
+                if (amount > 0) {
+                    this.showPromoMessage(this.t('chjs.promo.applied'), 'success');
+                } else {
+                    this.showPromoMessage(reason || this.t('chjs.promo.notApplicable'), 'error');
+                }
+            }
+        } catch (error) {
+            console.error('Promo code validation error:', error);
+            this.showPromoMessage(this.t('chjs.promo.error'), 'error');
+        } finally {
+            if (applyBtn) applyBtn.disabled = false;
+            this.updateOrderSummary();
+            this.validateForm();
+        }
+    }
+
+    /**
+     * Remove the applied promo code
+     */
+    removePromoCode() {
+        this.state.promo = null;
+
+        const input = document.getElementById('promoCodeInput');
+        if (input) input.value = '';
+
+        this.showPromoMessage(this.t('chjs.promo.removed'), 'success');
+        this.updateOrderSummary();
+        this.validateForm();
+    }
+
+    /**
+     * Keep only the fields the discount engine understands
+     */
+    normalizePromo(data) {
+        return {
+            code: String(data.code || '').toUpperCase(),
+            type: data.type, // PERCENTAGE | FIXED | FREE_DELIVERY | BUY_X_GET_Y
+            value: Number(data.value) || 0,
+            buyQuantity: parseInt(data.buyQuantity, 10) || 0,
+            getQuantity: parseInt(data.getQuantity, 10) || 0,
+            menuItemIds: (data.menuItemIds || []).map(Number),
+            minOrderAmount: Number(data.minOrderAmount) || 0,
+            maxDiscount: Number(data.maxDiscount) || null
+        };
+    }
+
+    /**
+     * Calculate the discount of the applied promo code for the current cart.
+     * Recalculated on every cart change - the backend re-validates the code on submit.
+     * @returns {{ amount: number, label: string, reason: string|null }}
+     */
+    calculateDiscount(subtotal, deliveryFee) {
+        const promo = this.state.promo;
+        if (!promo) {
+            return { amount: 0, label: '', reason: null };
+        }
+
+        if (subtotal < promo.minOrderAmount) {
+            return {
+                amount: 0,
+                label: promo.code,
+                reason: `${this.t('chjs.promo.minOrder')}: €${promo.minOrderAmount.toFixed(2)}`
+            };
+        }
+
+        let amount = 0;
+        let label = promo.code;
+
+        switch (promo.type) {
+            case 'PERCENTAGE':
+                amount = subtotal * Math.min(promo.value, 100) / 100;
+                label = `${promo.code} (-${promo.value}%)`;
+                break;
+            case 'FIXED':
+                amount = promo.value;
+                break;
+            case 'FREE_DELIVERY':
+                amount = deliveryFee;
+                label = `${promo.code} (${this.t('chjs.promo.freeDelivery')})`;
+                break;
+            case 'BUY_X_GET_Y':
+                amount = this.calculateBuyXGetYDiscount(promo);
+                label = `${promo.code} (${promo.buyQuantity}+${promo.getQuantity})`;
+                break;
+        }
+
+        if (promo.maxDiscount) {
+            amount = Math.min(amount, promo.maxDiscount);
+        }
+
+        // Never discount more than the food itself (delivery only via FREE_DELIVERY)
+        const cap = promo.type === 'FREE_DELIVERY' ? deliveryFee : subtotal;
+        amount = Math.round(Math.min(amount, cap) * 100) / 100;
+
+        return {
+            amount,
+            label,
+            reason: amount > 0 ? null : this.t('chjs.promo.notApplicable')
+        };
+    }
+
+    /**
+     * Buy X get Y: in every group of X+Y eligible units the Y cheapest are free
+     */
+    calculateBuyXGetYDiscount(promo) {
+        const groupSize = promo.buyQuantity + promo.getQuantity;
+        if (promo.buyQuantity < 1 || promo.getQuantity < 1) return 0;
+
+        const unitPrices = [];
         this.state.cart.forEach(item => {
-            const itemCategory = this.getItemCategory(item.originalId || item.id) || item.category;
-            
-            // Only count food items
-            if (itemCategory && !nonFoodCategories.includes(itemCategory)) {
-                packagingFeeCount += item.quantity;
+            const menuItemId = parseInt(item.originalId || item.id);
+            if (promo.menuItemIds.length > 0 && !promo.menuItemIds.includes(menuItemId)) return;
+
+            const unitPrice = this.calculateItemTotal(item) / item.quantity;
+            for (let i = 0; i < item.quantity; i++) {
+                unitPrices.push(unitPrice);
             }
         });
-    
-        const packagingFee = packagingFeeCount * PACKAGING_FEE_PER_ITEM;
-        
-        console.log(`💰 Total Calculation: Subtotal €${subtotal} + Delivery €${deliveryFee} + Packaging €${packagingFee} = €${subtotal + deliveryFee + packagingFee}`);
-        
-        return subtotal + deliveryFee + packagingFee;
+
+        // Most expensive first, so each group's free units are its cheapest ones
+        unitPrices.sort((a, b) => b - a);
+
+        let discount = 0;
+        const fullGroups = Math.floor(unitPrices.length / groupSize);
+        for (let group = 0; group < fullGroups; group++) {
+            const groupPrices = unitPrices.slice(group * groupSize, (group + 1) * groupSize);
+            discount += groupPrices.slice(promo.buyQuantity).reduce((sum, price) => sum + price, 0);
+        }
+
+        return discount;
+    }
+
+    /**
+     * Show a message under the promo code field
+     */
+    showPromoMessage(message, type) {
+        const promoMessage = document.getElementById('promoMessage');
+        if (!promoMessage) return;
+
+        promoMessage.textContent = message;
+        promoMessage.classList.remove('success', 'error');
+        promoMessage.classList.add('show', type);
+    }
+
+    // ============================================
+    // LOYALTY POINTS
+    // ============================================
+
+    /**
+     * Redeemed points sent with the order
+     */
+    getLoyaltyOrderData() {
+        const subtotal = this.calculateSubtotal();
+        const discount = this.calculateDiscount(subtotal, this.getDeliveryFee()).amount;
+        const redemption = this.calculateLoyaltyDiscount(subtotal, discount);
+        return { redeemPoints: redemption.points, loyaltyDiscount: redemption.amount };
+    }
+
+    /**
+     * Points redeemed on this order and their value.
+     * Redeemed on the food after the promo discount - the backend checks the balance again on submit.
+     * @returns {{ points: number, amount: number }}
+     */
+    calculateLoyaltyDiscount(subtotal, promoDiscount) {
+        if (!this.state.useLoyaltyPoints || !this.account?.isSignedIn() || !this.account.supportsLoyalty()) {
+            return { points: 0, amount: 0 };
+        }
+
+        const foodDiscount = this.state.promo?.type === 'FREE_DELIVERY' ? 0 : promoDiscount;
+        return this.loyalty.getRedemption(this.state.loyaltyBalance, subtotal - foodDiscount);
+    }
+
+    /**
+     * Balance, redeem option and points earned by this order under the summary
+     */
+    updateLoyaltySection(subtotal, promoDiscount, total) {
+        const section = document.getElementById('loyaltySection');
+        if (!section) return;
+
+        // No points without backend-verified customer accounts
+        if (!this.loyalty.isEnabled() || !this.account?.supportsLoyalty()) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'block';
+
+        const redeemOption = document.getElementById('redeemPointsOption');
+        const balanceText = document.getElementById('loyaltyBalanceText');
+        const earnInfo = document.getElementById('loyaltyEarnInfo');
+        const points = this.t('chjs.loyalty.points');
+
+        if (earnInfo) {
+            earnInfo.textContent = `${this.t('chjs.loyalty.earn')} +${this.loyalty.getEarnedPoints(total)} ${points}`;
+        }
+
+        if (!this.account?.isSignedIn()) {
+            if (redeemOption) redeemOption.style.display = 'none';
+            if (balanceText) balanceText.textContent = this.t('chjs.loyalty.signin');
+            return;
+        }
+
+        const balance = this.state.loyaltyBalance;
+        const redemption = this.loyalty.getRedemption(balance, subtotal - (this.state.promo?.type === 'FREE_DELIVERY' ? 0 : promoDiscount));
+
+        if (balanceText) {
+            balanceText.textContent = `${this.t('chjs.loyalty.balance')}: ${balance} ${points}`;
+            if (redemption.points === 0 && balance > 0) {
+                balanceText.textContent += ` (${this.t('chjs.loyalty.minimum')}: ${this.loyalty.rules.minRedeemPoints} ${points})`;
+            }
+        }
+
+        if (redeemOption) {
+            redeemOption.style.display = redemption.points > 0 ? 'flex' : 'none';
+            const label = document.getElementById('redeemPointsLabel');
+            if (label) {
+                label.textContent = `${this.t('chjs.loyalty.redeem')} ${redemption.points} ${points} (-€${redemption.amount.toFixed(2)})`;
+            }
+        }
+
+        // Nothing to redeem any more, e.g. the cart got smaller
+        if (redemption.points === 0 && this.state.useLoyaltyPoints) {
+            this.state.useLoyaltyPoints = false;
+            const checkbox = document.getElementById('redeemPointsCheckbox');
+            if (checkbox) checkbox.checked = false;
+        }
     }
 
     /**
@@ -1245,18 +1905,16 @@ class PalaceCheckout {
         const today = new Date();
         const timeSlots = [];
 
-        // Generate time slots for the next 7 days
-        for (let i = 0; i < 7; i++) {
+        // Today plus the pre-order window from the opening hours settings
+        for (let i = 0; i <= this.schedule.schedule.preorderDays; i++) {
             const date = new Date(today);
             date.setDate(today.getDate() + i);
             
-            const dayName = date.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-            const hours = this.config.operatingHours[dayName];
-            
-            if (hours) {
-                const slots = this.generateDayTimeSlots(date, hours);
+            // Split days produce one slot range per shift
+            this.schedule.getShiftsForDate(date).forEach(shift => {
+                const slots = this.generateDayTimeSlots(date, shift);
                 timeSlots.push(...slots);
-            }
+            });
         }
 
         this.availableTimeSlots = timeSlots;
@@ -1287,7 +1945,8 @@ class PalaceCheckout {
             slots.push({
                 date: new Date(date),
                 time: new Date(time),
-                display: time.toLocaleTimeString('hu-HU', { hour: '2-digit', minute: '2-digit' })
+                display: time.toLocaleTimeString('hu-HU', { hour: '2-digit', minute: '2-digit' }),
+                full: this.isSlotFull(time)
             });
         }
         
@@ -1295,55 +1954,170 @@ class PalaceCheckout {
     }
 
     /**
-     * Populate date options in the select dropdown
+     * Populate the date select with open days in the pre-order window.
+     * Days whose every slot is taken stay visible but cannot be picked.
      */
     populateDateOptions() {
         const dateSelect = document.getElementById('orderDate');
-        const timeSelect = document.getElementById('orderTime');
-        
-        if (!dateSelect || !timeSelect) return;
-        
-        // Clear existing options
-        dateSelect.innerHTML = '<option value="">Válassz dátumot</option>';
-        timeSelect.innerHTML = '<option value="">Válassz időpontot</option>';
-        
+        if (!dateSelect) return;
+
         // Group time slots by date
         const dateGroups = {};
         this.availableTimeSlots.forEach(slot => {
-            const dateKey = slot.date.toDateString();
+            const dateKey = this.schedule.toDateKey(slot.date);
             if (!dateGroups[dateKey]) {
                 dateGroups[dateKey] = [];
             }
             dateGroups[dateKey].push(slot);
         });
-        
-        // Add date options
-        Object.keys(dateGroups).forEach(dateKey => {
-            const date = new Date(dateKey);
-            const option = document.createElement('option');
-            option.value = dateKey;
-            option.textContent = date.toLocaleDateString('hu-HU', { 
-                weekday: 'long', 
-                month: 'short', 
-                day: 'numeric' 
+
+        const openDateKeys = Object.keys(dateGroups).filter(dateKey => dateGroups[dateKey].some(slot => !slot.full));
+
+        // Keep the customer's choice while it is still bookable
+        if (!openDateKeys.includes(this.state.scheduledDate)) {
+            this.state.scheduledDate = openDateKeys[0] || null;
+        }
+
+        dateSelect.innerHTML = Object.keys(dateGroups).map(dateKey => {
+            const isFull = !openDateKeys.includes(dateKey);
+            return `
+                <option value="${dateKey}" ${isFull ? 'disabled' : ''} ${dateKey === this.state.scheduledDate ? 'selected' : ''}>
+                    ${this.getDateLabel(this.parseDateKey(dateKey))}${isFull ? ` (${this.t('chjs.datefull')})` : ''}
+                </option>
+            `;
+        }).join('');
+
+        if (!this.dateSelectBound) {
+            this.dateSelectBound = true;
+
+            dateSelect.addEventListener('change', (e) => {
+                this.state.scheduledDate = e.target.value || null;
+                this.displayOperatingHours();
+
+                // Re-check the typed time against the new day
+                const timeInput = document.getElementById('orderTimeInput');
+                this.validateTimeInput(timeInput?.value || '');
             });
-            dateSelect.appendChild(option);
-        });
-        
-        // Handle date selection
-        dateSelect.addEventListener('change', (e) => {
-            const selectedDate = e.target.value;
-            timeSelect.innerHTML = '<option value="">Válassz időpontot</option>';
-            
-            if (selectedDate && dateGroups[selectedDate]) {
-                dateGroups[selectedDate].forEach(slot => {
-                    const option = document.createElement('option');
-                    option.value = slot.time.toISOString();
-                    option.textContent = slot.display;
-                    timeSelect.appendChild(option);
-                });
+        }
+
+        this.renderTimeSlotList();
+    }
+
+    /**
+     * Booked-up slots for the pre-order window - checkout still works without them
+     */
+    async loadSlotAvailability() {
+        try {
+            const params = new URLSearchParams({
+                from: this.schedule.toDateKey(new Date()),
+                days: this.schedule.schedule.preorderDays + 1,
+                orderType: this.state.orderType.toUpperCase()
+            });
+
+            const response = await fetch(`${this.config.apiBaseUrl}/orders/slot-availability?${params}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
             }
-        });
+
+            const data = await response.json();
+            this.state.slotAvailability = data.success && data.data?.slots ? data.data.slots : {};
+        } catch (error) {
+            console.warn('⚠️ Could not load slot availability:', error.message);
+            this.state.slotAvailability = {};
+        }
+    }
+
+    /**
+     * Reload slot availability and rebuild the date picker and the time check
+     */
+    async refreshTimeSlots() {
+        await this.loadSlotAvailability();
+        this.generateTimeSlots();
+        this.populateDateOptions();
+
+        const timeInput = document.getElementById('orderTimeInput');
+        if (this.state.selectedTime === 'scheduled' && timeInput?.value) {
+            this.validateTimeInput(timeInput.value);
+        }
+    }
+
+    /**
+     * Key of the slot a moment falls into, in restaurant local time
+     */
+    getSlotKey(time) {
+        const slotMinutes = Math.floor((time.getHours() * 60 + time.getMinutes()) / this.config.timeSlotInterval) * this.config.timeSlotInterval;
+        const hours = String(Math.floor(slotMinutes / 60)).padStart(2, '0');
+        const minutes = String(slotMinutes % 60).padStart(2, '0');
+        return `${this.schedule.toDateKey(time)} ${hours}:${minutes}`;
+    }
+
+    /**
+     * Whether the slot's order or item limit leaves no room for this cart
+     */
+    isSlotFull(time) {
+        return this.capacity.isFull(time, this.state.slotAvailability[this.getSlotKey(time)], this.getCartItemCount());
+    }
+
+    getCartItemCount() {
+        return this.state.cart.reduce((count, item) => count + (Number(item.quantity) || 1), 0);
+    }
+
+    /**
+     * First bookable slot after a full one, looking ahead through the pre-order window
+     */
+    findNextFreeSlot(time) {
+        return this.availableTimeSlots.find(slot => slot.time > time && !this.isSlotFull(slot.time)) || null;
+    }
+
+    /**
+     * Slot buttons for the selected day - full ones stay visible but greyed out
+     */
+    renderTimeSlotList() {
+        const slotList = document.getElementById('timeSlotList');
+        if (!slotList) return;
+
+        const dateKey = this.getSelectedDateKey();
+        const timeInput = document.getElementById('orderTimeInput');
+        const slots = this.availableTimeSlots.filter(slot => this.schedule.toDateKey(slot.date) === dateKey);
+
+        slotList.innerHTML = slots.map(slot => {
+            const isFull = this.isSlotFull(slot.time);
+            const isSelected = timeInput?.value === slot.display;
+            return `
+                <button type="button" class="time-slot-btn ${isFull ? 'full' : ''} ${isSelected ? 'selected' : ''}"
+                        data-slot-time="${slot.display}" ${isFull ? `disabled title="${this.t('chjs.datefull')}"` : ''}>
+                    ${slot.display}
+                </button>
+            `;
+        }).join('');
+
+        if (!this.slotListBound) {
+            this.slotListBound = true;
+
+            slotList.addEventListener('click', (e) => {
+                const slotBtn = e.target.closest('[data-slot-time]');
+                if (!slotBtn || slotBtn.disabled) return;
+                this.selectTimeSlot(this.getSelectedDateKey(), slotBtn.dataset.slotTime);
+            });
+        }
+    }
+
+    /**
+     * Fill the date and time inputs with a slot and validate it
+     */
+    selectTimeSlot(dateKey, time) {
+        const dateSelect = document.getElementById('orderDate');
+        const timeInput = document.getElementById('orderTimeInput');
+        if (!timeInput) return;
+
+        if (dateKey !== this.state.scheduledDate) {
+            this.state.scheduledDate = dateKey;
+            if (dateSelect) dateSelect.value = dateKey;
+            this.displayOperatingHours();
+        }
+
+        timeInput.value = time;
+        this.validateTimeInput(time);
     }
 
     /**
@@ -1401,6 +2175,16 @@ class PalaceCheckout {
             });
         }
     
+        // Typing an address drops the "locate me" position, typed addresses are geocoded once the field is left.
+        // Registered before the postal code check so it never matches a zone with the old position.
+        ['street', 'city', 'postalCode'].forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (field) {
+                field.addEventListener('input', () => this.clearDeliveryLocation());
+                field.addEventListener('change', () => this.geocodeDeliveryAddress());
+            }
+        });
+
         // Postal code validation
         const postalCodeField = document.getElementById('postalCode');
         if (postalCodeField) {
@@ -1437,59 +2221,14 @@ class PalaceCheckout {
     getItemCustomizationsText(item) {
         const customizations = [];
 
-        if (item.customization?.sauce && this.customizationOptions?.sauces) {
-            const sauce = this.customizationOptions.sauces.find(s => s.slug === item.customization.sauce);
-            if (sauce) customizations.push(`${this.t('customization.sauce')}: ${sauce.name}`);
-        }
-
-        if (item.customization?.fries && this.customizationOptions?.friesOptions) {
-            const friesOption = this.customizationOptions.friesOptions.find(f => f.slug === item.customization.fries);
-            if (friesOption) {
-                if (item.includesSides) {
-                    // Items WITH sides included - only show price for non-regular fries
-                    if (friesOption.slug !== 'regular-fries' && friesOption.priceAddon > 0) {
-                        customizations.push(`${friesOption.name} (+€${friesOption.priceAddon.toFixed(2)})`);
-                    } else if (friesOption.slug === 'regular-fries') {
-                        // Don't show price for regular fries when sides are included
-                        customizations.push(`${friesOption.name}`);
-                    }
-                } else {
-                    // Items WITHOUT sides included - show price for all fries
-                    if (friesOption.priceAddon > 0) {
-                        customizations.push(`${friesOption.name} (+€${friesOption.priceAddon.toFixed(2)})`);
-                    }
-                }
-            }
+        if (item.variant) {
+            customizations.push(this.sanitizeInput(item.variant.name));
         }
 
-        // Fixed extras display - removed the API dependency check and use hardcoded price
-        if (item.customization?.extras?.length > 0) {
-            const extraPrice = 0.30; // Hardcoded price matching your order page
-
-            // Mapping of slugs to translation keys
-            const extraTranslationKeys = {
-                'bacon': 'customization.extraBacon',
-                'cheese': 'customization.extraCheddar', 
-                'cheddar': 'customization.extraMeltedCheddar',
-                'onion': 'customization.extraOnion',
-                'tomato': 'customization.extraTomato',
-                'lettuce': 'customization.extraLettuce',
-                'pickle': 'customization.extraPickle',
-                'jalapeno': 'customization.extraJalapeno'
-            };
+        customizations.push(...this.modifiers.describe(item.modifiers));
 
-            const extraLabels = item.customization.extras.map(extra => {
-                // Try to get name from API first, then fallback to translation, then slug
-                let extraName = extra;
-                if (this.customizationOptions?.extras) {
-                    const extraData = this.customizationOptions.extras.find(e => e.slug === extra);
-                    extraName = extraData ? extraData.name : (extraTranslationKeys[extra] ? this.t(extraTranslationKeys[extra]) : extra);
-                } else {
-                    extraName = extraTranslationKeys[extra] ? this.t(extraTranslationKeys[extra]) : extra;
-                }
-                return `${extraName} (+€${extraPrice.toFixed(2)})`;
-            });
-            customizations.push(`${this.t('customization.extras')}: ${extraLabels.join(', ')}`);
+        if (item.combo) {
+            customizations.push(...this.combos.describe(item.combo.items));
         }
 
         if (item.customization?.removeInstructions) {
@@ -1507,43 +2246,9 @@ class PalaceCheckout {
      * Calculate item total
      */
     calculateItemTotal(item) {
-        let total = item.price * item.quantity;
-        console.log(`Calculating total for ${item.name}: base = €${total.toFixed(2)}`);
-
-        // Handle fries pricing
-        if (item.customization?.fries && this.customizationOptions?.friesOptions) {
-            const friesOption = this.customizationOptions.friesOptions.find(f => f.slug === item.customization.fries);
-            if (friesOption) {
-                if (item.includesSides) {
-                    // Items WITH sides included - regular fries are FREE, only charge for upgrades
-                    // Check for both possible regular fries slugs
-                    if (friesOption.slug !== 'regular-fries' && friesOption.slug !== 'regular' && friesOption.priceAddon > 0) {
-                        const friesAddon = friesOption.priceAddon * item.quantity;
-                        total += friesAddon;
-                        console.log(`  + fries upgrade: €${friesAddon.toFixed(2)} (${friesOption.name})`);
-                    } else {
-                        console.log(`  + fries: €0.00 (regular fries included)`);
-                    }
-                } else {
-                    // Items WITHOUT sides included - charge full price for any fries
-                    if (item.customization.fries !== 'none' && friesOption.priceAddon > 0) {
-                        const friesAddon = friesOption.priceAddon * item.quantity;
-                        total += friesAddon;
-                        console.log(`  + fries addon: €${friesAddon.toFixed(2)} (${friesOption.name})`);
-                    }
-                }
-            }
-        }
-
-        // Handle extras pricing - use hardcoded price
-        if (item.customization?.extras?.length > 0) {
-            const extraPrice = 0.30; // Hardcoded to match order page
-            const extrasAddon = item.customization.extras.length * extraPrice * item.quantity;
-            total += extrasAddon;
-            console.log(`  + extras: €${extrasAddon.toFixed(2)} (${item.customization.extras.length} items)`);
-        }
-
-        console.log(`  = TOTAL: €${total.toFixed(2)}`);
+        const pricing = this.getItemPricing(item);
+        const total = this.modifiers.calculateItemTotal(pricing.price, item);
+        console.log(`Calculating total for ${item.name}: €${total.toFixed(2)}${pricing.rule ? ` (${pricing.rule.name} -${pricing.rule.discountPercent}%)` : ''}`);
         return total;
     }
 
@@ -1581,7 +2286,9 @@ class PalaceCheckout {
             // ADD DEBUGGING HERE
             console.log(`Item: ${item.name}, ID: ${item.originalId || item.id}, Category: ${itemCategory}, Item object:`, item);
 
-            const canBeCustomized = !nonCustomizableCategories.includes(itemCategory) && itemCategory !== 'drink';
+            // Items with option groups stay editable whatever their category, combos are picked on the order page
+            const canBeCustomized = !item.combo && ((!nonCustomizableCategories.includes(itemCategory) && itemCategory !== 'drink') ||
+                item.modifierGroupIds?.length > 0);
 
             console.log(`Can be customized: ${canBeCustomized}`);
 
@@ -1643,38 +2350,20 @@ class PalaceCheckout {
      */
     updateOrderSummary() {
         const subtotal = this.calculateSubtotal();
-        const deliveryFee = this.state.orderType === 'delivery' ?
-            this.config.deliveryFee : 0;
-
-        // ============================================
-        // CALCULATE PACKAGING FEE (€0.50 per food item)
-        // ============================================
-        const PACKAGING_FEE_PER_ITEM = 0.50;
-        const nonFoodCategories = [
-            'sides', 'nonalcoholic', 'sauces', 'drink',
-            'coffees', 'lemonades', 'specialty', 'cocktails', 
-            'alcohol', 'shots', 'desserts'
-        ];
-
-        let packagingFeeCount = 0;
-
-        this.state.cart.forEach(item => {
-            const itemCategory = this.getItemCategory(item.originalId || item.id) || item.category;
+        const deliveryFee = this.getDeliveryFee();
 
-            // Only count food items
-            if (itemCategory && !nonFoodCategories.includes(itemCategory)) {
-                packagingFeeCount += item.quantity;
-            }
-        });
-
-        const packagingFee = packagingFeeCount * PACKAGING_FEE_PER_ITEM;
-        const total = subtotal + deliveryFee + packagingFee;
+        const { count: packagingFeeCount, amount: packagingFee } = this.getPackagingFee();
+        const discount = this.calculateDiscount(subtotal, deliveryFee);
+        const loyaltyDiscount = this.calculateLoyaltyDiscount(subtotal, discount.amount);
+        const total = subtotal + deliveryFee + packagingFee - discount.amount - loyaltyDiscount.amount;
         // ============================================
 
         console.log('=== ORDER SUMMARY ===');
         console.log(`Subtotal: €${subtotal.toFixed(2)}`);
         console.log(`Delivery: €${deliveryFee.toFixed(2)}`);
-        console.log(`Packaging: ${packagingFeeCount}x €${PACKAGING_FEE_PER_ITEM} = €${packagingFee.toFixed(2)}`);
+        console.log(`Packaging: ${packagingFeeCount}x €${this.packaging.feePerItem} = €${packagingFee.toFixed(2)}`);
+        console.log(`Discount: €${discount.amount.toFixed(2)}`);
+        console.log(`Loyalty points: ${loyaltyDiscount.points} = €${loyaltyDiscount.amount.toFixed(2)}`);
         console.log(`Total: €${total.toFixed(2)}`);
 
         // Update display elements
@@ -1691,15 +2380,92 @@ class PalaceCheckout {
         // Show/hide packaging fee
         if (packagingFeeCount > 0) {
             if (packagingFeeRow) packagingFeeRow.style.display = 'flex';
-            if (packagingFeeEl) packagingFeeEl.textContent = `${packagingFeeCount}x €${PACKAGING_FEE_PER_ITEM.toFixed(2)}`;
+            if (packagingFeeEl) packagingFeeEl.textContent = `${packagingFeeCount}x €${this.packaging.feePerItem.toFixed(2)}`;
         } else {
             if (packagingFeeRow) packagingFeeRow.style.display = 'none';
         }
 
+        // Show/hide promo discount
+        const discountRow = document.getElementById('discountRow');
+        if (discountRow) {
+            discountRow.style.display = this.state.promo ? 'flex' : 'none';
+
+            const discountLabel = document.getElementById('discountLabel');
+            const discountAmountEl = document.getElementById('discountAmount');
+            if (discountLabel) {
+                discountLabel.innerHTML = `${this.sanitizeInput(discount.label)}
+                    <button type="button" class="promo-remove-btn">${this.t('chjs.promo.remove')}</button>`;
+            }
+            if (discountAmountEl) {
+                discountAmountEl.textContent = discount.amount > 0
+                    ? `-€${discount.amount.toFixed(2)}`
+                    : discount.reason || '';
+            }
+        }
+
+        // Show/hide loyalty points discount
+        const loyaltyDiscountRow = document.getElementById('loyaltyDiscountRow');
+        if (loyaltyDiscountRow) {
+            loyaltyDiscountRow.style.display = loyaltyDiscount.points > 0 ? 'flex' : 'none';
+
+            const loyaltyDiscountLabel = document.getElementById('loyaltyDiscountLabel');
+            const loyaltyDiscountAmountEl = document.getElementById('loyaltyDiscountAmount');
+            if (loyaltyDiscountLabel) loyaltyDiscountLabel.textContent = `${loyaltyDiscount.points} ${this.t('chjs.loyalty.points')}`;
+            if (loyaltyDiscountAmountEl) loyaltyDiscountAmountEl.textContent = `-€${loyaltyDiscount.amount.toFixed(2)}`;
+        }
+
+        this.updateLoyaltySection(subtotal, discount.amount, total);
+
         if (totalAmountEl) totalAmountEl.textContent = `€${total.toFixed(2)}`;
         if (finalAmountEl) finalAmountEl.textContent = `€${total.toFixed(2)}`;
+
+        // The total the customer agreed to - checked again on submit
+        this.state.displayedTotal = total;
+    }
+
+
+    /**
+     * Default size of a menu item - the marked default, or the first available one (same as the order page)
+     */
+    getDefaultVariant(item) {
+        const variants = (item.variants || []).filter(variant => variant.isAvailable !== false);
+        const variant = variants.find(option => option.isDefault) || variants[0];
+        return variant ? { id: variant.id, name: variant.name, price: variant.price } : null;
+    }
+
+    /**
+     * Unit price of a cart item with the active happy hour rule applied
+     */
+    getItemPricing(item, date = new Date()) {
+        const itemId = item.originalId || item.id;
+        return this.happyHour.getPrice(item.price, {
+            id: itemId,
+            // Same precedence as the order page - the category stored on the cart item wins
+            category: item.category || this.getItemCategory(itemId)
+        }, date);
     }
 
+    /**
+     * Re-check happy hour right before submitting so the customer never pays a stale price.
+     * @returns {boolean} false if prices changed and the customer has to review the total
+     */
+    async recheckHappyHourPrices() {
+        // Compared with the total last shown, so a happy hour starting or ending since then is caught too
+        const totalBefore = this.state.displayedTotal ?? this.calculateTotal();
+
+        await this.happyHour.load({ force: true });
+
+        const totalAfter = this.calculateTotal();
+        if (Math.abs(totalAfter - totalBefore) < 0.005) {
+            return true;
+        }
+
+        console.log(`🍹 Happy hour prices changed: €${totalBefore.toFixed(2)} → €${totalAfter.toFixed(2)}`);
+        this.updateCartDisplay();
+        this.updateOrderSummary();
+        this.showNotification(this.t('chjs.happyHourChanged'), 'warning');
+        return false;
+    }
 
     /**
      * Calculate subtotal using the same calculateItemTotal method
@@ -1724,6 +2490,11 @@ class PalaceCheckout {
         if (saveBtn) saveBtn.addEventListener('click', this.saveItemChanges.bind(this));
         if (increaseBtn) increaseBtn.addEventListener('click', () => this.updateQuantity(1));
         if (decreaseBtn) decreaseBtn.addEventListener('click', () => this.updateQuantity(-1));
+
+        const modifierGroups = document.getElementById('modifierGroups');
+        if (modifierGroups) {
+            this.modifiers.bindGroups(modifierGroups, () => this.updateModalModifiers());
+        }
     
         if (modal) {
             modal.addEventListener('click', (e) => {
@@ -1796,17 +2567,20 @@ class PalaceCheckout {
         const cartItem = this.state.cart.find(item => item.id === this.currentItem.id);
         if (!cartItem) return;
 
+        const modifierError = this.modifiers.validateSelection(this.currentItem.groups, this.currentItem.modifiers);
+        if (modifierError) {
+            this.showNotification(modifierError, 'error');
+            return;
+        }
+
         // Update quantity from modal
         const quantityDisplay = document.getElementById('quantityDisplay');
         if (quantityDisplay) {
             cartItem.quantity = parseInt(quantityDisplay.textContent) || 1;
         }
 
-        //Always update customizations for all items (no category restrictions)
+        cartItem.modifiers = this.currentItem.modifiers;
         cartItem.customization = {
-            sauce: document.querySelector('input[name="sauce"]:checked')?.value || null,
-            fries: document.querySelector('input[name="fries"]:checked')?.value || null,
-            extras: Array.from(document.querySelectorAll('input[name="extras"]:checked')).map(input => input.value),
             removeInstructions: document.getElementById('removeInstructions')?.value.trim() || '',
             specialInstructions: document.getElementById('specialInstructions')?.value.trim() || ''
         };
@@ -1889,13 +2663,21 @@ class PalaceCheckout {
             return;
         }
 
+        // Editing without the groups would drop the options picked on the order page
+        if (this.modifiers.hasMissingGroups(item)) {
+            this.showNotification(this.t('chjs.cart.optionsunavailable'), 'error');
+            return;
+        }
+
+        // Options of groups changed since the item was added are dropped or reset to the defaults
+        const groups = this.modifiers.getGroupsForItem(item);
+
         this.currentItem = {
             ...item,
             quantity: item.quantity || 1,
+            groups,
+            modifiers: this.modifiers.restoreSelection(groups, item.modifiers).modifiers,
             customization: item.customization || {
-                sauce: null,
-                fries: item.includesSides ? 'regular-fries' : 'none',
-                extras: [],
                 removeInstructions: '',
                 specialInstructions: ''
             }
@@ -1909,326 +2691,75 @@ class PalaceCheckout {
 
         if (modalFoodName) modalFoodName.textContent = item.name;
         if (modalFoodDescription) modalFoodDescription.textContent = item.description || '';
-        if (modalFoodPrice) modalFoodPrice.textContent = `€${item.price.toFixed(2)}`;
+        if (modalFoodPrice) {
+            const pricing = this.getItemPricing(item);
+            modalFoodPrice.innerHTML = pricing.rule
+                ? `<s class="food-price-original">€${pricing.originalPrice.toFixed(2)}</s> €${pricing.price.toFixed(2)}`
+                : `€${item.price.toFixed(2)}`;
+        }
 
         if (modalFoodImage && (item.image || item.imageUrl)) {
             modalFoodImage.src = item.image || item.imageUrl;
             modalFoodImage.alt = item.name;
         }
 
-        const sauceSection = document.getElementById('sauceSection');
-        const friesSection = document.getElementById('friesSection');
-        const extrasSection = document.getElementById('extrasSection');
-
-        // Check that sections exist
-        if (!sauceSection || !friesSection || !extrasSection) {
+        const modifierGroups = document.getElementById('modifierGroups');
+        if (!modifierGroups) {
             console.error('Modal sections not found in HTML');
             this.showNotification(this.t('chjs.cart.modalnotfound'), 'error');
             return;
         }
 
-        // NEW LOGIC: Flexible customization sections
-
-        // 1. EXTRAS: Always available for all items
-        extrasSection.style.display = 'block';
-        this.renderExtrasOptions();
-        console.log('✅ Extras section shown for all items');
-
-        // 2. FRIES: Available for most items (pricing logic handled in calculation)
-        friesSection.style.display = 'block';
-        this.renderFriesOptions();
-        console.log('✅ Fries section shown for all items');
-
-        // 3. SAUCE: Only for items with includesSides = true
-        if (item.includesSides) {
-            sauceSection.style.display = 'block';
-            this.renderSauceOptions();
-            console.log('✅ Sauce section shown for includesSides item:', item.name);
-        } else {
-            sauceSection.style.display = 'none';
-            console.log('❌ Sauce section hidden for non-includesSides item:', item.name);
-        }
-
-        // Setup form validation AFTER rendering options
-        this.setupModalFormValidation();
+        modifierGroups.innerHTML = this.modifiers.renderGroups(groups, this.currentItem.modifiers);
+        this.modifiers.applyLimits(modifierGroups);
 
         // Populate existing customization data
         this.populateExistingCustomization();
-
-        // Reset form to clean state
-        this.resetCustomizationForm();
-
-        // Update total after DOM is ready
-        setTimeout(() => {
-            this.updateModalTotal();
-        }, 50);
+        this.updateQuantityButtons();
+        this.updateAddToCartButtonState();
+        this.updateModalTotal();
 
         // Show modal
         modal.style.display = 'block';
         document.body.style.overflow = 'hidden';
 
-        // Focus handling - focus first available input
+        // Focus the first option the customer can change
         setTimeout(() => {
-            if (item.includesSides) {
-                // Focus sauce selection for items with sides
-                const firstSauceOption = document.querySelector('input[name="sauce"]');
-                if (firstSauceOption) {
-                    firstSauceOption.focus();
-                }
-            } else {
-                // Focus fries selection for items without sides
-                const firstFriesOption = document.querySelector('input[name="fries"]');
-                if (firstFriesOption) {
-                    firstFriesOption.focus();
-                }
-            }
+            const firstOption = modifierGroups.querySelector('input:not(:disabled)');
+            if (firstOption) firstOption.focus();
         }, 300);
     }
 
-    renderSauceOptions() {
-        const sauceContainer = document.getElementById('sauceOptions');
-        if (!sauceContainer || !this.customizationOptions?.sauces) return;
-
-        sauceContainer.innerHTML = this.customizationOptions.sauces.map(sauce => `
-            <label class="sauce-option">
-                <input type="radio" name="sauce" value="${sauce.slug}" ${sauce.isDefault ? 'checked' : ''} required>
-                <span class="sauce-label">${sauce.name}</span>
-            </label>
-        `).join('');
-    }
-
-    renderFriesOptions() {
-        const friesContainer = document.getElementById('friesOptions');
-        if (!friesContainer || !this.customizationOptions?.friesOptions) return;
-
-        let optionsHTML = '';
-
-        if (this.currentItem.includesSides) {
-            // Items WITH sides included - regular fries free, others show addon price
-            optionsHTML = this.customizationOptions.friesOptions.map(option => {
-                const isRegularFries = option.slug === 'regular-fries';
-                const priceLabel = isRegularFries ? this.t('chjs.fries.included') : `+€${option.priceAddon.toFixed(2)}`;
-                const isChecked = isRegularFries ? 'checked' : '';
-
-                return `
-                    <label class="upgrade-option">
-                        <input type="radio" name="fries" value="${option.slug}" ${isChecked}>
-                        <span class="upgrade-label">
-                            <span class="upgrade-name">${option.name}</span>
-                            <span class="upgrade-price">${priceLabel}</span>
-                        </span>
-                    </label>
-                `;
-            }).join('');
-        } else {
-            // Items WITHOUT sides included - add "no sides" option + full prices for fries
-            optionsHTML = `
-                <label class="upgrade-option">
-                    <input type="radio" name="fries" value="none" checked>
-                    <span class="upgrade-label">
-                        <span class="upgrade-name">${this.t('chjs.fries.nosides')}</span>
-                        <span class="upgrade-price">${this.t('chjs.fries.included')}</span>
-                    </span>
-                </label>
-            `;
-
-            // Add all fries options with their full addon prices
-            optionsHTML += this.customizationOptions.friesOptions.map(option => `
-                <label class="upgrade-option">
-                    <input type="radio" name="fries" value="${option.slug}">
-                    <span class="upgrade-label">
-                        <span class="upgrade-name">${option.name}</span>
-                        <span class="upgrade-price">+€${option.priceAddon.toFixed(2)}</span>
-                    </span>
-                </label>
-            `).join('');
-        }
-
-        friesContainer.innerHTML = optionsHTML;
-    }
-
-    renderExtrasOptions() {
-        const extrasContainer = document.getElementById('extrasOptions');
-        if (!extrasContainer) return;
-
-        // If API has extras, use them
-        if (this.customizationOptions?.extras && this.customizationOptions.extras.length > 0) {
-            extrasContainer.innerHTML = this.customizationOptions.extras.map(extra => `
-                <label class="extra-option">
-                    <input type="checkbox" name="extras" value="${extra.slug}">
-                    <span class="extra-label">
-                        <span class="extra-name">${extra.name}</span>
-                        <span class="extra-price">+€${extra.price.toFixed(2)}</span>
-                    </span>
-                </label>
-            `).join('');
-        } else {
-            // Fallback to hardcoded extras (EXACT MATCH with order page)
-            extrasContainer.innerHTML = `
-                <label class="extra-option">
-                    <input type="checkbox" name="extras" value="bacon">
-                    <span class="extra-label">
-                        <span class="extra-name">${this.t('customization.extraBacon')}</span>
-                        <span class="extra-price">+€0.30</span>
-                    </span>
-                </label>
-                <label class="extra-option">
-                    <input type="checkbox" name="extras" value="cheese">
-                    <span class="extra-label">
-                        <span class="extra-name">${this.t('customization.extraCheddar')}</span>
-                        <span class="extra-price">+€0.30</span>
-                    </span>
-                </label>
-                <label class="extra-option">
-                    <input type="checkbox" name="extras" value="cheddar">
-                    <span class="extra-label">
-                        <span class="extra-name">${this.t('customization.extraMeltedCheddar')}</span>
-                        <span class="extra-price">+€0.30</span>
-                    </span>
-                </label>
-                <label class="extra-option">
-                    <input type="checkbox" name="extras" value="onion">
-                    <span class="extra-label">
-                        <span class="extra-name">${this.t('customization.extraOnion')}</span>
-                        <span class="extra-price">+€0.30</span>
-                    </span>
-                </label>
-                <label class="extra-option">
-                    <input type="checkbox" name="extras" value="tomato">
-                    <span class="extra-label">
-                        <span class="extra-name">${this.t('customization.extraTomato')}</span>
-                        <span class="extra-price">+€0.30</span>
-                    </span>
-                </label>
-                <label class="extra-option">
-                    <input type="checkbox" name="extras" value="lettuce">
-                    <span class="extra-label">
-                        <span class="extra-name">${this.t('customization.extraLettuce')}</span>
-                        <span class="extra-price">+€0.30</span>
-                    </span>
-                </label>
-                <label class="extra-option">
-                    <input type="checkbox" name="extras" value="pickle">
-                    <span class="extra-label">
-                        <span class="extra-name">${this.t('customization.extraPickle')}</span>
-                        <span class="extra-price">+€0.30</span>
-                    </span>
-                </label>
-                <label class="extra-option">
-                    <input type="checkbox" name="extras" value="jalapeno">
-                    <span class="extra-label">
-                        <span class="extra-name">${this.t('customization.extraJalapeno')}</span>
-                        <span class="extra-price">+€0.30</span>
-                    </span>
-                </label>
-            `;
-        }
-    }
-
     populateExistingCustomization() {
-        if (!this.currentItem.customization) return;
-
         document.getElementById('quantityDisplay').textContent = this.currentItem.quantity;
-
-        if (this.currentItem.customization.sauce) {
-            const sauceInput = document.querySelector(`input[name="sauce"][value="${this.currentItem.customization.sauce}"]`);
-            if (sauceInput) sauceInput.checked = true;
-        }
-
-        if (this.currentItem.customization.fries) {
-            const friesInput = document.querySelector(`input[name="fries"][value="${this.currentItem.customization.fries}"]`);
-            if (friesInput) friesInput.checked = true;
-        }
-
-        if (this.currentItem.customization.extras) {
-            this.currentItem.customization.extras.forEach(extra => {
-                const extraInput = document.querySelector(`input[name="extras"][value="${extra}"]`);
-                if (extraInput) extraInput.checked = true;
-            });
-        }
-
         document.getElementById('removeInstructions').value = this.currentItem.customization.removeInstructions || '';
         document.getElementById('specialInstructions').value = this.currentItem.customization.specialInstructions || '';
     }
 
-    resetCustomizationForm() {
-        document.getElementById('quantityDisplay').textContent = this.currentItem.quantity;
-
-        document.querySelectorAll('input[name="extras"]').forEach(input => {
-            input.checked = false;
-        });
-
-        const sauceInputs = document.querySelectorAll('input[name="sauce"]');
-        sauceInputs.forEach(input => input.checked = input.hasAttribute('checked'));
-
-        const regularFries = document.querySelector('input[name="fries"][value="regular"]');
-        if (regularFries) regularFries.checked = true;
+    /**
+     * Pick up the options checked in the modal and reprice it
+     */
+    updateModalModifiers() {
+        const container = document.getElementById('modifierGroups');
+        if (!container || !this.currentItem) return;
 
-        this.updateQuantityButtons();
+        this.currentItem.modifiers = this.modifiers.readSelection(container, this.currentItem.groups);
+        this.updateModalTotal();
         this.updateAddToCartButtonState();
     }
 
     updateModalTotal() {
         if (!this.currentItem) return;
 
-        let total = this.currentItem.price * this.currentItem.quantity;
-
-        const selectedFries = document.querySelector('input[name="fries"]:checked');
-        if (selectedFries && this.customizationOptions?.friesOptions) {
-            const friesOption = this.customizationOptions.friesOptions.find(f => f.slug === selectedFries.value);
-            if (friesOption) {
-                if (this.currentItem.includesSides) {
-                    // Items WITH sides included - regular fries are FREE, only charge for upgrades
-                    if (friesOption.slug !== 'regular-fries' && friesOption.priceAddon > 0) {
-                        total += friesOption.priceAddon * this.currentItem.quantity;
-                    }
-                    // Regular fries add €0.00 - they're included for free
-                } else {
-                    // Items WITHOUT sides included - charge full price for any fries
-                    if (selectedFries.value !== 'none' && friesOption.priceAddon > 0) {
-                        total += friesOption.priceAddon * this.currentItem.quantity;
-                    }
-                }
-            }
-        }
-
-        const selectedExtras = document.querySelectorAll('input[name="extras"]:checked');
-        if (selectedExtras.length > 0) {
-            const extraPrice = 0.30;
-            total += selectedExtras.length * extraPrice * this.currentItem.quantity;
-        }
-
+        const total = this.modifiers.calculateItemTotal(this.getItemPricing(this.currentItem).price, this.currentItem);
         document.getElementById('modalTotalPrice').textContent = `€${total.toFixed(2)}`;
     }
 
     updateAddToCartButtonState() {
         const addToCartBtn = document.getElementById('addToCartModalBtn');
-        const sauceSelected = document.querySelector('input[name="sauce"]:checked');
-
-        if (addToCartBtn) {
-            if (this.currentItem?.includesSides) {
-                addToCartBtn.disabled = !sauceSelected;
-            } else {
-                addToCartBtn.disabled = false;
-            }
-        }
-    }
-
-    setupModalFormValidation() {
-        const modalContainer = document.getElementById('customizationModal');
-        
-        // Add null check to prevent error
-        if (!modalContainer) {
-            console.error('Customization modal not found in DOM');
-            return;
+        if (addToCartBtn && this.currentItem) {
+            addToCartBtn.disabled = Boolean(this.modifiers.validateSelection(this.currentItem.groups, this.currentItem.modifiers));
         }
-        
-        modalContainer.addEventListener('change', (e) => {
-            if (e.target.matches('input[name="sauce"], input[name="fries"], input[name="extras"]')) {
-                this.updateModalTotal();
-                this.updateAddToCartButtonState();
-            }
-        });
     }
 
     updateQuantityButtons() {
@@ -2421,10 +2952,7 @@ class PalaceCheckout {
             const isFiveDigits = /^\d{5}$/.test(postalCode);
             if (isFiveDigits) {
                 // Valid format but wrong delivery area
-                this.showFieldError(
-                    event.target, 
-                    `${this.t('chjs.validation.postalOnlyTo')} ${this.allowedPostalCodes.join(' és ')} ${this.t('chjs.validation.postalCodesDeliver')}`
-                );
+                this.showFieldError(event.target, this.getOutsideZoneMessage());
             } else {
                 // Invalid format
                 this.showFieldError(event.target, this.t('chjs.validation.postalInvalid'));
@@ -2432,6 +2960,20 @@ class PalaceCheckout {
         } else {
             this.clearFieldError(event.target);
         }
+
+        this.updateDeliveryZone();
+    }
+
+    /**
+     * Error message for an address outside every delivery zone
+     */
+    getOutsideZoneMessage() {
+        const postalCodes = this.deliveryZones.getPostalCodes();
+        // With drawn areas a postal code list would be misleading
+        if (postalCodes.length === 0 || this.deliveryZones.hasPolygonZones()) {
+            return this.t('chjs.zone.outside');
+        }
+        return `${this.t('chjs.validation.postalOnlyTo')} ${postalCodes.join(' és ')} ${this.t('chjs.validation.postalCodesDeliver')}`;
     }
 
     /**
@@ -2444,8 +2986,12 @@ class PalaceCheckout {
             return false;
         }
 
-        // Second check: Must be in allowed delivery area
-        return this.allowedPostalCodes.includes(postalCode);
+        // Second check: Must be in a delivery zone (drawn area, postal code or distance ring)
+        return this.deliveryZones.findZone({
+            postalCode,
+            location: this.state.deliveryLocation,
+            distanceKm: this.state.deliveryDistance
+        }) !== null;
     }
 
     /**
@@ -2473,10 +3019,11 @@ validateForm() {
 
         // 2. Check minimum order amount
         const subtotal = this.calculateSubtotal();
-        if (subtotal < this.config.minOrderAmount) {
+        const minOrderAmount = this.getMinOrderAmount();
+        if (subtotal < minOrderAmount) {
             validationIssues.push({
                 field: 'minOrder',
-                message: `${this.t('chjs.validation.minOrder')}: €${this.config.minOrderAmount.toFixed(2)}`,
+                message: `${this.t('chjs.validation.minOrder')}: €${minOrderAmount.toFixed(2)}`,
                 isValid: false
             });
             isValid = false;
@@ -2555,7 +3102,7 @@ validateForm() {
                 } else if (value && fieldConfig.type === 'postal') {
                     if (!this.isValidSlovakPostalCode(value)) {
                         fieldValid = false;
-                        errorMessage = `${this.t('chjs.validation.onlyDeliverTo')} ${this.allowedPostalCodes.join(' és ')}`;
+                        errorMessage = this.getOutsideZoneMessage();
                     }
                 }
 
@@ -2578,6 +3125,16 @@ validateForm() {
             });
         }
 
+        // 4b. Pre-orders need a picked time - there is no ASAP while closed
+        if (this.state.preorderOnly && !this.state.scheduledTime) {
+            validationIssues.push({
+                field: 'time',
+                message: this.t('chjs.validation.preorderTime'),
+                isValid: false
+            });
+            isValid = false;
+        }
+
         // 5. Check payment method selection
         const paymentMethod = document.querySelector('input[name="paymentMethod"]:checked');
         if (!paymentMethod) {
@@ -2692,6 +3249,11 @@ validateForm() {
             return;
         }
 
+        // Prices may have changed since the summary was shown (happy hour started or ended)
+        if (!(await this.recheckHappyHourPrices())) {
+            return;
+        }
+
         // Check payment method and route accordingly
         if (this.state.paymentMethod === 'stripe') {
             await this.processStripePayment();
@@ -2781,6 +3343,7 @@ validateForm() {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    ...this.account?.getAuthHeaders()
                 },
                 body: JSON.stringify({
                     paymentIntentId: paymentIntent.data.paymentIntentId,
@@ -2801,6 +3364,7 @@ validateForm() {
 
             if (confirmResult.success) {
                 console.log('🎉 Order created successfully!');
+                await this.recordAccountOrder(orderData, confirmResult.data.orderNumber);
                 this.clearCartFromStorage();
                 window.location.href = `/order-confirmation.html?order=${confirmResult.data.orderNumber}`;
             } else {
@@ -2828,6 +3392,7 @@ validateForm() {
 
             if (response.success) {
                 this.state.orderSubmitted = true;
+                await this.recordAccountOrder(orderData, response.data.orderNumber);
                 this.clearCartFromStorage();
                 window.location.href = `/order-confirmation.html?order=${response.data.orderNumber}`;
             } else {
@@ -2862,12 +3427,34 @@ validateForm() {
                 `${this.sanitizeInput(formData.street)}, ${this.sanitizeInput(formData.city)} ${formData.postalCode}`.trim() : null,
             deliveryNotes: this.state.orderType === 'delivery' ? 
                 this.sanitizeInput(formData.deliveryNotes || '') || null : null,
+            deliveryZoneId: this.state.orderType === 'delivery' ?
+                this.state.deliveryZone?.id || null : null,
+            // Known coordinates help the driver plan the route
+            deliveryLocation: this.state.orderType === 'delivery' ?
+                this.state.deliveryLocation : null,
 
             // Scheduled time (if not ASAP)
             scheduledFor: this.getScheduledDateTime(),
 
             // Order items (backend format)
             items: this.state.cart.map(item => {
+                // Combos are sent as the combo and its picks - the backend prices the bundle
+                if (item.combo) {
+                    return {
+                        menuItemId: null,
+                        variantId: null,
+                        comboId: item.combo.id,
+                        comboItems: this.combos.toOrderData(item.combo.items),
+                        quantity: item.quantity,
+                        unitPrice: item.price,
+                        priceRuleId: null,
+                        modifiers: [],
+                        removeItems: item.customization?.removeInstructions ?
+                            [item.customization.removeInstructions] : [],
+                        specialNotes: this.sanitizeInput(item.customization?.specialInstructions || '') || null
+                    };
+                }
+
                 // Extract menu item ID (remove any prefixes like 'drink-')
                 let menuItemId = item.originalId || item.id;
                 if (typeof menuItemId === 'string' && menuItemId.includes('-')) {
@@ -2876,12 +3463,17 @@ validateForm() {
                     menuItemId = numericMatch ? parseInt(numericMatch[0]) : parseInt(menuItemId);
                 }
 
+                // Sent so the backend can verify the happy hour price it recomputes
+                const pricing = this.getItemPricing(item);
+
                 return {
                     menuItemId: parseInt(menuItemId),
+                    variantId: item.variant?.id || null,
                     quantity: item.quantity,
-                    selectedSauce: item.customization?.sauce || null,
-                    friesUpgrade: item.customization?.fries === 'regular' ? null : item.customization?.fries || null,
-                    extras: item.customization?.extras || [],
+                    unitPrice: pricing.price,
+                    priceRuleId: pricing.rule?.id || null,
+                    modifiers: this.modifiers.toOrderData(item.modifiers),
+                    ...this.modifiers.toLegacyOrderData(item.modifiers),
                     removeItems: item.customization?.removeInstructions ? 
                         [item.customization.removeInstructions] : [],
                     specialNotes: this.sanitizeInput(
@@ -2892,16 +3484,46 @@ validateForm() {
                 };
             }),
 
-            // General order notes
-            specialNotes: null // Can be used for overall order notes if needed
+            // Promo code - the backend re-validates it and recomputes the discount
+            promoCode: this.state.promo?.code || null,
+            discountAmount: this.calculateDiscount(this.calculateSubtotal(), this.getDeliveryFee()).amount,
+
+            // Loyalty points - the backend checks the balance and deducts them
+            ...this.getLoyaltyOrderData(),
+
+            // General order notes and structured requests (cutlery, no bag, ring the bell, leave at door)
+            specialNotes: this.sanitizeInput(formData.orderNotes || '') || null,
+            orderOptions: this.getOrderOptions()
         };
     }
 
+    /**
+     * Checked order-level options - the doorstep ones only apply to delivery
+     */
+    getOrderOptions() {
+        return Array.from(document.querySelectorAll('input[name="orderOption"]:checked'))
+            .filter(input => this.state.orderType === 'delivery' || !input.closest('[data-delivery-only]'))
+            .map(input => input.value);
+    }
+
+    /**
+     * Show the doorstep options for delivery only
+     */
+    updateOrderOptions() {
+        document.querySelectorAll('.order-option-toggle[data-delivery-only]').forEach(option => {
+            const isDelivery = this.state.orderType === 'delivery';
+            option.style.display = isDelivery ? 'flex' : 'none';
+            if (!isDelivery) {
+                option.querySelector('input').checked = false;
+            }
+        });
+    }
+
     /**
      * Collect form data
      */
     collectFormData() {
-        const formFields = ['firstName', 'lastName', 'phone', 'email', 'street', 'city', 'postalCode', 'deliveryNotes'];
+        const formFields = ['firstName', 'lastName', 'phone', 'email', 'street', 'city', 'postalCode', 'deliveryNotes', 'orderNotes'];
         const data = {};
         
         formFields.forEach(fieldId => {
@@ -2934,7 +3556,7 @@ validateForm() {
             const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
 
             if (timeRegex.test(timeValue)) {
-                return this.createDateFromTime(timeValue, true);
+                return this.createDateFromTime(timeValue, this.getSelectedDateKey());
             }
         }
 
@@ -2961,7 +3583,8 @@ validateForm() {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    'X-CSRF-Token': this.csrfToken
+                    'X-CSRF-Token': this.csrfToken,
+                    ...this.account?.getAuthHeaders()
                 },
                 body: JSON.stringify(orderData)
             });
@@ -0,0 +1,234 @@
+/**
+ * Palace Cafe & Bar - Combo Deals
+ * Meal deals where the customer picks one item from each slot (main, side, drink...) at a bundle price
+ *
+ * Features:
+ * - Combos with a fixed bundle price and any number of slots
+ * - Each slot offers a list of menu items, one of which is picked
+ * - One renderer for the slot choices and one description for the cart, checkout and admin
+ * - Rebuilds earlier picks for reorders
+ *
+ * The picks are stored on the cart item as a snapshot:
+ * { id, name, items: [{ slotId, slotName, menuItemId, name }] }
+ *
+ * The bundle price is never discounted by happy hour - rules match menu items and categories, not combos.
+ * Managed in the Menu app.
+ *
+ * @author Palace Development Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+class ComboDeals {
+    constructor() {
+        this.config = {
+            apiUrl: window.API_BASE_URL
+        };
+
+        this.combos = [];
+        this.loadPromise = null;
+    }
+
+    /**
+     * Load the combos once - subsequent calls share the same promise
+     */
+    load(lang = window.i18n?.currentLang || 'hu') {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchCombos(lang);
+        }
+        return this.loadPromise;
+    }
+
+    async fetchCombos(lang) {
+        try {
+            const response = await fetch(`${this.config.apiUrl}/menu/combos?lang=${lang}`, {
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Invalid combos response');
+            }
+
+            this.combos = this.normalizeCombos(result.data);
+            console.log('🍱 Combos loaded:', this.combos);
+
+        } catch (error) {
+            // The menu still works without combos - they are simply not offered
+            console.warn('⚠️ Could not load combos:', error.message);
+            this.combos = [];
+        }
+
+        return this.combos;
+    }
+
+    normalizeCombos(combos) {
+        return (Array.isArray(combos) ? combos : []).map(combo => ({
+            id: combo.id,
+            name: String(combo.name || ''),
+            description: String(combo.description || ''),
+            imageUrl: combo.imageUrl || null,
+            price: Math.max(Number(combo.price) || 0, 0),
+            isAvailable: combo.isAvailable !== false,
+            slots: (combo.slots || []).map(slot => ({
+                id: slot.id,
+                name: String(slot.name || ''),
+                items: (slot.items || []).map(item => ({
+                    id: item.id,
+                    name: String(item.name || ''),
+                    isDefault: Boolean(item.isDefault),
+                    isAvailable: item.isAvailable !== false
+                }))
+            }))
+        }));
+    }
+
+    findCombo(comboId) {
+        return this.combos.find(combo => String(combo.id) === String(comboId)) || null;
+    }
+
+    getAvailableItems(slot) {
+        return slot.items.filter(item => item.isAvailable);
+    }
+
+    /**
+     * A combo can only be sold while every slot has something to pick
+     */
+    isAvailable(combo) {
+        return combo.isAvailable && combo.slots.length > 0 &&
+            combo.slots.every(slot => this.getAvailableItems(slot).length > 0);
+    }
+
+    getAvailableCombos() {
+        return this.combos.filter(combo => this.isAvailable(combo));
+    }
+
+    // ============================================
+    // SELECTION
+    // ============================================
+
+    toSnapshot(slot, item) {
+        return { slotId: slot.id, slotName: slot.name, menuItemId: item.id, name: item.name };
+    }
+
+    /**
+     * Preselected picks - the marked default, or the only item a slot offers
+     */
+    getDefaultSelection(combo) {
+        return combo.slots.map(slot => {
+            const items = this.getAvailableItems(slot);
+            const item = items.find(entry => entry.isDefault) || (items.length === 1 ? items[0] : null);
+            return item ? this.toSnapshot(slot, item) : null;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Rebuild earlier picks against the current combo (reorder, edited menu).
+     * Picks no longer offered fall back to the slot's default.
+     * @returns {{ items: Array, changed: boolean }}
+     */
+    restoreSelection(combo, previous = []) {
+        const defaults = this.getDefaultSelection(combo);
+        let changed = previous.length !== combo.slots.length;
+
+        const items = combo.slots.map(slot => {
+            const earlier = previous.find(entry => String(entry.slotId) === String(slot.id));
+            const item = this.getAvailableItems(slot).find(entry => String(entry.id) === String(earlier?.menuItemId));
+            if (item) return this.toSnapshot(slot, item);
+
+            changed = true;
+            return defaults.find(entry => String(entry.slotId) === String(slot.id)) || null;
+        }).filter(Boolean);
+
+        return { items, changed };
+    }
+
+    /**
+     * Picks currently checked in a rendered container
+     */
+    readSelection(container, combo) {
+        return combo.slots.map(slot => {
+            const input = container.querySelector(`input[data-combo-slot="${slot.id}"]:checked`);
+            const item = input && slot.items.find(entry => String(entry.id) === input.value);
+            return item ? this.toSnapshot(slot, item) : null;
+        }).filter(Boolean);
+    }
+
+    /**
+     * @returns {string|null} Message for the first slot without a pick, null when valid
+     */
+    validateSelection(combo, items) {
+        const slot = combo.slots.find(entry =>
+            !items.some(item => String(item.slotId) === String(entry.id)));
+        return slot ? `${slot.name}: ${this.label('orderPage.comboPick', 'válassz egyet')}` : null;
+    }
+
+    // ============================================
+    // RENDERING
+    // ============================================
+
+    label(key, fallback) {
+        return window.i18n?.t ? window.i18n.t(key, fallback) : fallback;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * One radio list per slot with the current picks checked
+     */
+    renderSlots(combo, items = []) {
+        return combo.slots.map(slot => {
+            const selectedId = String(items.find(item => String(item.slotId) === String(slot.id))?.menuItemId ?? '');
+
+            const options = slot.items.map(item => `
+                <label class="upgrade-option ${item.isAvailable ? '' : 'unavailable'}">
+                    <input type="radio" name="combo-slot-${slot.id}" value="${item.id}" data-combo-slot="${slot.id}"
+                           ${String(item.id) === selectedId ? 'checked' : ''} ${item.isAvailable ? '' : 'disabled'}>
+                    <span class="upgrade-label">
+                        <span class="upgrade-name">${this.escapeHtml(item.name)}</span>
+                        ${item.isAvailable ? '' : `<span class="upgrade-price">${this.label('orderPage.unavailable', 'Nem elérhető')}</span>`}
+                    </span>
+                </label>
+            `).join('');
+
+            return `
+                <div class="customization-section combo-slot" data-slot-id="${slot.id}">
+                    <h4 class="section-title">${this.escapeHtml(slot.name)}</h4>
+                    <div class="fries-options">
+                        ${options}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * "Főétel: Classic Burger", "Ital: Cola" - one entry per slot, HTML-escaped
+     */
+    describe(items = []) {
+        return items.map(item => `${this.escapeHtml(item.slotName)}: ${this.escapeHtml(item.name)}`);
+    }
+
+    /**
+     * Order payload - the backend prices the bundle itself
+     */
+    toOrderData(items = []) {
+        return items.map(item => ({
+            slotId: item.slotId,
+            menuItemId: item.menuItemId
+        }));
+    }
+}
+
+// Shared instance used by every page
+window.ComboDeals = ComboDeals;
+window.comboDeals = new ComboDeals();
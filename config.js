@@ -11,14 +11,16 @@ const API_CONFIG = {
     DEVELOPMENT: {
         apiUrl: 'https://palace-cafe-backend-production.up.railway.app/api',
         socketUrl: 'https://palace-cafe-backend-production.up.railway.app',
-        environment: 'development'
+        environment: 'development',
+        customerAccounts: 'local' // 'api' once the backend /customers endpoints are live
     },
     
     // Production environment (Railway prod + WebSupport)
     PRODUCTION: {
         apiUrl: 'https://palace-cafe-backend-production.up.railway.app/api',
         socketUrl: 'https://palace-cafe-backend-production.up.railway.app',
-        environment: 'production'
+        environment: 'production',
+        customerAccounts: 'local' // 'api' once the backend /customers endpoints are live
     }
 };
 
@@ -0,0 +1,525 @@
+/**
+ * Palace Cafe & Bar - Customer Accounts
+ * Optional sign-in for returning customers, shared by the order page, checkout and "My orders"
+ *
+ * Features:
+ * - Passwordless sign-in with an email magic link or a phone one-time code
+ * - Saved delivery addresses
+ * - Order history and one-click reorder (handed to the order page through localStorage)
+ * - Loyalty points balance from the backend points ledger (rules in loyalty.js) - only for
+ *   backend-verified sign-ins, never with the local stand-in
+ * - Talks to the backend customer endpoints, or to a local stand-in service
+ *   (browser storage, codes shown on screen) while the backend endpoints are not live
+ *
+ * @author Palace Development Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// ============================================
+// BACKEND SERVICE
+// ============================================
+
+class ApiAccountService {
+    constructor(apiUrl, getToken) {
+        this.apiUrl = apiUrl;
+        this.getToken = getToken;
+    }
+
+    async request(endpoint, options = {}) {
+        const token = this.getToken();
+        const response = await fetch(`${this.apiUrl}/customers${endpoint}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+                ...options.headers
+            }
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || result.success === false) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+
+        return result.data;
+    }
+
+    /**
+     * Send a magic link (email) or a one-time code (phone)
+     */
+    requestLogin(method, contact) {
+        return this.request('/auth/request', {
+            method: 'POST',
+            body: JSON.stringify({ method, contact })
+        });
+    }
+
+    /**
+     * Exchange a one-time code or magic link token for a session
+     * @returns {Promise<{ token: string, customer: Object }>}
+     */
+    verifyLogin({ contact, code, token }) {
+        return this.request('/auth/verify', {
+            method: 'POST',
+            body: JSON.stringify({ contact, code, token })
+        });
+    }
+
+    getAddresses() {
+        return this.request('/me/addresses');
+    }
+
+    saveAddress(address) {
+        return this.request('/me/addresses', {
+            method: 'POST',
+            body: JSON.stringify(address)
+        });
+    }
+
+    deleteAddress(addressId) {
+        return this.request(`/me/addresses/${encodeURIComponent(addressId)}`, { method: 'DELETE' });
+    }
+
+    getOrders() {
+        return this.request('/me/orders');
+    }
+
+    /**
+     * The backend links orders to the customer from the Authorization header
+     */
+    async recordOrder() {
+        return null;
+    }
+
+    /**
+     * @returns {Promise<{ balance: number, entries: Array }>}
+     */
+    getLoyalty() {
+        return this.request('/me/loyalty');
+    }
+}
+
+// ============================================
+// LOCAL STAND-IN SERVICE
+// ============================================
+
+/**
+ * Mirrors the backend customer endpoints in localStorage. Nothing is actually sent -
+ * the code and magic link are returned in `preview` so the page can show them.
+ */
+class LocalAccountService {
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+        this.codeTtlMinutes = 10;
+    }
+
+    readStore() {
+        try {
+            const store = JSON.parse(localStorage.getItem(this.storageKey));
+            return {
+                accounts: store?.accounts || {},
+                pending: store?.pending || {},
+                sessions: store?.sessions || {}
+            };
+        } catch (error) {
+            return { accounts: {}, pending: {}, sessions: {} };
+        }
+    }
+
+    writeStore(store) {
+        localStorage.setItem(this.storageKey, JSON.stringify(store));
+    }
+
+    randomToken(length = 24) {
+        const bytes = new Uint8Array(length);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    async requestLogin(method, contact) {
+        const store = this.readStore();
+        const code = String(Math.floor(100000 + Math.random() * 900000));
+        const token = this.randomToken();
+
+        store.pending[contact] = {
+            method,
+            code,
+            token,
+            expiresAt: Date.now() + this.codeTtlMinutes * 60 * 1000
+        };
+        this.writeStore(store);
+
+        const link = `${window.location.origin}/my-orders.html?login=${token}`;
+
+        return { sent: true, preview: { code, link: method === 'email' ? link : null } };
+    }
+
+    async verifyLogin({ contact, code, token }) {
+        const store = this.readStore();
+        const now = Date.now();
+
+        const [pendingContact, pending] = Object.entries(store.pending).find(([key, entry]) =>
+            entry.expiresAt > now &&
+            (token ? entry.token === token : key === contact && entry.code === String(code).trim())
+        ) || [];
+
+        if (!pending) {
+            throw new Error('Invalid or expired code');
+        }
+
+        delete store.pending[pendingContact];
+
+        if (!store.accounts[pendingContact]) {
+            store.accounts[pendingContact] = {
+                id: `local-${this.randomToken(6)}`,
+                name: '',
+                email: pending.method === 'email' ? pendingContact : '',
+                phone: pending.method === 'phone' ? pendingContact : '',
+                addresses: [],
+                orders: []
+            };
+        }
+
+        const sessionToken = this.randomToken();
+        store.sessions[sessionToken] = pendingContact;
+        this.writeStore(store);
+
+        return { token: sessionToken, customer: this.toCustomer(store.accounts[pendingContact]) };
+    }
+
+    toCustomer(account) {
+        return { id: account.id, name: account.name, email: account.email, phone: account.phone };
+    }
+
+    /**
+     * Run a change against the signed-in account and persist it
+     */
+    withAccount(token, callback) {
+        const store = this.readStore();
+        const account = store.accounts[store.sessions[token]];
+        if (!account) {
+            throw new Error('Session expired');
+        }
+
+        const result = callback(account);
+        this.writeStore(store);
+        return result;
+    }
+
+    async getAddresses(token) {
+        return this.withAccount(token, account => account.addresses);
+    }
+
+    async saveAddress(address, token) {
+        return this.withAccount(token, account => {
+            const saved = { ...address, id: address.id || `addr-${this.randomToken(4)}` };
+
+            if (saved.isDefault) {
+                account.addresses.forEach(entry => { entry.isDefault = false; });
+            }
+
+            account.addresses = [...account.addresses.filter(entry => entry.id !== saved.id), saved];
+            return saved;
+        });
+    }
+
+    async deleteAddress(addressId, token) {
+        return this.withAccount(token, account => {
+            account.addresses = account.addresses.filter(entry => entry.id !== addressId);
+            return null;
+        });
+    }
+
+    async getOrders(token) {
+        return this.withAccount(token, account =>
+            [...account.orders].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        );
+    }
+
+    async recordOrder(order, token) {
+        return this.withAccount(token, account => {
+            // Fill in profile details the customer typed at checkout
+            account.name = account.name || order.customerName || '';
+            account.email = account.email || order.customerEmail || '';
+            account.phone = account.phone || order.customerPhone || '';
+
+            account.orders = [order, ...account.orders.filter(entry => entry.orderNumber !== order.orderNumber)]
+                .slice(0, 50);
+
+            return order;
+        });
+    }
+}
+
+// ============================================
+// CUSTOMER ACCOUNT
+// ============================================
+
+class CustomerAccount {
+    constructor() {
+        this.config = {
+            apiUrl: window.API_BASE_URL,
+            sessionKey: 'palace_customer_session',
+            reorderKey: 'palace_reorder',
+            localStoreKey: 'palace_local_accounts',
+            sessionDays: 30,
+            reorderMaxAgeMinutes: 60,
+            // Until the backend ships /customers, accounts live in the browser
+            useLocalService: window.API_CONFIG?.customerAccounts !== 'api'
+        };
+
+        this.session = this.loadSession();
+        this.service = this.config.useLocalService
+            ? new LocalAccountService(this.config.localStoreKey)
+            : new ApiAccountService(this.config.apiUrl, () => this.session?.token);
+    }
+
+    // ============================================
+    // SESSION
+    // ============================================
+
+    loadSession() {
+        try {
+            const session = JSON.parse(localStorage.getItem(this.config.sessionKey));
+            if (session?.token && session.expiresAt > Date.now()) {
+                return session;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not read customer session:', error.message);
+        }
+
+        localStorage.removeItem(this.config.sessionKey);
+        return null;
+    }
+
+    saveSession(token, customer) {
+        this.session = {
+            token,
+            customer,
+            expiresAt: Date.now() + this.config.sessionDays * 24 * 60 * 60 * 1000
+        };
+        localStorage.setItem(this.config.sessionKey, JSON.stringify(this.session));
+    }
+
+    isSignedIn() {
+        return Boolean(this.session);
+    }
+
+    getCustomer() {
+        return this.session?.customer || null;
+    }
+
+    /**
+     * Headers for order requests so the backend can link the order to the account
+     */
+    getAuthHeaders() {
+        return this.session && !this.config.useLocalService
+            ? { 'Authorization': `Bearer ${this.session.token}` }
+            : {};
+    }
+
+    signOut() {
+        this.session = null;
+        localStorage.removeItem(this.config.sessionKey);
+    }
+
+    // ============================================
+    // SIGN-IN
+    // ============================================
+
+    /**
+     * Normalize an email address or phone number
+     * @returns {{ method: 'email'|'phone', contact: string } | null}
+     */
+    parseContact(value) {
+        const trimmed = String(value || '').trim();
+
+        if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed)) {
+            return { method: 'email', contact: trimmed.toLowerCase() };
+        }
+
+        let phone = trimmed.replace(/[\s\-()]/g, '');
+        if (/^0\d{9}$/.test(phone)) {
+            phone = `+421${phone.slice(1)}`;
+        }
+        if (/^\+?\d{9,15}$/.test(phone)) {
+            return { method: 'phone', contact: phone };
+        }
+
+        return null;
+    }
+
+    /**
+     * Send the magic link or one-time code
+     * @returns {Promise<{ method: string, contact: string, preview?: { code: string, link: string|null } }>}
+     */
+    async requestLogin(value) {
+        const parsed = this.parseContact(value);
+        if (!parsed) {
+            throw new Error('Invalid contact');
+        }
+
+        const result = await this.service.requestLogin(parsed.method, parsed.contact);
+        return { ...parsed, preview: result?.preview };
+    }
+
+    /**
+     * Sign in with a one-time code, or with the token from a magic link
+     */
+    async verifyLogin({ contact, code, token }) {
+        const result = await this.service.verifyLogin({ contact, code, token });
+        this.saveSession(result.token, result.customer);
+        console.log('👤 Customer signed in:', result.customer);
+        return result.customer;
+    }
+
+    // ============================================
+    // ADDRESSES & ORDERS
+    // ============================================
+
+    async getAddresses() {
+        if (!this.session) return [];
+        return (await this.service.getAddresses(this.session.token)) || [];
+    }
+
+    /**
+     * Default address first, then the most recently saved one
+     */
+    async getDefaultAddress() {
+        const addresses = await this.getAddresses();
+        return addresses.find(address => address.isDefault) || addresses[addresses.length - 1] || null;
+    }
+
+    async saveAddress(address) {
+        return this.service.saveAddress({
+            id: address.id,
+            label: String(address.label || '').trim(),
+            street: String(address.street || '').trim(),
+            city: String(address.city || '').trim(),
+            postalCode: String(address.postalCode || '').replace(/\s/g, ''),
+            notes: String(address.notes || '').trim(),
+            isDefault: Boolean(address.isDefault)
+        }, this.session?.token);
+    }
+
+    async deleteAddress(addressId) {
+        return this.service.deleteAddress(addressId, this.session?.token);
+    }
+
+    async getOrders() {
+        if (!this.session) return [];
+        return (await this.service.getOrders(this.session.token)) || [];
+    }
+
+    /**
+     * Remember a placed order (stand-in service only - the backend links orders itself)
+     * @param {Object} orderData - payload sent to the backend, items carry their display name
+     */
+    async recordOrder(orderData, orderNumber, total) {
+        if (!this.session) return null;
+
+        // Remember the details typed at checkout for the next prefill
+        const { token, customer } = this.session;
+        this.saveSession(token, {
+            ...customer,
+            name: customer.name || orderData.customerName || '',
+            email: customer.email || orderData.customerEmail || '',
+            phone: customer.phone || orderData.customerPhone || ''
+        });
+
+        return this.service.recordOrder({
+            orderNumber,
+            createdAt: new Date().toISOString(),
+            orderType: orderData.orderType,
+            deliveryAddress: orderData.deliveryAddress,
+            customerName: orderData.customerName,
+            customerEmail: orderData.customerEmail,
+            customerPhone: orderData.customerPhone,
+            total,
+            redeemPoints: orderData.redeemPoints || 0,
+            items: orderData.items
+        }, token);
+    }
+
+    // ============================================
+    // LOYALTY POINTS
+    // ============================================
+
+    /**
+     * Points can only be shown and redeemed for a sign-in the backend verified -
+     * the local stand-in does not prove the customer owns the email or phone
+     */
+    supportsLoyalty() {
+        return !this.config.useLocalService;
+    }
+
+    /**
+     * @returns {Promise<{ balance: number, entries: Array }>}
+     */
+    async getLoyalty() {
+        if (!this.session || !this.supportsLoyalty()) return { balance: 0, entries: [] };
+
+        const loyalty = await this.service.getLoyalty(this.session.token);
+        return { balance: Number(loyalty?.balance) || 0, entries: loyalty?.entries || [] };
+    }
+
+    // ============================================
+    // REORDER
+    // ============================================
+
+    /**
+     * Order items in the cart's customization shape, whichever service they came from
+     * @returns {Array<{ menuItemId: number, variantId: ?number, comboId: ?number, name: string, quantity: number, customization: Object }>}
+     */
+    toReorderItems(order) {
+        return (order.items || []).map(item => ({
+            menuItemId: parseInt(item.menuItemId ?? item.menuItem?.id, 10),
+            variantId: item.variantId ?? null,
+            name: item.name || item.menuItem?.name || '',
+            quantity: parseInt(item.quantity, 10) || 1,
+            modifiers: item.modifiers || [],
+            comboId: item.comboId ?? null,
+            comboItems: (item.comboItems || []).map(pick => ({ slotId: pick.slotId, menuItemId: pick.menuItemId })),
+            customization: {
+                removeInstructions: (item.removeItems || []).join(', '),
+                specialInstructions: item.specialNotes || ''
+            }
+        })).filter(item => item.comboId !== null || Number.isFinite(item.menuItemId));
+    }
+
+    /**
+     * Hand an order to the order page, which rebuilds the cart after the menu loads
+     */
+    stageReorder(order) {
+        localStorage.setItem(this.config.reorderKey, JSON.stringify({
+            orderNumber: order.orderNumber,
+            items: this.toReorderItems(order),
+            timestamp: Date.now()
+        }));
+    }
+
+    /**
+     * Read and clear the staged reorder
+     */
+    takePendingReorder() {
+        try {
+            const reorder = JSON.parse(localStorage.getItem(this.config.reorderKey));
+            localStorage.removeItem(this.config.reorderKey);
+
+            const maxAge = this.config.reorderMaxAgeMinutes * 60 * 1000;
+            if (reorder?.items?.length > 0 && Date.now() - reorder.timestamp < maxAge) {
+                return reorder;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not read staged reorder:', error.message);
+        }
+
+        return null;
+    }
+}
+
+// Shared instance used by every page
+window.CustomerAccount = CustomerAccount;
+window.customerAccount = new CustomerAccount();
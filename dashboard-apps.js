@@ -133,6 +133,16 @@ class BaseApp {
     }
 }
 
+/**
+ * Kitchen stations menu categories are routed to (Menu app) and filtered by (Orders app / KDS)
+ */
+const KITCHEN_STATIONS = {
+    grill: { label: 'Grill', icon: 'fa-fire-burner' },
+    fryer: { label: 'Fritőz', icon: 'fa-bowl-food' },
+    bar: { label: 'Bár', icon: 'fa-martini-glass' }
+};
+window.KITCHEN_STATIONS = KITCHEN_STATIONS;
+
 /**
  * Dashboard Overview App
  * Main dashboard with stats and quick overview
@@ -378,7 +388,7 @@ class MenuApp extends BaseApp {
         
         // State management
         this.state = {
-            currentSection: 'availability', // 'availability' or 'management'
+            currentSection: 'availability', // 'availability', 'management', 'stations' or 'modifiers'
             deliverableItems: [],
             allItems: [],
             categories: [],
@@ -390,7 +400,10 @@ class MenuApp extends BaseApp {
             sortOrder: 'asc',
             currentPage: 1,
             itemsPerPage: 20,
-            totalItems: 0
+            totalItems: 0,
+            itemVariants: [], // Sizes of the item open in the modal
+            modifierGroups: [], // Option groups (sauces, sides, extras...) items can be attached to
+            combos: [] // Meal deals - one pick per slot at a bundle price
         };
 
         // Modal listeners tracking
@@ -433,6 +446,18 @@ class MenuApp extends BaseApp {
                         <i class="fas fa-edit"></i>
                         Menü szerkesztés
                     </button>
+                    <button class="tab-btn" data-section="stations">
+                        <i class="fas fa-fire-burner"></i>
+                        Állomások
+                    </button>
+                    <button class="tab-btn" data-section="modifiers">
+                        <i class="fas fa-layer-group"></i>
+                        Feltétek
+                    </button>
+                    <button class="tab-btn" data-section="combos">
+                        <i class="fas fa-box-open"></i>
+                        Menük
+                    </button>
                 </div>
             </div>
 
@@ -537,6 +562,68 @@ class MenuApp extends BaseApp {
                 </div>
             </div>
 
+            <!-- Kitchen Stations Section -->
+            <div id="stations-section" class="menu-section">
+                <div class="section-header">
+                    <h3>
+                        <i class="fas fa-fire-burner"></i>
+                        Konyhai állomások
+                    </h3>
+                    <p>Melyik állomás készíti az egyes kategóriák termékeit. A hozzárendelés nélküli kategóriák minden állomásnál megjelennek.</p>
+                </div>
+
+                <div class="station-assignments" id="stationAssignments">
+                    <div class="loading-placeholder">
+                        <i class="fas fa-spinner fa-spin"></i>
+                        Kategóriák betöltése...
+                    </div>
+                </div>
+            </div>
+
+            <!-- Modifier Groups Section -->
+            <div id="modifiers-section" class="menu-section">
+                <div class="section-header">
+                    <h3>
+                        <i class="fas fa-layer-group"></i>
+                        Feltétcsoportok
+                    </h3>
+                    <p>Szószok, köretek, extrák és más választható opciók. A csoportokat termékenként lehet hozzárendelni a termék szerkesztésénél.</p>
+                    <button type="button" class="btn-primary" id="addModifierGroupBtn">
+                        <i class="fas fa-plus"></i>
+                        Új csoport
+                    </button>
+                </div>
+
+                <div class="modifier-groups-list" id="modifierGroupsList">
+                    <div class="loading-placeholder">
+                        <i class="fas fa-spinner fa-spin"></i>
+                        Feltétcsoportok betöltése...
+                    </div>
+                </div>
+            </div>
+
+            <!-- Combos Section -->
+            <div id="combos-section" class="menu-section">
+                <div class="section-header">
+                    <h3>
+                        <i class="fas fa-box-open"></i>
+                        Menük
+                    </h3>
+                    <p>Menük kedvezményes egységáron, pl. burger + krumpli + ital. A vendég minden helyre egy terméket választ a megadottak közül.</p>
+                    <button type="button" class="btn-primary" id="addComboBtn">
+                        <i class="fas fa-plus"></i>
+                        Új menü
+                    </button>
+                </div>
+
+                <div class="modifier-groups-list" id="combosList">
+                    <div class="loading-placeholder">
+                        <i class="fas fa-spinner fa-spin"></i>
+                        Menük betöltése...
+                    </div>
+                </div>
+            </div>
+
             <!-- Add/Edit Item Modal -->
             <div class="modal" id="itemModal">
                 <div class="modal-backdrop"></div>
@@ -666,12 +753,6 @@ class MenuApp extends BaseApp {
                                     </div>
                                     
                                     <div class="form-checkboxes">
-                                        <label class="checkbox-label">
-                                            <input type="checkbox" id="includesSides" name="includesSides">
-                                            <span class="checkbox-custom"></span>
-                                            Köretet tartalmaz
-                                        </label>
-                                        
                                         <label class="checkbox-label">
                                             <input type="checkbox" id="isPopular" name="isPopular">
                                             <span class="checkbox-custom"></span>
@@ -756,6 +837,28 @@ class MenuApp extends BaseApp {
                                 </div>
                             </div>
 
+                            <!-- Variants Section -->
+                            <div class="variants-section">
+                                <div class="variants-header">
+                                    <h4>Változatok (méretek)</h4>
+                                    <button type="button" class="btn-secondary" id="addVariantBtn">
+                                        <i class="fas fa-plus"></i>
+                                        Új változat
+                                    </button>
+                                </div>
+                                <small>Pl. 0,3 l / 0,5 l vagy szimpla / dupla hús. Ha van változat, a vásárló választ közülük, és a változat ára érvényes az alapár helyett.</small>
+                                <div class="variants-list" id="variantsList"></div>
+                            </div>
+
+                            <!-- Modifier Groups Section -->
+                            <div class="variants-section">
+                                <div class="variants-header">
+                                    <h4>Feltétcsoportok</h4>
+                                </div>
+                                <small>A kijelölt csoportok jelennek meg a vásárlónak a termék testreszabásakor. Új csoportot a Feltétek fülön lehet létrehozni.</small>
+                                <div class="item-modifier-groups" id="itemModifierGroups"></div>
+                            </div>
+
                             <div class="form-actions">
                                 <button type="button" class="btn-secondary" id="cancelItemBtn">
                                     Mégse
@@ -829,7 +932,9 @@ class MenuApp extends BaseApp {
                 this.loadDeliverableItems(),
                 this.loadCategories(),
                 this.loadAllItems(),
-                this.loadAllergenData()
+                this.loadAllergenData(),
+                this.loadModifierGroups(),
+                this.loadCombos()
             ]);
             
             this.renderCurrentSection();
@@ -1007,6 +1112,12 @@ class MenuApp extends BaseApp {
         
         // Management section listeners
         this.setupManagementListeners();
+
+        // Modifier groups section listeners
+        this.setupModifierListeners();
+
+        // Combos section listeners
+        this.setupComboListeners();
     }
 
     setupAvailabilityListeners() {
@@ -1124,6 +1235,12 @@ class MenuApp extends BaseApp {
     renderCurrentSection() {
         if (this.state.currentSection === 'availability') {
             this.renderDeliverableItems();
+        } else if (this.state.currentSection === 'stations') {
+            this.renderStationAssignments();
+        } else if (this.state.currentSection === 'modifiers') {
+            this.renderModifierGroups();
+        } else if (this.state.currentSection === 'combos') {
+            this.renderCombos();
         } else {
             this.renderItemsTable();
             this.renderCategoryFilter();
@@ -1392,968 +1509,1759 @@ class MenuApp extends BaseApp {
         }
     }
 
-    renderCategoryFilter() {
-        const categoryFilter = document.getElementById('categoryFilter');
-        if (!categoryFilter) return;
-
-        // Keep current selection
-        const currentValue = categoryFilter.value;
-
-        categoryFilter.innerHTML = `
-            <option value="all">Minden kategória</option>
-            ${this.state.categories.map(category => `
-                <option value="${category.id}">
-                    ${category.translations.hu?.name || 'Névtelen kategória'} (${category.itemCount})
-                </option>
-            `).join('')}
-        `;
-
-        // Restore selection
-        categoryFilter.value = currentValue;
-    }
-
-    renderItemsTable() {
-        const container = document.getElementById('menuItemsTable');
-        const countContainer = document.getElementById('itemsCount');
-
+    /**
+     * Station picker per category
+     */
+    renderStationAssignments() {
+        const container = document.getElementById('stationAssignments');
         if (!container) return;
 
-        // Update count
-        if (countContainer) {
-            countContainer.textContent = `${this.state.totalItems} termék`;
-        }
-
-        if (this.state.allItems.length === 0) {
+        if (this.state.categories.length === 0) {
             container.innerHTML = `
                 <div class="empty-state">
-                    <i class="fas fa-search"></i>
-                    <h3>Nincsenek találatok</h3>
-                    <p>Próbálja meg módosítani a szűrési feltételeket.</p>
+                    <i class="fas fa-folder-open"></i>
+                    <h3>Nincsenek kategóriák</h3>
                 </div>
             `;
             return;
         }
 
-        container.innerHTML = `
-            <div class="items-table-wrapper">
-                <table class="items-table">
-                    <thead>
-                        <tr>
-                            <th>Kép</th>
-                            <th>Név</th>
-                            <th>Kategória</th>
-                            <th>Ár</th>
-                            <th>Állapot</th>
-                            <th>Népszerű</th>
-                            <th>Művelet</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${this.state.allItems.map(item => `
-                            <tr class="item-row ${item.isAvailable ? 'available' : 'unavailable'} ${item.isDeleted ? 'deleted' : ''}">
-                                <td>
-                                    <div class="item-image-small">
-                                        ${item.imageUrl ? 
-                                            `<img src="${item.imageUrl}" alt="${this.escapeHtml(item.translations.hu?.name || 'Termék')}">` :
-                                            '<div class="image-placeholder"><i class="fas fa-image"></i></div>'
-                                        }
-                                    </div>
-                                </td>
-                                <td>
-                                    <div class="item-name-cell">
-                                        <h5>${this.escapeHtml(item.translations.hu?.name || 'Névtelen termék')}</h5>
-                                        <p class="item-slug">${this.escapeHtml(item.slug)}</p>
-                                        ${item.badge ? `<span class="item-badge badge-${item.badge}">${this.getBadgeText(item.badge)}</span>` : ''}
-                                        ${item.isDeleted ? '<span class="deleted-badge">Törölve</span>' : ''}
-                                    </div>
-                                </td>
-                                <td>
-                                    <span class="category-name">${this.escapeHtml(item.category.name)}</span>
-                                </td>
-                                <td>
-                                    <span class="item-price">${this.formatCurrency(item.price)}</span>
-                                </td>
-                                <td>
-                                    <span class="availability-status ${item.isDeleted ? 'deleted' : (item.isAvailable ? 'available' : 'unavailable')}">
-                                        <i class="fas fa-${item.isDeleted ? 'trash' : (item.isAvailable ? 'check-circle' : 'times-circle')}"></i>
-                                        ${item.isDeleted ? 'Törölve' : (item.isAvailable ? 'Elérhető' : 'Letiltva')}
-                                    </span>
-                                </td>
-                                <td>
-                                    <span class="popular-status">
-                                        <i class="fas fa-${item.isPopular ? 'star' : 'star-o'}"></i>
-                                        ${item.isPopular ? 'Igen' : 'Nem'}
-                                    </span>
-                                </td>
-                                <td>
-                                    <div class="item-actions">
-                                        ${item.isDeleted ? `
-                                            <!-- Deleted item - only show restore -->
-                                            <button class="btn-restore" 
-                                                    data-item-id="${item.id}"
-                                                    title="Visszaállítás">
-                                                <i class="fas fa-undo"></i>
-                                            </button>
-                                            <span class="deleted-info" title="Törölve: ${item.deletedAt ? new Date(item.deletedAt).toLocaleDateString('hu-HU') : 'Ismeretlen'}">
-                                                <i class="fas fa-info-circle"></i>
-                                            </span>
-                                        ` : `
-                                            <!-- Active item - show edit, toggle, delete -->
-                                            <button class="btn-edit" 
-                                                    data-item-id="${item.id}"
-                                                    title="Szerkesztés">
-                                                <i class="fas fa-edit"></i>
-                                            </button>
-                                            <button class="btn-toggle ${item.isAvailable ? 'btn-disable' : 'btn-enable'}" 
-                                                    data-item-id="${item.id}"
-                                                    title="${item.isAvailable ? 'Letiltás' : 'Engedélyezés'}">
-                                                <i class="fas fa-${item.isAvailable ? 'eye-slash' : 'eye'}"></i>
-                                            </button>
-                                            <button class="btn-delete" 
-                                                    data-item-id="${item.id}"
-                                                    title="Törlés">
-                                                <i class="fas fa-trash"></i>
-                                            </button>
-                                        `}
-                                    </div>
-                                </td>
-                            </tr>
-                        `).join('')}
-                    </tbody>
-                </table>
+        container.innerHTML = this.state.categories.map(category => `
+            <div class="station-assignment">
+                <div class="station-category">
+                    <strong>${this.escapeHtml(category.translations.hu?.name || 'Névtelen kategória')}</strong>
+                    <span class="item-count">${category.itemCount} termék</span>
+                </div>
+                <div class="station-options">
+                    <label class="station-option ${!category.station ? 'active' : ''}">
+                        <input type="radio" name="station-${category.id}" value="" ${!category.station ? 'checked' : ''}
+                               data-category-id="${category.id}">
+                        Mindenhol
+                    </label>
+                    ${Object.entries(KITCHEN_STATIONS).map(([station, config]) => `
+                        <label class="station-option ${category.station === station ? 'active' : ''}">
+                            <input type="radio" name="station-${category.id}" value="${station}" ${category.station === station ? 'checked' : ''}
+                                   data-category-id="${category.id}">
+                            <i class="fas ${config.icon}"></i>
+                            ${config.label}
+                        </label>
+                    `).join('')}
+                </div>
             </div>
-        `;
+        `).join('');
 
-        // Setup action button listeners
-        container.querySelectorAll('.btn-edit').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const itemId = parseInt(e.target.closest('button').dataset.itemId);
-                this.editItem(itemId);
+        container.querySelectorAll('input[type="radio"]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.updateCategoryStation(parseInt(input.dataset.categoryId), input.value || null);
             });
         });
+    }
 
-        container.querySelectorAll('.btn-toggle').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const itemId = parseInt(e.target.closest('button').dataset.itemId);
-                const item = this.state.allItems.find(item => item.id === itemId);
-                if (item && !item.isDeleted) {
-                    this.toggleItemAvailability(itemId, !item.isAvailable);
-                }
-            });
-        });
+    async updateCategoryStation(categoryId, station) {
+        const category = this.state.categories.find(entry => entry.id === categoryId);
+        if (!category) return;
 
-        container.querySelectorAll('.btn-delete').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const itemId = parseInt(e.target.closest('button').dataset.itemId);
-                this.deleteItem(itemId);
-            });
-        });
+        const previousStation = category.station || null;
 
-        // Setup restore button listeners for deleted items
-        container.querySelectorAll('.btn-restore').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const itemId = parseInt(e.target.closest('button').dataset.itemId);
-                this.restoreItem(itemId);
+        try {
+            const response = await this.apiCall(`/menu/categories/${categoryId}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ station })
             });
-        });
 
-        console.log('Items with deletion status:', this.state.allItems.map(item => ({
-            id: item.id,
-            name: item.translations.hu?.name,
-            isDeleted: item.isDeleted,
-            isAvailable: item.isAvailable
-        })));
+            if (response.success) {
+                category.station = station;
+                this.showNotification('Állomás mentve', 'success');
+            }
+        } catch (error) {
+            console.error('Failed to update category station:', error);
+            this.showNotification('Nem sikerült menteni az állomást', 'error');
+            category.station = previousStation;
+        }
 
-        // Render pagination
-        this.renderPagination();
+        this.renderStationAssignments();
     }
 
-    renderPagination() {
-        const container = document.getElementById('paginationContainer');
-        if (!container) return;
-
-        const totalPages = Math.ceil(this.state.totalItems / this.state.itemsPerPage);
-        const currentPage = this.state.currentPage;
+    // ============================================
+    // MODIFIER GROUPS
+    // ============================================
 
-        if (totalPages <= 1) {
-            container.innerHTML = '';
-            return;
+    async loadModifierGroups() {
+        try {
+            const response = await this.apiCall('/menu/modifier-groups');
+            this.state.modifierGroups = (response.data || []).map(group => this.normalizeModifierGroup(group));
+        } catch (error) {
+            console.error('Failed to load modifier groups:', error);
+            this.state.modifierGroups = [];
         }
+    }
 
-        let paginationHTML = '<div class="pagination">';
-
-        // Previous button
-        if (currentPage > 1) {
-            paginationHTML += `<button class="pagination-btn" data-page="${currentPage - 1}">Előző</button>`;
-        }
+    /**
+     * Admin shape of a group - names in every language, maxSelect 0 means no limit
+     */
+    normalizeModifierGroup(group) {
+        const translations = entry => ({
+            hu: { name: entry.translations?.hu?.name || entry.name || '' },
+            en: { name: entry.translations?.en?.name || '' },
+            sk: { name: entry.translations?.sk?.name || '' }
+        });
 
-        // Page numbers
-        const startPage = Math.max(1, currentPage - 2);
-        const endPage = Math.min(totalPages, currentPage + 2);
+        return {
+            id: group.id || null,
+            translations: translations(group),
+            minSelect: Math.max(parseInt(group.minSelect) || 0, 0),
+            maxSelect: Math.max(parseInt(group.maxSelect) || 0, 0),
+            required: Boolean(group.required),
+            options: (group.options || []).map(option => ({
+                id: option.id || null,
+                translations: translations(option),
+                price: Number(option.price) || 0,
+                isDefault: Boolean(option.isDefault),
+                isAvailable: option.isAvailable !== false
+            }))
+        };
+    }
 
-        if (startPage > 1) {
-            paginationHTML += `<button class="pagination-btn" data-page="1">1</button>`;
-            if (startPage > 2) {
-                paginationHTML += '<span class="pagination-ellipsis">...</span>';
+    setupModifierListeners() {
+        const addGroupBtn = document.getElementById('addModifierGroupBtn');
+        const groupsList = document.getElementById('modifierGroupsList');
+        if (!addGroupBtn || !groupsList) return;
+
+        addGroupBtn.addEventListener('click', () => this.addModifierGroup());
+        groupsList.addEventListener('change', (e) => this.updateModifierGroupField(e.target));
+        groupsList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-group-action]');
+            if (!button) return;
+
+            const groupIndex = Number(button.dataset.group);
+            switch (button.dataset.groupAction) {
+                case 'add-option':
+                    this.addModifierOption(groupIndex);
+                    break;
+                case 'remove-option':
+                    this.state.modifierGroups[groupIndex]?.options.splice(Number(button.dataset.option), 1);
+                    this.renderModifierGroups();
+                    break;
+                case 'save':
+                    this.saveModifierGroup(groupIndex);
+                    break;
+                case 'delete':
+                    this.deleteModifierGroup(groupIndex);
+                    break;
             }
-        }
-
-        for (let i = startPage; i <= endPage; i++) {
-            paginationHTML += `<button class="pagination-btn ${i === currentPage ? 'active' : ''}" data-page="${i}">${i}</button>`;
-        }
+        });
+    }
 
-        if (endPage < totalPages) {
-            if (endPage < totalPages - 1) {
-                paginationHTML += '<span class="pagination-ellipsis">...</span>';
-            }
-            paginationHTML += `<button class="pagination-btn" data-page="${totalPages}">${totalPages}</button>`;
-        }
+    renderModifierGroups() {
+        const container = document.getElementById('modifierGroupsList');
+        if (!container) return;
 
-        // Next button
-        if (currentPage < totalPages) {
-            paginationHTML += `<button class="pagination-btn" data-page="${currentPage + 1}">Következő</button>`;
+        if (this.state.modifierGroups.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-layer-group"></i>
+                    <h3>Nincsenek feltétcsoportok</h3>
+                    <p>Hozzon létre egy csoportot, pl. "Szósz" vagy "Köret", majd rendelje hozzá a termékekhez.</p>
+                </div>
+            `;
+            return;
         }
 
-        paginationHTML += '</div>';
+        container.innerHTML = this.state.modifierGroups.map((group, groupIndex) => `
+            <div class="modifier-group-card ${group.id ? '' : 'unsaved'}">
+                <div class="modifier-group-fields">
+                    <input type="text" value="${this.escapeHtml(group.translations.hu.name)}" placeholder="Csoport neve (HU)*" data-group="${groupIndex}" data-field="hu">
+                    <input type="text" value="${this.escapeHtml(group.translations.en.name)}" placeholder="Name (EN)" data-group="${groupIndex}" data-field="en">
+                    <input type="text" value="${this.escapeHtml(group.translations.sk.name)}" placeholder="Názov (SK)" data-group="${groupIndex}" data-field="sk">
+                    <label>
+                        Min.
+                        <input type="number" value="${group.minSelect}" min="0" step="1" data-group="${groupIndex}" data-field="minSelect">
+                    </label>
+                    <label>
+                        Max.
+                        <input type="number" value="${group.maxSelect}" min="0" step="1" data-group="${groupIndex}" data-field="maxSelect" title="0 = korlátlan">
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" ${group.required ? 'checked' : ''} data-group="${groupIndex}" data-field="required">
+                        <span class="checkbox-custom"></span>
+                        Kötelező
+                    </label>
+                </div>
+                <small>Max. 1 esetén egy opció választható, 0 esetén bármennyi. Kötelező csoportnál legalább 1 (vagy a min.) opciót ki kell választani.</small>
+
+                <div class="modifier-options">
+                    ${group.options.map((option, optionIndex) => `
+                        <div class="variant-row">
+                            <input type="text" value="${this.escapeHtml(option.translations.hu.name)}" placeholder="Opció (HU)*" data-group="${groupIndex}" data-option="${optionIndex}" data-field="hu">
+                            <input type="text" value="${this.escapeHtml(option.translations.en.name)}" placeholder="Option (EN)" data-group="${groupIndex}" data-option="${optionIndex}" data-field="en">
+                            <input type="text" value="${this.escapeHtml(option.translations.sk.name)}" placeholder="Možnosť (SK)" data-group="${groupIndex}" data-option="${optionIndex}" data-field="sk">
+                            <input type="number" value="${option.price}" step="0.01" min="0" placeholder="Felár" data-group="${groupIndex}" data-option="${optionIndex}" data-field="price">
+                            <label class="checkbox-label">
+                                <input type="checkbox" ${option.isAvailable ? 'checked' : ''} data-group="${groupIndex}" data-option="${optionIndex}" data-field="isAvailable">
+                                <span class="checkbox-custom"></span>
+                                Elérhető
+                            </label>
+                            <label class="checkbox-label">
+                                <input type="checkbox" ${option.isDefault ? 'checked' : ''} data-group="${groupIndex}" data-option="${optionIndex}" data-field="isDefault">
+                                <span class="checkbox-custom"></span>
+                                Alapértelmezett
+                            </label>
+                            <button type="button" class="btn-icon btn-danger" data-group-action="remove-option" data-group="${groupIndex}" data-option="${optionIndex}" title="Opció törlése">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    `).join('') || '<p class="variants-empty">Még nincs opció a csoportban.</p>'}
+                </div>
 
-        container.innerHTML = paginationHTML;
+                <div class="modifier-group-actions">
+                    <button type="button" class="btn-secondary" data-group-action="add-option" data-group="${groupIndex}">
+                        <i class="fas fa-plus"></i>
+                        Új opció
+                    </button>
+                    <button type="button" class="btn-danger" data-group-action="delete" data-group="${groupIndex}">
+                        <i class="fas fa-trash"></i>
+                        Csoport törlése
+                    </button>
+                    <button type="button" class="btn-primary" data-group-action="save" data-group="${groupIndex}">
+                        <i class="fas fa-save"></i>
+                        Mentés
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
 
-        // Add click listeners
-        container.querySelectorAll('.pagination-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const page = parseInt(e.target.dataset.page);
-                this.state.currentPage = page;
-                this.loadAllItems().then(() => this.renderItemsTable());
-            });
-        });
+    addModifierGroup() {
+        this.state.modifierGroups.push(this.normalizeModifierGroup({ maxSelect: 1 }));
+        this.renderModifierGroups();
     }
 
-    getBadgeText(badge) {
-        const badges = {
-            spicy: '🌶️ Csípős',
-            bestseller: '⭐ Bestseller',
-            new: '🆕 Új',
-            vegetarian: '🥗 Vegetáriánus',
-            vegan: '🌱 Vegán'
-        };
-        return badges[badge] || badge;
+    addModifierOption(groupIndex) {
+        const group = this.state.modifierGroups[groupIndex];
+        if (!group) return;
+
+        group.options.push(this.normalizeModifierGroup({ options: [{}] }).options[0]);
+        this.renderModifierGroups();
     }
 
-    openItemModal(itemId = null) {
-        const modal = document.getElementById('itemModal');
-        const modalTitle = document.getElementById('itemModalTitle');
-        
-        // Reset form
-        const form = document.getElementById('itemForm');
-        form.reset();
-        this.clearImagePreview();
-        
-        if (itemId) {
-            // Edit mode
-            modalTitle.textContent = 'Termék szerkesztése';
-            this.renderAllergenCheckboxes();
-            this.loadItemForEdit(itemId);            
-        } else {
-            // Create mode
-            modalTitle.textContent = 'Új termék hozzáadása';
-            this.populateCategoryOptions();
-            this.renderAllergenCheckboxes();
-        }
+    updateModifierGroupField(input) {
+        const group = this.state.modifierGroups[Number(input.dataset.group)];
+        if (!group) return;
 
-        modal.classList.add('active');
-        this.setupModalListeners(modal);
+        const { field } = input.dataset;
+        const target = input.dataset.option !== undefined ? group.options[Number(input.dataset.option)] : group;
+        if (!target) return;
+
+        if (['hu', 'en', 'sk'].includes(field)) {
+            target.translations[field].name = input.value.trim();
+        } else if (field === 'price') {
+            target.price = parseFloat(input.value) || 0;
+        } else if (field === 'minSelect' || field === 'maxSelect') {
+            target[field] = Math.max(parseInt(input.value) || 0, 0);
+        } else if (['required', 'isAvailable', 'isDefault'].includes(field)) {
+            target[field] = input.checked;
+        }
     }
 
-    async loadItemForEdit(itemId) {
-        try {
-            this.showLoading();
-            
-            const response = await this.apiCall(`/menu/items/${itemId}`);
-            
-            if (response.success) {
-                const item = response.data;
-                
-                // Populate form fields
-                document.getElementById('itemSlug').value = item.slug || '';
-                document.getElementById('itemPrice').value = item.price || '';
-                document.getElementById('itemPriceAddon').value = item.priceAddon || '';
-                document.getElementById('itemBadge').value = item.badge || '';
-                document.getElementById('spicyLevel').value = item.spicyLevel || '0';
-                
-                if (Array.isArray(item.allergens)) {
-                    item.allergens.forEach(allergenCode => {
-                        const checkbox = document.querySelector(`input[name="allergen"][value="${allergenCode}"]`);
-                        if (checkbox) {
-                            checkbox.checked = true;
-                        }
-                    });
-                }
+    /**
+     * @returns {string|null} Error message, null when the group can be saved
+     */
+    validateModifierGroup(group) {
+        if (!group.translations.hu.name) {
+            return 'Adjon magyar nevet a csoportnak';
+        }
+        if (group.options.length === 0) {
+            return 'A csoportban legalább egy opció kell';
+        }
+        if (group.options.some(option => !option.translations.hu.name)) {
+            return 'Minden opciónak adjon magyar nevet';
+        }
+        if (group.options.some(option => !(option.price >= 0))) {
+            return 'Az opció felára nem lehet negatív';
+        }
+        if (group.maxSelect > 0 && group.minSelect > group.maxSelect) {
+            return 'A minimum nem lehet nagyobb a maximumnál';
+        }
+        if (group.minSelect > group.options.length) {
+            return 'A minimum nem lehet több az opciók számánál';
+        }
+        if (group.maxSelect > 0 && group.options.filter(option => option.isDefault).length > group.maxSelect) {
+            return 'Több alapértelmezett opció van, mint amennyi választható';
+        }
 
-                document.getElementById('includesSides').checked = item.includesSides || false;
-                document.getElementById('isPopular').checked = item.isPopular || false;
+        const names = group.options.map(option => option.translations.hu.name.toLowerCase());
+        if (new Set(names).size !== names.length) {
+            return 'Két opciónak nem lehet ugyanaz a neve';
+        }
 
-                // Set image if exists
-                if (item.imageUrl) {
-                    this.setImagePreview(item.imageUrl);
-                }
+        return null;
+    }
 
-                // Populate translations
-                Object.keys(item.translations).forEach(lang => {
-                    const translation = item.translations[lang];
-                    const nameField = document.getElementById(`name${lang.charAt(0).toUpperCase() + lang.slice(1)}`);
-                    const descField = document.getElementById(`description${lang.charAt(0).toUpperCase() + lang.slice(1)}`);
-                    
-                    if (nameField) nameField.value = translation.name || '';
-                    if (descField) descField.value = translation.description || '';
-                });
+    async saveModifierGroup(groupIndex) {
+        const group = this.state.modifierGroups[groupIndex];
+        if (!group) return;
 
-                // Populate categories and set selection
-                await this.populateCategoryOptions();
-                document.getElementById('itemCategory').value = item.category.id;
+        const error = this.validateModifierGroup(group);
+        if (error) {
+            this.showNotification(error, 'warning');
+            return;
+        }
 
-                const categorySelect = document.getElementById('itemCategory');
-                if (categorySelect) {
-                    // Create and dispatch a change event to trigger the handler
-                    const changeEvent = new Event('change', { bubbles: true });
-                    categorySelect.dispatchEvent(changeEvent);
-                }                
+        try {
+            const response = await this.apiCall(group.id ? `/menu/modifier-groups/${group.id}` : '/menu/modifier-groups', {
+                method: group.id ? 'PUT' : 'POST',
+                body: JSON.stringify(group)
+            });
 
-                // Store item ID for update
-                document.getElementById('itemForm').dataset.itemId = itemId;
+            if (response.success) {
+                this.state.modifierGroups[groupIndex] = this.normalizeModifierGroup(response.data);
+                this.showNotification('Feltétcsoport mentve', 'success');
+                this.renderModifierGroups();
             }
-            
         } catch (error) {
-            console.error('Failed to load item for edit:', error);
-            this.showNotification('Nem sikerült betölteni a termék adatait', 'error');
-        } finally {
-            this.hideLoading();
+            console.error('Failed to save modifier group:', error);
+            this.showNotification('Nem sikerült menteni a feltétcsoportot', 'error');
         }
     }
 
-    async populateCategoryOptions() {
-        const categorySelect = document.getElementById('itemCategory');
-        if (!categorySelect) return;
-
-        categorySelect.innerHTML = '<option value="">Válasszon kategóriát</option>';
-        
-        this.state.categories.forEach(category => {
-            const option = document.createElement('option');
-            option.value = category.id;
-            option.setAttribute('data-slug', category.slug);
-            option.textContent = category.translations.hu?.name || 'Névtelen kategória';
-            categorySelect.appendChild(option);
-        });
-    }
+    async deleteModifierGroup(groupIndex) {
+        const group = this.state.modifierGroups[groupIndex];
+        if (!group) return;
 
-    handleCategoryChange(e) {
-        const categoryId = parseInt(e.target.value);
-        const priceAddonGroup = document.getElementById('priceAddonGroup');
+        if (group.id) {
+            const name = group.translations.hu.name || 'Névtelen csoport';
+            if (!confirm(`Biztosan törli a(z) "${name}" csoportot? A termékekről is lekerül.`)) return;
 
-        if (!categoryId || !priceAddonGroup) return;
+            try {
+                await this.apiCall(`/menu/modifier-groups/${group.id}`, { method: 'DELETE' });
+                this.showNotification('Feltétcsoport törölve', 'success');
+            } catch (error) {
+                console.error('Failed to delete modifier group:', error);
+                this.showNotification('Nem sikerült törölni a feltétcsoportot', 'error');
+                return;
+            }
+        }
 
-        // Get selected option to check slug
-        const selectedOption = e.target.options[e.target.selectedIndex];
-        const categorySlug = selectedOption.getAttribute('data-slug');
+        this.state.modifierGroups.splice(groupIndex, 1);
+        this.renderModifierGroups();
+    }
 
-        if (categorySlug === 'sides') {
-            // Show price addon field for sides
-            priceAddonGroup.style.display = 'block';
-            document.getElementById('itemPriceAddon').required = true;
+    /**
+     * Group checkboxes of the item modal - only saved groups can be attached
+     */
+    renderItemModifierGroups(selectedIds = []) {
+        const container = document.getElementById('itemModifierGroups');
+        if (!container) return;
 
-            // Only set focus if creating new item (not editing)
-            const form = document.getElementById('itemForm');
-            const isEditing = form && form.dataset.itemId;
+        const groups = this.state.modifierGroups.filter(group => group.id);
+        if (groups.length === 0) {
+            container.innerHTML = '<p class="variants-empty">Még nincs feltétcsoport.</p>';
+            return;
+        }
 
-            if (!isEditing) {
-                setTimeout(() => {
-                    const priceAddonInput = document.getElementById('itemPriceAddon');
-                    if (priceAddonInput) {
-                        priceAddonInput.focus();
-                    }
-                }, 100);
-            }
-        } else {
-            // Hide price addon field for other categories
-            priceAddonGroup.style.display = 'none';
-            document.getElementById('itemPriceAddon').required = false;
+        container.innerHTML = groups.map(group => `
+            <label class="checkbox-label">
+                <input type="checkbox" name="modifierGroup" value="${group.id}" ${selectedIds.includes(group.id) ? 'checked' : ''}>
+                <span class="checkbox-custom"></span>
+                ${this.escapeHtml(group.translations.hu.name)}
+            </label>
+        `).join('');
+    }
 
-            // Only clear value if not editing (preserve existing values when editing)
-            const form = document.getElementById('itemForm');
-            const isEditing = form && form.dataset.itemId;
+    // ============================================
+    // COMBOS
+    // ============================================
 
-            if (!isEditing) {
-                document.getElementById('itemPriceAddon').value = '';
-            }
+    async loadCombos() {
+        try {
+            const response = await this.apiCall('/menu/combos');
+            this.state.combos = (response.data || []).map(combo => this.normalizeCombo(combo));
+        } catch (error) {
+            console.error('Failed to load combos:', error);
+            this.state.combos = [];
         }
-    }    
-
-    setupModalListeners(modal) {
-        // Clean up previous listeners
-        this.cleanupModalListeners();
-
-        const backdrop = modal.querySelector('.modal-backdrop');
-        const closeBtn = modal.querySelector('.modal-close');
-        const cancelBtn = document.getElementById('cancelItemBtn');
-        const form = document.getElementById('itemForm');
+    }
 
-        // Close handlers
-        const closeHandler = () => this.closeModal();
-        
-        backdrop.addEventListener('click', closeHandler);
-        closeBtn.addEventListener('click', closeHandler);
-        cancelBtn.addEventListener('click', closeHandler);
+    /**
+     * Admin shape of a combo - texts in every language, slots list the menu items offered
+     */
+    normalizeCombo(combo) {
+        const translations = (entry, withDescription = false) => {
+            const texts = {};
+            ['hu', 'en', 'sk'].forEach(lang => {
+                texts[lang] = { name: entry.translations?.[lang]?.name || (lang === 'hu' ? entry.name || '' : '') };
+                if (withDescription) {
+                    texts[lang].description = entry.translations?.[lang]?.description || (lang === 'hu' ? entry.description || '' : '');
+                }
+            });
+            return texts;
+        };
 
-        // Form submission
-        const formHandler = (e) => this.handleItemFormSubmit(e);
-        form.addEventListener('submit', formHandler);
+        return {
+            id: combo.id || null,
+            translations: translations(combo, true),
+            price: Number(combo.price) || 0,
+            imageUrl: combo.imageUrl || '',
+            isAvailable: combo.isAvailable !== false,
+            slots: (combo.slots || []).map(slot => ({
+                id: slot.id || null,
+                translations: translations(slot),
+                menuItemIds: (slot.menuItemIds || []).map(Number),
+                defaultItemId: slot.defaultItemId ? Number(slot.defaultItemId) : null
+            }))
+        };
+    }
 
-        // Translation tabs
-        const tabHandler = (e) => this.switchTranslationTab(e.target.dataset.lang);
-        document.querySelectorAll('.translation-tab').forEach(tab => {
-            tab.addEventListener('click', tabHandler);
-            this.modalEventListeners.push({ element: tab, event: 'click', handler: tabHandler });
+    /**
+     * Items that can be ordered online, the only ones a slot can offer
+     */
+    getComboMenuItems() {
+        return Object.entries(this.state.deliverableItems || {}).flatMap(([categoryName, categoryData]) =>
+            (categoryData.items || []).map(item => ({ id: Number(item.id), name: item.name, categoryName })));
+    }
+
+    setupComboListeners() {
+        const addComboBtn = document.getElementById('addComboBtn');
+        const combosList = document.getElementById('combosList');
+        if (!addComboBtn || !combosList) return;
+
+        addComboBtn.addEventListener('click', () => this.addCombo());
+        combosList.addEventListener('change', (e) => this.updateComboField(e.target));
+        combosList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-combo-action]');
+            if (!button) return;
+
+            const comboIndex = Number(button.dataset.combo);
+            switch (button.dataset.comboAction) {
+                case 'add-slot':
+                    this.addComboSlot(comboIndex);
+                    break;
+                case 'remove-slot':
+                    this.state.combos[comboIndex]?.slots.splice(Number(button.dataset.slot), 1);
+                    this.renderCombos();
+                    break;
+                case 'save':
+                    this.saveCombo(comboIndex);
+                    break;
+                case 'delete':
+                    this.deleteCombo(comboIndex);
+                    break;
+            }
         });
+    }
 
-        // Image upload
-        const uploadBtn = document.getElementById('uploadImageBtn');
-        const removeBtn = document.getElementById('removeImageBtn');
-        const fileInput = document.getElementById('itemImage');
-
-        const uploadHandler = () => fileInput.click();
-        const removeHandler = () => this.clearImagePreview();
-        const fileHandler = (e) => this.handleImageUpload(e);
+    renderCombos() {
+        const container = document.getElementById('combosList');
+        if (!container) return;
 
-        uploadBtn.addEventListener('click', uploadHandler);
-        removeBtn.addEventListener('click', removeHandler);
-        fileInput.addEventListener('change', fileHandler);
+        if (this.state.combos.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-box-open"></i>
+                    <h3>Nincsenek menük</h3>
+                    <p>Hozzon létre egy menüt, pl. "Burger menü" a Főétel, Köret és Ital helyekkel.</p>
+                </div>
+            `;
+            return;
+        }
 
-        const categorySelect = document.getElementById('itemCategory');
-        const categoryHandler = (e) => this.handleCategoryChange(e);
-        categorySelect.addEventListener('change', categoryHandler);        
+        const menuItems = this.getComboMenuItems();
+
+        container.innerHTML = this.state.combos.map((combo, comboIndex) => `
+            <div class="modifier-group-card ${combo.id ? '' : 'unsaved'}">
+                <div class="combo-fields">
+                    <input type="text" value="${this.escapeHtml(combo.translations.hu.name)}" placeholder="Menü neve (HU)*" data-combo="${comboIndex}" data-field="hu">
+                    <input type="text" value="${this.escapeHtml(combo.translations.en.name)}" placeholder="Name (EN)" data-combo="${comboIndex}" data-field="en">
+                    <input type="text" value="${this.escapeHtml(combo.translations.sk.name)}" placeholder="Názov (SK)" data-combo="${comboIndex}" data-field="sk">
+                    <input type="number" value="${combo.price}" step="0.01" min="0" placeholder="Ár*" data-combo="${comboIndex}" data-field="price">
+                    <label class="checkbox-label">
+                        <input type="checkbox" ${combo.isAvailable ? 'checked' : ''} data-combo="${comboIndex}" data-field="isAvailable">
+                        <span class="checkbox-custom"></span>
+                        Elérhető
+                    </label>
+                    <input type="text" value="${this.escapeHtml(combo.translations.hu.description)}" placeholder="Leírás (HU)" data-combo="${comboIndex}" data-field="description-hu">
+                    <input type="text" value="${this.escapeHtml(combo.translations.en.description)}" placeholder="Description (EN)" data-combo="${comboIndex}" data-field="description-en">
+                    <input type="text" value="${this.escapeHtml(combo.translations.sk.description)}" placeholder="Popis (SK)" data-combo="${comboIndex}" data-field="description-sk">
+                    <input type="url" class="combo-image" value="${this.escapeHtml(combo.imageUrl)}" placeholder="Kép URL" data-combo="${comboIndex}" data-field="imageUrl">
+                </div>
+                <small>A menü ára fix, a happy hour kedvezmény nem vonatkozik rá. Minden helyre a vendég egy terméket választ.</small>
+
+                <div class="combo-slots">
+                    ${combo.slots.map((slot, slotIndex) => `
+                        <div class="combo-slot">
+                            <div class="variant-row combo-slot-row">
+                                <input type="text" value="${this.escapeHtml(slot.translations.hu.name)}" placeholder="Hely (HU)*, pl. Főétel" data-combo="${comboIndex}" data-slot="${slotIndex}" data-field="hu">
+                                <input type="text" value="${this.escapeHtml(slot.translations.en.name)}" placeholder="Slot (EN)" data-combo="${comboIndex}" data-slot="${slotIndex}" data-field="en">
+                                <input type="text" value="${this.escapeHtml(slot.translations.sk.name)}" placeholder="Miesto (SK)" data-combo="${comboIndex}" data-slot="${slotIndex}" data-field="sk">
+                                <select data-combo="${comboIndex}" data-slot="${slotIndex}" data-field="defaultItemId" title="Alapértelmezett termék">
+                                    <option value="">Nincs alapértelmezett</option>
+                                    ${menuItems.filter(item => slot.menuItemIds.includes(item.id)).map(item => `
+                                        <option value="${item.id}" ${item.id === slot.defaultItemId ? 'selected' : ''}>${this.escapeHtml(item.name)}</option>
+                                    `).join('')}
+                                </select>
+                                <button type="button" class="btn-icon btn-danger" data-combo-action="remove-slot" data-combo="${comboIndex}" data-slot="${slotIndex}" title="Hely törlése">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </div>
+                            <div class="combo-slot-items">
+                                ${menuItems.map(item => `
+                                    <label class="checkbox-label">
+                                        <input type="checkbox" value="${item.id}" ${slot.menuItemIds.includes(item.id) ? 'checked' : ''} data-combo="${comboIndex}" data-slot="${slotIndex}" data-field="item">
+                                        <span class="checkbox-custom"></span>
+                                        ${this.escapeHtml(item.name)} <small>${this.escapeHtml(item.categoryName)}</small>
+                                    </label>
+                                `).join('') || '<p class="variants-empty">Nincsenek rendelhető termékek.</p>'}
+                            </div>
+                        </div>
+                    `).join('') || '<p class="variants-empty">Még nincs hely a menüben.</p>'}
+                </div>
 
-        // Track all listeners for cleanup
-        this.modalEventListeners.push(
-            { element: backdrop, event: 'click', handler: closeHandler },
-            { element: closeBtn, event: 'click', handler: closeHandler },
-            { element: cancelBtn, event: 'click', handler: closeHandler },
-            { element: form, event: 'submit', handler: formHandler },
-            { element: uploadBtn, event: 'click', handler: uploadHandler },
-            { element: removeBtn, event: 'click', handler: removeHandler },
-            { element: fileInput, event: 'change', handler: fileHandler }
-        );
+                <div class="modifier-group-actions">
+                    <button type="button" class="btn-secondary" data-combo-action="add-slot" data-combo="${comboIndex}">
+                        <i class="fas fa-plus"></i>
+                        Új hely
+                    </button>
+                    <button type="button" class="btn-danger" data-combo-action="delete" data-combo="${comboIndex}">
+                        <i class="fas fa-trash"></i>
+                        Menü törlése
+                    </button>
+                    <button type="button" class="btn-primary" data-combo-action="save" data-combo="${comboIndex}">
+                        <i class="fas fa-save"></i>
+                        Mentés
+                    </button>
+                </div>
+            </div>
+        `).join('');
     }
 
-    cleanupModalListeners() {
-        this.modalEventListeners.forEach(({ element, event, handler }) => {
-            if (element) {
-                element.removeEventListener(event, handler);
+    addCombo() {
+        this.state.combos.push(this.normalizeCombo({ slots: [{}] }));
+        this.renderCombos();
+    }
+
+    addComboSlot(comboIndex) {
+        const combo = this.state.combos[comboIndex];
+        if (!combo) return;
+
+        combo.slots.push(this.normalizeCombo({ slots: [{}] }).slots[0]);
+        this.renderCombos();
+    }
+
+    updateComboField(input) {
+        const combo = this.state.combos[Number(input.dataset.combo)];
+        if (!combo) return;
+
+        const { field } = input.dataset;
+        const target = input.dataset.slot !== undefined ? combo.slots[Number(input.dataset.slot)] : combo;
+        if (!target) return;
+
+        if (['hu', 'en', 'sk'].includes(field)) {
+            target.translations[field].name = input.value.trim();
+        } else if (field.startsWith('description-')) {
+            target.translations[field.replace('description-', '')].description = input.value.trim();
+        } else if (field === 'price') {
+            target.price = parseFloat(input.value) || 0;
+        } else if (field === 'imageUrl') {
+            target.imageUrl = input.value.trim();
+        } else if (field === 'isAvailable') {
+            target.isAvailable = input.checked;
+        } else if (field === 'defaultItemId') {
+            target.defaultItemId = input.value ? Number(input.value) : null;
+        } else if (field === 'item') {
+            const itemId = Number(input.value);
+            target.menuItemIds = input.checked
+                ? [...target.menuItemIds, itemId]
+                : target.menuItemIds.filter(id => id !== itemId);
+            if (!target.menuItemIds.includes(target.defaultItemId)) {
+                target.defaultItemId = null;
             }
-        });
-        this.modalEventListeners = [];
-    }
-
-    switchTranslationTab(lang) {
-        // Update tab buttons
-        document.querySelectorAll('.translation-tab').forEach(tab => {
-            tab.classList.toggle('active', tab.dataset.lang === lang);
-        });
-
-        // Update content sections
-        document.querySelectorAll('.translation-content').forEach(content => {
-            content.classList.toggle('active', content.dataset.lang === lang);
-        });
+            // The default choice only lists the slot's items
+            this.renderCombos();
+        }
     }
 
-    handleImageUpload(e) {
-        const file = e.target.files[0];
-        if (!file) return;
-
-        // Validate file
-        if (!file.type.match(/^image\/(jpeg|jpg|png|webp)$/)) {
-            this.showNotification('Csak JPEG, PNG vagy WebP képek engedélyezettek', 'error');
-            e.target.value = '';
-            return;
+    /**
+     * @returns {string|null} Error message, null when the combo can be saved
+     */
+    validateCombo(combo) {
+        if (!combo.translations.hu.name) {
+            return 'Adjon magyar nevet a menünek';
         }
-
-        if (file.size > 5 * 1024 * 1024) { // 5MB
-            this.showNotification('A kép mérete maximum 5MB lehet', 'error');
-            e.target.value = '';
-            return;
+        if (!(combo.price > 0)) {
+            return 'Adja meg a menü árát';
+        }
+        if (combo.slots.length === 0) {
+            return 'A menüben legalább egy hely kell';
+        }
+        if (combo.slots.some(slot => !slot.translations.hu.name)) {
+            return 'Minden helynek adjon magyar nevet';
+        }
+        if (combo.slots.some(slot => slot.menuItemIds.length === 0)) {
+            return 'Minden helyhez válasszon legalább egy terméket';
         }
 
-        // Create preview
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            this.setImagePreview(e.target.result);
-        };
-        reader.readAsDataURL(file);
-    }
-
-    setImagePreview(url) {
-        const preview = document.getElementById('imagePreview');
-        const removeBtn = document.getElementById('removeImageBtn');
-
-        if (preview) {
-            preview.innerHTML = `<img src="${url}" alt="Preview">`;
-            removeBtn.style.display = 'inline-block';
+        const names = combo.slots.map(slot => slot.translations.hu.name.toLowerCase());
+        if (new Set(names).size !== names.length) {
+            return 'Két helynek nem lehet ugyanaz a neve';
         }
 
-        this.imagePreviewUrl = url;
+        return null;
     }
 
-    clearImagePreview() {
-        const preview = document.getElementById('imagePreview');
-        const removeBtn = document.getElementById('removeImageBtn');
-        const fileInput = document.getElementById('itemImage');
+    async saveCombo(comboIndex) {
+        const combo = this.state.combos[comboIndex];
+        if (!combo) return;
 
-        if (preview) {
-            preview.innerHTML = `
-                <div class="image-placeholder">
-                    <i class="fas fa-image"></i>
-                    <p>Kép feltöltése</p>
-                </div>
-            `;
+        const error = this.validateCombo(combo);
+        if (error) {
+            this.showNotification(error, 'warning');
+            return;
         }
 
-        if (removeBtn) removeBtn.style.display = 'none';
-        if (fileInput) fileInput.value = '';
-        
-        this.imagePreviewUrl = null;
-    }
-
-    async handleItemFormSubmit(e) {
-        e.preventDefault();
-        
-        const form = e.target;
-        const itemId = form.dataset.itemId;
-        const isEdit = !!itemId;
-
         try {
-            this.showLoading();
-
-            // Create FormData for file upload
-            const formData = new FormData(form);
-
-            // Convert checkbox values
-            formData.set('includesSides', form.includesSides.checked);
-            formData.set('isPopular', form.isPopular.checked);
-
-            const selectedAllergens = Array.from(document.querySelectorAll('input[name="allergen"]:checked'))
-                .map(checkbox => checkbox.value);
-            formData.set('allergens', selectedAllergens.join(','));            
-
-            const endpoint = isEdit ? `/menu/items/${itemId}` : '/menu/items';
-            const method = isEdit ? 'PUT' : 'POST';
-
-            const response = await fetch(`${this.config.apiUrl}${endpoint}`, {
-                method,
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('adminToken') || ''}`
-                },
-                body: formData
+            const response = await this.apiCall(combo.id ? `/menu/combos/${combo.id}` : '/menu/combos', {
+                method: combo.id ? 'PUT' : 'POST',
+                body: JSON.stringify(combo)
             });
 
-            const data = await response.json();
-
-            if (data.success) {
-                this.showNotification(
-                    `Termék ${isEdit ? 'frissítve' : 'létrehozva'}`, 
-                    'success'
-                );
-                
-                this.closeModal();
-                
-                // Reload data
-                await this.loadAllItems();
-                if (this.state.currentSection === 'availability') {
-                    await this.loadDeliverableItems();
-                }
-                this.renderCurrentSection();
-
-            } else {
-                throw new Error(data.error || 'Ismeretlen hiba');
+            if (response.success) {
+                this.state.combos[comboIndex] = this.normalizeCombo(response.data);
+                this.showNotification('Menü mentve', 'success');
+                this.renderCombos();
             }
-
         } catch (error) {
-            console.error('Failed to save item:', error);
-            this.showNotification(
-                error.message || `Hiba a termék ${isEdit ? 'frissítésénél' : 'létrehozásánál'}`,
-                'error'
-            );
-        } finally {
-            this.hideLoading();
+            console.error('Failed to save combo:', error);
+            this.showNotification('Nem sikerült menteni a menüt', 'error');
         }
     }
 
-    editItem(itemId) {
-        this.openItemModal(itemId);
-    }
+    async deleteCombo(comboIndex) {
+        const combo = this.state.combos[comboIndex];
+        if (!combo) return;
 
-    deleteItem(itemId) {
-        const item = this.state.allItems.find(item => item.id === itemId);
-        if (!item) return;
+        if (combo.id) {
+            const name = combo.translations.hu.name || 'Névtelen menü';
+            if (!confirm(`Biztosan törli a(z) "${name}" menüt?`)) return;
 
-        const modal = document.getElementById('deleteConfirmModal');
-        const itemNameEl = document.getElementById('deleteItemName');
-        
-        if (itemNameEl) {
-            itemNameEl.textContent = item.translations.hu?.name || 'Névtelen termék';
+            try {
+                await this.apiCall(`/menu/combos/${combo.id}`, { method: 'DELETE' });
+                this.showNotification('Menü törölve', 'success');
+            } catch (error) {
+                console.error('Failed to delete combo:', error);
+                this.showNotification('Nem sikerült törölni a menüt', 'error');
+                return;
+            }
         }
 
-        modal.classList.add('active');
-
-        // Setup delete confirmation listeners
-        const confirmBtn = document.getElementById('confirmDeleteBtn');
-        const cancelBtn = document.getElementById('cancelDeleteBtn');
-        const backdrop = modal.querySelector('.modal-backdrop');
-        const closeBtn = modal.querySelector('.modal-close');
+        this.state.combos.splice(comboIndex, 1);
+        this.renderCombos();
+    }
 
-        const closeHandler = () => {
-            modal.classList.remove('active');
-            this.cleanupDeleteListeners();
-        };
+    renderCategoryFilter() {
+        const categoryFilter = document.getElementById('categoryFilter');
+        if (!categoryFilter) return;
 
-        const confirmHandler = async () => {
-            await this.confirmDelete(itemId);
-            closeHandler();
-        };
+        // Keep current selection
+        const currentValue = categoryFilter.value;
 
-        // Add listeners
-        confirmBtn.addEventListener('click', confirmHandler);
-        cancelBtn.addEventListener('click', closeHandler);
-        backdrop.addEventListener('click', closeHandler);
-        closeBtn.addEventListener('click', closeHandler);
+        categoryFilter.innerHTML = `
+            <option value="all">Minden kategória</option>
+            ${this.state.categories.map(category => `
+                <option value="${category.id}">
+                    ${category.translations.hu?.name || 'Névtelen kategória'} (${category.itemCount})
+                </option>
+            `).join('')}
+        `;
 
-        // Store listeners for cleanup
-        this.deleteListeners = [
-            { element: confirmBtn, event: 'click', handler: confirmHandler },
-            { element: cancelBtn, event: 'click', handler: closeHandler },
-            { element: backdrop, event: 'click', handler: closeHandler },
-            { element: closeBtn, event: 'click', handler: closeHandler }
-        ];
+        // Restore selection
+        categoryFilter.value = currentValue;
     }
 
-    cleanupDeleteListeners() {
-        if (this.deleteListeners) {
-            this.deleteListeners.forEach(({ element, event, handler }) => {
-                if (element) {
-                    element.removeEventListener(event, handler);
-                }
-            });
-            this.deleteListeners = [];
-        }
-    }
+    renderItemsTable() {
+        const container = document.getElementById('menuItemsTable');
+        const countContainer = document.getElementById('itemsCount');
 
-    async confirmDelete(itemId) {
-        try {
-            this.showLoading();
+        if (!container) return;
 
-            const response = await this.apiCall(`/menu/items/${itemId}`, {
-                method: 'DELETE'
-            });
+        // Update count
+        if (countContainer) {
+            countContainer.textContent = `${this.state.totalItems} termék`;
+        }
 
-            if (response.success) {
-                this.showNotification('Termék sikeresen törölve', 'success');
-                
-                // Reload data
-                await this.loadAllItems();
-                if (this.state.currentSection === 'availability') {
-                    await this.loadDeliverableItems();
-                }
-                this.renderCurrentSection();
+        if (this.state.allItems.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-search"></i>
+                    <h3>Nincsenek találatok</h3>
+                    <p>Próbálja meg módosítani a szűrési feltételeket.</p>
+                </div>
+            `;
+            return;
+        }
 
-            } else {
-                throw new Error(response.error || 'Törlés sikertelen');
-            }
+        container.innerHTML = `
+            <div class="items-table-wrapper">
+                <table class="items-table">
+                    <thead>
+                        <tr>
+                            <th>Kép</th>
+                            <th>Név</th>
+                            <th>Kategória</th>
+                            <th>Ár</th>
+                            <th>Állapot</th>
+                            <th>Népszerű</th>
+                            <th>Művelet</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.state.allItems.map(item => `
+                            <tr class="item-row ${item.isAvailable ? 'available' : 'unavailable'} ${item.isDeleted ? 'deleted' : ''}">
+                                <td>
+                                    <div class="item-image-small">
+                                        ${item.imageUrl ? 
+                                            `<img src="${item.imageUrl}" alt="${this.escapeHtml(item.translations.hu?.name || 'Termék')}">` :
+                                            '<div class="image-placeholder"><i class="fas fa-image"></i></div>'
+                                        }
+                                    </div>
+                                </td>
+                                <td>
+                                    <div class="item-name-cell">
+                                        <h5>${this.escapeHtml(item.translations.hu?.name || 'Névtelen termék')}</h5>
+                                        <p class="item-slug">${this.escapeHtml(item.slug)}</p>
+                                        ${item.badge ? `<span class="item-badge badge-${item.badge}">${this.getBadgeText(item.badge)}</span>` : ''}
+                                        ${item.isDeleted ? '<span class="deleted-badge">Törölve</span>' : ''}
+                                    </div>
+                                </td>
+                                <td>
+                                    <span class="category-name">${this.escapeHtml(item.category.name)}</span>
+                                </td>
+                                <td>
+                                    <span class="item-price">${this.formatCurrency(item.price)}</span>
+                                </td>
+                                <td>
+                                    <span class="availability-status ${item.isDeleted ? 'deleted' : (item.isAvailable ? 'available' : 'unavailable')}">
+                                        <i class="fas fa-${item.isDeleted ? 'trash' : (item.isAvailable ? 'check-circle' : 'times-circle')}"></i>
+                                        ${item.isDeleted ? 'Törölve' : (item.isAvailable ? 'Elérhető' : 'Letiltva')}
+                                    </span>
+                                </td>
+                                <td>
+                                    <span class="popular-status">
+                                        <i class="fas fa-${item.isPopular ? 'star' : 'star-o'}"></i>
+                                        ${item.isPopular ? 'Igen' : 'Nem'}
+                                    </span>
+                                </td>
+                                <td>
+                                    <div class="item-actions">
+                                        ${item.isDeleted ? `
+                                            <!-- Deleted item - only show restore -->
+                                            <button class="btn-restore" 
+                                                    data-item-id="${item.id}"
+                                                    title="Visszaállítás">
+                                                <i class="fas fa-undo"></i>
+                                            </button>
+                                            <span class="deleted-info" title="Törölve: ${item.deletedAt ? new Date(item.deletedAt).toLocaleDateString('hu-HU') : 'Ismeretlen'}">
+                                                <i class="fas fa-info-circle"></i>
+                                            </span>
+                                        ` : `
+                                            <!-- Active item - show edit, toggle, delete -->
+                                            <button class="btn-edit" 
+                                                    data-item-id="${item.id}"
+                                                    title="Szerkesztés">
+                                                <i class="fas fa-edit"></i>
+                                            </button>
+                                            <button class="btn-toggle ${item.isAvailable ? 'btn-disable' : 'btn-enable'}" 
+                                                    data-item-id="${item.id}"
+                                                    title="${item.isAvailable ? 'Letiltás' : 'Engedélyezés'}">
+                                                <i class="fas fa-${item.isAvailable ? 'eye-slash' : 'eye'}"></i>
+                                            </button>
+                                            <button class="btn-delete" 
+                                                    data-item-id="${item.id}"
+                                                    title="Törlés">
+                                                <i class="fas fa-trash"></i>
+                                            </button>
+                                        `}
+                                    </div>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
 
-        } catch (error) {
-            console.error('Failed to delete item:', error);
-            this.showNotification(error.message || 'Hiba a termék törlésekor', 'error');
-        } finally {
-            this.hideLoading();
-        }
-    }
+        // Setup action button listeners
+        container.querySelectorAll('.btn-edit').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const itemId = parseInt(e.target.closest('button').dataset.itemId);
+                this.editItem(itemId);
+            });
+        });
 
-    closeModal() {
-        const modals = document.querySelectorAll('.modal.active');
-        modals.forEach(modal => {
-            modal.classList.remove('active');
+        container.querySelectorAll('.btn-toggle').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const itemId = parseInt(e.target.closest('button').dataset.itemId);
+                const item = this.state.allItems.find(item => item.id === itemId);
+                if (item && !item.isDeleted) {
+                    this.toggleItemAvailability(itemId, !item.isAvailable);
+                }
+            });
         });
-        
-        this.cleanupModalListeners();
-        this.clearImagePreview();
-        
-        // Clear form data
-        const form = document.getElementById('itemForm');
-        if (form) {
-            form.reset();
-            delete form.dataset.itemId;
-        }
 
-        document.querySelectorAll('input[name="allergen"]').forEach(checkbox => {
-            checkbox.checked = false;
-        });        
+        container.querySelectorAll('.btn-delete').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const itemId = parseInt(e.target.closest('button').dataset.itemId);
+                this.deleteItem(itemId);
+            });
+        });
 
-        const priceAddonGroup = document.getElementById('PriceAddonGroup');
-        if (priceAddonGroup) {
-            priceAddonGroup.style.display = 'none';
-        }
+        // Setup restore button listeners for deleted items
+        container.querySelectorAll('.btn-restore').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const itemId = parseInt(e.target.closest('button').dataset.itemId);
+                this.restoreItem(itemId);
+            });
+        });
+
+        console.log('Items with deletion status:', this.state.allItems.map(item => ({
+            id: item.id,
+            name: item.translations.hu?.name,
+            isDeleted: item.isDeleted,
+            isAvailable: item.isAvailable
+        })));
+
+        // Render pagination
+        this.renderPagination();
     }
 
-    async exportMenu() {
-        try {
-            this.showNotification('Menü exportálása...', 'info');
+    renderPagination() {
+        const container = document.getElementById('paginationContainer');
+        if (!container) return;
 
-            const response = await fetch(`${this.config.apiUrl}/menu/export`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('adminToken') || ''}`
-                }
-            });
+        const totalPages = Math.ceil(this.state.totalItems / this.state.itemsPerPage);
+        const currentPage = this.state.currentPage;
 
-            if (response.ok) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const link = document.createElement('a');
-                link.href = url;
-                link.download = `menu-export-${new Date().toISOString().split('T')[0]}.csv`;
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-                window.URL.revokeObjectURL(url);
+        if (totalPages <= 1) {
+            container.innerHTML = '';
+            return;
+        }
 
-                this.showNotification('Menü sikeresen exportálva', 'success');
-            } else {
-                throw new Error('Export failed');
-            }
+        let paginationHTML = '<div class="pagination">';
 
-        } catch (error) {
-            console.error('Failed to export menu:', error);
-            this.showNotification('Hiba az exportálás során', 'error');
+        // Previous button
+        if (currentPage > 1) {
+            paginationHTML += `<button class="pagination-btn" data-page="${currentPage - 1}">Előző</button>`;
         }
-    }
 
-    showLoading() {
-        const loading = document.getElementById('menuLoading');
-        if (loading) {
-            loading.style.display = 'flex';
+        // Page numbers
+        const startPage = Math.max(1, currentPage - 2);
+        const endPage = Math.min(totalPages, currentPage + 2);
+
+        if (startPage > 1) {
+            paginationHTML += `<button class="pagination-btn" data-page="1">1</button>`;
+            if (startPage > 2) {
+                paginationHTML += '<span class="pagination-ellipsis">...</span>';
+            }
         }
-    }
 
-    hideLoading() {
-        const loading = document.getElementById('menuLoading');
-        if (loading) {
-            loading.style.display = 'none';
+        for (let i = startPage; i <= endPage; i++) {
+            paginationHTML += `<button class="pagination-btn ${i === currentPage ? 'active' : ''}" data-page="${i}">${i}</button>`;
         }
-    }
 
-    // Utility methods
-    debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
-    }
+        if (endPage < totalPages) {
+            if (endPage < totalPages - 1) {
+                paginationHTML += '<span class="pagination-ellipsis">...</span>';
+            }
+            paginationHTML += `<button class="pagination-btn" data-page="${totalPages}">${totalPages}</button>`;
+        }
 
-    async refresh() {
-        await this.loadInitialData();
-    }
+        // Next button
+        if (currentPage < totalPages) {
+            paginationHTML += `<button class="pagination-btn" data-page="${currentPage + 1}">Következő</button>`;
+        }
 
-    destroy() {
-        this.cleanupModalListeners();
-        this.cleanupDeleteListeners();
-        super.destroy();
-    }
-}
-
-// Make globally available
-window.MenuApp = MenuApp;
-
-/**
- * Palace Cafe & Bar - Invoices Management App
- * Complete invoice administration system
- * 
- * @author Palace Development Team
- * @version 1.0.0
- */
+        paginationHTML += '</div>';
 
-'use strict';
+        container.innerHTML = paginationHTML;
 
-class InvoicesApp extends BaseApp {
-    constructor() {
-        super('invoices');
+        // Add click listeners
+        container.querySelectorAll('.pagination-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const page = parseInt(e.target.dataset.page);
+                this.state.currentPage = page;
+                this.loadAllItems().then(() => this.renderItemsTable());
+            });
+        });
+    }
 
-        this.config = {
-            apiUrl: window.API_BASE_URL + '/admin',
-            itemsPerPage: 20
-        };
-        
-        // State management
-        this.state = {
-            currentSection: 'overview', // 'overview', 'management', 'reports'
-            invoices: [],
-            totalInvoices: 0,
-            currentPage: 1,
-            searchQuery: '',
-            filters: {
-                dateRange: 'month',
-                paymentMethod: 'all',
-                orderType: 'all',
-                invoiceType: 'all',
-                startDate: null,
-                endDate: null
-            },
-            sortBy: 'createdAt',
-            sortOrder: 'desc',
-            selectedInvoices: new Set(),
-            overview: {
-                todayInvoices: 0,
-                monthlyInvoices: 0,
-                todayRevenue: 0,
-                monthlyRevenue: 0,
-                paymentBreakdown: {}
-            }
+    getBadgeText(badge) {
+        const badges = {
+            spicy: '🌶️ Csípős',
+            bestseller: '⭐ Bestseller',
+            new: '🆕 Új',
+            vegetarian: '🥗 Vegetáriánus',
+            vegan: '🌱 Vegán'
         };
-
-        // Modal listeners tracking
-        this.modalEventListeners = [];
+        return badges[badge] || badge;
     }
 
-    async initialize() {
-        console.log('📄 Initializing Invoices Management App...');
+    openItemModal(itemId = null) {
+        const modal = document.getElementById('itemModal');
+        const modalTitle = document.getElementById('itemModalTitle');
         
-        this.render();
-        await this.loadInitialData();
-        this.setupEventListeners();
+        // Reset form
+        const form = document.getElementById('itemForm');
+        form.reset();
+        this.clearImagePreview();
+        this.setItemVariants([]);
+        this.renderItemModifierGroups();
         
-        console.log('✅ Invoices Management App initialized');
+        if (itemId) {
+            // Edit mode
+            modalTitle.textContent = 'Termék szerkesztése';
+            this.renderAllergenCheckboxes();
+            this.loadItemForEdit(itemId);            
+        } else {
+            // Create mode
+            modalTitle.textContent = 'Új termék hozzáadása';
+            this.populateCategoryOptions();
+            this.renderAllergenCheckboxes();
+        }
+
+        modal.classList.add('active');
+        this.setupModalListeners(modal);
     }
 
-    render() {
-        if (!this.container) return;
-        
-        this.container.innerHTML = `
-            <!-- Invoices Management Header -->
-            <div class="invoices-management-header">
-                <div class="invoices-title">
-                    <h2>📄 Számlák kezelése</h2>
-                    <p>Számlák áttekintése, keresése és exportálása</p>
-                </div>
+    async loadItemForEdit(itemId) {
+        try {
+            this.showLoading();
+            
+            const response = await this.apiCall(`/menu/items/${itemId}`);
+            
+            if (response.success) {
+                const item = response.data;
                 
-                <div class="invoices-section-tabs">
-                    <button class="tab-btn active" data-section="overview">
-                        <i class="fas fa-chart-pie"></i>
-                        Áttekintés
-                    </button>
-                    <button class="tab-btn" data-section="management">
-                        <i class="fas fa-list"></i>
-                        Számlák
-                    </button>
-                    <button class="tab-btn" data-section="reports">
-                        <i class="fas fa-download"></i>
-                        Exportálás
-                    </button>
-                </div>
-            </div>
-
-            <!-- Overview Section -->
-            <div id="overview-section" class="invoices-section active">
-                <div class="overview-cards">
-                    <div class="overview-card revenue">
-                        <div class="card-icon">
-                            <i class="fas fa-euro-sign"></i>
-                        </div>
-                        <div class="card-content">
-                            <h3 id="todayRevenue">€0.00</h3>
-                            <p>Mai bevétel</p>
-                            <div class="trend neutral">
-                                <span id="todayInvoicesCount">0 számla</span>
-                            </div>
-                        </div>
-                    </div>
+                // Populate form fields
+                document.getElementById('itemSlug').value = item.slug || '';
+                document.getElementById('itemPrice').value = item.price || '';
+                document.getElementById('itemPriceAddon').value = item.priceAddon || '';
+                document.getElementById('itemBadge').value = item.badge || '';
+                document.getElementById('spicyLevel').value = item.spicyLevel || '0';
+                
+                if (Array.isArray(item.allergens)) {
+                    item.allergens.forEach(allergenCode => {
+                        const checkbox = document.querySelector(`input[name="allergen"][value="${allergenCode}"]`);
+                        if (checkbox) {
+                            checkbox.checked = true;
+                        }
+                    });
+                }
 
-                    <div class="overview-card orders">
-                        <div class="card-icon">
-                            <i class="fas fa-calendar-month"></i>
-                        </div>
-                        <div class="card-content">
-                            <h3 id="monthlyRevenue">€0.00</h3>
-                            <p>Havi bevétel</p>
-                            <div class="trend positive">
-                                <span id="monthlyInvoicesCount">0 számla</span>
-                            </div>
-                        </div>
-                    </div>
+                document.getElementById('isPopular').checked = item.isPopular || false;
 
-                    <div class="overview-card avg-order">
-                        <div class="card-icon">
-                            <i class="fas fa-credit-card"></i>
-                        </div>
-                        <div class="card-content">
-                            <h3 id="cardPaymentPercentage">0%</h3>
-                            <p>Kártyás fizetés</p>
-                            <div class="trend neutral">
-                                <span id="cardPaymentCount">0 számla</span>
-                            </div>
-                        </div>
-                    </div>
+                this.setItemVariants(item.variants || []);
+                this.renderItemModifierGroups(item.modifierGroupIds || []);
 
-                    <div class="overview-card prep-time">
-                        <div class="card-icon">
-                            <i class="fas fa-money-bill-wave"></i>
-                        </div>
-                        <div class="card-content">
-                            <h3 id="cashPaymentPercentage">0%</h3>
-                            <p>Készpénzes fizetés</p>
-                            <div class="trend neutral">
-                                <span id="cashPaymentCount">0 számla</span>
-                            </div>
-                        </div>
-                    </div>
+                // Set image if exists
+                if (item.imageUrl) {
+                    this.setImagePreview(item.imageUrl);
+                }
 
-                    <div class="overview-card storno">
-                        <div class="card-icon">
-                            <i class="fas fa-ban"></i>
-                        </div>
-                        <div class="card-content">
-                            <h3 id="stornoCount">0</h3>
-                            <p>Stornó számlák</p>
-                            <div class="trend neutral">
-                                <span>Ez hónapban</span>
-                            </div>
-                        </div>
-                    </div>
+                // Populate translations
+                Object.keys(item.translations).forEach(lang => {
+                    const translation = item.translations[lang];
+                    const nameField = document.getElementById(`name${lang.charAt(0).toUpperCase() + lang.slice(1)}`);
+                    const descField = document.getElementById(`description${lang.charAt(0).toUpperCase() + lang.slice(1)}`);
+                    
+                    if (nameField) nameField.value = translation.name || '';
+                    if (descField) descField.value = translation.description || '';
+                });
 
-                </div>
+                // Populate categories and set selection
+                await this.populateCategoryOptions();
+                document.getElementById('itemCategory').value = item.category.id;
 
-                <div class="recent-invoices-section">
-                    <div class="section-header">
-                        <h3>
-                            <i class="fas fa-history"></i>
-                            Legutóbbi számlák
-                        </h3>
-                        <button class="btn-secondary" id="viewAllInvoicesBtn">
-                            Összes megtekintése
-                        </button>
-                    </div>
-                    
-                    <div class="recent-invoices-list" id="recentInvoicesList">
-                        <div class="loading-placeholder">
-                            <i class="fas fa-spinner fa-spin"></i>
-                            Számlák betöltése...
-                        </div>
-                    </div>
-                </div>
-            </div>
+                const categorySelect = document.getElementById('itemCategory');
+                if (categorySelect) {
+                    // Create and dispatch a change event to trigger the handler
+                    const changeEvent = new Event('change', { bubbles: true });
+                    categorySelect.dispatchEvent(changeEvent);
+                }                
 
-            <!-- Management Section -->
-            <div id="management-section" class="invoices-section">
-                <div class="management-header">
+                // Store item ID for update
+                document.getElementById('itemForm').dataset.itemId = itemId;
+            }
+            
+        } catch (error) {
+            console.error('Failed to load item for edit:', error);
+            this.showNotification('Nem sikerült betölteni a termék adatait', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async populateCategoryOptions() {
+        const categorySelect = document.getElementById('itemCategory');
+        if (!categorySelect) return;
+
+        categorySelect.innerHTML = '<option value="">Válasszon kategóriát</option>';
+        
+        this.state.categories.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.setAttribute('data-slug', category.slug);
+            option.textContent = category.translations.hu?.name || 'Névtelen kategória';
+            categorySelect.appendChild(option);
+        });
+    }
+
+    handleCategoryChange(e) {
+        const categoryId = parseInt(e.target.value);
+        const priceAddonGroup = document.getElementById('priceAddonGroup');
+
+        if (!categoryId || !priceAddonGroup) return;
+
+        // Get selected option to check slug
+        const selectedOption = e.target.options[e.target.selectedIndex];
+        const categorySlug = selectedOption.getAttribute('data-slug');
+
+        if (categorySlug === 'sides') {
+            // Show price addon field for sides
+            priceAddonGroup.style.display = 'block';
+            document.getElementById('itemPriceAddon').required = true;
+
+            // Only set focus if creating new item (not editing)
+            const form = document.getElementById('itemForm');
+            const isEditing = form && form.dataset.itemId;
+
+            if (!isEditing) {
+                setTimeout(() => {
+                    const priceAddonInput = document.getElementById('itemPriceAddon');
+                    if (priceAddonInput) {
+                        priceAddonInput.focus();
+                    }
+                }, 100);
+            }
+        } else {
+            // Hide price addon field for other categories
+            priceAddonGroup.style.display = 'none';
+            document.getElementById('itemPriceAddon').required = false;
+
+            // Only clear value if not editing (preserve existing values when editing)
+            const form = document.getElementById('itemForm');
+            const isEditing = form && form.dataset.itemId;
+
+            if (!isEditing) {
+                document.getElementById('itemPriceAddon').value = '';
+            }
+        }
+    }    
+
+    setupModalListeners(modal) {
+        // Clean up previous listeners
+        this.cleanupModalListeners();
+
+        const backdrop = modal.querySelector('.modal-backdrop');
+        const closeBtn = modal.querySelector('.modal-close');
+        const cancelBtn = document.getElementById('cancelItemBtn');
+        const form = document.getElementById('itemForm');
+
+        // Close handlers
+        const closeHandler = () => this.closeModal();
+        
+        backdrop.addEventListener('click', closeHandler);
+        closeBtn.addEventListener('click', closeHandler);
+        cancelBtn.addEventListener('click', closeHandler);
+
+        // Form submission
+        const formHandler = (e) => this.handleItemFormSubmit(e);
+        form.addEventListener('submit', formHandler);
+
+        // Translation tabs
+        const tabHandler = (e) => this.switchTranslationTab(e.target.dataset.lang);
+        document.querySelectorAll('.translation-tab').forEach(tab => {
+            tab.addEventListener('click', tabHandler);
+            this.modalEventListeners.push({ element: tab, event: 'click', handler: tabHandler });
+        });
+
+        // Image upload
+        const uploadBtn = document.getElementById('uploadImageBtn');
+        const removeBtn = document.getElementById('removeImageBtn');
+        const fileInput = document.getElementById('itemImage');
+
+        const uploadHandler = () => fileInput.click();
+        const removeHandler = () => this.clearImagePreview();
+        const fileHandler = (e) => this.handleImageUpload(e);
+
+        uploadBtn.addEventListener('click', uploadHandler);
+        removeBtn.addEventListener('click', removeHandler);
+        fileInput.addEventListener('change', fileHandler);
+
+        const categorySelect = document.getElementById('itemCategory');
+        const categoryHandler = (e) => this.handleCategoryChange(e);
+        categorySelect.addEventListener('change', categoryHandler);        
+
+        // Variants
+        const addVariantBtn = document.getElementById('addVariantBtn');
+        const variantsList = document.getElementById('variantsList');
+
+        const addVariantHandler = () => this.addItemVariant();
+        const variantChangeHandler = (e) => this.updateItemVariant(e.target);
+        const variantClickHandler = (e) => {
+            const removeBtn = e.target.closest('[data-remove-variant]');
+            if (removeBtn) this.removeItemVariant(Number(removeBtn.dataset.removeVariant));
+        };
+
+        addVariantBtn.addEventListener('click', addVariantHandler);
+        variantsList.addEventListener('change', variantChangeHandler);
+        variantsList.addEventListener('click', variantClickHandler);
+
+        // Track all listeners for cleanup
+        this.modalEventListeners.push(
+            { element: backdrop, event: 'click', handler: closeHandler },
+            { element: closeBtn, event: 'click', handler: closeHandler },
+            { element: cancelBtn, event: 'click', handler: closeHandler },
+            { element: form, event: 'submit', handler: formHandler },
+            { element: uploadBtn, event: 'click', handler: uploadHandler },
+            { element: removeBtn, event: 'click', handler: removeHandler },
+            { element: fileInput, event: 'change', handler: fileHandler },
+            { element: addVariantBtn, event: 'click', handler: addVariantHandler },
+            { element: variantsList, event: 'change', handler: variantChangeHandler },
+            { element: variantsList, event: 'click', handler: variantClickHandler }
+        );
+    }
+
+    cleanupModalListeners() {
+        this.modalEventListeners.forEach(({ element, event, handler }) => {
+            if (element) {
+                element.removeEventListener(event, handler);
+            }
+        });
+        this.modalEventListeners = [];
+    }
+
+    switchTranslationTab(lang) {
+        // Update tab buttons
+        document.querySelectorAll('.translation-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.lang === lang);
+        });
+
+        // Update content sections
+        document.querySelectorAll('.translation-content').forEach(content => {
+            content.classList.toggle('active', content.dataset.lang === lang);
+        });
+    }
+
+    handleImageUpload(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        // Validate file
+        if (!file.type.match(/^image\/(jpeg|jpg|png|webp)$/)) {
+            this.showNotification('Csak JPEG, PNG vagy WebP képek engedélyezettek', 'error');
+            e.target.value = '';
+            return;
+        }
+
+        if (file.size > 5 * 1024 * 1024) { // 5MB
+            this.showNotification('A kép mérete maximum 5MB lehet', 'error');
+            e.target.value = '';
+            return;
+        }
+
+        // Create preview
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            this.setImagePreview(e.target.result);
+        };
+        reader.readAsDataURL(file);
+    }
+
+    setImagePreview(url) {
+        const preview = document.getElementById('imagePreview');
+        const removeBtn = document.getElementById('removeImageBtn');
+
+        if (preview) {
+            preview.innerHTML = `<img src="${url}" alt="Preview">`;
+            removeBtn.style.display = 'inline-block';
+        }
+
+        this.imagePreviewUrl = url;
+    }
+
+    clearImagePreview() {
+        const preview = document.getElementById('imagePreview');
+        const removeBtn = document.getElementById('removeImageBtn');
+        const fileInput = document.getElementById('itemImage');
+
+        if (preview) {
+            preview.innerHTML = `
+                <div class="image-placeholder">
+                    <i class="fas fa-image"></i>
+                    <p>Kép feltöltése</p>
+                </div>
+            `;
+        }
+
+        if (removeBtn) removeBtn.style.display = 'none';
+        if (fileInput) fileInput.value = '';
+        
+        this.imagePreviewUrl = null;
+    }
+
+    /**
+     * Store the modal item's variants in the admin shape and re-render
+     */
+    setItemVariants(variants) {
+        this.state.itemVariants = variants.map(variant => ({
+            id: variant.id || null,
+            translations: {
+                hu: { name: variant.translations?.hu?.name || variant.name || '' },
+                en: { name: variant.translations?.en?.name || '' },
+                sk: { name: variant.translations?.sk?.name || '' }
+            },
+            price: Number(variant.price) || 0,
+            isAvailable: variant.isAvailable !== false,
+            isDefault: Boolean(variant.isDefault)
+        }));
+        this.renderItemVariants();
+    }
+
+    renderItemVariants() {
+        const container = document.getElementById('variantsList');
+        if (!container) return;
+
+        if (this.state.itemVariants.length === 0) {
+            container.innerHTML = '<p class="variants-empty">Nincs változat - a termék az alapáron rendelhető.</p>';
+            return;
+        }
+
+        container.innerHTML = this.state.itemVariants.map((variant, index) => `
+            <div class="variant-row">
+                <input type="text" value="${this.escapeHtml(variant.translations.hu.name)}" placeholder="Név (HU)*" data-variant="${index}" data-field="hu">
+                <input type="text" value="${this.escapeHtml(variant.translations.en.name)}" placeholder="Name (EN)" data-variant="${index}" data-field="en">
+                <input type="text" value="${this.escapeHtml(variant.translations.sk.name)}" placeholder="Názov (SK)" data-variant="${index}" data-field="sk">
+                <input type="number" value="${variant.price}" step="0.01" min="0" placeholder="Ár" data-variant="${index}" data-field="price">
+                <label class="checkbox-label">
+                    <input type="checkbox" ${variant.isAvailable ? 'checked' : ''} data-variant="${index}" data-field="isAvailable">
+                    <span class="checkbox-custom"></span>
+                    Elérhető
+                </label>
+                <label class="checkbox-label">
+                    <input type="radio" name="defaultVariant" ${variant.isDefault ? 'checked' : ''} data-variant="${index}" data-field="isDefault">
+                    Alapértelmezett
+                </label>
+                <button type="button" class="btn-icon btn-danger" data-remove-variant="${index}" title="Változat törlése">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    addItemVariant() {
+        const priceInput = document.getElementById('itemPrice');
+
+        this.state.itemVariants.push({
+            id: null,
+            translations: { hu: { name: '' }, en: { name: '' }, sk: { name: '' } },
+            price: parseFloat(priceInput?.value) || 0,
+            isAvailable: true,
+            isDefault: this.state.itemVariants.length === 0
+        });
+        this.renderItemVariants();
+    }
+
+    removeItemVariant(index) {
+        const [removed] = this.state.itemVariants.splice(index, 1);
+
+        // Keep a default while there are variants left
+        if (removed?.isDefault && this.state.itemVariants.length > 0) {
+            this.state.itemVariants[0].isDefault = true;
+        }
+        this.renderItemVariants();
+    }
+
+    updateItemVariant(input) {
+        const variant = this.state.itemVariants[Number(input.dataset.variant)];
+        if (!variant) return;
+
+        const { field } = input.dataset;
+        if (['hu', 'en', 'sk'].includes(field)) {
+            variant.translations[field].name = input.value.trim();
+        } else if (field === 'price') {
+            variant.price = parseFloat(input.value) || 0;
+        } else if (field === 'isAvailable') {
+            variant.isAvailable = input.checked;
+        } else if (field === 'isDefault') {
+            this.state.itemVariants.forEach(other => {
+                other.isDefault = other === variant;
+            });
+        }
+    }
+
+    /**
+     * @returns {string|null} Error message, null when the variants can be saved
+     */
+    validateItemVariants(variants) {
+        if (variants.some(variant => !variant.translations.hu.name)) {
+            return 'Minden változatnak adjon magyar nevet';
+        }
+        if (variants.some(variant => !(variant.price >= 0))) {
+            return 'A változat ára nem lehet negatív';
+        }
+
+        const names = variants.map(variant => variant.translations.hu.name.toLowerCase());
+        if (new Set(names).size !== names.length) {
+            return 'Két változatnak nem lehet ugyanaz a neve';
+        }
+
+        return null;
+    }
+
+    async handleItemFormSubmit(e) {
+        e.preventDefault();
+        
+        const form = e.target;
+        const itemId = form.dataset.itemId;
+        const isEdit = !!itemId;
+
+        try {
+            this.showLoading();
+
+            // Create FormData for file upload
+            const formData = new FormData(form);
+
+            // Convert checkbox values
+            formData.set('isPopular', form.isPopular.checked);
+
+            const selectedAllergens = Array.from(document.querySelectorAll('input[name="allergen"]:checked'))
+                .map(checkbox => checkbox.value);
+            formData.set('allergens', selectedAllergens.join(','));            
+
+            const variantError = this.validateItemVariants(this.state.itemVariants);
+            if (variantError) {
+                throw new Error(variantError);
+            }
+            formData.set('variants', JSON.stringify(this.state.itemVariants));
+            formData.delete('defaultVariant'); // Part of the variants JSON
+
+            const modifierGroupIds = Array.from(form.querySelectorAll('input[name="modifierGroup"]:checked'))
+                .map(checkbox => parseInt(checkbox.value));
+            formData.set('modifierGroupIds', JSON.stringify(modifierGroupIds));
+            formData.delete('modifierGroup'); // Sent as modifierGroupIds
+
+            const endpoint = isEdit ? `/menu/items/${itemId}` : '/menu/items';
+            const method = isEdit ? 'PUT' : 'POST';
+
+            const response = await fetch(`${this.config.apiUrl}${endpoint}`, {
+                method,
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('adminToken') || ''}`
+                },
+                body: formData
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(
+                    `Termék ${isEdit ? 'frissítve' : 'létrehozva'}`, 
+                    'success'
+                );
+                
+                this.closeModal();
+                
+                // Reload data
+                await this.loadAllItems();
+                if (this.state.currentSection === 'availability') {
+                    await this.loadDeliverableItems();
+                }
+                this.renderCurrentSection();
+
+            } else {
+                throw new Error(data.error || 'Ismeretlen hiba');
+            }
+
+        } catch (error) {
+            console.error('Failed to save item:', error);
+            this.showNotification(
+                error.message || `Hiba a termék ${isEdit ? 'frissítésénél' : 'létrehozásánál'}`,
+                'error'
+            );
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    editItem(itemId) {
+        this.openItemModal(itemId);
+    }
+
+    deleteItem(itemId) {
+        const item = this.state.allItems.find(item => item.id === itemId);
+        if (!item) return;
+
+        const modal = document.getElementById('deleteConfirmModal');
+        const itemNameEl = document.getElementById('deleteItemName');
+        
+        if (itemNameEl) {
+            itemNameEl.textContent = item.translations.hu?.name || 'Névtelen termék';
+        }
+
+        modal.classList.add('active');
+
+        // Setup delete confirmation listeners
+        const confirmBtn = document.getElementById('confirmDeleteBtn');
+        const cancelBtn = document.getElementById('cancelDeleteBtn');
+        const backdrop = modal.querySelector('.modal-backdrop');
+        const closeBtn = modal.querySelector('.modal-close');
+
+        const closeHandler = () => {
+            modal.classList.remove('active');
+            this.cleanupDeleteListeners();
+        };
+
+        const confirmHandler = async () => {
+            await this.confirmDelete(itemId);
+            closeHandler();
+        };
+
+        // Add listeners
+        confirmBtn.addEventListener('click', confirmHandler);
+        cancelBtn.addEventListener('click', closeHandler);
+        backdrop.addEventListener('click', closeHandler);
+        closeBtn.addEventListener('click', closeHandler);
+
+        // Store listeners for cleanup
+        this.deleteListeners = [
+            { element: confirmBtn, event: 'click', handler: confirmHandler },
+            { element: cancelBtn, event: 'click', handler: closeHandler },
+            { element: backdrop, event: 'click', handler: closeHandler },
+            { element: closeBtn, event: 'click', handler: closeHandler }
+        ];
+    }
+
+    cleanupDeleteListeners() {
+        if (this.deleteListeners) {
+            this.deleteListeners.forEach(({ element, event, handler }) => {
+                if (element) {
+                    element.removeEventListener(event, handler);
+                }
+            });
+            this.deleteListeners = [];
+        }
+    }
+
+    async confirmDelete(itemId) {
+        try {
+            this.showLoading();
+
+            const response = await this.apiCall(`/menu/items/${itemId}`, {
+                method: 'DELETE'
+            });
+
+            if (response.success) {
+                this.showNotification('Termék sikeresen törölve', 'success');
+                
+                // Reload data
+                await this.loadAllItems();
+                if (this.state.currentSection === 'availability') {
+                    await this.loadDeliverableItems();
+                }
+                this.renderCurrentSection();
+
+            } else {
+                throw new Error(response.error || 'Törlés sikertelen');
+            }
+
+        } catch (error) {
+            console.error('Failed to delete item:', error);
+            this.showNotification(error.message || 'Hiba a termék törlésekor', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    closeModal() {
+        const modals = document.querySelectorAll('.modal.active');
+        modals.forEach(modal => {
+            modal.classList.remove('active');
+        });
+        
+        this.cleanupModalListeners();
+        this.clearImagePreview();
+        this.state.itemVariants = [];
+        
+        // Clear form data
+        const form = document.getElementById('itemForm');
+        if (form) {
+            form.reset();
+            delete form.dataset.itemId;
+        }
+
+        document.querySelectorAll('input[name="allergen"]').forEach(checkbox => {
+            checkbox.checked = false;
+        });        
+
+        const priceAddonGroup = document.getElementById('PriceAddonGroup');
+        if (priceAddonGroup) {
+            priceAddonGroup.style.display = 'none';
+        }
+    }
+
+    async exportMenu() {
+        try {
+            this.showNotification('Menü exportálása...', 'info');
+
+            const response = await fetch(`${this.config.apiUrl}/menu/export`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('adminToken') || ''}`
+                }
+            });
+
+            if (response.ok) {
+                const blob = await response.blob();
+                const url = window.URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `menu-export-${new Date().toISOString().split('T')[0]}.csv`;
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                window.URL.revokeObjectURL(url);
+
+                this.showNotification('Menü sikeresen exportálva', 'success');
+            } else {
+                throw new Error('Export failed');
+            }
+
+        } catch (error) {
+            console.error('Failed to export menu:', error);
+            this.showNotification('Hiba az exportálás során', 'error');
+        }
+    }
+
+    showLoading() {
+        const loading = document.getElementById('menuLoading');
+        if (loading) {
+            loading.style.display = 'flex';
+        }
+    }
+
+    hideLoading() {
+        const loading = document.getElementById('menuLoading');
+        if (loading) {
+            loading.style.display = 'none';
+        }
+    }
+
+    // Utility methods
+    debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    }
+
+    async refresh() {
+        await this.loadInitialData();
+    }
+
+    destroy() {
+        this.cleanupModalListeners();
+        this.cleanupDeleteListeners();
+        super.destroy();
+    }
+}
+
+// Make globally available
+window.MenuApp = MenuApp;
+
+/**
+ * Palace Cafe & Bar - Invoices Management App
+ * Complete invoice administration system
+ * 
+ * @author Palace Development Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+class InvoicesApp extends BaseApp {
+    constructor() {
+        super('invoices');
+
+        this.config = {
+            apiUrl: window.API_BASE_URL + '/admin',
+            itemsPerPage: 20
+        };
+        
+        // State management
+        this.state = {
+            currentSection: 'overview', // 'overview', 'management', 'reports'
+            invoices: [],
+            totalInvoices: 0,
+            currentPage: 1,
+            searchQuery: '',
+            filters: {
+                dateRange: 'month',
+                paymentMethod: 'all',
+                orderType: 'all',
+                invoiceType: 'all',
+                startDate: null,
+                endDate: null
+            },
+            sortBy: 'createdAt',
+            sortOrder: 'desc',
+            selectedInvoices: new Set(),
+            overview: {
+                todayInvoices: 0,
+                monthlyInvoices: 0,
+                todayRevenue: 0,
+                monthlyRevenue: 0,
+                paymentBreakdown: {}
+            }
+        };
+
+        // Modal listeners tracking
+        this.modalEventListeners = [];
+    }
+
+    async initialize() {
+        console.log('📄 Initializing Invoices Management App...');
+        
+        this.render();
+        await this.loadInitialData();
+        this.setupEventListeners();
+        
+        console.log('✅ Invoices Management App initialized');
+    }
+
+    render() {
+        if (!this.container) return;
+        
+        this.container.innerHTML = `
+            <!-- Invoices Management Header -->
+            <div class="invoices-management-header">
+                <div class="invoices-title">
+                    <h2>📄 Számlák kezelése</h2>
+                    <p>Számlák áttekintése, keresése és exportálása</p>
+                </div>
+                
+                <div class="invoices-section-tabs">
+                    <button class="tab-btn active" data-section="overview">
+                        <i class="fas fa-chart-pie"></i>
+                        Áttekintés
+                    </button>
+                    <button class="tab-btn" data-section="management">
+                        <i class="fas fa-list"></i>
+                        Számlák
+                    </button>
+                    <button class="tab-btn" data-section="reports">
+                        <i class="fas fa-download"></i>
+                        Exportálás
+                    </button>
+                </div>
+            </div>
+
+            <!-- Overview Section -->
+            <div id="overview-section" class="invoices-section active">
+                <div class="overview-cards">
+                    <div class="overview-card revenue">
+                        <div class="card-icon">
+                            <i class="fas fa-euro-sign"></i>
+                        </div>
+                        <div class="card-content">
+                            <h3 id="todayRevenue">€0.00</h3>
+                            <p>Mai bevétel</p>
+                            <div class="trend neutral">
+                                <span id="todayInvoicesCount">0 számla</span>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="overview-card orders">
+                        <div class="card-icon">
+                            <i class="fas fa-calendar-month"></i>
+                        </div>
+                        <div class="card-content">
+                            <h3 id="monthlyRevenue">€0.00</h3>
+                            <p>Havi bevétel</p>
+                            <div class="trend positive">
+                                <span id="monthlyInvoicesCount">0 számla</span>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="overview-card avg-order">
+                        <div class="card-icon">
+                            <i class="fas fa-credit-card"></i>
+                        </div>
+                        <div class="card-content">
+                            <h3 id="cardPaymentPercentage">0%</h3>
+                            <p>Kártyás fizetés</p>
+                            <div class="trend neutral">
+                                <span id="cardPaymentCount">0 számla</span>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="overview-card prep-time">
+                        <div class="card-icon">
+                            <i class="fas fa-money-bill-wave"></i>
+                        </div>
+                        <div class="card-content">
+                            <h3 id="cashPaymentPercentage">0%</h3>
+                            <p>Készpénzes fizetés</p>
+                            <div class="trend neutral">
+                                <span id="cashPaymentCount">0 számla</span>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="overview-card storno">
+                        <div class="card-icon">
+                            <i class="fas fa-ban"></i>
+                        </div>
+                        <div class="card-content">
+                            <h3 id="stornoCount">0</h3>
+                            <p>Stornó számlák</p>
+                            <div class="trend neutral">
+                                <span id="refundTotal">Ez hónapban</span>
+                            </div>
+                        </div>
+                    </div>
+
+                </div>
+
+                <div class="recent-invoices-section">
+                    <div class="section-header">
+                        <h3>
+                            <i class="fas fa-history"></i>
+                            Legutóbbi számlák
+                        </h3>
+                        <button class="btn-secondary" id="viewAllInvoicesBtn">
+                            Összes megtekintése
+                        </button>
+                    </div>
+                    
+                    <div class="recent-invoices-list" id="recentInvoicesList">
+                        <div class="loading-placeholder">
+                            <i class="fas fa-spinner fa-spin"></i>
+                            Számlák betöltése...
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Management Section -->
+            <div id="management-section" class="invoices-section">
+                <div class="management-header">
                     <h3>
                         <i class="fas fa-list"></i>
                         Számlák kezelése
@@ -2366,1592 +3274,4190 @@ class InvoicesApp extends BaseApp {
                                    id="invoiceSearch" 
                                    placeholder="Keresés számla száma, ügyfél neve alapján...">
                         </div>
-                        
-                        <select id="dateRangeFilter" class="filter-select">
-                            <option value="today">Ma</option>
-                            <option value="week">Ez a hét</option>
-                            <option value="month" selected>Ez a hónap</option>
-                            <option value="year">Ez az év</option>
-                            <option value="custom">Egyedi időszak</option>
-                        </select>
-                        
-                        <select id="paymentMethodFilter" class="filter-select">
-                            <option value="all">Minden fizetési mód</option>
-                            <option value="CASH">Készpénz</option>
-                            <option value="CARD">Kártya</option>
-                        </select>
-                        
-                        <select id="orderTypeFilter" class="filter-select">
-                            <option value="all">Minden rendelés típus</option>
-                            <option value="DELIVERY">Szállítás</option>
-                            <option value="PICKUP">Elvitel</option>
-                        </select>
+                        
+                        <select id="dateRangeFilter" class="filter-select">
+                            <option value="today">Ma</option>
+                            <option value="week">Ez a hét</option>
+                            <option value="month" selected>Ez a hónap</option>
+                            <option value="year">Ez az év</option>
+                            <option value="custom">Egyedi időszak</option>
+                        </select>
+                        
+                        <select id="paymentMethodFilter" class="filter-select">
+                            <option value="all">Minden fizetési mód</option>
+                            <option value="CASH">Készpénz</option>
+                            <option value="CARD">Kártya</option>
+                        </select>
+                        
+                        <select id="orderTypeFilter" class="filter-select">
+                            <option value="all">Minden rendelés típus</option>
+                            <option value="DELIVERY">Szállítás</option>
+                            <option value="PICKUP">Elvitel</option>
+                        </select>
+
+                        <select id="invoiceTypeFilter" class="filter-select">
+                            <option value="all">Minden számla típus</option>
+                            <option value="NORMAL">Normál számlák</option>
+                            <option value="STORNO">Stornó számlák</option>
+                            <option value="CREDIT">Részleges jóváírások</option>
+                        </select>                        
+                        
+                        <div class="date-range-inputs" id="customDateRange" style="display: none;">
+                            <input type="date" id="startDate" class="date-input">
+                            <span>-</span>
+                            <input type="date" id="endDate" class="date-input">
+                        </div>
+                    </div>
+                </div>
+
+                <div class="invoices-table-container">
+                    <div class="table-controls">
+                        <div class="invoices-count">
+                            <span id="invoicesCount">0 számla</span>
+                        </div>
+                        
+                        <div class="sort-controls">
+                            <select id="sortBy" class="sort-select">
+                                <option value="createdAt">Dátum szerint</option>
+                                <option value="invoiceNumber">Számla szám szerint</option>
+                                <option value="customerName">Ügyfél szerint</option>
+                                <option value="totalGross">Összeg szerint</option>
+                            </select>
+                            
+                            <button class="btn-sort" id="sortOrder" data-order="desc">
+                                <i class="fas fa-sort-amount-down"></i>
+                            </button>
+                        </div>
+                        
+                        <div class="bulk-actions">
+                            <button class="btn-info" id="bulkDownloadBtn" disabled>
+                                <i class="fas fa-download"></i>
+                                Kijelöltek letöltése
+                            </button>
+                            <button class="btn-success" id="bulkEmailBtn" disabled>
+                                <i class="fas fa-envelope"></i>
+                                Kijelöltek emailezése
+                            </button>
+                        </div>
+                    </div>
+
+                    <div class="invoices-table" id="invoicesTable">
+                        <div class="loading-placeholder">
+                            <i class="fas fa-spinner fa-spin"></i>
+                            Számlák betöltése...
+                        </div>
+                    </div>
+
+                    <div class="pagination-container" id="paginationContainer">
+                        <!-- Pagination will be rendered here -->
+                    </div>
+                </div>
+            </div>
+
+            <!-- Reports Section -->
+            <div id="reports-section" class="invoices-section">
+                <div class="reports-header">
+                    <h3>
+                        <i class="fas fa-download"></i>
+                        Havi jelentések és exportálás
+                    </h3>
+                    <p>Havi számlák exportálása könyveléshez és jelentések készítése</p>
+                </div>
+
+                <div class="export-options">
+                    <div class="export-card">
+                        <div class="export-icon">
+                            <i class="fas fa-file-excel"></i>
+                        </div>
+                        <div class="export-content">
+                            <h4>Havi Excel export</h4>
+                            <p>Teljes havi számla lista Excel formátumban könyveléshez</p>
+                            <div class="export-controls">
+                                <select id="exportMonth" class="export-select">
+                                    <!-- Will be populated with months -->
+                                </select>
+                                <select id="exportYear" class="export-select">
+                                    <!-- Will be populated with years -->
+                                </select>
+                                <button class="btn-primary" id="exportMonthlyBtn">
+                                    <i class="fas fa-download"></i>
+                                    Letöltés
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="export-card">
+                        <div class="export-icon">
+                            <i class="fas fa-chart-line"></i>
+                        </div>
+                        <div class="export-content">
+                            <h4>Havi Összefoglaló</h4>
+                            <p>Részletes havi üzleti jelentés bevételekkel és statisztikákkal</p>
+                            <div class="export-controls">
+                                <select id="monthlyReportMonth" class="export-select">
+                                    <!-- Will be populated with months -->
+                                </select>
+                                <select id="monthlyReportYear" class="export-select">
+                                    <!-- Will be populated with years -->
+                                </select>
+                                <button class="btn-success" id="monthlyReportBtn">
+                                    <i class="fas fa-file-pdf"></i>
+                                    Letöltés
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="export-card">
+                        <div class="export-icon">
+                            <i class="fas fa-filter"></i>
+                        </div>
+                        <div class="export-content">
+                            <h4>Egyedi export</h4>
+                            <p>Szűrt számlák exportálása egyedi időszakra</p>
+                            <div class="export-controls">
+                                <input type="date" id="customExportStart" class="date-input">
+                                <input type="date" id="customExportEnd" class="date-input">
+                                <button class="btn-warning" id="customExportBtn">
+                                    <i class="fas fa-download"></i>
+                                    Export
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Invoice Detail Modal -->
+            <div class="modal" id="invoiceModal">
+                <div class="modal-backdrop"></div>
+                <div class="modal-content large-modal">
+                    <div class="modal-header">
+                        <h3 id="invoiceModalTitle">Számla részletei</h3>
+                        <button class="modal-close">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="modal-body">
+                        <div id="invoicePreview">
+                            <!-- Invoice details will be rendered here -->
+                        </div>
+                    </div>
+                    <div class="modal-actions" id="invoiceModalActions">
+                        <button class="btn-secondary" id="closeInvoiceModalBtn">
+                            Bezárás
+                        </button>
+                        <!-- Storno button will be inserted here dynamically -->
+                        <button class="btn-info" id="downloadInvoiceBtn">
+                            <i class="fas fa-download"></i>
+                            PDF letöltés
+                        </button>
+                        <button class="btn-primary" id="emailInvoiceBtn">
+                            <i class="fas fa-envelope"></i>
+                            Email küldés
+                        </button>
+                        <button class="btn-success" id="viewOrderBtn">
+                            <i class="fas fa-shopping-cart"></i>
+                            Rendelés megtekintése
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Loading Overlay -->
+            <div class="loading-overlay" id="invoicesLoading" style="display: none;">
+                <div class="loading-spinner">
+                    <div class="spinner"></div>
+                    <p>Feldolgozás...</p>
+                </div>
+            </div>
+        `;
+
+        // Set initial section
+        this.showSection(this.state.currentSection);
+    }
+
+    async loadInitialData() {
+        try {
+            this.showLoading();
+            
+            // Load overview data and recent invoices in parallel
+            await Promise.all([
+                this.loadOverviewData(),
+                this.loadInvoices(),
+                this.setupDateSelectors()
+            ]);
+            
+            this.renderCurrentSection();
+            this.hideLoading();
+            
+        } catch (error) {
+            console.error('Failed to load initial data:', error);
+            this.showNotification('Nem sikerült betölteni az adatokat', 'error');
+            this.hideLoading();
+        }
+    }
+
+    async loadOverviewData() {
+        try {
+            const response = await this.apiCall('/invoices/overview');
+            if (response.success) {
+                this.state.overview = response.data;
+                this.updateOverviewCards();
+            }
+        } catch (error) {
+            console.error('Failed to load overview data:', error);
+            // Set default values if API fails
+            this.state.overview = {
+                todayInvoices: 0,
+                monthlyInvoices: 0,
+                todayRevenue: 0,
+                monthlyRevenue: 0,
+                paymentBreakdown: { CASH: 0, CARD: 0 }
+            };
+        }
+    }
+
+    async loadInvoices() {
+        try {
+            const params = new URLSearchParams({
+                page: this.state.currentPage,
+                limit: this.config.itemsPerPage,
+                search: this.state.searchQuery,
+                dateRange: this.state.filters.dateRange,
+                paymentMethod: this.state.filters.paymentMethod,
+                orderType: this.state.filters.orderType,
+                invoiceType: this.state.filters.invoiceType,
+                sortBy: this.state.sortBy,
+                sortOrder: this.state.sortOrder
+            });
+
+            // Add custom date range if selected
+            if (this.state.filters.startDate) {
+                params.append('startDate', this.state.filters.startDate);
+            }
+            if (this.state.filters.endDate) {
+                params.append('endDate', this.state.filters.endDate);
+            }
+
+            const response = await this.apiCall(`/invoices?${params}`);
+            
+            if (response.success) {
+                this.state.invoices = response.data.invoices || [];
+                this.state.totalInvoices = response.data.pagination?.total || 0;
+            } else {
+                throw new Error(response.error || 'Failed to load invoices');
+            }
+
+        } catch (error) {
+            console.error('Failed to load invoices:', error);
+            this.showNotification('Nem sikerült betölteni a számlákat', 'error');
+            this.state.invoices = [];
+            this.state.totalInvoices = 0;
+        }
+    }
+
+    setupEventListeners() {
+        // Section tabs
+        document.querySelectorAll('.invoices-section-tabs .tab-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const section = e.target.dataset.section;
+                this.switchSection(section);
+            });
+        });
+
+        // Overview section
+        this.setupOverviewListeners();
+        
+        // Management section
+        this.setupManagementListeners();
+        
+        // Reports section
+        this.setupReportsListeners();
+    }
+
+    setupOverviewListeners() {
+        const viewAllBtn = document.getElementById('viewAllInvoicesBtn');
+        if (viewAllBtn) {
+            viewAllBtn.addEventListener('click', () => {
+                this.switchSection('management');
+            });
+        }
+    }
+
+    setupManagementListeners() {
+        // Search
+        const searchInput = document.getElementById('invoiceSearch');
+        if (searchInput) {
+            searchInput.addEventListener('input', this.debounce((e) => {
+                this.state.searchQuery = e.target.value;
+                this.state.currentPage = 1;
+                this.loadInvoices().then(() => this.renderInvoicesTable());
+            }, 500));
+        }
+
+        // Filters
+        const dateRangeFilter = document.getElementById('dateRangeFilter');
+        const paymentMethodFilter = document.getElementById('paymentMethodFilter');
+        const orderTypeFilter = document.getElementById('orderTypeFilter');
+
+        if (dateRangeFilter) {
+            dateRangeFilter.addEventListener('change', (e) => {
+                this.state.filters.dateRange = e.target.value;
+                this.state.currentPage = 1;
+                
+                // Show/hide custom date inputs
+                const customDateRange = document.getElementById('customDateRange');
+                if (customDateRange) {
+                    customDateRange.style.display = e.target.value === 'custom' ? 'flex' : 'none';
+                }
+                
+                this.loadInvoices().then(() => this.renderInvoicesTable());
+            });
+        }
+
+        if (paymentMethodFilter) {
+            paymentMethodFilter.addEventListener('change', (e) => {
+                this.state.filters.paymentMethod = e.target.value;
+                this.state.currentPage = 1;
+                this.loadInvoices().then(() => this.renderInvoicesTable());
+            });
+        }
+
+        if (orderTypeFilter) {
+            orderTypeFilter.addEventListener('change', (e) => {
+                this.state.filters.orderType = e.target.value;
+                this.state.currentPage = 1;
+                this.loadInvoices().then(() => this.renderInvoicesTable());
+            });
+        }
+
+        const invoiceTypeFilter = document.getElementById('invoiceTypeFilter');
+        if (invoiceTypeFilter) {
+            invoiceTypeFilter.addEventListener('change', (e) => {
+                this.state.filters.invoiceType = e.target.value;
+                this.state.currentPage = 1;
+                this.loadInvoices().then(() => this.renderInvoicesTable());
+            });
+        }        
+
+        // Custom date range
+        const startDate = document.getElementById('startDate');
+        const endDate = document.getElementById('endDate');
+
+        if (startDate) {
+            startDate.addEventListener('change', (e) => {
+                this.state.filters.startDate = e.target.value;
+                this.state.currentPage = 1;
+                this.loadInvoices().then(() => this.renderInvoicesTable());
+            });
+        }
+
+        if (endDate) {
+            endDate.addEventListener('change', (e) => {
+                this.state.filters.endDate = e.target.value;
+                this.state.currentPage = 1;
+                this.loadInvoices().then(() => this.renderInvoicesTable());
+            });
+        }
+
+        // Sort controls
+        const sortBy = document.getElementById('sortBy');
+        const sortOrder = document.getElementById('sortOrder');
+
+        if (sortBy) {
+            sortBy.addEventListener('change', (e) => {
+                this.state.sortBy = e.target.value;
+                this.loadInvoices().then(() => this.renderInvoicesTable());
+            });
+        }
+
+        if (sortOrder) {
+            sortOrder.addEventListener('click', (e) => {
+                const currentOrder = e.target.dataset.order;
+                const newOrder = currentOrder === 'desc' ? 'asc' : 'desc';
+                
+                e.target.dataset.order = newOrder;
+                e.target.innerHTML = newOrder === 'desc' ? 
+                    '<i class="fas fa-sort-amount-down"></i>' : 
+                    '<i class="fas fa-sort-amount-up"></i>';
+                
+                this.state.sortOrder = newOrder;
+                this.loadInvoices().then(() => this.renderInvoicesTable());
+            });
+        }
+
+        // Bulk actions
+        const bulkDownloadBtn = document.getElementById('bulkDownloadBtn');
+        const bulkEmailBtn = document.getElementById('bulkEmailBtn');
+
+        if (bulkDownloadBtn) {
+            bulkDownloadBtn.addEventListener('click', () => {
+                this.bulkDownloadInvoices();
+            });
+        }
+
+        if (bulkEmailBtn) {
+            bulkEmailBtn.addEventListener('click', () => {
+                this.bulkEmailInvoices();
+            });
+        }
+    }
+
+    setupReportsListeners() {
+        // Monthly export
+        const exportMonthlyBtn = document.getElementById('exportMonthlyBtn');
+        if (exportMonthlyBtn) {
+            exportMonthlyBtn.addEventListener('click', () => {
+                const month = document.getElementById('exportMonth').value;
+                const year = document.getElementById('exportYear').value;
+                this.exportMonthlyReport(year, month);
+            });
+        }
+
+        // Monthly comprehensive report 
+        const monthlyReportBtn = document.getElementById('monthlyReportBtn');
+        if (monthlyReportBtn) {
+            monthlyReportBtn.addEventListener('click', () => {
+                const month = document.getElementById('monthlyReportMonth').value;
+                const year = document.getElementById('monthlyReportYear').value;
+                this.generateMonthlyReport(year, month);
+            });
+        }
+
+        // Custom export
+        const customExportBtn = document.getElementById('customExportBtn');
+        if (customExportBtn) {
+            customExportBtn.addEventListener('click', () => {
+                const startDate = document.getElementById('customExportStart').value;
+                const endDate = document.getElementById('customExportEnd').value;
+                this.exportCustomRange(startDate, endDate);
+            });
+        }
+    }
+
+    switchSection(section) {
+        // Update state
+        this.state.currentSection = section;
+
+        // Update tab buttons
+        document.querySelectorAll('.invoices-section-tabs .tab-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.section === section);
+        });
+
+        // Show section
+        this.showSection(section);
+        this.renderCurrentSection();
+    }
+
+    showSection(section) {
+        document.querySelectorAll('.invoices-section').forEach(sec => {
+            sec.classList.toggle('active', sec.id === `${section}-section`);
+        });
+    }
+
+    renderCurrentSection() {
+        switch (this.state.currentSection) {
+            case 'overview':
+                this.renderOverview();
+                break;
+            case 'management':
+                this.renderInvoicesTable();
+                break;
+            case 'reports':
+                this.renderReportsSection();
+                break;
+        }
+    }
+
+    updateOverviewCards() {
+        const { overview } = this.state;
+        
+        // Today revenue
+        const todayRevenueEl = document.getElementById('todayRevenue');
+        if (todayRevenueEl) {
+            todayRevenueEl.textContent = this.formatCurrency(overview.todayRevenue || 0);
+        }
+
+        // Today invoices count
+        const todayInvoicesEl = document.getElementById('todayInvoicesCount');
+        if (todayInvoicesEl) {
+            todayInvoicesEl.textContent = `${overview.todayInvoices || 0} számla`;
+        }
+
+        // Monthly revenue
+        const monthlyRevenueEl = document.getElementById('monthlyRevenue');
+        if (monthlyRevenueEl) {
+            monthlyRevenueEl.textContent = this.formatCurrency(overview.monthlyRevenue || 0);
+        }
+
+        // Monthly invoices count
+        const monthlyInvoicesEl = document.getElementById('monthlyInvoicesCount');
+        if (monthlyInvoicesEl) {
+            monthlyInvoicesEl.textContent = `${overview.monthlyInvoices || 0} számla`;
+        }
+
+        // Payment method breakdown
+        const totalPayments = (overview.paymentBreakdown?.CASH || 0) + (overview.paymentBreakdown?.CARD || 0);
+        
+        if (totalPayments > 0) {
+            const cardPercentage = Math.round((overview.paymentBreakdown?.CARD || 0) / totalPayments * 100);
+            const cashPercentage = 100 - cardPercentage;
+
+            const cardPercentageEl = document.getElementById('cardPaymentPercentage');
+            const cashPercentageEl = document.getElementById('cashPaymentPercentage');
+            const cardCountEl = document.getElementById('cardPaymentCount');
+            const cashCountEl = document.getElementById('cashPaymentCount');
+
+            if (cardPercentageEl) cardPercentageEl.textContent = `${cardPercentage}%`;
+            if (cashPercentageEl) cashPercentageEl.textContent = `${cashPercentage}%`;
+            if (cardCountEl) cardCountEl.textContent = `${overview.paymentBreakdown?.CARD || 0} számla`;
+            if (cashCountEl) cashCountEl.textContent = `${overview.paymentBreakdown?.CASH || 0} számla`;
+        }
+
+        const stornoCountEl = document.getElementById('stornoCount');
+        if (stornoCountEl) {
+            stornoCountEl.textContent = overview.monthlyStornoCount || 0;
+        }
+
+        // Partial refunds this month
+        const refundTotalEl = document.getElementById('refundTotal');
+        if (refundTotalEl) {
+            refundTotalEl.textContent = overview.monthlyRefundTotal > 0
+                ? `Ez hónapban • ${this.formatCurrency(overview.monthlyRefundTotal)} jóváírva`
+                : 'Ez hónapban';
+        }
+
+    }
+
+    renderOverview() {
+        this.updateOverviewCards();
+        this.renderRecentInvoices();
+    }
+
+    renderRecentInvoices() {
+      const container = document.getElementById('recentInvoicesList');
+      if (!container) return;
+    
+      const recentInvoices = this.state.invoices.slice(0, 5);
+    
+      if (recentInvoices.length === 0) {
+        container.innerHTML = `
+          <div class="empty-state">
+            <i class="fas fa-file-invoice"></i>
+            <h3>Nincsenek számlák</h3>
+            <p>Még nincsenek kiállított számlák.</p>
+          </div>
+        `;
+        return;
+      }
+  
+      container.innerHTML = recentInvoices.map(invoice => `
+        <div class="invoice-item ${invoice.invoiceType === 'STORNO' ? 'storno-invoice' : ''} ${invoice.invoiceType === 'CREDIT' ? 'credit-invoice' : ''}" 
+             onclick="invoicesApp.viewInvoiceDetails(${invoice.id})">
+          <div class="invoice-info">
+            <h4>
+              ${invoice.invoiceType === 'STORNO' ? '🚫 ' : ''}
+              ${invoice.invoiceNumber}
+              ${invoice.invoiceType === 'STORNO' ? '<span class="storno-badge">STORNO</span>' : ''}
+              ${invoice.invoiceType === 'CREDIT' ? '<span class="credit-badge">JÓVÁÍRÁS</span>' : ''}
+            </h4>
+            <p>
+              ${this.escapeHtml(invoice.customerName)} • 
+              ${this.formatCurrency(invoice.totalGross)} • 
+              ${this.formatDate(invoice.createdAt)}
+            </p>
+          </div>
+          <div class="invoice-badges">
+            ${invoice.invoiceType === 'STORNO' ? `
+              <span class="invoice-type-badge storno">
+                <i class="fas fa-ban"></i>
+                STORNO
+              </span>
+            ` : ''}
+            <span class="payment-method-badge ${invoice.paymentMethod.toLowerCase()}">
+              <i class="fas fa-${invoice.paymentMethod === 'CARD' ? 'credit-card' : 'money-bill-wave'}"></i>
+              ${invoice.paymentMethod === 'CARD' ? 'Kártya' : 'Készpénz'}
+            </span>
+            <span class="order-type-badge ${invoice.orderType?.toLowerCase() || 'pickup'}">
+              <i class="fas fa-${invoice.orderType === 'DELIVERY' ? 'truck' : 'store'}"></i>
+              ${invoice.orderType === 'DELIVERY' ? 'Szállítás' : 'Elvitel'}
+            </span>
+          </div>
+        </div>
+      `).join('');
+    }
+
+renderInvoicesTable() {
+    const container = document.getElementById('invoicesTable');
+    const countContainer = document.getElementById('invoicesCount');
+
+    if (!container) return;
+
+    // Update count
+    if (countContainer) {
+        countContainer.textContent = `${this.state.totalInvoices} számla`;
+    }
+
+    if (this.state.invoices.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-search"></i>
+                <h3>Nincsenek találatok</h3>
+                <p>Próbálja meg módosítani a szűrési feltételeket.</p>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="invoices-table-wrapper">
+            <table class="invoices-table">
+                <thead>
+                    <tr>
+                        <th>
+                            <label class="checkbox-label">
+                                <input type="checkbox" id="selectAllInvoices">
+                                <span class="checkbox-custom"></span>
+                            </label>
+                        </th>
+                        <th>Számla száma</th>
+                        <th>Dátum</th>
+                        <th>Ügyfél</th>
+                        <th>Rendelés típus</th>
+                        <th>Fizetési mód</th>
+                        <th>Összeg</th>
+                        <th>Művelet</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.state.invoices.map(invoice => `
+                        <!-- ✅ CHANGED: Added storno-invoice class -->
+                        <tr class="invoice-row ${invoice.invoiceType === 'STORNO' ? 'storno-invoice' : ''} ${invoice.invoiceType === 'CREDIT' ? 'credit-invoice' : ''}">
+                            <td>
+                                <label class="checkbox-label">
+                                    <input type="checkbox" 
+                                           class="invoice-checkbox" 
+                                           value="${invoice.id}">
+                                    <span class="checkbox-custom"></span>
+                                </label>
+                            </td>
+                            <td>
+                                <a href="#" onclick="invoicesApp.viewInvoiceDetails(${invoice.id}); return false;" 
+                                   class="invoice-number-link">
+                                    ${invoice.invoiceNumber}
+                                    <!-- ✅ NEW: Storno badge -->
+                                    ${invoice.invoiceType === 'STORNO' ? '<span class="storno-badge">STORNO</span>' : ''}
+                                    ${invoice.invoiceType === 'CREDIT' ? '<span class="credit-badge">JÓVÁÍRÁS</span>' : ''}
+                                    <!-- ✅ NEW: Cancelled badge -->
+                                    ${invoice.isCancelled ? '<span class="cancelled-badge">ÉRVÉNYTELEN</span>' : ''}
+                                </a>
+                                <!-- ✅ NEW: Original invoice reference -->
+                                ${invoice.originalInvoiceNumber ? `<div class="invoice-reference">Eredeti: ${invoice.originalInvoiceNumber}</div>` : ''}
+                            </td>
+                            <td>${this.formatDate(invoice.createdAt, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</td>
+                            <td>${this.escapeHtml(invoice.customerName)}</td>
+                            <td>
+                                <span class="order-type-badge ${invoice.orderType?.toLowerCase() || 'pickup'}">
+                                    <i class="fas fa-${invoice.orderType === 'DELIVERY' ? 'truck' : 'store'}"></i>
+                                    ${invoice.orderType === 'DELIVERY' ? 'Szállítás' : 'Elvitel'}
+                                </span>
+                            </td>
+                            <td>
+                                <span class="payment-method-badge ${invoice.paymentMethod.toLowerCase()}">
+                                    <i class="fas fa-${invoice.paymentMethod === 'CARD' ? 'credit-card' : 'money-bill-wave'}"></i>
+                                    ${invoice.paymentMethod === 'CARD' ? 'Kártya' : 'Készpénz'}
+                                </span>
+                            </td>
+                            <td class="amount-cell">${this.formatCurrency(invoice.totalGross)}</td>
+                            <td>
+                                <div class="action-buttons">
+                                    <button class="btn-icon btn-info" 
+                                            onclick="invoicesApp.viewInvoiceDetails(${invoice.id})"
+                                            title="Megtekintés">
+                                        <i class="fas fa-eye"></i>
+                                    </button>
+                                    <button class="btn-icon btn-primary" 
+                                            onclick="invoicesApp.downloadInvoice(${invoice.id})"
+                                            title="PDF letöltés">
+                                        <i class="fas fa-download"></i>
+                                    </button>
+                                    <button class="btn-icon btn-success" 
+                                            onclick="invoicesApp.emailInvoice(${invoice.id})"
+                                            title="Email küldés">
+                                        <i class="fas fa-envelope"></i>
+                                    </button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    // Setup table interactions
+    this.setupTableInteractions();
+    this.renderPagination();
+}
+
+    setupTableInteractions() {
+        // Select all checkbox
+        const selectAllCheckbox = document.getElementById('selectAllInvoices');
+        if (selectAllCheckbox) {
+            selectAllCheckbox.addEventListener('change', (e) => {
+                const checkboxes = document.querySelectorAll('.invoice-checkbox');
+                checkboxes.forEach(checkbox => {
+                    checkbox.checked = e.target.checked;
+                    if (e.target.checked) {
+                        this.state.selectedInvoices.add(parseInt(checkbox.value));
+                    } else {
+                        this.state.selectedInvoices.delete(parseInt(checkbox.value));
+                    }
+                });
+                this.updateBulkActionButtons();
+            });
+        }
+
+        // Individual checkboxes
+        document.querySelectorAll('.invoice-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                const invoiceId = parseInt(e.target.value);
+                if (e.target.checked) {
+                    this.state.selectedInvoices.add(invoiceId);
+                } else {
+                    this.state.selectedInvoices.delete(invoiceId);
+                }
+                this.updateBulkActionButtons();
+                
+                // Update select all checkbox
+                const selectAllCheckbox = document.getElementById('selectAllInvoices');
+                if (selectAllCheckbox) {
+                    const allCheckboxes = document.querySelectorAll('.invoice-checkbox');
+                    const checkedCheckboxes = document.querySelectorAll('.invoice-checkbox:checked');
+                    selectAllCheckbox.checked = allCheckboxes.length === checkedCheckboxes.length;
+                    selectAllCheckbox.indeterminate = checkedCheckboxes.length > 0 && checkedCheckboxes.length < allCheckboxes.length;
+                }
+            });
+        });
+    }
+
+    updateBulkActionButtons() {
+        const selectedCount = this.state.selectedInvoices.size;
+        const bulkDownloadBtn = document.getElementById('bulkDownloadBtn');
+        const bulkEmailBtn = document.getElementById('bulkEmailBtn');
+
+        if (bulkDownloadBtn) {
+            bulkDownloadBtn.disabled = selectedCount === 0;
+            bulkDownloadBtn.textContent = selectedCount > 0 ? 
+                `${selectedCount} kijelölt letöltése` : 'Kijelöltek letöltése';
+        }
+
+        if (bulkEmailBtn) {
+            bulkEmailBtn.disabled = selectedCount === 0;
+            bulkEmailBtn.textContent = selectedCount > 0 ? 
+                `${selectedCount} kijelölt emailezése` : 'Kijelöltek emailezése';
+        }
+    }
+
+    renderPagination() {
+        const container = document.getElementById('paginationContainer');
+        if (!container) return;
+
+        const totalPages = Math.ceil(this.state.totalInvoices / this.config.itemsPerPage);
+        
+        if (totalPages <= 1) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const currentPage = this.state.currentPage;
+        let paginationHTML = '<div class="pagination">';
+
+        // Previous button
+        if (currentPage > 1) {
+            paginationHTML += `
+                <button class="pagination-btn" onclick="invoicesApp.goToPage(${currentPage - 1})">
+                    <i class="fas fa-chevron-left"></i>
+                </button>
+            `;
+        }
+
+        // Page numbers
+        const startPage = Math.max(1, currentPage - 2);
+        const endPage = Math.min(totalPages, currentPage + 2);
+
+        if (startPage > 1) {
+            paginationHTML += `<button class="pagination-btn" onclick="invoicesApp.goToPage(1)">1</button>`;
+            if (startPage > 2) {
+                paginationHTML += `<span class="pagination-ellipsis">...</span>`;
+            }
+        }
+
+        for (let i = startPage; i <= endPage; i++) {
+            paginationHTML += `
+                <button class="pagination-btn ${i === currentPage ? 'active' : ''}" 
+                        onclick="invoicesApp.goToPage(${i})">
+                    ${i}
+                </button>
+            `;
+        }
+
+        if (endPage < totalPages) {
+            if (endPage < totalPages - 1) {
+                paginationHTML += `<span class="pagination-ellipsis">...</span>`;
+            }
+            paginationHTML += `<button class="pagination-btn" onclick="invoicesApp.goToPage(${totalPages})">${totalPages}</button>`;
+        }
+
+        // Next button
+        if (currentPage < totalPages) {
+            paginationHTML += `
+                <button class="pagination-btn" onclick="invoicesApp.goToPage(${currentPage + 1})">
+                    <i class="fas fa-chevron-right"></i>
+                </button>
+            `;
+        }
+
+        paginationHTML += '</div>';
+        container.innerHTML = paginationHTML;
+    }
+
+    async goToPage(page) {
+        this.state.currentPage = page;
+        await this.loadInvoices();
+        this.renderInvoicesTable();
+    }
+
+    setupDateSelectors() {
+        const currentYear = new Date().getFullYear();
+        const currentMonth = new Date().getMonth();
+
+        // Month options
+        const months = [
+            'Január', 'Február', 'Március', 'Április', 'Május', 'Június',
+            'Július', 'Augusztus', 'Szeptember', 'Október', 'November', 'December'
+        ];
+
+        // Populate export month selectors
+        const exportMonthSelectors = ['exportMonth', 'monthlyReportMonth'];
+        exportMonthSelectors.forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.innerHTML = months.map((month, index) => 
+                    `<option value="${index + 1}" ${index === currentMonth ? 'selected' : ''}>
+                        ${month}
+                    </option>`
+                ).join('');
+            }
+        });
+        
+        // Populate year selectors
+        const yearSelectors = ['exportYear', 'monthlyReportYear'];
+        yearSelectors.forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                const years = [];
+                for (let year = currentYear; year >= currentYear - 5; year--) {
+                    years.push(`<option value="${year}" ${year === currentYear ? 'selected' : ''}>${year}</option>`);
+                }
+                select.innerHTML = years.join('');
+            }
+        });
+    }
+
+    renderReportsSection() {
+        // Reports section is already rendered in the main render method
+        // This method can be used for dynamic updates if needed
+        console.log('Reports section is ready');
+    }
+
+    // Invoice Detail Methods
+    async viewInvoiceDetails(invoiceId) {
+        try {
+            this.showLoading();
+            
+            const response = await this.apiCall(`/invoices/${invoiceId}`);
+            
+            if (response.success) {
+                this.renderInvoiceModal(response.data);
+                this.showInvoiceModal();
+            } else {
+                throw new Error(response.error || 'Failed to load invoice details');
+            }
+            
+        } catch (error) {
+            console.error('Failed to load invoice details:', error);
+            this.showNotification('Nem sikerült betölteni a számla részleteit', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    renderInvoiceModal(invoice) {
+        const modalTitle = document.getElementById('invoiceModalTitle');
+        const invoicePreview = document.getElementById('invoicePreview');
+
+        if (modalTitle) {
+            modalTitle.textContent = `Számla részletei - ${invoice.invoiceNumber}`;
+        }
+
+        if (invoicePreview) {
+            invoicePreview.innerHTML = `
+                <div class="invoice-details">
+                    <div class="invoice-header-info">
+                        <div class="invoice-meta">
+                            <h4>Alapadatok</h4>
+                            <div class="meta-grid">
+                                <div class="meta-item">
+                                    <label>Számla száma:</label>
+                                    <span>${invoice.invoiceNumber}</span>
+                                </div>
+                                <div class="meta-item">
+                                    <label>Kiállítás dátuma:</label>
+                                    <span>${this.formatDate(invoice.createdAt)}</span>
+                                </div>
+                                <div class="meta-item">
+                                    <label>Esedékesség:</label>
+                                    <span>${this.formatDate(invoice.dueDate || invoice.createdAt)}</span>
+                                </div>
+                                <div class="meta-item">
+                                    <label>Rendelés típus:</label>
+                                    <span class="order-type-badge ${invoice.orderType?.toLowerCase() || 'pickup'}">
+                                        <i class="fas fa-${invoice.orderType === 'DELIVERY' ? 'truck' : 'store'}"></i>
+                                        ${invoice.orderType === 'DELIVERY' ? 'Szállítás' : 'Elvitel'}
+                                    </span>
+                                </div>
+                                <div class="meta-item">
+                                    <label>Fizetési mód:</label>
+                                    <span class="payment-method-badge ${invoice.paymentMethod.toLowerCase()}">
+                                        <i class="fas fa-${invoice.paymentMethod === 'CARD' ? 'credit-card' : 'money-bill-wave'}"></i>
+                                        ${invoice.paymentMethod === 'CARD' ? 'Kártya' : 'Készpénz'}
+                                    </span>
+                                </div>
+                            </div>
+                        </div>
+
+                        <div class="customer-info">
+                            <h4>Ügyfél adatok</h4>
+                            <div class="customer-details">
+                                <p><strong>Név:</strong> ${this.escapeHtml(invoice.customerName)}</p>
+                                ${invoice.customerEmail ? `<p><strong>Email:</strong> ${this.escapeHtml(invoice.customerEmail)}</p>` : ''}
+                                ${invoice.customerPhone ? `<p><strong>Telefon:</strong> ${this.escapeHtml(invoice.customerPhone)}</p>` : ''}
+                                ${invoice.customerAddress ? `<p><strong>Cím:</strong> ${this.escapeHtml(invoice.customerAddress)}</p>` : ''}
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="invoice-items">
+                        <h4>Rendelés tételek</h4>
+                        <div class="items-table">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Termék</th>
+                                        <th>Mennyiség</th>
+                                        <th>Egységár</th>
+                                        <th>Összeg</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${invoice.items?.map(item => `
+                                        <tr>
+                                            <td>
+                                                <div class="item-details">
+                                                    <strong>${this.escapeHtml(item.name)}</strong>
+                                                    ${item.customizations?.length ? `
+                                                        <div class="customizations">
+                                                            ${item.customizations.map(custom => 
+                                                                `<span class="customization">${this.escapeHtml(custom.name)}</span>`
+                                                            ).join('')}
+                                                        </div>
+                                                    ` : ''}
+                                                </div>
+                                            </td>
+                                            <td>${item.quantity}</td>
+                                            <td>${this.formatCurrency(item.price)}</td>
+                                            <td>${this.formatCurrency(item.quantity * item.price)}</td>
+                                        </tr>
+                                    `).join('') || '<tr><td colspan="4">Nincsenek tételek</td></tr>'}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+
+                    <div class="invoice-totals">
+                        <div class="totals-section">
+                            ${invoice.subtotal ? `
+                                <div class="total-row">
+                                    <span>Részösszeg (tételek):</span>
+                                    <span>${this.formatCurrency(invoice.subtotal)}</span>
+                                </div>
+                            ` : ''}
+                            ${invoice.deliveryFee && invoice.deliveryFee > 0 ? `
+                                <div class="total-row">
+                                    <span>Szállítási díj:</span>
+                                    <span>${this.formatCurrency(invoice.deliveryFee)}</span>
+                                </div>
+                            ` : ''}
+                            ${invoice.packagingFee > 0 ? `
+                                <div class="total-row">
+                                    <span>Csomagolási díj:</span>
+                                    <span>${this.formatCurrency(invoice.packagingFee)}</span>
+                                </div>
+                            ` : ''}
+                            <div class="total-row subtotal-line">
+                                <span>Nettó összeg:</span>
+                                <span>${this.formatCurrency(invoice.totalNet || 0)}</span>
+                            </div>
+                            <div class="total-row">
+                                <span>ÁFA (${invoice.vatRate || 27}%):</span>
+                                <span>${this.formatCurrency(invoice.totalVat || 0)}</span>
+                            </div>
+                            <div class="total-row final-total">
+                                <span><strong>Végösszeg:</strong></span>
+                                <span><strong>${this.formatCurrency(invoice.totalGross)}</strong></span>
+                            </div>
+                        </div>
+                    </div>
+
+                    ${this.renderInvoiceRefunds(invoice)}
+                </div>
+            `;
+        }
+
+        // Setup modal action buttons
+        this.setupInvoiceModalActions(invoice);
+    }
+
+    /**
+     * Render Storno button if applicable
+     */
+    renderStornoButton(invoice) {
+        // Only show Storno button for NORMAL invoices that aren't already cancelled
+        if (invoice.invoiceType === 'STORNO') {
+            return ''; // Don't show Storno button on Storno invoices
+        }
+
+        // Check if invoice is already cancelled (has Storno)
+        if (invoice.isCancelled || invoice.hasStorno) {
+            return `
+                <button class="btn-danger" disabled title="Ez a számla már stornózva van">
+                    <i class="fas fa-ban"></i>
+                    Már stornózva
+                </button>
+            `;
+        }
+
+        // A storno reverses the full amount - after partial refunds the rest is refunded instead
+        if (this.getRefundedAmount(invoice) > 0) {
+            return `
+                <button class="btn-danger" disabled title="A számlához már tartozik visszatérítés - a fennmaradó összeget részleges visszatérítéssel lehet visszaadni">
+                    <i class="fas fa-ban"></i>
+                    Részben visszatérítve
+                </button>
+            `;
+        }
+
+        // Show active Storno button
+        return `
+            <button class="btn-danger" id="generateStornoBtn">
+                <i class="fas fa-file-invoice"></i>
+                Stornó számla generálása
+            </button>
+        `;
+    }
+
+    setupInvoiceModalActions(invoice) {
+      // Clean up existing listeners
+      this.cleanupModalListeners();
+    
+      const modalActions = document.getElementById('invoiceModalActions');
+    
+      if (!modalActions) return;
+    
+      // ✅ Clear and rebuild all buttons at once
+      modalActions.innerHTML = `
+        <button class="btn-secondary" id="closeInvoiceModalBtn">
+          Bezárás
+        </button>
+        ${this.renderStornoButton(invoice)}
+        ${this.renderRefundButton(invoice)}
+        <button class="btn-info" id="downloadInvoiceBtn">
+          <i class="fas fa-download"></i>
+          PDF letöltés
+        </button>
+        <button class="btn-primary" id="emailInvoiceBtn">
+          <i class="fas fa-envelope"></i>
+          Email küldés
+        </button>
+        <button class="btn-success" id="viewOrderBtn">
+          <i class="fas fa-shopping-cart"></i>
+          Rendelés megtekintése
+        </button>
+      `;
+    
+      // Now setup all the event listeners
+      const downloadBtn = document.getElementById('downloadInvoiceBtn');
+      const emailBtn = document.getElementById('emailInvoiceBtn');
+      const viewOrderBtn = document.getElementById('viewOrderBtn');
+      const generateStornoBtn = document.getElementById('generateStornoBtn');
+      const partialRefundBtn = document.getElementById('partialRefundBtn');
+      const closeBtn = document.getElementById('closeInvoiceModalBtn');
+      const modalCloseBtn = document.querySelector('#invoiceModal .modal-close');
+      const modalBackdrop = document.querySelector('#invoiceModal .modal-backdrop');
+    
+      // Download action
+      if (downloadBtn) {
+        const downloadHandler = () => this.downloadInvoice(invoice.id);
+        downloadBtn.addEventListener('click', downloadHandler);
+        this.modalEventListeners.push({ element: downloadBtn, event: 'click', handler: downloadHandler });
+      }
+  
+      // Storno generation action
+      if (generateStornoBtn) {
+        const stornoHandler = () => this.generateStornoInvoice(invoice);
+        generateStornoBtn.addEventListener('click', stornoHandler);
+        this.modalEventListeners.push({ element: generateStornoBtn, event: 'click', handler: stornoHandler });
+      }
+
+      // Partial refund form
+      if (partialRefundBtn) {
+        const refundHandler = () => this.showRefundForm(invoice);
+        partialRefundBtn.addEventListener('click', refundHandler);
+        this.modalEventListeners.push({ element: partialRefundBtn, event: 'click', handler: refundHandler });
+      }
+  
+      // Email action
+      if (emailBtn) {
+        const emailHandler = () => this.emailInvoice(invoice.id);
+        emailBtn.addEventListener('click', emailHandler);
+        this.modalEventListeners.push({ element: emailBtn, event: 'click', handler: emailHandler });
+      }
+  
+      // View order action
+      if (viewOrderBtn) {
+        const viewOrderHandler = () => this.viewRelatedOrder(invoice.orderId);
+        viewOrderBtn.addEventListener('click', viewOrderHandler);
+        this.modalEventListeners.push({ element: viewOrderBtn, event: 'click', handler: viewOrderHandler });
+      }
+  
+      // Close actions
+      const closeHandler = () => this.hideInvoiceModal();
+      
+      if (closeBtn) {
+        closeBtn.addEventListener('click', closeHandler);
+        this.modalEventListeners.push({ element: closeBtn, event: 'click', handler: closeHandler });
+      }
+  
+      if (modalCloseBtn) {
+        modalCloseBtn.addEventListener('click', closeHandler);
+        this.modalEventListeners.push({ element: modalCloseBtn, event: 'click', handler: closeHandler });
+      }
+  
+      if (modalBackdrop) {
+        modalBackdrop.addEventListener('click', closeHandler);
+        this.modalEventListeners.push({ element: modalBackdrop, event: 'click', handler: closeHandler });
+      }
+    }
+
+    showInvoiceModal() {
+        const modal = document.getElementById('invoiceModal');
+        if (modal) {
+            modal.style.display = 'flex';
+            document.body.style.overflow = 'hidden';
+        }
+    }
+
+    hideInvoiceModal() {
+        const modal = document.getElementById('invoiceModal');
+        if (modal) {
+            modal.style.display = 'none';
+            document.body.style.overflow = '';
+        }
+        this.cleanupModalListeners();
+    }
+
+    cleanupModalListeners() {
+        this.modalEventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.modalEventListeners = [];
+    }
+
+    // Action Methods
+    async downloadInvoice(invoiceId) {
+        try {
+            this.showLoading();
+            
+            const response = await fetch(`${this.config.apiUrl}/invoices/${invoiceId}/pdf`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to download invoice');
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `invoice-${invoiceId}.pdf`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+
+            this.showNotification('Számla sikeresen letöltve', 'success');
+
+        } catch (error) {
+            console.error('Failed to download invoice:', error);
+            this.showNotification('Nem sikerült letölteni a számlát', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async emailInvoice(invoiceId) {
+        try {
+            this.showLoading();
+            
+            const response = await this.apiCall(`/invoices/${invoiceId}/email`, {
+                method: 'POST'
+            });
+
+            if (response.success) {
+                this.showNotification('Email sikeresen elküldve', 'success');
+            } else {
+                throw new Error(response.error || 'Failed to send email');
+            }
+
+        } catch (error) {
+            console.error('Failed to send invoice email:', error);
+            this.showNotification('Nem sikerült elküldeni az emailt', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Generate Storno invoice for a given invoice
+     */
+    async generateStornoInvoice(invoice) {
+        // Refunded amounts would be credited a second time by a full storno
+        if (this.getRefundedAmount(invoice) > 0) {
+            this.showNotification('Részben visszatérített számla nem stornózható', 'error');
+            return;
+        }
+
+        // Show confirmation dialog
+        const confirmed = confirm(
+            `Biztosan generálni szeretne stornó számlát?\n\n` +
+            `Számla: ${invoice.invoiceNumber}\n` +
+            `Összeg: ${this.formatCurrency(invoice.totalGross)}\n` +
+            `\n` +
+            `Ez:\n` +
+            `• Létrehoz egy negatív összegű stornó számlát\n` +
+            `• Az eredeti számlát érvénytelenítettnek jelöli\n` +
+            `• Emailt küld az ügyfélnek a stornó számlával`
+        );
+
+        if (!confirmed) {
+            console.log('Storno generation cancelled by user');
+            return;
+        }
+
+        try {
+            this.showLoading();
+
+            const response = await this.apiCall(`/orders/${invoice.orderId}/generate-storno`, {
+                method: 'POST'
+            });
+
+            if (response.success) {
+                console.log('✅ Storno invoice generated:', response.data);
+
+                this.showNotification(
+                    `Stornó számla sikeresen generálva: ${response.data.stornoInvoice.invoiceNumber}`,
+                    'success'
+                );
+
+                // Close modal and refresh invoice list
+                this.hideInvoiceModal();
+                await this.loadInvoices();
+                this.renderInvoicesTable();
+
+            } else {
+                throw new Error(response.error || 'Storno generation failed');
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to generate Storno invoice:', error);
+
+            let errorMessage = 'Hiba történt a stornó számla generálása során';
+
+            if (error.message.includes('already exists')) {
+                errorMessage = 'Ez a számla már rendelkezik stornó számlával';
+            } else if (error.message.includes('no invoice')) {
+                errorMessage = 'Ehhez a rendeléshez nincs eredeti számla';
+            }
+
+            this.showNotification(errorMessage, 'error');
+
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // ============================================
+    // PARTIAL REFUNDS
+    // ============================================
+
+    getRefundedAmount(invoice) {
+        if (invoice.refundedAmount !== undefined) return Number(invoice.refundedAmount) || 0;
+        return (invoice.refunds || []).reduce((sum, refund) => sum + (Number(refund.amount) || 0), 0);
+    }
+
+    getRefundableAmount(invoice) {
+        return Math.max(Math.round((Number(invoice.totalGross) - this.getRefundedAmount(invoice)) * 100) / 100, 0);
+    }
+
+    /**
+     * Partial refunds go back to the card through Stripe, so only valid card invoices get the button
+     */
+    renderRefundButton(invoice) {
+        if (invoice.invoiceType !== 'NORMAL' || invoice.paymentMethod !== 'CARD') return '';
+        if (invoice.isCancelled || invoice.hasStorno || this.getRefundableAmount(invoice) <= 0) return '';
+
+        return `
+            <button class="btn-warning" id="partialRefundBtn">
+                <i class="fas fa-undo"></i>
+                Részleges visszatérítés
+            </button>
+        `;
+    }
+
+    /**
+     * Earlier partial refunds of this invoice, or the invoice a credit note belongs to
+     */
+    renderInvoiceRefunds(invoice) {
+        if (invoice.invoiceType === 'CREDIT') {
+            return `
+                <div class="invoice-refunds">
+                    <h4>Jóváírás</h4>
+                    <p>
+                        Részleges visszatérítés az eredeti számlához: <strong>${this.escapeHtml(invoice.originalInvoiceNumber || '-')}</strong>
+                        ${invoice.refundReason ? `<br>Ok: ${this.escapeHtml(invoice.refundReason)}` : ''}
+                    </p>
+                </div>
+            `;
+        }
+
+        const refunds = invoice.refunds || [];
+        if (refunds.length === 0) return '';
+
+        return `
+            <div class="invoice-refunds">
+                <h4>Részleges visszatérítések</h4>
+                ${refunds.map(refund => `
+                    <div class="refund-row">
+                        <span>${this.formatDate(refund.createdAt, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</span>
+                        <span>${this.escapeHtml(refund.creditInvoiceNumber || '')}</span>
+                        <span>${this.escapeHtml(refund.reason || '')}</span>
+                        <strong>-${this.formatCurrency(refund.amount)}</strong>
+                    </div>
+                `).join('')}
+                <div class="refund-row refund-remaining">
+                    <span>Még visszatéríthető</span>
+                    <strong>${this.formatCurrency(this.getRefundableAmount(invoice))}</strong>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Swap the invoice preview for the refund form - by items or by amount
+     */
+    showRefundForm(invoice) {
+        const invoicePreview = document.getElementById('invoicePreview');
+        const modalTitle = document.getElementById('invoiceModalTitle');
+        if (!invoicePreview) return;
+
+        if (modalTitle) {
+            modalTitle.textContent = `Részleges visszatérítés - ${invoice.invoiceNumber}`;
+        }
+
+        const items = invoice.items || [];
+
+        invoicePreview.innerHTML = `
+            <form class="refund-form" id="refundForm">
+                <div class="refund-mode">
+                    <label class="radio-label">
+                        <input type="radio" name="refundMode" value="ITEMS" ${items.length ? 'checked' : 'disabled'}>
+                        Tételek szerint
+                    </label>
+                    <label class="radio-label">
+                        <input type="radio" name="refundMode" value="AMOUNT" ${items.length ? '' : 'checked'}>
+                        Összeg szerint
+                    </label>
+                </div>
+
+                <div class="refund-items" data-refund-panel="ITEMS">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Termék</th>
+                                <th>Egységár</th>
+                                <th>Visszatérítendő db</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${items.map((item, index) => {
+                                const available = Math.max(item.quantity - (item.refundedQuantity || 0), 0);
+                                return `
+                                    <tr>
+                                        <td>${this.escapeHtml(item.name)}</td>
+                                        <td>${this.formatCurrency(item.price)}</td>
+                                        <td>
+                                            <input type="number" min="0" max="${available}" step="1" value="0"
+                                                   data-refund-item="${index}" ${available ? '' : 'disabled'}>
+                                            <small>/ ${available}</small>
+                                        </td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div class="refund-amount" data-refund-panel="AMOUNT">
+                    <label for="refundAmount">Összeg (max. ${this.formatCurrency(this.getRefundableAmount(invoice))})</label>
+                    <input type="number" id="refundAmount" min="0.01" step="0.01" max="${this.getRefundableAmount(invoice)}">
+                </div>
+
+                <div class="refund-reason">
+                    <label for="refundReason">Ok</label>
+                    <input type="text" id="refundReason" placeholder="pl. hiányzó tétel" maxlength="200">
+                </div>
+
+                <div class="refund-total">
+                    Visszatérítés: <strong id="refundTotalPreview">${this.formatCurrency(0)}</strong>
+                </div>
+            </form>
+        `;
+
+        const modalActions = document.getElementById('invoiceModalActions');
+        if (modalActions) {
+            modalActions.innerHTML = `
+                <button class="btn-secondary" id="cancelRefundBtn">Mégse</button>
+                <button class="btn-warning" id="submitRefundBtn">
+                    <i class="fas fa-undo"></i>
+                    Visszatérítés indítása
+                </button>
+            `;
+        }
+
+        this.setupRefundFormListeners(invoice);
+    }
+
+    setupRefundFormListeners(invoice) {
+        this.cleanupModalListeners();
+
+        const form = document.getElementById('refundForm');
+        const cancelBtn = document.getElementById('cancelRefundBtn');
+        const submitBtn = document.getElementById('submitRefundBtn');
+        const modalCloseBtn = document.querySelector('#invoiceModal .modal-close');
+        const modalBackdrop = document.querySelector('#invoiceModal .modal-backdrop');
+
+        const updateHandler = () => {
+            const mode = form.elements.refundMode.value;
+            form.querySelectorAll('[data-refund-panel]').forEach(panel => {
+                panel.style.display = panel.dataset.refundPanel === mode ? '' : 'none';
+            });
+
+            const preview = document.getElementById('refundTotalPreview');
+            if (preview) {
+                preview.textContent = this.formatCurrency(this.getRefundFormData(invoice, form).amount);
+            }
+        };
+
+        const cancelHandler = () => this.renderInvoiceModal(invoice);
+        const submitHandler = () => this.submitRefund(invoice, form);
+        const closeHandler = () => this.hideInvoiceModal();
+
+        form.addEventListener('input', updateHandler);
+        form.addEventListener('change', updateHandler);
+        cancelBtn.addEventListener('click', cancelHandler);
+        submitBtn.addEventListener('click', submitHandler);
+        modalCloseBtn?.addEventListener('click', closeHandler);
+        modalBackdrop?.addEventListener('click', closeHandler);
+
+        this.modalEventListeners.push(
+            { element: form, event: 'input', handler: updateHandler },
+            { element: form, event: 'change', handler: updateHandler },
+            { element: cancelBtn, event: 'click', handler: cancelHandler },
+            { element: submitBtn, event: 'click', handler: submitHandler }
+        );
+        if (modalCloseBtn) this.modalEventListeners.push({ element: modalCloseBtn, event: 'click', handler: closeHandler });
+        if (modalBackdrop) this.modalEventListeners.push({ element: modalBackdrop, event: 'click', handler: closeHandler });
+
+        updateHandler();
+    }
+
+    /**
+     * Refund request from the form, with the amount capped at what is still refundable
+     */
+    getRefundFormData(invoice, form) {
+        const mode = form.elements.refundMode.value;
+        const refundable = this.getRefundableAmount(invoice);
+        const reason = form.querySelector('#refundReason').value.trim() || null;
+
+        if (mode === 'AMOUNT') {
+            const amount = Math.round((parseFloat(form.querySelector('#refundAmount').value) || 0) * 100) / 100;
+            return { type: 'AMOUNT', items: [], amount: Math.min(Math.max(amount, 0), refundable), reason };
+        }
+
+        const items = [];
+        form.querySelectorAll('[data-refund-item]').forEach(input => {
+            const item = invoice.items[parseInt(input.dataset.refundItem)];
+            const quantity = Math.min(Math.max(parseInt(input.value) || 0, 0), parseInt(input.max) || 0);
+            if (item && quantity > 0) {
+                items.push({ invoiceItemId: item.id, name: item.name, quantity, price: item.price });
+            }
+        });
+
+        const amount = items.reduce((sum, item) => sum + item.quantity * item.price, 0);
+        return { type: 'ITEMS', items, amount: Math.min(Math.round(amount * 100) / 100, refundable), reason };
+    }
+
+    async submitRefund(invoice, form) {
+        const refund = this.getRefundFormData(invoice, form);
+
+        if (refund.amount <= 0) {
+            this.showNotification('Válasszon tételt vagy adjon meg összeget', 'warning');
+            return;
+        }
+
+        const confirmed = confirm(
+            `Biztosan visszatéríti az összeget?\n\n` +
+            `Számla: ${invoice.invoiceNumber}\n` +
+            `Visszatérítés: ${this.formatCurrency(refund.amount)}\n\n` +
+            `Ez:\n` +
+            `• Visszautalja az összeget az ügyfél kártyájára (Stripe)\n` +
+            `• Létrehoz egy részleges jóváíró számlát\n` +
+            `• Emailt küld az ügyfélnek a jóváíró számlával`
+        );
+        if (!confirmed) return;
+
+        try {
+            this.showLoading();
+
+            // The backend recomputes the amount from the order and refuses more than what was paid
+            const response = await this.apiCall(`/orders/${invoice.orderId}/refunds`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    invoiceId: invoice.id,
+                    type: refund.type,
+                    items: refund.items.map(({ invoiceItemId, quantity }) => ({ invoiceItemId, quantity })),
+                    amount: refund.amount,
+                    reason: refund.reason
+                })
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Refund failed');
+            }
+
+            console.log('✅ Partial refund created:', response.data);
+            this.showNotification(
+                `Visszatérítve: ${this.formatCurrency(response.data.refund?.amount ?? refund.amount)} • Jóváíró számla: ${response.data.creditInvoice?.invoiceNumber || '-'}`,
+                'success'
+            );
+
+            this.hideInvoiceModal();
+            await Promise.all([this.loadInvoices(), this.loadOverviewData()]);
+            this.renderCurrentSection();
+
+        } catch (error) {
+            console.error('❌ Failed to create partial refund:', error);
+
+            let errorMessage = 'Hiba történt a visszatérítés során';
+            if (error.message.includes('exceeds')) {
+                errorMessage = 'A visszatérítés meghaladja a még visszatéríthető összeget';
+            } else if (error.message.includes('payment')) {
+                errorMessage = 'A kártyás fizetés nem található a Stripe-ban';
+            }
+
+            this.showNotification(errorMessage, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    viewRelatedOrder(orderId) {
+        if (orderId && window.adminDashboard) {
+            this.hideInvoiceModal();
+            window.adminDashboard.loadApp('orders');
+            // If orders app has a method to view specific order
+            setTimeout(() => {
+                if (window.ordersApp && window.ordersApp.viewOrderDetails) {
+                    window.ordersApp.viewOrderDetails(orderId);
+                }
+            }, 500);
+        }
+    }
+
+    // Bulk Actions
+    async bulkDownloadInvoices() {
+        if (this.state.selectedInvoices.size === 0) {
+            this.showNotification('Kérjük válasszon ki számlákat', 'warning');
+            return;
+        }
+
+        try {
+            this.showLoading();
+            
+            const invoiceIds = Array.from(this.state.selectedInvoices);
+            const response = await this.apiCall('/invoices/bulk-download', {
+                method: 'POST',
+                body: JSON.stringify({ invoiceIds })
+            });
+
+            if (response.success && response.data.downloadUrl) {
+                // Download the ZIP file
+                const a = document.createElement('a');
+                a.href = response.data.downloadUrl;
+                a.download = `invoices-${new Date().toISOString().split('T')[0]}.zip`;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+
+                this.showNotification('Számlák sikeresen letöltve', 'success');
+            } else {
+                throw new Error(response.error || 'Failed to download invoices');
+            }
+
+        } catch (error) {
+            console.error('Failed to bulk download invoices:', error);
+            this.showNotification('Nem sikerült letölteni a számlákat', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async bulkEmailInvoices() {
+        if (this.state.selectedInvoices.size === 0) {
+            this.showNotification('Kérjük válasszon ki számlákat', 'warning');
+            return;
+        }
+
+        try {
+            this.showLoading();
+            
+            const invoiceIds = Array.from(this.state.selectedInvoices);
+            const response = await this.apiCall('/invoices/bulk-email', {
+                method: 'POST',
+                body: JSON.stringify({ invoiceIds })
+            });
+
+            if (response.success) {
+                this.showNotification(`${invoiceIds.length} számla sikeresen elküldve`, 'success');
+            } else {
+                throw new Error(response.error || 'Failed to send emails');
+            }
+
+        } catch (error) {
+            console.error('Failed to bulk email invoices:', error);
+            this.showNotification('Nem sikerült elküldeni az emaileket', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // Export Methods
+    async exportMonthlyReport(year, month) {
+        try {
+            this.showLoading();
+            
+            const response = await fetch(`${this.config.apiUrl}/invoices/export/monthly?year=${year}&month=${month}`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to export monthly report');
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `monthly-report-${year}-${month.toString().padStart(2, '0')}.xlsx`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+
+            this.showNotification('Havi jelentés sikeresen letöltve', 'success');
+
+        } catch (error) {
+            console.error('Failed to export monthly report:', error);
+            this.showNotification('Nem sikerült exportálni a havi jelentést', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Generate comprehensive monthly business report
+     * Includes: revenue by payment method, top/bottom items, delivery stats, timing analysis
+     */
+    async generateMonthlyReport(year, month) {
+        try {
+            // Show loading indicator to user
+            this.showLoading();
+
+            // Call the backend endpoint for monthly report generation
+            const response = await fetch(`${this.config.apiUrl}/invoices/monthly-report?year=${year}&month=${month}`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            // Check if request was successful
+            if (!response.ok) {
+                throw new Error('Failed to generate monthly report');
+            }
+
+            // Convert response to blob (binary PDF data)
+            const blob = await response.blob();
+
+            // Create a temporary URL for the PDF blob
+            const url = window.URL.createObjectURL(blob);
+
+            // Create an invisible download link
+            const a = document.createElement('a');
+            a.href = url;
+
+            // Set the filename with Hungarian naming and proper date formatting
+            a.download = `havi-osszefoglalo-${year}-${month.toString().padStart(2, '0')}.pdf`;
+
+            // Trigger the download
+            document.body.appendChild(a);
+            a.click();
+
+            // Cleanup: remove temporary URL and link element
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+
+            // Show success message in Hungarian
+            this.showNotification('Havi összefoglaló sikeresen letöltve', 'success');
+
+        } catch (error) {
+            console.error('Failed to generate monthly report:', error);
+            // Show error message in Hungarian
+            this.showNotification('Nem sikerült generálni a havi összefoglalót', 'error');
+        } finally {
+            // Always hide loading indicator
+            this.hideLoading();
+        }
+    }
+
+    async exportCustomRange(startDate, endDate) {
+        if (!startDate || !endDate) {
+            this.showNotification('Kérjük adja meg a kezdő és végső dátumot', 'warning');
+            return;
+        }
+
+        try {
+            this.showLoading();
+            
+            const response = await fetch(`${this.config.apiUrl}/invoices/export/custom?startDate=${startDate}&endDate=${endDate}`, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to export custom range');
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `custom-export-${startDate}-${endDate}.xlsx`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+
+            this.showNotification('Egyedi export sikeresen letöltve', 'success');
+
+        } catch (error) {
+            console.error('Failed to export custom range:', error);
+            this.showNotification('Nem sikerült exportálni az egyedi időszakot', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // Utility Methods
+    showLoading() {
+        const loading = document.getElementById('invoicesLoading');
+        if (loading) {
+            loading.style.display = 'flex';
+        }
+    }
+
+    hideLoading() {
+        const loading = document.getElementById('invoicesLoading');
+        if (loading) {
+            loading.style.display = 'none';
+        }
+    }
+
+    debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    }
+
+    async refresh() {
+        await this.loadInitialData();
+    }
+
+    destroy() {
+        this.cleanupModalListeners();
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+        }
+        super.destroy();
+    }
+}
 
-                        <select id="invoiceTypeFilter" class="filter-select">
-                            <option value="all">Minden számla típus</option>
-                            <option value="NORMAL">Normál számlák</option>
-                            <option value="STORNO">Stornó számlák</option>
-                        </select>                        
-                        
-                        <div class="date-range-inputs" id="customDateRange" style="display: none;">
-                            <input type="date" id="startDate" class="date-input">
-                            <span>-</span>
-                            <input type="date" id="endDate" class="date-input">
-                        </div>
-                    </div>
-                </div>
+// Make globally available for onclick handlers
+window.InvoicesApp = InvoicesApp;
+//window.invoicesApp = null; // Will be set when app is created                                
 
-                <div class="invoices-table-container">
-                    <div class="table-controls">
-                        <div class="invoices-count">
-                            <span id="invoicesCount">0 számla</span>
-                        </div>
-                        
-                        <div class="sort-controls">
-                            <select id="sortBy" class="sort-select">
-                                <option value="createdAt">Dátum szerint</option>
-                                <option value="invoiceNumber">Számla szám szerint</option>
-                                <option value="customerName">Ügyfél szerint</option>
-                                <option value="totalGross">Összeg szerint</option>
-                            </select>
-                            
-                            <button class="btn-sort" id="sortOrder" data-order="desc">
-                                <i class="fas fa-sort-amount-down"></i>
-                            </button>
-                        </div>
-                        
-                        <div class="bulk-actions">
-                            <button class="btn-info" id="bulkDownloadBtn" disabled>
-                                <i class="fas fa-download"></i>
-                                Kijelöltek letöltése
-                            </button>
-                            <button class="btn-success" id="bulkEmailBtn" disabled>
-                                <i class="fas fa-envelope"></i>
-                                Kijelöltek emailezése
-                            </button>
-                        </div>
-                    </div>
 
-                    <div class="invoices-table" id="invoicesTable">
-                        <div class="loading-placeholder">
-                            <i class="fas fa-spinner fa-spin"></i>
-                            Számlák betöltése...
-                        </div>
-                    </div>
+/**
+ * Content App (Placeholder)
+ * Will be expanded later for content management
+ */
+class ContentApp extends BaseApp {
+    constructor() {
+        super('content');
+    }
 
-                    <div class="pagination-container" id="paginationContainer">
-                        <!-- Pagination will be rendered here -->
-                    </div>
-                </div>
-            </div>
+    async initialize() {
+        console.log('✏️ Content App placeholder initialized');
+    }
+}
 
-            <!-- Reports Section -->
-            <div id="reports-section" class="invoices-section">
-                <div class="reports-header">
-                    <h3>
-                        <i class="fas fa-download"></i>
-                        Havi jelentések és exportálás
-                    </h3>
-                    <p>Havi számlák exportálása könyveléshez és jelentések készítése</p>
-                </div>
+/**
+ * Promotions App
+ * Create, limit and expire promo codes used at checkout
+ */
+class PromotionsApp extends BaseApp {
+    constructor() {
+        super('promotions');
+        this.state = {
+            codes: [],
+            showExpired: false
+        };
 
-                <div class="export-options">
-                    <div class="export-card">
-                        <div class="export-icon">
-                            <i class="fas fa-file-excel"></i>
-                        </div>
-                        <div class="export-content">
-                            <h4>Havi Excel export</h4>
-                            <p>Teljes havi számla lista Excel formátumban könyveléshez</p>
-                            <div class="export-controls">
-                                <select id="exportMonth" class="export-select">
-                                    <!-- Will be populated with months -->
-                                </select>
-                                <select id="exportYear" class="export-select">
-                                    <!-- Will be populated with years -->
-                                </select>
-                                <button class="btn-primary" id="exportMonthlyBtn">
-                                    <i class="fas fa-download"></i>
-                                    Letöltés
-                                </button>
-                            </div>
-                        </div>
-                    </div>
+        this.typeNames = {
+            'PERCENTAGE': 'Százalékos kedvezmény',
+            'FIXED': 'Fix összegű kedvezmény',
+            'FREE_DELIVERY': 'Ingyenes kiszállítás',
+            'BUY_X_GET_Y': 'X-et vesz, Y ajándék'
+        };
+    }
 
-                    <div class="export-card">
-                        <div class="export-icon">
-                            <i class="fas fa-chart-line"></i>
-                        </div>
-                        <div class="export-content">
-                            <h4>Havi Összefoglaló</h4>
-                            <p>Részletes havi üzleti jelentés bevételekkel és statisztikákkal</p>
-                            <div class="export-controls">
-                                <select id="monthlyReportMonth" class="export-select">
-                                    <!-- Will be populated with months -->
-                                </select>
-                                <select id="monthlyReportYear" class="export-select">
-                                    <!-- Will be populated with years -->
-                                </select>
-                                <button class="btn-success" id="monthlyReportBtn">
-                                    <i class="fas fa-file-pdf"></i>
-                                    Letöltés
-                                </button>
-                            </div>
-                        </div>
-                    </div>
+    async initialize() {
+        console.log('🏷️ Initializing Promotions App...');
 
-                    <div class="export-card">
-                        <div class="export-icon">
-                            <i class="fas fa-filter"></i>
-                        </div>
-                        <div class="export-content">
-                            <h4>Egyedi export</h4>
-                            <p>Szűrt számlák exportálása egyedi időszakra</p>
-                            <div class="export-controls">
-                                <input type="date" id="customExportStart" class="date-input">
-                                <input type="date" id="customExportEnd" class="date-input">
-                                <button class="btn-warning" id="customExportBtn">
-                                    <i class="fas fa-download"></i>
-                                    Export
-                                </button>
-                            </div>
-                        </div>
-                    </div>
+        this.render();
+        this.setupEventListeners();
+        await this.loadCodes();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="users-header">
+                <div class="users-title">
+                    <h2>🏷️ Kuponkódok</h2>
+                    <p>Kedvezmények létrehozása, korlátozása és lejáratása</p>
+                </div>
+                <div class="promo-header-actions">
+                    <label class="exception-closed-toggle">
+                        <input type="checkbox" id="showExpiredCodes">
+                        Lejártak mutatása
+                    </label>
+                    <button class="btn-primary" id="addPromoBtn">
+                        <i class="fas fa-plus"></i>
+                        Új kuponkód
+                    </button>
                 </div>
             </div>
 
-            <!-- Invoice Detail Modal -->
-            <div class="modal" id="invoiceModal">
+            <div class="promo-list" id="promoList">
+                <div class="loading-placeholder">
+                    <i class="fas fa-spinner fa-spin"></i>
+                    Kuponkódok betöltése...
+                </div>
+            </div>
+
+            <!-- Create Promo Code Modal -->
+            <div class="modal" id="createPromoModal">
                 <div class="modal-backdrop"></div>
-                <div class="modal-content large-modal">
+                <div class="modal-content">
                     <div class="modal-header">
-                        <h3 id="invoiceModalTitle">Számla részletei</h3>
+                        <h3>Új kuponkód létrehozása</h3>
                         <button class="modal-close">
                             <i class="fas fa-times"></i>
                         </button>
                     </div>
                     <div class="modal-body">
-                        <div id="invoicePreview">
-                            <!-- Invoice details will be rendered here -->
-                        </div>
-                    </div>
-                    <div class="modal-actions" id="invoiceModalActions">
-                        <button class="btn-secondary" id="closeInvoiceModalBtn">
-                            Bezárás
-                        </button>
-                        <!-- Storno button will be inserted here dynamically -->
-                        <button class="btn-info" id="downloadInvoiceBtn">
-                            <i class="fas fa-download"></i>
-                            PDF letöltés
-                        </button>
-                        <button class="btn-primary" id="emailInvoiceBtn">
-                            <i class="fas fa-envelope"></i>
-                            Email küldés
-                        </button>
-                        <button class="btn-success" id="viewOrderBtn">
-                            <i class="fas fa-shopping-cart"></i>
-                            Rendelés megtekintése
-                        </button>
-                    </div>
-                </div>
-            </div>
-
-            <!-- Loading Overlay -->
-            <div class="loading-overlay" id="invoicesLoading" style="display: none;">
-                <div class="loading-spinner">
-                    <div class="spinner"></div>
-                    <p>Feldolgozás...</p>
-                </div>
-            </div>
-        `;
-
-        // Set initial section
-        this.showSection(this.state.currentSection);
-    }
-
-    async loadInitialData() {
-        try {
-            this.showLoading();
-            
-            // Load overview data and recent invoices in parallel
-            await Promise.all([
-                this.loadOverviewData(),
-                this.loadInvoices(),
-                this.setupDateSelectors()
-            ]);
-            
-            this.renderCurrentSection();
-            this.hideLoading();
-            
-        } catch (error) {
-            console.error('Failed to load initial data:', error);
-            this.showNotification('Nem sikerült betölteni az adatokat', 'error');
-            this.hideLoading();
-        }
+                        <form id="createPromoForm">
+                            <div class="form-grid">
+                                <div class="form-group">
+                                    <label for="promoCode">Kód *</label>
+                                    <input type="text" id="promoCode" name="code" required maxlength="32" placeholder="NYAR10">
+                                </div>
+                                <div class="form-group">
+                                    <label for="promoType">Típus *</label>
+                                    <select id="promoType" name="type" required>
+                                        ${Object.entries(this.typeNames).map(([value, name]) =>
+                                            `<option value="${value}">${name}</option>`
+                                        ).join('')}
+                                    </select>
+                                </div>
+                                <div class="form-group" data-promo-field="value">
+                                    <label for="promoValue">Érték (% vagy €) *</label>
+                                    <input type="number" id="promoValue" name="value" min="0" step="0.01">
+                                </div>
+                                <div class="form-group" data-promo-field="buyQuantity">
+                                    <label for="promoBuyQuantity">Megvásárolt darab (X) *</label>
+                                    <input type="number" id="promoBuyQuantity" name="buyQuantity" min="1" step="1" value="2">
+                                </div>
+                                <div class="form-group" data-promo-field="getQuantity">
+                                    <label for="promoGetQuantity">Ajándék darab (Y) *</label>
+                                    <input type="number" id="promoGetQuantity" name="getQuantity" min="1" step="1" value="1">
+                                </div>
+                                <div class="form-group" data-promo-field="menuItemIds">
+                                    <label for="promoMenuItems">Érintett termékek azonosítói</label>
+                                    <input type="text" id="promoMenuItems" name="menuItemIds" placeholder="Üresen hagyva: minden termék">
+                                </div>
+                                <div class="form-group">
+                                    <label for="promoMinOrder">Minimum rendelés (€)</label>
+                                    <input type="number" id="promoMinOrder" name="minOrderAmount" min="0" step="0.50">
+                                </div>
+                                <div class="form-group" data-promo-field="maxDiscount">
+                                    <label for="promoMaxDiscount">Maximális kedvezmény (€)</label>
+                                    <input type="number" id="promoMaxDiscount" name="maxDiscount" min="0" step="0.50">
+                                </div>
+                                <div class="form-group">
+                                    <label for="promoValidFrom">Érvényes ettől</label>
+                                    <input type="datetime-local" id="promoValidFrom" name="validFrom">
+                                </div>
+                                <div class="form-group">
+                                    <label for="promoValidUntil">Lejárat</label>
+                                    <input type="datetime-local" id="promoValidUntil" name="validUntil">
+                                </div>
+                                <div class="form-group">
+                                    <label for="promoUsageLimit">Összes felhasználás korlátja</label>
+                                    <input type="number" id="promoUsageLimit" name="usageLimit" min="1" step="1" placeholder="Korlátlan">
+                                </div>
+                                <div class="form-group">
+                                    <label for="promoPerCustomerLimit">Vásárlónkénti korlát</label>
+                                    <input type="number" id="promoPerCustomerLimit" name="perCustomerLimit" min="1" step="1" placeholder="Korlátlan">
+                                </div>
+                            </div>
+                        </form>
+                    </div>
+                    <div class="modal-actions">
+                        <button class="btn-secondary" id="cancelPromoBtn">
+                            Mégse
+                        </button>
+                        <button class="btn-primary" id="savePromoBtn">
+                            <i class="fas fa-save"></i>
+                            Létrehozás
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
     }
 
-    async loadOverviewData() {
+    async loadCodes() {
         try {
-            const response = await this.apiCall('/invoices/overview');
+            const response = await this.apiCall('/promo-codes');
             if (response.success) {
-                this.state.overview = response.data;
-                this.updateOverviewCards();
+                this.state.codes = response.data;
+                this.renderCodesList();
             }
         } catch (error) {
-            console.error('Failed to load overview data:', error);
-            // Set default values if API fails
-            this.state.overview = {
-                todayInvoices: 0,
-                monthlyInvoices: 0,
-                todayRevenue: 0,
-                monthlyRevenue: 0,
-                paymentBreakdown: { CASH: 0, CARD: 0 }
-            };
+            console.error('Failed to load promo codes:', error);
+            this.showNotification('Nem sikerült betölteni a kuponkódokat', 'error');
         }
     }
 
-    async loadInvoices() {
-        try {
-            const params = new URLSearchParams({
-                page: this.state.currentPage,
-                limit: this.config.itemsPerPage,
-                search: this.state.searchQuery,
-                dateRange: this.state.filters.dateRange,
-                paymentMethod: this.state.filters.paymentMethod,
-                orderType: this.state.filters.orderType,
-                invoiceType: this.state.filters.invoiceType,
-                sortBy: this.state.sortBy,
-                sortOrder: this.state.sortOrder
-            });
-
-            // Add custom date range if selected
-            if (this.state.filters.startDate) {
-                params.append('startDate', this.state.filters.startDate);
-            }
-            if (this.state.filters.endDate) {
-                params.append('endDate', this.state.filters.endDate);
-            }
+    /**
+     * Current status of a code: active, scheduled, expired or exhausted
+     */
+    getCodeStatus(promo) {
+        const now = new Date();
 
-            const response = await this.apiCall(`/invoices?${params}`);
-            
-            if (response.success) {
-                this.state.invoices = response.data.invoices || [];
-                this.state.totalInvoices = response.data.pagination?.total || 0;
-            } else {
-                throw new Error(response.error || 'Failed to load invoices');
-            }
+        if (!promo.isActive || (promo.validUntil && new Date(promo.validUntil) <= now)) {
+            return { key: 'expired', label: 'Lejárt' };
+        }
+        if (promo.usageLimit && promo.usedCount >= promo.usageLimit) {
+            return { key: 'exhausted', label: 'Elfogyott' };
+        }
+        if (promo.validFrom && new Date(promo.validFrom) > now) {
+            return { key: 'scheduled', label: 'Ütemezett' };
+        }
+        return { key: 'active', label: 'Aktív' };
+    }
 
-        } catch (error) {
-            console.error('Failed to load invoices:', error);
-            this.showNotification('Nem sikerült betölteni a számlákat', 'error');
-            this.state.invoices = [];
-            this.state.totalInvoices = 0;
+    /**
+     * Human readable rule summary
+     */
+    describeRule(promo) {
+        switch (promo.type) {
+            case 'PERCENTAGE':
+                return `-${promo.value}%${promo.maxDiscount ? ` (max. ${this.formatCurrency(promo.maxDiscount)})` : ''}`;
+            case 'FIXED':
+                return `-${this.formatCurrency(promo.value)}`;
+            case 'FREE_DELIVERY':
+                return 'Ingyenes kiszállítás';
+            case 'BUY_X_GET_Y':
+                return `${promo.buyQuantity} + ${promo.getQuantity} ajándék`;
+            default:
+                return promo.type;
         }
     }
 
-    setupEventListeners() {
-        // Section tabs
-        document.querySelectorAll('.invoices-section-tabs .tab-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const section = e.target.dataset.section;
-                this.switchSection(section);
-            });
-        });
+    renderCodesList() {
+        const container = document.getElementById('promoList');
+        if (!container) return;
 
-        // Overview section
-        this.setupOverviewListeners();
-        
-        // Management section
-        this.setupManagementListeners();
-        
-        // Reports section
-        this.setupReportsListeners();
-    }
+        const codes = this.state.codes.filter(promo =>
+            this.state.showExpired || this.getCodeStatus(promo).key !== 'expired'
+        );
 
-    setupOverviewListeners() {
-        const viewAllBtn = document.getElementById('viewAllInvoicesBtn');
-        if (viewAllBtn) {
-            viewAllBtn.addEventListener('click', () => {
-                this.switchSection('management');
-            });
+        if (codes.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-tags"></i>
+                    <h3>Nincsenek kuponkódok</h3>
+                    <p>Hozzon létre kuponkódot a vásárlók számára.</p>
+                </div>
+            `;
+            return;
         }
-    }
 
-    setupManagementListeners() {
-        // Search
-        const searchInput = document.getElementById('invoiceSearch');
-        if (searchInput) {
-            searchInput.addEventListener('input', this.debounce((e) => {
-                this.state.searchQuery = e.target.value;
-                this.state.currentPage = 1;
-                this.loadInvoices().then(() => this.renderInvoicesTable());
-            }, 500));
-        }
+        container.innerHTML = codes.map(promo => {
+            const status = this.getCodeStatus(promo);
 
-        // Filters
-        const dateRangeFilter = document.getElementById('dateRangeFilter');
-        const paymentMethodFilter = document.getElementById('paymentMethodFilter');
-        const orderTypeFilter = document.getElementById('orderTypeFilter');
+            return `
+                <div class="user-card promo-card">
+                    <div class="user-info">
+                        <div class="user-avatar">
+                            <i class="fas fa-tag"></i>
+                        </div>
+                        <div class="user-details">
+                            <h4>${this.escapeHtml(promo.code)}</h4>
+                            <p class="user-email">
+                                ${this.typeNames[promo.type] || promo.type} • ${this.describeRule(promo)}
+                                ${promo.minOrderAmount ? ` • min. ${this.formatCurrency(promo.minOrderAmount)}` : ''}
+                            </p>
+                            <span class="status-badge promo-status-${status.key}">${status.label}</span>
+                        </div>
+                    </div>
+                    <div class="user-status">
+                        <p class="promo-usage">
+                            <strong>${promo.usedCount || 0}</strong> / ${promo.usageLimit || '∞'} felhasználás
+                            ${promo.perCustomerLimit ? `<br><small>Vásárlónként max. ${promo.perCustomerLimit}</small>` : ''}
+                        </p>
+                        <p class="last-login">
+                            ${promo.validFrom ? `${this.formatDate(promo.validFrom)} – ` : ''}
+                            ${promo.validUntil ? this.formatDate(promo.validUntil) : 'Nincs lejárat'}
+                        </p>
+                    </div>
+                    <div class="user-actions">
+                        ${status.key !== 'expired' ? `
+                            <button class="btn-icon btn-info" onclick="promotionsApp.expireCode(${promo.id})" title="Lejáratás most">
+                                <i class="fas fa-hourglass-end"></i>
+                            </button>
+                        ` : ''}
+                        <button class="btn-icon btn-danger" onclick="promotionsApp.deleteCode(${promo.id})" title="Törlés">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
 
-        if (dateRangeFilter) {
-            dateRangeFilter.addEventListener('change', (e) => {
-                this.state.filters.dateRange = e.target.value;
-                this.state.currentPage = 1;
-                
-                // Show/hide custom date inputs
-                const customDateRange = document.getElementById('customDateRange');
-                if (customDateRange) {
-                    customDateRange.style.display = e.target.value === 'custom' ? 'flex' : 'none';
-                }
-                
-                this.loadInvoices().then(() => this.renderInvoicesTable());
+    setupEventListeners() {
+        const addPromoBtn = document.getElementById('addPromoBtn');
+        if (addPromoBtn) {
+            addPromoBtn.addEventListener('click', () => {
+                this.showCreateModal();
             });
         }
 
-        if (paymentMethodFilter) {
-            paymentMethodFilter.addEventListener('change', (e) => {
-                this.state.filters.paymentMethod = e.target.value;
-                this.state.currentPage = 1;
-                this.loadInvoices().then(() => this.renderInvoicesTable());
+        const showExpired = document.getElementById('showExpiredCodes');
+        if (showExpired) {
+            showExpired.addEventListener('change', (e) => {
+                this.state.showExpired = e.target.checked;
+                this.renderCodesList();
             });
         }
 
-        if (orderTypeFilter) {
-            orderTypeFilter.addEventListener('change', (e) => {
-                this.state.filters.orderType = e.target.value;
-                this.state.currentPage = 1;
-                this.loadInvoices().then(() => this.renderInvoicesTable());
-            });
+        // Only show the fields the selected rule type uses
+        const typeSelect = document.getElementById('promoType');
+        if (typeSelect) {
+            typeSelect.addEventListener('change', () => this.updateTypeFields());
         }
 
-        const invoiceTypeFilter = document.getElementById('invoiceTypeFilter');
-        if (invoiceTypeFilter) {
-            invoiceTypeFilter.addEventListener('change', (e) => {
-                this.state.filters.invoiceType = e.target.value;
-                this.state.currentPage = 1;
-                this.loadInvoices().then(() => this.renderInvoicesTable());
-            });
-        }        
+        // Modal close
+        const modal = document.getElementById('createPromoModal');
+        const closeBtn = modal?.querySelector('.modal-close');
+        const backdrop = modal?.querySelector('.modal-backdrop');
+        const cancelBtn = document.getElementById('cancelPromoBtn');
 
-        // Custom date range
-        const startDate = document.getElementById('startDate');
-        const endDate = document.getElementById('endDate');
+        [closeBtn, backdrop, cancelBtn].forEach(btn => {
+            if (btn) {
+                btn.addEventListener('click', () => {
+                    this.hideCreateModal();
+                });
+            }
+        });
 
-        if (startDate) {
-            startDate.addEventListener('change', (e) => {
-                this.state.filters.startDate = e.target.value;
-                this.state.currentPage = 1;
-                this.loadInvoices().then(() => this.renderInvoicesTable());
+        const saveBtn = document.getElementById('savePromoBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.createCode();
             });
         }
+    }
 
-        if (endDate) {
-            endDate.addEventListener('change', (e) => {
-                this.state.filters.endDate = e.target.value;
-                this.state.currentPage = 1;
-                this.loadInvoices().then(() => this.renderInvoicesTable());
-            });
+    updateTypeFields() {
+        const type = document.getElementById('promoType')?.value;
+        const visibleFields = {
+            'PERCENTAGE': ['value', 'maxDiscount'],
+            'FIXED': ['value'],
+            'FREE_DELIVERY': [],
+            'BUY_X_GET_Y': ['buyQuantity', 'getQuantity', 'menuItemIds', 'maxDiscount']
+        }[type] || [];
+
+        document.querySelectorAll('#createPromoForm [data-promo-field]').forEach(field => {
+            field.style.display = visibleFields.includes(field.dataset.promoField) ? '' : 'none';
+        });
+    }
+
+    showCreateModal() {
+        const modal = document.getElementById('createPromoModal');
+        if (modal) {
+            this.updateTypeFields();
+            modal.classList.add('active');
         }
+    }
 
-        // Sort controls
-        const sortBy = document.getElementById('sortBy');
-        const sortOrder = document.getElementById('sortOrder');
+    hideCreateModal() {
+        const modal = document.getElementById('createPromoModal');
+        const form = document.getElementById('createPromoForm');
 
-        if (sortBy) {
-            sortBy.addEventListener('change', (e) => {
-                this.state.sortBy = e.target.value;
-                this.loadInvoices().then(() => this.renderInvoicesTable());
-            });
+        if (modal) {
+            modal.classList.remove('active');
         }
 
-        if (sortOrder) {
-            sortOrder.addEventListener('click', (e) => {
-                const currentOrder = e.target.dataset.order;
-                const newOrder = currentOrder === 'desc' ? 'asc' : 'desc';
-                
-                e.target.dataset.order = newOrder;
-                e.target.innerHTML = newOrder === 'desc' ? 
-                    '<i class="fas fa-sort-amount-down"></i>' : 
-                    '<i class="fas fa-sort-amount-up"></i>';
-                
-                this.state.sortOrder = newOrder;
-                this.loadInvoices().then(() => this.renderInvoicesTable());
-            });
+        if (form) {
+            form.reset();
         }
+    }
 
-        // Bulk actions
-        const bulkDownloadBtn = document.getElementById('bulkDownloadBtn');
-        const bulkEmailBtn = document.getElementById('bulkEmailBtn');
+    async createCode() {
+        const form = document.getElementById('createPromoForm');
+        const formData = new FormData(form);
 
-        if (bulkDownloadBtn) {
-            bulkDownloadBtn.addEventListener('click', () => {
-                this.bulkDownloadInvoices();
-            });
-        }
+        const toNumber = (name) => {
+            const value = formData.get(name);
+            return value === '' || value === null ? null : Number(value);
+        };
+        const toIsoDate = (name) => {
+            const value = formData.get(name);
+            return value ? new Date(value).toISOString() : null;
+        };
 
-        if (bulkEmailBtn) {
-            bulkEmailBtn.addEventListener('click', () => {
-                this.bulkEmailInvoices();
-            });
+        const type = formData.get('type');
+        const promoData = {
+            code: (formData.get('code') || '').trim().toUpperCase(),
+            type,
+            value: ['PERCENTAGE', 'FIXED'].includes(type) ? toNumber('value') : null,
+            buyQuantity: type === 'BUY_X_GET_Y' ? toNumber('buyQuantity') : null,
+            getQuantity: type === 'BUY_X_GET_Y' ? toNumber('getQuantity') : null,
+            menuItemIds: type === 'BUY_X_GET_Y'
+                ? (formData.get('menuItemIds') || '').split(/[,\s]+/).filter(Boolean).map(Number)
+                : [],
+            minOrderAmount: toNumber('minOrderAmount'),
+            maxDiscount: ['PERCENTAGE', 'BUY_X_GET_Y'].includes(type) ? toNumber('maxDiscount') : null,
+            validFrom: toIsoDate('validFrom'),
+            validUntil: toIsoDate('validUntil'),
+            usageLimit: toNumber('usageLimit'),
+            perCustomerLimit: toNumber('perCustomerLimit')
+        };
+
+        // Validate
+        if (!/^[A-Z0-9_-]{3,32}$/.test(promoData.code)) {
+            this.showNotification('A kód 3-32 karakter lehet (betűk, számok, - és _)', 'error');
+            return;
+        }
+        if (['PERCENTAGE', 'FIXED'].includes(type) && !(promoData.value > 0)) {
+            this.showNotification('Adja meg a kedvezmény értékét', 'error');
+            return;
+        }
+        if (type === 'PERCENTAGE' && promoData.value > 100) {
+            this.showNotification('A százalékos kedvezmény legfeljebb 100% lehet', 'error');
+            return;
+        }
+        if (type === 'BUY_X_GET_Y' && !(promoData.buyQuantity >= 1 && promoData.getQuantity >= 1)) {
+            this.showNotification('Adja meg a megvásárolt és az ajándék darabszámot', 'error');
+            return;
+        }
+        if (promoData.menuItemIds.some(id => !Number.isInteger(id))) {
+            this.showNotification('A termék azonosítók csak számok lehetnek', 'error');
+            return;
+        }
+        if (promoData.validFrom && promoData.validUntil && promoData.validFrom >= promoData.validUntil) {
+            this.showNotification('A lejáratnak a kezdés után kell lennie', 'error');
+            return;
         }
-    }
 
-    setupReportsListeners() {
-        // Monthly export
-        const exportMonthlyBtn = document.getElementById('exportMonthlyBtn');
-        if (exportMonthlyBtn) {
-            exportMonthlyBtn.addEventListener('click', () => {
-                const month = document.getElementById('exportMonth').value;
-                const year = document.getElementById('exportYear').value;
-                this.exportMonthlyReport(year, month);
+        try {
+            const response = await this.apiCall('/promo-codes', {
+                method: 'POST',
+                body: JSON.stringify(promoData)
             });
+
+            if (response.success) {
+                this.showNotification('Kuponkód sikeresen létrehozva', 'success');
+                this.hideCreateModal();
+                await this.loadCodes();
+            }
+        } catch (error) {
+            console.error('Failed to create promo code:', error);
+            this.showNotification('Nem sikerült létrehozni a kuponkódot', 'error');
         }
+    }
 
-        // Monthly comprehensive report 
-        const monthlyReportBtn = document.getElementById('monthlyReportBtn');
-        if (monthlyReportBtn) {
-            monthlyReportBtn.addEventListener('click', () => {
-                const month = document.getElementById('monthlyReportMonth').value;
-                const year = document.getElementById('monthlyReportYear').value;
-                this.generateMonthlyReport(year, month);
-            });
+    /**
+     * Expire a code immediately - keeps it for the usage history
+     */
+    async expireCode(promoId) {
+        if (!confirm('Biztosan lejáratja ezt a kuponkódot? Azonnal érvénytelenné válik.')) {
+            return;
         }
 
-        // Custom export
-        const customExportBtn = document.getElementById('customExportBtn');
-        if (customExportBtn) {
-            customExportBtn.addEventListener('click', () => {
-                const startDate = document.getElementById('customExportStart').value;
-                const endDate = document.getElementById('customExportEnd').value;
-                this.exportCustomRange(startDate, endDate);
+        try {
+            const response = await this.apiCall(`/promo-codes/${promoId}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ validUntil: new Date().toISOString() })
             });
+
+            if (response.success) {
+                this.showNotification('Kuponkód lejáratva', 'success');
+                await this.loadCodes();
+            }
+        } catch (error) {
+            console.error('Failed to expire promo code:', error);
+            this.showNotification('Nem sikerült lejáratni a kuponkódot', 'error');
         }
     }
 
-    switchSection(section) {
-        // Update state
-        this.state.currentSection = section;
+    async deleteCode(promoId) {
+        if (!confirm('Biztosan törölni szeretné ezt a kuponkódot?')) {
+            return;
+        }
 
-        // Update tab buttons
-        document.querySelectorAll('.invoices-section-tabs .tab-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.section === section);
-        });
+        try {
+            const response = await this.apiCall(`/promo-codes/${promoId}`, {
+                method: 'DELETE'
+            });
 
-        // Show section
-        this.showSection(section);
-        this.renderCurrentSection();
+            if (response.success) {
+                this.showNotification('Kuponkód törölve', 'success');
+                await this.loadCodes();
+            }
+        } catch (error) {
+            console.error('Failed to delete promo code:', error);
+            this.showNotification('Nem sikerült törölni a kuponkódot', 'error');
+        }
     }
 
-    showSection(section) {
-        document.querySelectorAll('.invoices-section').forEach(sec => {
-            sec.classList.toggle('active', sec.id === `${section}-section`);
-        });
+    async refresh() {
+        await this.loadCodes();
     }
+}
 
-    renderCurrentSection() {
-        switch (this.state.currentSection) {
-            case 'overview':
-                this.renderOverview();
-                break;
-            case 'management':
-                this.renderInvoicesTable();
-                break;
-            case 'reports':
-                this.renderReportsSection();
-                break;
-        }
+/**
+ * Loyalty App
+ * Customer points balances, the points ledger and manual adjustments
+ */
+class LoyaltyApp extends BaseApp {
+    constructor() {
+        super('loyalty');
+        this.state = {
+            customers: [],
+            search: '',
+            selectedCustomer: null,
+            ledger: []
+        };
+
+        this.searchTimeout = null;
+
+        this.entryTypeNames = {
+            'EARN': 'Teljesített rendelés',
+            'REDEEM': 'Beváltás',
+            'REFUND': 'Visszatérítés (törölt rendelés)',
+            'ADJUST': 'Kézi módosítás'
+        };
     }
 
-    updateOverviewCards() {
-        const { overview } = this.state;
-        
-        // Today revenue
-        const todayRevenueEl = document.getElementById('todayRevenue');
-        if (todayRevenueEl) {
-            todayRevenueEl.textContent = this.formatCurrency(overview.todayRevenue || 0);
-        }
+    async initialize() {
+        console.log('⭐ Initializing Loyalty App...');
 
-        // Today invoices count
-        const todayInvoicesEl = document.getElementById('todayInvoicesCount');
-        if (todayInvoicesEl) {
-            todayInvoicesEl.textContent = `${overview.todayInvoices || 0} számla`;
-        }
+        this.render();
+        this.setupEventListeners();
+        await this.loadCustomers();
+    }
 
-        // Monthly revenue
-        const monthlyRevenueEl = document.getElementById('monthlyRevenue');
-        if (monthlyRevenueEl) {
-            monthlyRevenueEl.textContent = this.formatCurrency(overview.monthlyRevenue || 0);
-        }
+    render() {
+        if (!this.container) return;
 
-        // Monthly invoices count
-        const monthlyInvoicesEl = document.getElementById('monthlyInvoicesCount');
-        if (monthlyInvoicesEl) {
-            monthlyInvoicesEl.textContent = `${overview.monthlyInvoices || 0} számla`;
-        }
+        this.container.innerHTML = `
+            <div class="users-header">
+                <div class="users-title">
+                    <h2>⭐ Hűségpontok</h2>
+                    <p>Vásárlói egyenlegek, pontnapló és kézi jóváírás</p>
+                </div>
+                <div class="loyalty-search">
+                    <i class="fas fa-search"></i>
+                    <input type="text" id="loyaltySearch" placeholder="Keresés név, email vagy telefon alapján">
+                </div>
+            </div>
 
-        // Payment method breakdown
-        const totalPayments = (overview.paymentBreakdown?.CASH || 0) + (overview.paymentBreakdown?.CARD || 0);
-        
-        if (totalPayments > 0) {
-            const cardPercentage = Math.round((overview.paymentBreakdown?.CARD || 0) / totalPayments * 100);
-            const cashPercentage = 100 - cardPercentage;
+            <div class="loyalty-layout">
+                <div class="loyalty-customers" id="loyaltyCustomerList">
+                    <div class="loading-placeholder">
+                        <i class="fas fa-spinner fa-spin"></i>
+                        Vásárlók betöltése...
+                    </div>
+                </div>
+                <div class="loyalty-ledger" id="loyaltyLedger">
+                    <div class="empty-state">
+                        <i class="fas fa-star"></i>
+                        <h3>Válasszon vásárlót</h3>
+                        <p>A pontnapló a vásárló kiválasztása után jelenik meg.</p>
+                    </div>
+                </div>
+            </div>
 
-            const cardPercentageEl = document.getElementById('cardPaymentPercentage');
-            const cashPercentageEl = document.getElementById('cashPaymentPercentage');
-            const cardCountEl = document.getElementById('cardPaymentCount');
-            const cashCountEl = document.getElementById('cashPaymentCount');
+            <!-- Manual Adjustment Modal -->
+            <div class="modal" id="loyaltyAdjustModal">
+                <div class="modal-backdrop"></div>
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Pontok módosítása</h3>
+                        <button class="modal-close">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="modal-body">
+                        <form id="loyaltyAdjustForm">
+                            <div class="form-grid">
+                                <div class="form-group">
+                                    <label for="loyaltyAdjustPoints">Pontok (levonáshoz negatív) *</label>
+                                    <input type="number" id="loyaltyAdjustPoints" name="points" step="1" required placeholder="pl. 50 vagy -20">
+                                </div>
+                                <div class="form-group">
+                                    <label for="loyaltyAdjustReason">Indoklás *</label>
+                                    <input type="text" id="loyaltyAdjustReason" name="reason" maxlength="200" required placeholder="pl. Reklamáció kompenzálása">
+                                </div>
+                            </div>
+                        </form>
+                    </div>
+                    <div class="modal-actions">
+                        <button class="btn-secondary" id="cancelLoyaltyAdjustBtn">
+                            Mégse
+                        </button>
+                        <button class="btn-primary" id="saveLoyaltyAdjustBtn">
+                            <i class="fas fa-save"></i>
+                            Mentés
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
 
-            if (cardPercentageEl) cardPercentageEl.textContent = `${cardPercentage}%`;
-            if (cashPercentageEl) cashPercentageEl.textContent = `${cashPercentage}%`;
-            if (cardCountEl) cardCountEl.textContent = `${overview.paymentBreakdown?.CARD || 0} számla`;
-            if (cashCountEl) cashCountEl.textContent = `${overview.paymentBreakdown?.CASH || 0} számla`;
+    async loadCustomers() {
+        try {
+            const search = encodeURIComponent(this.state.search);
+            const response = await this.apiCall(`/loyalty/customers?search=${search}`);
+            if (response.success) {
+                this.state.customers = response.data;
+                this.renderCustomerList();
+            }
+        } catch (error) {
+            console.error('Failed to load loyalty customers:', error);
+            this.showNotification('Nem sikerült betölteni a vásárlókat', 'error');
         }
+    }
 
-        const stornoCountEl = document.getElementById('stornoCount');
-        if (stornoCountEl) {
-            stornoCountEl.textContent = overview.monthlyStornoCount || 0;
-        }
+    renderCustomerList() {
+        const container = document.getElementById('loyaltyCustomerList');
+        if (!container) return;
 
-    }
+        if (this.state.customers.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-users"></i>
+                    <h3>Nincs találat</h3>
+                    <p>Még nincs pontgyűjtő vásárló ezzel a kereséssel.</p>
+                </div>
+            `;
+            return;
+        }
 
-    renderOverview() {
-        this.updateOverviewCards();
-        this.renderRecentInvoices();
+        container.innerHTML = this.state.customers.map(customer => `
+            <div class="user-card loyalty-customer-card ${this.state.selectedCustomer?.id === customer.id ? 'selected' : ''}"
+                 onclick="loyaltyApp.selectCustomer(${customer.id})">
+                <div class="user-info">
+                    <div class="user-avatar">
+                        <i class="fas fa-user"></i>
+                    </div>
+                    <div class="user-details">
+                        <h4>${this.escapeHtml(customer.name || 'Névtelen vásárló')}</h4>
+                        <p class="user-email">${this.escapeHtml(customer.email || customer.phone || '')}</p>
+                    </div>
+                </div>
+                <div class="user-status">
+                    <span class="loyalty-balance-badge">${customer.balance} pont</span>
+                </div>
+            </div>
+        `).join('');
     }
 
-    renderRecentInvoices() {
-      const container = document.getElementById('recentInvoicesList');
-      if (!container) return;
-    
-      const recentInvoices = this.state.invoices.slice(0, 5);
-    
-      if (recentInvoices.length === 0) {
-        container.innerHTML = `
-          <div class="empty-state">
-            <i class="fas fa-file-invoice"></i>
-            <h3>Nincsenek számlák</h3>
-            <p>Még nincsenek kiállított számlák.</p>
-          </div>
-        `;
-        return;
-      }
-  
-      container.innerHTML = recentInvoices.map(invoice => `
-        <div class="invoice-item ${invoice.invoiceType === 'STORNO' ? 'storno-invoice' : ''}" 
-             onclick="invoicesApp.viewInvoiceDetails(${invoice.id})">
-          <div class="invoice-info">
-            <h4>
-              ${invoice.invoiceType === 'STORNO' ? '🚫 ' : ''}
-              ${invoice.invoiceNumber}
-              ${invoice.invoiceType === 'STORNO' ? '<span class="storno-badge">STORNO</span>' : ''}
-            </h4>
-            <p>
-              ${this.escapeHtml(invoice.customerName)} • 
-              ${this.formatCurrency(invoice.totalGross)} • 
-              ${this.formatDate(invoice.createdAt)}
-            </p>
-          </div>
-          <div class="invoice-badges">
-            ${invoice.invoiceType === 'STORNO' ? `
-              <span class="invoice-type-badge storno">
-                <i class="fas fa-ban"></i>
-                STORNO
-              </span>
-            ` : ''}
-            <span class="payment-method-badge ${invoice.paymentMethod.toLowerCase()}">
-              <i class="fas fa-${invoice.paymentMethod === 'CARD' ? 'credit-card' : 'money-bill-wave'}"></i>
-              ${invoice.paymentMethod === 'CARD' ? 'Kártya' : 'Készpénz'}
-            </span>
-            <span class="order-type-badge ${invoice.orderType?.toLowerCase() || 'pickup'}">
-              <i class="fas fa-${invoice.orderType === 'DELIVERY' ? 'truck' : 'store'}"></i>
-              ${invoice.orderType === 'DELIVERY' ? 'Szállítás' : 'Elvitel'}
-            </span>
-          </div>
-        </div>
-      `).join('');
+    async selectCustomer(customerId) {
+        this.state.selectedCustomer = this.state.customers.find(customer => customer.id === customerId) || null;
+        this.renderCustomerList();
+        await this.loadLedger();
     }
 
-renderInvoicesTable() {
-    const container = document.getElementById('invoicesTable');
-    const countContainer = document.getElementById('invoicesCount');
-
-    if (!container) return;
+    async loadLedger() {
+        const customer = this.state.selectedCustomer;
+        if (!customer) return;
 
-    // Update count
-    if (countContainer) {
-        countContainer.textContent = `${this.state.totalInvoices} számla`;
+        try {
+            const response = await this.apiCall(`/loyalty/customers/${customer.id}/ledger`);
+            if (response.success) {
+                this.state.ledger = response.data;
+                this.renderLedger();
+            }
+        } catch (error) {
+            console.error('Failed to load loyalty ledger:', error);
+            this.showNotification('Nem sikerült betölteni a pontnaplót', 'error');
+        }
     }
 
-    if (this.state.invoices.length === 0) {
-        container.innerHTML = `
-            <div class="empty-state">
-                <i class="fas fa-search"></i>
-                <h3>Nincsenek találatok</h3>
-                <p>Próbálja meg módosítani a szűrési feltételeket.</p>
+    renderLedger() {
+        const container = document.getElementById('loyaltyLedger');
+        const customer = this.state.selectedCustomer;
+        if (!container || !customer) return;
+
+        container.innerHTML = `
+            <div class="loyalty-ledger-header">
+                <div>
+                    <h3>${this.escapeHtml(customer.name || 'Névtelen vásárló')}</h3>
+                    <p>Egyenleg: <strong>${customer.balance} pont</strong></p>
+                </div>
+                <button class="btn-primary" id="openLoyaltyAdjustBtn">
+                    <i class="fas fa-plus-minus"></i>
+                    Pontok módosítása
+                </button>
             </div>
+            ${this.state.ledger.length === 0 ? `
+                <div class="empty-state">
+                    <i class="fas fa-list"></i>
+                    <h3>Üres pontnapló</h3>
+                </div>
+            ` : `
+                <table class="loyalty-ledger-table">
+                    <thead>
+                        <tr>
+                            <th>Dátum</th>
+                            <th>Típus</th>
+                            <th>Rendelés / indoklás</th>
+                            <th>Pontok</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.state.ledger.map(entry => `
+                            <tr>
+                                <td>${this.formatDate(entry.createdAt)}</td>
+                                <td>${this.entryTypeNames[entry.type] || entry.type}</td>
+                                <td>
+                                    ${entry.orderNumber ? `#${this.escapeHtml(entry.orderNumber)}` : ''}
+                                    ${entry.reason ? `<small>${this.escapeHtml(entry.reason)}</small>` : ''}
+                                    ${entry.createdBy ? `<small>${this.escapeHtml(entry.createdBy)}</small>` : ''}
+                                </td>
+                                <td class="${entry.points < 0 ? 'loyalty-points-negative' : 'loyalty-points-positive'}">
+                                    ${entry.points > 0 ? '+' : ''}${entry.points}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
         `;
-        return;
+
+        document.getElementById('openLoyaltyAdjustBtn')?.addEventListener('click', () => {
+            this.showAdjustModal();
+        });
     }
 
-    container.innerHTML = `
-        <div class="invoices-table-wrapper">
-            <table class="invoices-table">
-                <thead>
-                    <tr>
-                        <th>
-                            <label class="checkbox-label">
-                                <input type="checkbox" id="selectAllInvoices">
-                                <span class="checkbox-custom"></span>
-                            </label>
-                        </th>
-                        <th>Számla száma</th>
-                        <th>Dátum</th>
-                        <th>Ügyfél</th>
-                        <th>Rendelés típus</th>
-                        <th>Fizetési mód</th>
-                        <th>Összeg</th>
-                        <th>Művelet</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${this.state.invoices.map(invoice => `
-                        <!-- ✅ CHANGED: Added storno-invoice class -->
-                        <tr class="invoice-row ${invoice.invoiceType === 'STORNO' ? 'storno-invoice' : ''}">
-                            <td>
-                                <label class="checkbox-label">
-                                    <input type="checkbox" 
-                                           class="invoice-checkbox" 
-                                           value="${invoice.id}">
-                                    <span class="checkbox-custom"></span>
-                                </label>
-                            </td>
-                            <td>
-                                <a href="#" onclick="invoicesApp.viewInvoiceDetails(${invoice.id}); return false;" 
-                                   class="invoice-number-link">
-                                    ${invoice.invoiceNumber}
-                                    <!-- ✅ NEW: Storno badge -->
-                                    ${invoice.invoiceType === 'STORNO' ? '<span class="storno-badge">STORNO</span>' : ''}
-                                    <!-- ✅ NEW: Cancelled badge -->
-                                    ${invoice.isCancelled ? '<span class="cancelled-badge">ÉRVÉNYTELEN</span>' : ''}
-                                </a>
-                                <!-- ✅ NEW: Original invoice reference -->
-                                ${invoice.originalInvoiceNumber ? `<div class="invoice-reference">Eredeti: ${invoice.originalInvoiceNumber}</div>` : ''}
-                            </td>
-                            <td>${this.formatDate(invoice.createdAt, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</td>
-                            <td>${this.escapeHtml(invoice.customerName)}</td>
-                            <td>
-                                <span class="order-type-badge ${invoice.orderType?.toLowerCase() || 'pickup'}">
-                                    <i class="fas fa-${invoice.orderType === 'DELIVERY' ? 'truck' : 'store'}"></i>
-                                    ${invoice.orderType === 'DELIVERY' ? 'Szállítás' : 'Elvitel'}
-                                </span>
-                            </td>
-                            <td>
-                                <span class="payment-method-badge ${invoice.paymentMethod.toLowerCase()}">
-                                    <i class="fas fa-${invoice.paymentMethod === 'CARD' ? 'credit-card' : 'money-bill-wave'}"></i>
-                                    ${invoice.paymentMethod === 'CARD' ? 'Kártya' : 'Készpénz'}
-                                </span>
-                            </td>
-                            <td class="amount-cell">${this.formatCurrency(invoice.totalGross)}</td>
-                            <td>
-                                <div class="action-buttons">
-                                    <button class="btn-icon btn-info" 
-                                            onclick="invoicesApp.viewInvoiceDetails(${invoice.id})"
-                                            title="Megtekintés">
-                                        <i class="fas fa-eye"></i>
-                                    </button>
-                                    <button class="btn-icon btn-primary" 
-                                            onclick="invoicesApp.downloadInvoice(${invoice.id})"
-                                            title="PDF letöltés">
-                                        <i class="fas fa-download"></i>
-                                    </button>
-                                    <button class="btn-icon btn-success" 
-                                            onclick="invoicesApp.emailInvoice(${invoice.id})"
-                                            title="Email küldés">
-                                        <i class="fas fa-envelope"></i>
-                                    </button>
-                                </div>
-                            </td>
-                        </tr>
-                    `).join('')}
-                </tbody>
-            </table>
-        </div>
-    `;
+    setupEventListeners() {
+        const searchInput = document.getElementById('loyaltySearch');
+        if (searchInput) {
+            searchInput.addEventListener('input', (e) => {
+                clearTimeout(this.searchTimeout);
+                this.searchTimeout = setTimeout(() => {
+                    this.state.search = e.target.value.trim();
+                    this.loadCustomers();
+                }, 300);
+            });
+        }
 
-    // Setup table interactions
-    this.setupTableInteractions();
-    this.renderPagination();
-}
+        // Modal close
+        const modal = document.getElementById('loyaltyAdjustModal');
+        const closeBtn = modal?.querySelector('.modal-close');
+        const backdrop = modal?.querySelector('.modal-backdrop');
+        const cancelBtn = document.getElementById('cancelLoyaltyAdjustBtn');
 
-    setupTableInteractions() {
-        // Select all checkbox
-        const selectAllCheckbox = document.getElementById('selectAllInvoices');
-        if (selectAllCheckbox) {
-            selectAllCheckbox.addEventListener('change', (e) => {
-                const checkboxes = document.querySelectorAll('.invoice-checkbox');
-                checkboxes.forEach(checkbox => {
-                    checkbox.checked = e.target.checked;
-                    if (e.target.checked) {
-                        this.state.selectedInvoices.add(parseInt(checkbox.value));
-                    } else {
-                        this.state.selectedInvoices.delete(parseInt(checkbox.value));
-                    }
+        [closeBtn, backdrop, cancelBtn].forEach(btn => {
+            if (btn) {
+                btn.addEventListener('click', () => {
+                    this.hideAdjustModal();
                 });
-                this.updateBulkActionButtons();
+            }
+        });
+
+        const saveBtn = document.getElementById('saveLoyaltyAdjustBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.saveAdjustment();
             });
         }
+    }
 
-        // Individual checkboxes
-        document.querySelectorAll('.invoice-checkbox').forEach(checkbox => {
-            checkbox.addEventListener('change', (e) => {
-                const invoiceId = parseInt(e.target.value);
-                if (e.target.checked) {
-                    this.state.selectedInvoices.add(invoiceId);
-                } else {
-                    this.state.selectedInvoices.delete(invoiceId);
-                }
-                this.updateBulkActionButtons();
-                
-                // Update select all checkbox
-                const selectAllCheckbox = document.getElementById('selectAllInvoices');
-                if (selectAllCheckbox) {
-                    const allCheckboxes = document.querySelectorAll('.invoice-checkbox');
-                    const checkedCheckboxes = document.querySelectorAll('.invoice-checkbox:checked');
-                    selectAllCheckbox.checked = allCheckboxes.length === checkedCheckboxes.length;
-                    selectAllCheckbox.indeterminate = checkedCheckboxes.length > 0 && checkedCheckboxes.length < allCheckboxes.length;
-                }
-            });
-        });
+    showAdjustModal() {
+        const modal = document.getElementById('loyaltyAdjustModal');
+        if (modal) {
+            modal.classList.add('active');
+        }
     }
 
-    updateBulkActionButtons() {
-        const selectedCount = this.state.selectedInvoices.size;
-        const bulkDownloadBtn = document.getElementById('bulkDownloadBtn');
-        const bulkEmailBtn = document.getElementById('bulkEmailBtn');
+    hideAdjustModal() {
+        const modal = document.getElementById('loyaltyAdjustModal');
+        const form = document.getElementById('loyaltyAdjustForm');
 
-        if (bulkDownloadBtn) {
-            bulkDownloadBtn.disabled = selectedCount === 0;
-            bulkDownloadBtn.textContent = selectedCount > 0 ? 
-                `${selectedCount} kijelölt letöltése` : 'Kijelöltek letöltése';
+        if (modal) {
+            modal.classList.remove('active');
         }
 
-        if (bulkEmailBtn) {
-            bulkEmailBtn.disabled = selectedCount === 0;
-            bulkEmailBtn.textContent = selectedCount > 0 ? 
-                `${selectedCount} kijelölt emailezése` : 'Kijelöltek emailezése';
+        if (form) {
+            form.reset();
         }
     }
 
-    renderPagination() {
-        const container = document.getElementById('paginationContainer');
-        if (!container) return;
+    /**
+     * Manual credit or deduction - recorded in the ledger with the reason
+     */
+    async saveAdjustment() {
+        const customer = this.state.selectedCustomer;
+        if (!customer) return;
 
-        const totalPages = Math.ceil(this.state.totalInvoices / this.config.itemsPerPage);
-        
-        if (totalPages <= 1) {
-            container.innerHTML = '';
+        const points = Number(document.getElementById('loyaltyAdjustPoints')?.value);
+        const reason = document.getElementById('loyaltyAdjustReason')?.value.trim();
+
+        if (!Number.isInteger(points) || points === 0) {
+            this.showNotification('Adjon meg egy nem nulla egész pontszámot', 'error');
+            return;
+        }
+        if (!reason) {
+            this.showNotification('Az indoklás megadása kötelező', 'error');
+            return;
+        }
+        if (customer.balance + points < 0) {
+            this.showNotification('Az egyenleg nem lehet negatív', 'error');
             return;
         }
 
-        const currentPage = this.state.currentPage;
-        let paginationHTML = '<div class="pagination">';
+        try {
+            const response = await this.apiCall(`/loyalty/customers/${customer.id}/adjustments`, {
+                method: 'POST',
+                body: JSON.stringify({ points, reason })
+            });
+
+            if (response.success) {
+                this.showNotification('Pontok módosítva', 'success');
+                this.hideAdjustModal();
+                customer.balance = response.data?.balance ?? customer.balance + points;
+                this.renderCustomerList();
+                await this.loadLedger();
+            }
+        } catch (error) {
+            console.error('Failed to adjust loyalty points:', error);
+            this.showNotification('Nem sikerült módosítani a pontokat', 'error');
+        }
+    }
+
+    async refresh() {
+        await this.loadCustomers();
+        await this.loadLedger();
+    }
+}
+
+/**
+ * Settings App
+ * Restaurant settings - opening hours, date-based exceptions, slot capacity and delivery zones
+ */
+class SettingsApp extends BaseApp {
+    constructor() {
+        super('settings');
+        this.state = {
+            schedule: null,
+            zones: null,
+            prepTimes: null,
+            slotCapacity: null,
+            drawing: null, // { index, points } while a delivery area is being drawn
+            isSaving: false,
+            dirty: new Set() // Sections with unsaved changes
+        };
+
+        // Reuse the customer-side parsers so admin and website agree on the format
+        this.scheduleHelper = new OpeningSchedule();
+        this.zonesHelper = new DeliveryZones();
+        this.prepTimesHelper = new PrepTimes();
+        this.capacityHelper = new SlotCapacity();
+
+        // Delivery area map (Leaflet)
+        this.map = null;
+        this.areaLayers = null;
+        this.draftLayer = null;
+        this.restaurantLocation = { lat: 47.7648, lng: 18.1281 }; // Komárno coordinates
+
+        // Monday first, values are Date.getDay() indexes
+        this.weekDays = [
+            { index: 1, name: 'Hétfő' },
+            { index: 2, name: 'Kedd' },
+            { index: 3, name: 'Szerda' },
+            { index: 4, name: 'Csütörtök' },
+            { index: 5, name: 'Péntek' },
+            { index: 6, name: 'Szombat' },
+            { index: 0, name: 'Vasárnap' }
+        ];
+    }
+
+    async initialize() {
+        console.log('⚙️ Initializing Settings App...');
+
+        this.render();
+        this.setupEventListeners();
+        await Promise.all([
+            this.loadOpeningHours(),
+            this.loadDeliveryZones(),
+            this.loadPrepTimes(),
+            this.loadSlotCapacity()
+        ]);
+    }
+
+    // ============================================
+    // RENDERING
+    // ============================================
+
+    /**
+     * Render the settings layout
+     */
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="settings-header">
+                <div class="settings-title">
+                    <h2>⚙️ Beállítások</h2>
+                    <p>Nyitvatartás, ünnepnapok, kapacitás, kiszállítási zónák és elkészítési idők</p>
+                </div>
+                <button class="btn-primary" id="saveSettingsBtn" disabled>
+                    <i class="fas fa-save"></i>
+                    Mentés
+                </button>
+            </div>
+
+            <div class="settings-sections">
+                <section class="settings-section" id="openingHoursSection">
+                    <div class="settings-section-header">
+                        <h3><i class="fas fa-clock"></i> Heti nyitvatartás</h3>
+                        <div class="form-group settings-inline-field">
+                            <label for="orderCutoffMinutes">Online rendelés lezárása zárás előtt (perc)</label>
+                            <input type="number" id="orderCutoffMinutes" min="0" max="240" step="5">
+                        </div>
+                        <div class="form-group settings-inline-field">
+                            <label for="preorderDays">Előrendelés ennyi napra előre</label>
+                            <input type="number" id="preorderDays" min="0" max="14" step="1">
+                        </div>
+                    </div>
+                    <div class="weekly-hours" id="weeklyHours">
+                        <div class="loading-placeholder">
+                            <i class="fas fa-spinner fa-spin"></i>
+                            Nyitvatartás betöltése...
+                        </div>
+                    </div>
+                </section>
+
+                <section class="settings-section" id="exceptionsSection">
+                    <div class="settings-section-header">
+                        <h3><i class="fas fa-calendar-times"></i> Kivételek és ünnepnapok</h3>
+                        <button class="btn-secondary" data-action="add-exception">
+                            <i class="fas fa-plus"></i>
+                            Új kivétel
+                        </button>
+                    </div>
+                    <p class="settings-hint">
+                        Egy adott napra a kivétel felülírja a heti nyitvatartást. Az indoklás megjelenik a vásárlóknak a zárva oldalon.
+                    </p>
+                    <div class="exceptions-list" id="exceptionsList"></div>
+                </section>
+
+                <section class="settings-section" id="slotCapacitySection">
+                    <div class="settings-section-header">
+                        <h3><i class="fas fa-users"></i> Időpontok kapacitása</h3>
+                    </div>
+                    <p class="settings-hint">
+                        Egy 15 perces időpontra legfeljebb ennyi rendelés, illetve tétel fogadható el átvételre és kiszállításra együtt. A betelt időpontok a pénztárban kiszürkítve jelennek meg. 0 = nincs korlát.
+                    </p>
+                    <div class="weekly-hours" id="slotCapacityList">
+                        <div class="loading-placeholder">
+                            <i class="fas fa-spinner fa-spin"></i>
+                            Kapacitás betöltése...
+                        </div>
+                    </div>
+                </section>
+
+                <section class="settings-section" id="deliveryZonesSection">
+                    <div class="settings-section-header">
+                        <h3><i class="fas fa-truck"></i> Kiszállítási zónák</h3>
+                        <button class="btn-secondary" data-action="add-zone">
+                            <i class="fas fa-plus"></i>
+                            Új zóna
+                        </button>
+                    </div>
+                    <p class="settings-hint">
+                        Irányítószám alapú zónák vagy távolsági gyűrűk az étteremtől. Az irányítószám zóna elsőbbséget élvez, gyűrűk közül a legkisebb érvényes.
+                    </p>
+                    <div class="zones-list" id="zonesList">
+                        <div class="loading-placeholder">
+                            <i class="fas fa-spinner fa-spin"></i>
+                            Zónák betöltése...
+                        </div>
+                    </div>
+                </section>
+
+                <section class="settings-section" id="deliveryAreasSection">
+                    <div class="settings-section-header">
+                        <h3><i class="fas fa-draw-polygon"></i> Kiszállítási területek térképen</h3>
+                    </div>
+                    <p class="settings-hint">
+                        A "Térképen rajzolt terület" típusú zónák határát itt rajzolhatja meg. A rajzolt terület elsőbbséget élvez az irányítószámmal szemben.
+                    </p>
+                    <div class="draw-toolbar" id="drawToolbar">
+                        <span id="drawToolbarLabel"></span>
+                        <div class="draw-toolbar-actions">
+                            <button class="btn-secondary" data-action="undo-point">
+                                <i class="fas fa-undo"></i>
+                                Utolsó pont
+                            </button>
+                            <button class="btn-secondary" data-action="cancel-drawing">
+                                Mégse
+                            </button>
+                            <button class="btn-primary" data-action="finish-drawing">
+                                <i class="fas fa-check"></i>
+                                Kész
+                            </button>
+                        </div>
+                    </div>
+                    <div class="delivery-areas-map" id="deliveryAreasMap"></div>
+                </section>
 
-        // Previous button
-        if (currentPage > 1) {
-            paginationHTML += `
-                <button class="pagination-btn" onclick="invoicesApp.goToPage(${currentPage - 1})">
-                    <i class="fas fa-chevron-left"></i>
-                </button>
-            `;
-        }
+                <section class="settings-section" id="prepTimesSection">
+                    <div class="settings-section-header">
+                        <h3><i class="fas fa-stopwatch"></i> Elkészítési idők</h3>
+                    </div>
+                    <p class="settings-hint">
+                        A javasolt idő = alapidő + tételenként (az elsőn felül) + minden konyhán lévő rendelés után, 5 percre kerekítve.
+                    </p>
+                    <div id="prepTimesSettings">
+                        <div class="loading-placeholder">
+                            <i class="fas fa-spinner fa-spin"></i>
+                            Elkészítési idők betöltése...
+                        </div>
+                    </div>
+                </section>
 
-        // Page numbers
-        const startPage = Math.max(1, currentPage - 2);
-        const endPage = Math.min(totalPages, currentPage + 2);
+                <section class="settings-section" id="autoAcceptSection">
+                    <div class="settings-section-header">
+                        <h3><i class="fas fa-robot"></i> Automatikus elfogadás</h3>
+                        <button class="btn-secondary" data-action="add-accept-rule">
+                            <i class="fas fa-plus"></i>
+                            Új szabály
+                        </button>
+                    </div>
+                    <p class="settings-hint">
+                        Az új rendelést a javasolt idővel fogadja el a rendszer, ha bármelyik aktív szabály illik rá. Előrendelést mindig kézzel kell elfogadni.
+                    </p>
+                    <div class="accept-rules-list" id="acceptRulesList"></div>
+                </section>
+
+                <section class="settings-section" id="orderAlertsSection">
+                    <div class="settings-section-header">
+                        <h3><i class="fas fa-bell"></i> Elfogadatlan rendelések</h3>
+                    </div>
+                    <p class="settings-hint">
+                        Amíg van el nem fogadott rendelés, a hang ismétlődik és a fül címe villog. A határidő után a rendelés pirosan jelenik meg és bekerül a vezetői naplóba.
+                    </p>
+                    <div id="orderAlertsSettings"></div>
+                </section>
+            </div>
+        `;
+    }
 
-        if (startPage > 1) {
-            paginationHTML += `<button class="pagination-btn" onclick="invoicesApp.goToPage(1)">1</button>`;
-            if (startPage > 2) {
-                paginationHTML += `<span class="pagination-ellipsis">...</span>`;
-            }
-        }
+    /**
+     * Render the weekly schedule editor
+     */
+    renderWeeklyHours() {
+        const container = document.getElementById('weeklyHours');
+        if (!container || !this.state.schedule) return;
 
-        for (let i = startPage; i <= endPage; i++) {
-            paginationHTML += `
-                <button class="pagination-btn ${i === currentPage ? 'active' : ''}" 
-                        onclick="invoicesApp.goToPage(${i})">
-                    ${i}
-                </button>
+        container.innerHTML = this.weekDays.map(day => {
+            const shifts = this.state.schedule.weekly[day.index];
+
+            return `
+                <div class="weekly-day ${shifts.length === 0 ? 'closed' : ''}">
+                    <div class="weekly-day-name">${day.name}</div>
+                    <div class="weekly-day-shifts">
+                        ${shifts.length === 0 ? '<span class="closed-label">Zárva</span>' : ''}
+                        ${shifts.map((shift, shiftIndex) => this.renderShiftRow(shift, {
+                            scope: 'weekly', day: day.index, shift: shiftIndex
+                        })).join('')}
+                    </div>
+                    <button class="btn-icon btn-info" data-action="add-shift" data-scope="weekly" data-day="${day.index}" title="Műszak hozzáadása">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                </div>
             `;
-        }
+        }).join('');
 
-        if (endPage < totalPages) {
-            if (endPage < totalPages - 1) {
-                paginationHTML += `<span class="pagination-ellipsis">...</span>`;
-            }
-            paginationHTML += `<button class="pagination-btn" onclick="invoicesApp.goToPage(${totalPages})">${totalPages}</button>`;
+        const cutoffInput = document.getElementById('orderCutoffMinutes');
+        if (cutoffInput) {
+            cutoffInput.value = this.state.schedule.orderCutoffMinutes;
         }
 
-        // Next button
-        if (currentPage < totalPages) {
-            paginationHTML += `
-                <button class="pagination-btn" onclick="invoicesApp.goToPage(${currentPage + 1})">
-                    <i class="fas fa-chevron-right"></i>
-                </button>
-            `;
+        const preorderInput = document.getElementById('preorderDays');
+        if (preorderInput) {
+            preorderInput.value = this.state.schedule.preorderDays;
         }
-
-        paginationHTML += '</div>';
-        container.innerHTML = paginationHTML;
-    }
-
-    async goToPage(page) {
-        this.state.currentPage = page;
-        await this.loadInvoices();
-        this.renderInvoicesTable();
     }
 
-    setupDateSelectors() {
-        const currentYear = new Date().getFullYear();
-        const currentMonth = new Date().getMonth();
+    /**
+     * Render the per-weekday slot limits
+     */
+    renderSlotCapacity() {
+        const container = document.getElementById('slotCapacityList');
+        if (!container || !this.state.slotCapacity) return;
 
-        // Month options
-        const months = [
-            'Január', 'Február', 'Március', 'Április', 'Május', 'Június',
-            'Július', 'Augusztus', 'Szeptember', 'Október', 'November', 'December'
-        ];
+        container.innerHTML = this.weekDays.map(day => {
+            const limits = this.state.slotCapacity.weekly[day.index];
 
-        // Populate export month selectors
-        const exportMonthSelectors = ['exportMonth', 'monthlyReportMonth'];
-        exportMonthSelectors.forEach(id => {
-            const select = document.getElementById(id);
-            if (select) {
-                select.innerHTML = months.map((month, index) => 
-                    `<option value="${index + 1}" ${index === currentMonth ? 'selected' : ''}>
-                        ${month}
-                    </option>`
-                ).join('');
-            }
-        });
-        
-        // Populate year selectors
-        const yearSelectors = ['exportYear', 'monthlyReportYear'];
-        yearSelectors.forEach(id => {
-            const select = document.getElementById(id);
-            if (select) {
-                const years = [];
-                for (let year = currentYear; year >= currentYear - 5; year--) {
-                    years.push(`<option value="${year}" ${year === currentYear ? 'selected' : ''}>${year}</option>`);
-                }
-                select.innerHTML = years.join('');
-            }
-        });
+            return `
+                <div class="weekly-day">
+                    <div class="weekly-day-name">${day.name}</div>
+                    <div class="weekly-day-shifts">
+                        <label class="capacity-field">
+                            Max. rendelés
+                            <input type="number" value="${limits.maxOrders}" min="0" step="1" data-capacity-day="${day.index}" data-field="maxOrders">
+                        </label>
+                        <label class="capacity-field">
+                            Max. tétel
+                            <input type="number" value="${limits.maxItems}" min="0" step="1" data-capacity-day="${day.index}" data-field="maxItems">
+                        </label>
+                    </div>
+                </div>
+            `;
+        }).join('');
     }
 
-    renderReportsSection() {
-        // Reports section is already rendered in the main render method
-        // This method can be used for dynamic updates if needed
-        console.log('Reports section is ready');
-    }
+    /**
+     * Render one open/close pair with its data attributes
+     */
+    renderShiftRow(shift, target) {
+        const dataAttrs = Object.entries(target)
+            .map(([key, value]) => `data-${key}="${value}"`)
+            .join(' ');
 
-    // Invoice Detail Methods
-    async viewInvoiceDetails(invoiceId) {
-        try {
-            this.showLoading();
-            
-            const response = await this.apiCall(`/invoices/${invoiceId}`);
-            
-            if (response.success) {
-                this.renderInvoiceModal(response.data);
-                this.showInvoiceModal();
-            } else {
-                throw new Error(response.error || 'Failed to load invoice details');
-            }
-            
-        } catch (error) {
-            console.error('Failed to load invoice details:', error);
-            this.showNotification('Nem sikerült betölteni a számla részleteit', 'error');
-        } finally {
-            this.hideLoading();
-        }
+        return `
+            <div class="shift-row">
+                <input type="time" value="${shift.open}" data-field="open" ${dataAttrs}>
+                <span>–</span>
+                <input type="time" value="${shift.close}" data-field="close" ${dataAttrs}>
+                <button class="btn-icon btn-danger" data-action="remove-shift" ${dataAttrs} title="Műszak törlése">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
     }
 
-    renderInvoiceModal(invoice) {
-        const modalTitle = document.getElementById('invoiceModalTitle');
-        const invoicePreview = document.getElementById('invoicePreview');
+    /**
+     * Render the exceptions list, upcoming dates first
+     */
+    renderExceptions() {
+        const container = document.getElementById('exceptionsList');
+        if (!container || !this.state.schedule) return;
 
-        if (modalTitle) {
-            modalTitle.textContent = `Számla részletei - ${invoice.invoiceNumber}`;
+        const exceptions = this.state.schedule.exceptions;
+
+        if (exceptions.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-calendar-check"></i>
+                    <h3>Nincsenek kivételek</h3>
+                    <p>Adjon hozzá ünnepnapot, zártkörű rendezvényt vagy szabadságot.</p>
+                </div>
+            `;
+            return;
         }
 
-        if (invoicePreview) {
-            invoicePreview.innerHTML = `
-                <div class="invoice-details">
-                    <div class="invoice-header-info">
-                        <div class="invoice-meta">
-                            <h4>Alapadatok</h4>
-                            <div class="meta-grid">
-                                <div class="meta-item">
-                                    <label>Számla száma:</label>
-                                    <span>${invoice.invoiceNumber}</span>
-                                </div>
-                                <div class="meta-item">
-                                    <label>Kiállítás dátuma:</label>
-                                    <span>${this.formatDate(invoice.createdAt)}</span>
-                                </div>
-                                <div class="meta-item">
-                                    <label>Esedékesség:</label>
-                                    <span>${this.formatDate(invoice.dueDate || invoice.createdAt)}</span>
-                                </div>
-                                <div class="meta-item">
-                                    <label>Rendelés típus:</label>
-                                    <span class="order-type-badge ${invoice.orderType?.toLowerCase() || 'pickup'}">
-                                        <i class="fas fa-${invoice.orderType === 'DELIVERY' ? 'truck' : 'store'}"></i>
-                                        ${invoice.orderType === 'DELIVERY' ? 'Szállítás' : 'Elvitel'}
-                                    </span>
-                                </div>
-                                <div class="meta-item">
-                                    <label>Fizetési mód:</label>
-                                    <span class="payment-method-badge ${invoice.paymentMethod.toLowerCase()}">
-                                        <i class="fas fa-${invoice.paymentMethod === 'CARD' ? 'credit-card' : 'money-bill-wave'}"></i>
-                                        ${invoice.paymentMethod === 'CARD' ? 'Kártya' : 'Készpénz'}
-                                    </span>
-                                </div>
-                            </div>
-                        </div>
+        const todayKey = this.scheduleHelper.toDateKey(new Date());
 
-                        <div class="customer-info">
-                            <h4>Ügyfél adatok</h4>
-                            <div class="customer-details">
-                                <p><strong>Név:</strong> ${this.escapeHtml(invoice.customerName)}</p>
-                                ${invoice.customerEmail ? `<p><strong>Email:</strong> ${this.escapeHtml(invoice.customerEmail)}</p>` : ''}
-                                ${invoice.customerPhone ? `<p><strong>Telefon:</strong> ${this.escapeHtml(invoice.customerPhone)}</p>` : ''}
-                                ${invoice.customerAddress ? `<p><strong>Cím:</strong> ${this.escapeHtml(invoice.customerAddress)}</p>` : ''}
-                            </div>
-                        </div>
+        container.innerHTML = exceptions.map((exception, index) => `
+            <div class="exception-card ${exception.date < todayKey ? 'past' : ''}">
+                <div class="exception-main">
+                    <div class="form-group">
+                        <label>Dátum</label>
+                        <input type="date" value="${exception.date}" data-exception="${index}" data-field="date">
+                    </div>
+                    <div class="form-group exception-reason">
+                        <label>Indoklás (vásárlóknak látható)</label>
+                        <input type="text" value="${this.escapeHtml(exception.reason)}" maxlength="120"
+                               placeholder="pl. Karácsony, zártkörű rendezvény" data-exception="${index}" data-field="reason">
+                    </div>
+                    <label class="exception-closed-toggle">
+                        <input type="checkbox" ${exception.closed ? 'checked' : ''} data-exception="${index}" data-field="closed">
+                        Egész nap zárva
+                    </label>
+                    <button class="btn-icon btn-danger" data-action="remove-exception" data-exception="${index}" title="Kivétel törlése">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                ${exception.closed ? '' : `
+                    <div class="exception-shifts">
+                        ${exception.shifts.map((shift, shiftIndex) => this.renderShiftRow(shift, {
+                            scope: 'exception', exception: index, shift: shiftIndex
+                        })).join('')}
+                        <button class="btn-secondary" data-action="add-shift" data-scope="exception" data-exception="${index}">
+                            <i class="fas fa-plus"></i>
+                            Műszak
+                        </button>
                     </div>
+                `}
+            </div>
+        `).join('');
+    }
 
-                    <div class="invoice-items">
-                        <h4>Rendelés tételek</h4>
-                        <div class="items-table">
-                            <table>
-                                <thead>
-                                    <tr>
-                                        <th>Termék</th>
-                                        <th>Mennyiség</th>
-                                        <th>Egységár</th>
-                                        <th>Összeg</th>
-                                    </tr>
-                                </thead>
-                                <tbody>
-                                    ${invoice.items?.map(item => `
-                                        <tr>
-                                            <td>
-                                                <div class="item-details">
-                                                    <strong>${this.escapeHtml(item.name)}</strong>
-                                                    ${item.customizations?.length ? `
-                                                        <div class="customizations">
-                                                            ${item.customizations.map(custom => 
-                                                                `<span class="customization">${this.escapeHtml(custom.name)}</span>`
-                                                            ).join('')}
-                                                        </div>
-                                                    ` : ''}
-                                                </div>
-                                            </td>
-                                            <td>${item.quantity}</td>
-                                            <td>${this.formatCurrency(item.price)}</td>
-                                            <td>${this.formatCurrency(item.quantity * item.price)}</td>
-                                        </tr>
-                                    `).join('') || '<tr><td colspan="4">Nincsenek tételek</td></tr>'}
-                                </tbody>
-                            </table>
-                        </div>
+    /**
+     * Render the delivery zone editor
+     */
+    renderDeliveryZones() {
+        const container = document.getElementById('zonesList');
+        if (!container || !this.state.zones) return;
+
+        if (this.state.zones.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-map-marked-alt"></i>
+                    <h3>Nincsenek kiszállítási zónák</h3>
+                    <p>Zóna nélkül a vásárlók csak személyes átvételt választhatnak.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.state.zones.map((zone, index) => `
+            <div class="zone-card ${zone.active ? '' : 'inactive'}">
+                <div class="form-grid zone-grid">
+                    <div class="form-group">
+                        <label>Zóna neve</label>
+                        <input type="text" value="${this.escapeHtml(zone.name)}" maxlength="60" data-zone="${index}" data-field="name">
+                    </div>
+                    <div class="form-group">
+                        <label>Típus</label>
+                        <select data-zone="${index}" data-field="type">
+                            <option value="postal" ${zone.type === 'postal' ? 'selected' : ''}>Irányítószámok</option>
+                            <option value="distance" ${zone.type === 'distance' ? 'selected' : ''}>Távolság az étteremtől</option>
+                            <option value="polygon" ${zone.type === 'polygon' ? 'selected' : ''}>Térképen rajzolt terület</option>
+                        </select>
+                    </div>
+                    ${this.renderZoneAreaField(zone, index)}
+                    <div class="form-group">
+                        <label>Kiszállítási díj (€)</label>
+                        <input type="number" value="${zone.fee}" min="0" step="0.10" data-zone="${index}" data-field="fee">
                     </div>
+                    <div class="form-group">
+                        <label>Minimum rendelés (€)</label>
+                        <input type="number" value="${zone.minOrderAmount}" min="0" step="0.50" data-zone="${index}" data-field="minOrderAmount">
+                    </div>
+                    <div class="form-group">
+                        <label>Várható kiszállítás (perc)</label>
+                        <input type="number" value="${zone.etaMinutes || ''}" min="5" step="5" data-zone="${index}" data-field="etaMinutes">
+                    </div>
+                </div>
+                <div class="zone-actions">
+                    <label class="exception-closed-toggle">
+                        <input type="checkbox" ${zone.active ? 'checked' : ''} data-zone="${index}" data-field="active">
+                        Aktív
+                    </label>
+                    <button class="btn-icon btn-danger" data-action="remove-zone" data-zone="${index}" title="Zóna törlése">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
 
-                    <div class="invoice-totals">
-                        <div class="totals-section">
-                            ${invoice.subtotal ? `
-                                <div class="total-row">
-                                    <span>Részösszeg (tételek):</span>
-                                    <span>${this.formatCurrency(invoice.subtotal)}</span>
-                                </div>
-                            ` : ''}
-                            ${invoice.deliveryFee && invoice.deliveryFee > 0 ? `
-                                <div class="total-row">
-                                    <span>Szállítási díj:</span>
-                                    <span>${this.formatCurrency(invoice.deliveryFee)}</span>
-                                </div>
-                            ` : ''}
-                            ${invoice.packagingFee > 0 ? `
-                                <div class="total-row">
-                                    <span>Csomagolási díj:</span>
-                                    <span>${this.formatCurrency(invoice.packagingFee)}</span>
-                                </div>
-                            ` : ''}
-                            <div class="total-row subtotal-line">
-                                <span>Nettó összeg:</span>
-                                <span>${this.formatCurrency(invoice.totalNet || 0)}</span>
-                            </div>
-                            <div class="total-row">
-                                <span>ÁFA (${invoice.vatRate || 27}%):</span>
-                                <span>${this.formatCurrency(invoice.totalVat || 0)}</span>
-                            </div>
-                            <div class="total-row final-total">
-                                <span><strong>Végösszeg:</strong></span>
-                                <span><strong>${this.formatCurrency(invoice.totalGross)}</strong></span>
-                            </div>
+        this.renderDeliveryAreas();
+    }
+
+    /**
+     * Type-specific field of a zone card
+     */
+    renderZoneAreaField(zone, index) {
+        switch (zone.type) {
+            case 'distance':
+                return `
+                    <div class="form-group">
+                        <label>Maximális távolság (km)</label>
+                        <input type="number" value="${zone.maxDistanceKm || ''}" min="0.5" step="0.5" data-zone="${index}" data-field="maxDistanceKm">
+                    </div>
+                `;
+            case 'polygon': {
+                const pointCount = zone.geometry ? zone.geometry.coordinates[0].length - 1 : 0;
+                return `
+                    <div class="form-group zone-wide">
+                        <label>Terület</label>
+                        <div class="zone-area-status">
+                            <span>${pointCount > 0 ? `${pointCount} pontos terület` : 'Még nincs megrajzolva'}</span>
+                            <button class="btn-secondary" data-action="draw-zone" data-zone="${index}">
+                                <i class="fas fa-draw-polygon"></i>
+                                ${pointCount > 0 ? 'Újrarajzolás' : 'Rajzolás a térképen'}
+                            </button>
                         </div>
                     </div>
+                `;
+            }
+            default:
+                return `
+                    <div class="form-group zone-wide">
+                        <label>Irányítószámok (vesszővel elválasztva)</label>
+                        <input type="text" value="${zone.postalCodes.join(', ')}" placeholder="94501, 94504" data-zone="${index}" data-field="postalCodes">
+                    </div>
+                `;
+        }
+    }
+
+    /**
+     * Render the prep-time presets and suggestion inputs
+     */
+    renderPrepTimes() {
+        const container = document.getElementById('prepTimesSettings');
+        if (!container || !this.state.prepTimes) return;
+
+        const { presets, suggestion, preorders } = this.state.prepTimes;
+
+        container.innerHTML = `
+            <div class="form-grid prep-times-grid">
+                <div class="form-group zone-wide">
+                    <label>Gyors választás elfogadáskor (perc, vesszővel elválasztva)</label>
+                    <input type="text" value="${presets.join(', ')}" placeholder="10, 15, 20, 25" data-prep="presets">
+                </div>
+                <div class="form-group">
+                    <label>Maximális javasolt idő (perc)</label>
+                    <input type="number" value="${suggestion.maxMinutes}" min="5" max="480" step="5" data-prep="maxMinutes">
+                </div>
+                <div class="form-group">
+                    <label>Alapidő (perc)</label>
+                    <input type="number" value="${suggestion.baseMinutes}" min="5" step="1" data-prep="baseMinutes">
+                </div>
+                <div class="form-group">
+                    <label>Tételenként (perc)</label>
+                    <input type="number" value="${suggestion.perItemMinutes}" min="0" step="0.5" data-prep="perItemMinutes">
+                </div>
+                <div class="form-group">
+                    <label>Konyhán lévő rendelésenként (perc)</label>
+                    <input type="number" value="${suggestion.perQueuedOrderMinutes}" min="0" step="0.5" data-prep="perQueuedOrderMinutes">
+                </div>
+                <div class="form-group">
+                    <label>Előrendelés a konyhára ennyivel előtte (perc)</label>
+                    <input type="number" value="${preorders.releaseMinutes}" min="15" max="480" step="5" data-prep="releaseMinutes">
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the repeating alert and escalation inputs
+     */
+    renderOrderAlerts() {
+        const container = document.getElementById('orderAlertsSettings');
+        if (!container || !this.state.prepTimes) return;
+
+        const { alerts } = this.state.prepTimes;
+
+        container.innerHTML = `
+            <div class="form-grid prep-times-grid">
+                <div class="form-group">
+                    <label>Hangjelzés ismétlése (másodperc)</label>
+                    <input type="number" value="${alerts.repeatSeconds}" min="5" max="300" step="5" data-alert="repeatSeconds">
+                </div>
+                <div class="form-group">
+                    <label>Riasztás ennyi várakozás után (perc)</label>
+                    <input type="number" value="${alerts.escalateAfterMinutes}" min="1" max="60" step="1" data-alert="escalateAfterMinutes">
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the auto-accept rules
+     */
+    renderAcceptRules() {
+        const container = document.getElementById('acceptRulesList');
+        if (!container || !this.state.prepTimes) return;
+
+        const rules = this.state.prepTimes.autoAcceptRules;
+
+        if (rules.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-hand-paper"></i>
+                    <h3>Nincs automatikus elfogadás</h3>
+                    <p>Minden rendelést a személyzet fogad el kézzel.</p>
                 </div>
             `;
+            return;
         }
 
-        // Setup modal action buttons
-        this.setupInvoiceModalActions(invoice);
+        container.innerHTML = rules.map((rule, index) => `
+            <div class="zone-card ${rule.active ? '' : 'inactive'}">
+                <div class="form-grid zone-grid">
+                    <div class="form-group">
+                        <label>Szabály neve</label>
+                        <input type="text" value="${this.escapeHtml(rule.name)}" maxlength="60"
+                               placeholder="pl. Kis elviteles rendelések" data-rule="${index}" data-field="name">
+                    </div>
+                    <div class="form-group">
+                        <label>Rendelés típusa</label>
+                        <select data-rule="${index}" data-field="orderType">
+                            <option value="PICKUP" ${rule.orderType === 'PICKUP' ? 'selected' : ''}>Elvitel</option>
+                            <option value="DELIVERY" ${rule.orderType === 'DELIVERY' ? 'selected' : ''}>Kiszállítás</option>
+                            <option value="ANY" ${rule.orderType === 'ANY' ? 'selected' : ''}>Mindkettő</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Végösszeg kevesebb mint (€, 0 = nincs határ)</label>
+                        <input type="number" value="${rule.maxOrderTotal}" min="0" step="0.50" data-rule="${index}" data-field="maxOrderTotal">
+                    </div>
+                    <div class="form-group">
+                        <label>Konyhán lévő rendelések kevesebb mint (0 = nincs határ)</label>
+                        <input type="number" value="${rule.maxQueuedOrders}" min="0" step="1" data-rule="${index}" data-field="maxQueuedOrders">
+                    </div>
+                </div>
+                <div class="zone-actions">
+                    <label class="exception-closed-toggle">
+                        <input type="checkbox" ${rule.active ? 'checked' : ''} data-rule="${index}" data-field="active">
+                        Aktív
+                    </label>
+                    <button class="btn-icon btn-danger" data-action="remove-accept-rule" data-rule="${index}" title="Szabály törlése">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
     }
 
+    // ============================================
+    // DELIVERY AREA MAP
+    // ============================================
+
     /**
-     * Render Storno button if applicable
+     * Create the Leaflet map once the section is rendered
      */
-    renderStornoButton(invoice) {
-        // Only show Storno button for NORMAL invoices that aren't already cancelled
-        if (invoice.invoiceType === 'STORNO') {
-            return ''; // Don't show Storno button on Storno invoices
-        }
+    initDeliveryAreasMap() {
+        const mapContainer = document.getElementById('deliveryAreasMap');
+        if (!mapContainer || this.map) return;
 
-        // Check if invoice is already cancelled (has Storno)
-        if (invoice.isCancelled || invoice.hasStorno) {
-            return `
-                <button class="btn-danger" disabled title="Ez a számla már stornózva van">
-                    <i class="fas fa-ban"></i>
-                    Már stornózva
-                </button>
+        if (typeof L === 'undefined') {
+            mapContainer.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-map"></i>
+                    <h3>A térkép nem tölthető be</h3>
+                    <p>Ellenőrizze az internetkapcsolatot, majd frissítse az oldalt.</p>
+                </div>
             `;
+            return;
         }
 
-        // Show active Storno button
-        return `
-            <button class="btn-danger" id="generateStornoBtn">
-                <i class="fas fa-file-invoice"></i>
-                Stornó számla generálása
-            </button>
-        `;
+        const { lat, lng } = this.restaurantLocation;
+        this.map = L.map(mapContainer).setView([lat, lng], 13);
+
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            maxZoom: 19,
+            attribution: '&copy; OpenStreetMap'
+        }).addTo(this.map);
+
+        L.marker([lat, lng]).addTo(this.map).bindTooltip('Palace Cafe & Bar');
+
+        this.areaLayers = L.layerGroup().addTo(this.map);
+        this.draftLayer = L.layerGroup().addTo(this.map);
+
+        this.map.on('click', (e) => this.addDrawingPoint(e.latlng));
     }
 
-    setupInvoiceModalActions(invoice) {
-      // Clean up existing listeners
-      this.cleanupModalListeners();
-    
-      const modalActions = document.getElementById('invoiceModalActions');
-    
-      if (!modalActions) return;
-    
-      // ✅ Clear and rebuild all buttons at once
-      modalActions.innerHTML = `
-        <button class="btn-secondary" id="closeInvoiceModalBtn">
-          Bezárás
-        </button>
-        ${this.renderStornoButton(invoice)}
-        <button class="btn-info" id="downloadInvoiceBtn">
-          <i class="fas fa-download"></i>
-          PDF letöltés
-        </button>
-        <button class="btn-primary" id="emailInvoiceBtn">
-          <i class="fas fa-envelope"></i>
-          Email küldés
-        </button>
-        <button class="btn-success" id="viewOrderBtn">
-          <i class="fas fa-shopping-cart"></i>
-          Rendelés megtekintése
-        </button>
-      `;
-    
-      // Now setup all the event listeners
-      const downloadBtn = document.getElementById('downloadInvoiceBtn');
-      const emailBtn = document.getElementById('emailInvoiceBtn');
-      const viewOrderBtn = document.getElementById('viewOrderBtn');
-      const generateStornoBtn = document.getElementById('generateStornoBtn');
-      const closeBtn = document.getElementById('closeInvoiceModalBtn');
-      const modalCloseBtn = document.querySelector('#invoiceModal .modal-close');
-      const modalBackdrop = document.querySelector('#invoiceModal .modal-backdrop');
-    
-      // Download action
-      if (downloadBtn) {
-        const downloadHandler = () => this.downloadInvoice(invoice.id);
-        downloadBtn.addEventListener('click', downloadHandler);
-        this.modalEventListeners.push({ element: downloadBtn, event: 'click', handler: downloadHandler });
-      }
-  
-      // Storno generation action
-      if (generateStornoBtn) {
-        const stornoHandler = () => this.generateStornoInvoice(invoice);
-        generateStornoBtn.addEventListener('click', stornoHandler);
-        this.modalEventListeners.push({ element: generateStornoBtn, event: 'click', handler: stornoHandler });
-      }
-  
-      // Email action
-      if (emailBtn) {
-        const emailHandler = () => this.emailInvoice(invoice.id);
-        emailBtn.addEventListener('click', emailHandler);
-        this.modalEventListeners.push({ element: emailBtn, event: 'click', handler: emailHandler });
-      }
-  
-      // View order action
-      if (viewOrderBtn) {
-        const viewOrderHandler = () => this.viewRelatedOrder(invoice.orderId);
-        viewOrderBtn.addEventListener('click', viewOrderHandler);
-        this.modalEventListeners.push({ element: viewOrderBtn, event: 'click', handler: viewOrderHandler });
-      }
-  
-      // Close actions
-      const closeHandler = () => this.hideInvoiceModal();
-      
-      if (closeBtn) {
-        closeBtn.addEventListener('click', closeHandler);
-        this.modalEventListeners.push({ element: closeBtn, event: 'click', handler: closeHandler });
-      }
-  
-      if (modalCloseBtn) {
-        modalCloseBtn.addEventListener('click', closeHandler);
-        this.modalEventListeners.push({ element: modalCloseBtn, event: 'click', handler: closeHandler });
-      }
-  
-      if (modalBackdrop) {
-        modalBackdrop.addEventListener('click', closeHandler);
-        this.modalEventListeners.push({ element: modalBackdrop, event: 'click', handler: closeHandler });
-      }
+    /**
+     * Draw every polygon zone on the map
+     */
+    renderDeliveryAreas() {
+        this.initDeliveryAreasMap();
+        if (!this.map || !this.state.zones) return;
+
+        this.areaLayers.clearLayers();
+
+        this.state.zones.forEach((zone, index) => {
+            if (zone.type !== 'polygon' || !zone.geometry) return;
+            if (this.state.drawing?.index === index) return; // Shown as the draft instead
+
+            // GeoJSON stores [lng, lat], Leaflet expects [lat, lng]
+            const latLngs = zone.geometry.coordinates[0].map(([pointLng, pointLat]) => [pointLat, pointLng]);
+
+            L.polygon(latLngs, {
+                color: zone.active ? '#3498db' : '#bdc3c7',
+                weight: 2,
+                fillOpacity: 0.15
+            })
+                .bindTooltip(`${this.escapeHtml(zone.name || 'Névtelen zóna')} • €${zone.fee.toFixed(2)}`)
+                .addTo(this.areaLayers);
+        });
+    }
+
+    /**
+     * Start drawing the area of a polygon zone
+     */
+    startDrawing(index) {
+        const zone = this.state.zones[index];
+        if (!zone || !this.map) return;
+
+        // Existing outer ring without the closing point
+        const points = zone.geometry
+            ? zone.geometry.coordinates[0].slice(0, -1).map(([lng, lat]) => ({ lat, lng }))
+            : [];
+
+        this.state.drawing = { index, points };
+        this.updateDrawToolbar();
+        this.renderDeliveryAreas();
+        this.renderDraft();
+
+        document.getElementById('deliveryAreasSection')?.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    addDrawingPoint(latlng) {
+        if (!this.state.drawing) return;
+
+        this.state.drawing.points.push({ lat: latlng.lat, lng: latlng.lng });
+        this.renderDraft();
+    }
+
+    undoDrawingPoint() {
+        if (!this.state.drawing) return;
+
+        this.state.drawing.points.pop();
+        this.renderDraft();
+    }
+
+    /**
+     * Store the drawn points as a closed GeoJSON polygon
+     */
+    finishDrawing() {
+        const drawing = this.state.drawing;
+        if (!drawing) return;
+
+        if (drawing.points.length < 3) {
+            this.showNotification('A területhez legalább 3 pont szükséges', 'error');
+            return;
+        }
+
+        const ring = drawing.points.map(point => [point.lng, point.lat]);
+        ring.push(ring[0]);
+
+        this.state.zones[drawing.index].geometry = { type: 'Polygon', coordinates: [ring] };
+        this.state.drawing = null;
+
+        this.markDirty('deliveryZones');
+        this.updateDrawToolbar();
+        this.renderDraft();
+        this.renderDeliveryZones();
+    }
+
+    cancelDrawing() {
+        this.state.drawing = null;
+        this.updateDrawToolbar();
+        this.renderDraft();
+        this.renderDeliveryAreas();
+    }
+
+    /**
+     * Show the polygon being drawn
+     */
+    renderDraft() {
+        if (!this.draftLayer) return;
+        this.draftLayer.clearLayers();
+
+        const points = this.state.drawing?.points || [];
+        if (points.length === 0) return;
+
+        const latLngs = points.map(point => [point.lat, point.lng]);
+        const draftStyle = { color: '#D4AF37', weight: 3, dashArray: '6 4' };
+
+        if (latLngs.length >= 3) {
+            L.polygon(latLngs, { ...draftStyle, fillOpacity: 0.2 }).addTo(this.draftLayer);
+        } else {
+            L.polyline(latLngs, draftStyle).addTo(this.draftLayer);
+        }
+
+        latLngs.forEach(latLng => {
+            L.circleMarker(latLng, { radius: 5, color: '#D4AF37', fillOpacity: 1 }).addTo(this.draftLayer);
+        });
+
+        this.updateDrawToolbar();
+    }
+
+    updateDrawToolbar() {
+        const toolbar = document.getElementById('drawToolbar');
+        const label = document.getElementById('drawToolbarLabel');
+        const drawing = this.state.drawing;
+
+        if (toolbar) {
+            toolbar.classList.toggle('active', Boolean(drawing));
+        }
+        if (label && drawing) {
+            const zoneName = this.state.zones[drawing.index]?.name || 'Névtelen zóna';
+            label.textContent = `Rajzolás: ${zoneName} – kattintson a térképre a pontok hozzáadásához (${drawing.points.length} pont)`;
+        }
     }
 
-    showInvoiceModal() {
-        const modal = document.getElementById('invoiceModal');
-        if (modal) {
-            modal.style.display = 'flex';
-            document.body.style.overflow = 'hidden';
+    /**
+     * Leaflet needs a size recalculation once the container becomes visible
+     */
+    show() {
+        super.show();
+        if (this.map) {
+            setTimeout(() => this.map.invalidateSize(), 0);
         }
     }
 
-    hideInvoiceModal() {
-        const modal = document.getElementById('invoiceModal');
-        if (modal) {
-            modal.style.display = 'none';
-            document.body.style.overflow = '';
+    // ============================================
+    // DATA
+    // ============================================
+
+    /**
+     * Load the current schedule from the backend
+     */
+    async loadOpeningHours() {
+        try {
+            const response = await this.apiCall('/settings/opening-hours');
+            if (response.success) {
+                this.setSchedule(response.data);
+            }
+        } catch (error) {
+            console.error('Failed to load opening hours:', error);
+            this.showNotification('Nem sikerült betölteni a nyitvatartást, az alapértelmezett értékek láthatók', 'warning');
+            this.setSchedule(this.scheduleHelper.getDefaultSchedule());
         }
-        this.cleanupModalListeners();
     }
 
-    cleanupModalListeners() {
-        this.modalEventListeners.forEach(({ element, event, handler }) => {
-            element.removeEventListener(event, handler);
-        });
-        this.modalEventListeners = [];
+    /**
+     * Store a normalized copy of the schedule and re-render
+     */
+    setSchedule(data) {
+        const schedule = this.scheduleHelper.normalizeSchedule(data);
+        schedule.exceptions.sort((a, b) => a.date.localeCompare(b.date));
+
+        this.state.schedule = schedule;
+        this.markClean('openingHours');
+        this.renderWeeklyHours();
+        this.renderExceptions();
     }
 
-    // Action Methods
-    async downloadInvoice(invoiceId) {
+    /**
+     * Load delivery zones from the backend
+     */
+    async loadDeliveryZones() {
         try {
-            this.showLoading();
-            
-            const response = await fetch(`${this.config.apiUrl}/invoices/${invoiceId}/pdf`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error('Failed to download invoice');
+            const response = await this.apiCall('/settings/delivery-zones');
+            if (response.success) {
+                this.setZones(response.data);
             }
+        } catch (error) {
+            console.error('Failed to load delivery zones:', error);
+            this.showNotification('Nem sikerült betölteni a kiszállítási zónákat, az alapértelmezett értékek láthatók', 'warning');
+            this.setZones(this.zonesHelper.getDefaultZones());
+        }
+    }
 
-            const blob = await response.blob();
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `invoice-${invoiceId}.pdf`;
-            document.body.appendChild(a);
-            a.click();
-            window.URL.revokeObjectURL(url);
-            document.body.removeChild(a);
+    /**
+     * Store a normalized copy of the zones and re-render
+     */
+    setZones(data) {
+        const zones = Array.isArray(data) ? data : data?.zones;
+        this.state.zones = this.zonesHelper.normalizeZones(zones);
+        this.markClean('deliveryZones');
+        this.renderDeliveryZones();
+    }
 
-            this.showNotification('Számla sikeresen letöltve', 'success');
+    /**
+     * Load prep-time presets and auto-accept rules from the backend
+     */
+    async loadPrepTimes() {
+        try {
+            const response = await this.apiCall('/settings/prep-times');
+            if (response.success) {
+                this.setPrepTimes(response.data);
+            }
+        } catch (error) {
+            console.error('Failed to load prep times:', error);
+            this.showNotification('Nem sikerült betölteni az elkészítési időket, az alapértelmezett értékek láthatók', 'warning');
+            this.setPrepTimes(this.prepTimesHelper.getDefaultSettings());
+        }
+    }
+
+    /**
+     * Store a normalized copy of the prep-time settings and re-render
+     */
+    setPrepTimes(data) {
+        this.state.prepTimes = this.prepTimesHelper.normalizeSettings(data);
+        this.markClean('prepTimes');
+        this.renderPrepTimes();
+        this.renderAcceptRules();
+        this.renderOrderAlerts();
+    }
 
+    /**
+     * Load per-slot order and item limits from the backend
+     */
+    async loadSlotCapacity() {
+        try {
+            const response = await this.apiCall('/settings/slot-capacity');
+            if (response.success) {
+                this.setSlotCapacity(response.data);
+            }
         } catch (error) {
-            console.error('Failed to download invoice:', error);
-            this.showNotification('Nem sikerült letölteni a számlát', 'error');
+            console.error('Failed to load slot capacity:', error);
+            this.showNotification('Nem sikerült betölteni az időpontok kapacitását, az alapértelmezett értékek láthatók', 'warning');
+            this.setSlotCapacity(this.capacityHelper.getDefaultSettings());
+        }
+    }
+
+    /**
+     * Store a normalized copy of the slot limits and re-render
+     */
+    setSlotCapacity(data) {
+        this.state.slotCapacity = this.capacityHelper.normalizeSettings(data);
+        this.markClean('slotCapacity');
+        this.renderSlotCapacity();
+    }
+
+    /**
+     * Validate and save every section with unsaved changes
+     */
+    async saveSettings() {
+        if (this.state.isSaving || this.state.dirty.size === 0) return;
+
+        const sections = {
+            openingHours: {
+                validate: () => this.validateSchedule(this.state.schedule),
+                save: () => this.saveOpeningHours()
+            },
+            deliveryZones: {
+                validate: () => this.validateZones(this.state.zones),
+                save: () => this.saveDeliveryZones()
+            },
+            prepTimes: {
+                validate: () => this.validatePrepTimes(this.state.prepTimes),
+                save: () => this.savePrepTimes()
+            },
+            slotCapacity: {
+                validate: () => this.validateSlotCapacity(this.state.slotCapacity),
+                save: () => this.saveSlotCapacity()
+            }
+        };
+
+        const dirtySections = [...this.state.dirty].filter(name => sections[name]);
+
+        // Validate everything first so nothing is half-saved
+        for (const name of dirtySections) {
+            const errors = sections[name].validate();
+            if (errors.length > 0) {
+                this.showNotification(errors[0], 'error');
+                return;
+            }
+        }
+
+        this.state.isSaving = true;
+        this.updateSaveButton();
+
+        try {
+            for (const name of dirtySections) {
+                await sections[name].save();
+            }
         } finally {
-            this.hideLoading();
+            this.state.isSaving = false;
+            this.updateSaveButton();
         }
     }
 
-    async emailInvoice(invoiceId) {
+    /**
+     * Save the opening hours schedule
+     */
+    async saveOpeningHours() {
         try {
-            this.showLoading();
-            
-            const response = await this.apiCall(`/invoices/${invoiceId}/email`, {
-                method: 'POST'
+            const response = await this.apiCall('/settings/opening-hours', {
+                method: 'PUT',
+                body: JSON.stringify(this.state.schedule)
             });
 
             if (response.success) {
-                this.showNotification('Email sikeresen elküldve', 'success');
-            } else {
-                throw new Error(response.error || 'Failed to send email');
+                this.showNotification('Nyitvatartás sikeresen mentve', 'success');
+                this.setSchedule(response.data || this.state.schedule);
             }
-
         } catch (error) {
-            console.error('Failed to send invoice email:', error);
-            this.showNotification('Nem sikerült elküldeni az emailt', 'error');
-        } finally {
-            this.hideLoading();
+            console.error('Failed to save opening hours:', error);
+            this.showNotification('Nem sikerült menteni a nyitvatartást', 'error');
         }
     }
 
     /**
-     * Generate Storno invoice for a given invoice
+     * Save the delivery zones
      */
-    async generateStornoInvoice(invoice) {
-        // Show confirmation dialog
-        const confirmed = confirm(
-            `Biztosan generálni szeretne stornó számlát?\n\n` +
-            `Számla: ${invoice.invoiceNumber}\n` +
-            `Összeg: ${this.formatCurrency(invoice.totalGross)}\n\n` +
-            `Ez:\n` +
-            `• Létrehoz egy negatív összegű stornó számlát\n` +
-            `• Az eredeti számlát érvénytelenítettnek jelöli\n` +
-            `• Emailt küld az ügyfélnek a stornó számlával`
-        );
+    async saveDeliveryZones() {
+        try {
+            const response = await this.apiCall('/settings/delivery-zones', {
+                method: 'PUT',
+                body: JSON.stringify({ zones: this.state.zones })
+            });
 
-        if (!confirmed) {
-            console.log('Storno generation cancelled by user');
-            return;
+            if (response.success) {
+                this.showNotification('Kiszállítási zónák sikeresen mentve', 'success');
+                this.setZones(response.data || this.state.zones);
+            }
+        } catch (error) {
+            console.error('Failed to save delivery zones:', error);
+            this.showNotification('Nem sikerült menteni a kiszállítási zónákat', 'error');
         }
+    }
 
+    /**
+     * Save prep-time presets and auto-accept rules
+     */
+    async savePrepTimes() {
         try {
-            this.showLoading();
-
-            const response = await this.apiCall(`/orders/${invoice.orderId}/generate-storno`, {
-                method: 'POST'
+            const response = await this.apiCall('/settings/prep-times', {
+                method: 'PUT',
+                body: JSON.stringify(this.state.prepTimes)
             });
 
             if (response.success) {
-                console.log('✅ Storno invoice generated:', response.data);
+                this.showNotification('Elkészítési idők sikeresen mentve', 'success');
+                this.setPrepTimes(response.data || this.state.prepTimes);
 
-                this.showNotification(
-                    `Stornó számla sikeresen generálva: ${response.data.stornoInvoice.invoiceNumber}`,
-                    'success'
-                );
+                // The Orders app on this device picks up the change right away
+                window.prepTimes.setSettings(this.state.prepTimes);
+            }
+        } catch (error) {
+            console.error('Failed to save prep times:', error);
+            this.showNotification('Nem sikerült menteni az elkészítési időket', 'error');
+        }
+    }
 
-                // Close modal and refresh invoice list
-                this.hideInvoiceModal();
-                await this.loadInvoices();
-                this.renderInvoicesTable();
+    /**
+     * Save per-slot order and item limits
+     */
+    async saveSlotCapacity() {
+        try {
+            const response = await this.apiCall('/settings/slot-capacity', {
+                method: 'PUT',
+                body: JSON.stringify(this.state.slotCapacity)
+            });
 
-            } else {
-                throw new Error(response.error || 'Storno generation failed');
+            if (response.success) {
+                this.showNotification('Időpontok kapacitása sikeresen mentve', 'success');
+                this.setSlotCapacity(response.data || this.state.slotCapacity);
             }
-
         } catch (error) {
-            console.error('❌ Failed to generate Storno invoice:', error);
+            console.error('Failed to save slot capacity:', error);
+            this.showNotification('Nem sikerült menteni az időpontok kapacitását', 'error');
+        }
+    }
 
-            let errorMessage = 'Hiba történt a stornó számla generálása során';
+    /**
+     * Validate the schedule before saving
+     * @returns {string[]} Error messages, empty when valid
+     */
+    validateSchedule(schedule) {
+        const errors = [];
+        const helper = this.scheduleHelper;
+
+        const checkShifts = (shifts, label) => {
+            shifts.forEach((shift, index) => {
+                if (!helper.isValidTimeString(shift.open) || !helper.isValidTimeString(shift.close)) {
+                    errors.push(`${label}: hiányzó időpont`);
+                } else if (helper.toMinutes(shift.open) >= helper.toMinutes(shift.close)) {
+                    errors.push(`${label}: a nyitásnak a zárás előtt kell lennie`);
+                } else if (index > 0 && helper.toMinutes(shift.open) < helper.toMinutes(shifts[index - 1].close)) {
+                    errors.push(`${label}: a műszakok átfedik egymást`);
+                }
+            });
+        };
 
-            if (error.message.includes('already exists')) {
-                errorMessage = 'Ez a számla már rendelkezik stornó számlával';
-            } else if (error.message.includes('no invoice')) {
-                errorMessage = 'Ehhez a rendeléshez nincs eredeti számla';
+        this.weekDays.forEach(day => checkShifts(schedule.weekly[day.index], day.name));
+
+        const seenDates = new Set();
+        schedule.exceptions.forEach(exception => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(exception.date)) {
+                errors.push('Minden kivételhez adjon meg dátumot');
+                return;
+            }
+            if (seenDates.has(exception.date)) {
+                errors.push(`${exception.date}: ehhez a naphoz már van kivétel`);
             }
+            seenDates.add(exception.date);
 
-            this.showNotification(errorMessage, 'error');
+            if (!exception.closed && exception.shifts.length === 0) {
+                errors.push(`${exception.date}: adjon meg nyitvatartást vagy jelölje zárva`);
+            }
+            checkShifts(exception.shifts, exception.date);
+        });
 
-        } finally {
-            this.hideLoading();
+        if (!Number.isFinite(schedule.orderCutoffMinutes) || schedule.orderCutoffMinutes < 0) {
+            errors.push('Érvénytelen rendelési határidő');
+        }
+
+        if (!Number.isInteger(schedule.preorderDays) || schedule.preorderDays < 0 || schedule.preorderDays > this.scheduleHelper.config.lookaheadDays) {
+            errors.push(`Az előrendelési időszak 0 és ${this.scheduleHelper.config.lookaheadDays} nap között lehet`);
         }
+
+        return errors;
     }
 
-    viewRelatedOrder(orderId) {
-        if (orderId && window.adminDashboard) {
-            this.hideInvoiceModal();
-            window.adminDashboard.loadApp('orders');
-            // If orders app has a method to view specific order
-            setTimeout(() => {
-                if (window.ordersApp && window.ordersApp.viewOrderDetails) {
-                    window.ordersApp.viewOrderDetails(orderId);
+    /**
+     * Validate delivery zones before saving
+     * @returns {string[]} Error messages, empty when valid
+     */
+    validateZones(zones) {
+        const errors = [];
+        const seenPostalCodes = new Map();
+
+        zones.forEach(zone => {
+            const label = zone.name || 'Névtelen zóna';
+
+            if (!zone.name) {
+                errors.push('Minden zónának adjon nevet');
+            }
+            if (zone.type === 'postal') {
+                if (zone.postalCodes.length === 0) {
+                    errors.push(`${label}: adjon meg legalább egy irányítószámot`);
                 }
-            }, 500);
-        }
+                zone.postalCodes.forEach(code => {
+                    if (!/^\d{5}$/.test(code)) {
+                        errors.push(`${label}: érvénytelen irányítószám (${code})`);
+                    } else if (zone.active && seenPostalCodes.has(code)) {
+                        errors.push(`${code} már szerepel a(z) ${seenPostalCodes.get(code)} zónában`);
+                    }
+                    if (zone.active) seenPostalCodes.set(code, label);
+                });
+            } else if (zone.type === 'polygon') {
+                if (!zone.geometry) {
+                    errors.push(`${label}: rajzolja meg a területet a térképen`);
+                }
+            } else if (!(zone.maxDistanceKm > 0)) {
+                errors.push(`${label}: adja meg a maximális távolságot`);
+            }
+            if (!(zone.fee >= 0) || !(zone.minOrderAmount >= 0)) {
+                errors.push(`${label}: érvénytelen díj vagy minimum összeg`);
+            }
+        });
+
+        return errors;
     }
 
-    // Bulk Actions
-    async bulkDownloadInvoices() {
-        if (this.state.selectedInvoices.size === 0) {
-            this.showNotification('Kérjük válasszon ki számlákat', 'warning');
-            return;
+    /**
+     * Validate prep-time settings before saving
+     * @returns {string[]} Error messages, empty when valid
+     */
+    validatePrepTimes(settings) {
+        const errors = [];
+
+        if (settings.presets.length === 0) {
+            errors.push('Adjon meg legalább egy gyors választási időt (5–480 perc)');
         }
 
-        try {
-            this.showLoading();
-            
-            const invoiceIds = Array.from(this.state.selectedInvoices);
-            const response = await this.apiCall('/invoices/bulk-download', {
-                method: 'POST',
-                body: JSON.stringify({ invoiceIds })
-            });
+        settings.autoAcceptRules.forEach((rule, index) => {
+            if (rule.active && !rule.maxOrderTotal && !rule.maxQueuedOrders) {
+                errors.push(`${rule.name || `${index + 1}. szabály`}: adjon meg összeg- vagy rendelésszám-határt`);
+            }
+        });
 
-            if (response.success && response.data.downloadUrl) {
-                // Download the ZIP file
-                const a = document.createElement('a');
-                a.href = response.data.downloadUrl;
-                a.download = `invoices-${new Date().toISOString().split('T')[0]}.zip`;
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
+        if (!(settings.alerts.repeatSeconds >= 5 && settings.alerts.repeatSeconds <= 300)) {
+            errors.push('A hangjelzés ismétlése 5 és 300 másodperc között lehet');
+        }
+        if (!(settings.alerts.escalateAfterMinutes >= 1 && settings.alerts.escalateAfterMinutes <= 60)) {
+            errors.push('A riasztási határidő 1 és 60 perc között lehet');
+        }
+        if (!(settings.preorders.releaseMinutes >= 15 && settings.preorders.releaseMinutes <= 480)) {
+            errors.push('Az előrendelés konyhára küldése 15 és 480 perc között lehet');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate slot limits before saving
+     * @returns {string[]} Error messages, empty when valid
+     */
+    validateSlotCapacity(settings) {
+        const errors = [];
+
+        this.weekDays.forEach(day => {
+            const { maxOrders, maxItems } = settings.weekly[day.index];
+            if (![maxOrders, maxItems].every(value => Number.isInteger(value) && value >= 0)) {
+                errors.push(`${day.name}: a kapacitás nem negatív egész szám lehet`);
+            }
+        });
+
+        return errors;
+    }
+
+    // ============================================
+    // EVENT HANDLING
+    // ============================================
+
+    /**
+     * Setup delegated event listeners on the app container
+     */
+    setupEventListeners() {
+        if (!this.container) return;
 
-                this.showNotification('Számlák sikeresen letöltve', 'success');
-            } else {
-                throw new Error(response.error || 'Failed to download invoices');
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('#saveSettingsBtn')) {
+                this.saveSettings();
+                return;
             }
 
-        } catch (error) {
-            console.error('Failed to bulk download invoices:', error);
-            this.showNotification('Nem sikerült letölteni a számlákat', 'error');
-        } finally {
-            this.hideLoading();
-        }
-    }
+            const actionBtn = e.target.closest('[data-action]');
+            if (!actionBtn) return;
+
+            const { action } = actionBtn.dataset;
+            if (action === 'add-shift') this.addShift(actionBtn.dataset);
+            if (action === 'remove-shift') this.removeShift(actionBtn.dataset);
+            if (action === 'add-exception') this.addException();
+            if (action === 'remove-exception') this.removeException(Number(actionBtn.dataset.exception));
+            if (action === 'add-zone') this.addZone();
+            if (action === 'remove-zone') this.removeZone(Number(actionBtn.dataset.zone));
+            if (action === 'draw-zone') this.startDrawing(Number(actionBtn.dataset.zone));
+            if (action === 'undo-point') this.undoDrawingPoint();
+            if (action === 'finish-drawing') this.finishDrawing();
+            if (action === 'cancel-drawing') this.cancelDrawing();
+            if (action === 'add-accept-rule') this.addAcceptRule();
+            if (action === 'remove-accept-rule') this.removeAcceptRule(Number(actionBtn.dataset.rule));
+        });
 
-    async bulkEmailInvoices() {
-        if (this.state.selectedInvoices.size === 0) {
-            this.showNotification('Kérjük válasszon ki számlákat', 'warning');
-            return;
-        }
+        this.container.addEventListener('change', (e) => {
+            const input = e.target;
 
-        try {
-            this.showLoading();
-            
-            const invoiceIds = Array.from(this.state.selectedInvoices);
-            const response = await this.apiCall('/invoices/bulk-email', {
-                method: 'POST',
-                body: JSON.stringify({ invoiceIds })
-            });
+            if (input.dataset.zone !== undefined) {
+                this.updateZone(Number(input.dataset.zone), input.dataset.field, input);
+                return;
+            }
 
-            if (response.success) {
-                this.showNotification(`${invoiceIds.length} számla sikeresen elküldve`, 'success');
-            } else {
-                throw new Error(response.error || 'Failed to send emails');
+            if (input.dataset.prep !== undefined) {
+                this.updatePrepTimes(input.dataset.prep, input);
+                return;
             }
 
-        } catch (error) {
-            console.error('Failed to bulk email invoices:', error);
-            this.showNotification('Nem sikerült elküldeni az emaileket', 'error');
-        } finally {
-            this.hideLoading();
-        }
-    }
+            if (input.dataset.rule !== undefined) {
+                this.updateAcceptRule(Number(input.dataset.rule), input.dataset.field, input);
+                return;
+            }
 
-    // Export Methods
-    async exportMonthlyReport(year, month) {
-        try {
-            this.showLoading();
-            
-            const response = await fetch(`${this.config.apiUrl}/invoices/export/monthly?year=${year}&month=${month}`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+            if (input.dataset.capacityDay !== undefined && this.state.slotCapacity) {
+                this.state.slotCapacity.weekly[input.dataset.capacityDay][input.dataset.field] = Number(input.value);
+                this.markDirty('slotCapacity');
+                return;
+            }
 
-            if (!response.ok) {
-                throw new Error('Failed to export monthly report');
+            if (input.dataset.alert !== undefined && this.state.prepTimes) {
+                this.state.prepTimes.alerts[input.dataset.alert] = parseFloat(input.value) || 0;
+                this.markDirty('prepTimes');
+                return;
             }
 
-            const blob = await response.blob();
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `monthly-report-${year}-${month.toString().padStart(2, '0')}.xlsx`;
-            document.body.appendChild(a);
-            a.click();
-            window.URL.revokeObjectURL(url);
-            document.body.removeChild(a);
+            if (!this.state.schedule) return;
 
-            this.showNotification('Havi jelentés sikeresen letöltve', 'success');
+            if (input.id === 'orderCutoffMinutes') {
+                this.state.schedule.orderCutoffMinutes = parseInt(input.value, 10);
+                this.markDirty('openingHours');
+                return;
+            }
 
-        } catch (error) {
-            console.error('Failed to export monthly report:', error);
-            this.showNotification('Nem sikerült exportálni a havi jelentést', 'error');
-        } finally {
-            this.hideLoading();
+            if (input.id === 'preorderDays') {
+                this.state.schedule.preorderDays = parseInt(input.value, 10);
+                this.markDirty('openingHours');
+                return;
+            }
+
+            if (!input.dataset.field) return;
+
+            if (input.dataset.shift !== undefined) {
+                this.getShiftList(input.dataset)[Number(input.dataset.shift)][input.dataset.field] = input.value;
+            } else if (input.dataset.exception !== undefined) {
+                this.updateException(Number(input.dataset.exception), input.dataset.field, input);
+                return;
+            }
+
+            this.markDirty('openingHours');
+        });
+    }
+
+    /**
+     * Resolve the shift array a control belongs to
+     */
+    getShiftList(dataset) {
+        if (dataset.scope === 'exception') {
+            return this.state.schedule.exceptions[Number(dataset.exception)].shifts;
         }
+        return this.state.schedule.weekly[Number(dataset.day)];
     }
 
     /**
-     * Generate comprehensive monthly business report
-     * Includes: revenue by payment method, top/bottom items, delivery stats, timing analysis
+     * Add a shift, starting after the previous one when possible
      */
-    async generateMonthlyReport(year, month) {
-        try {
-            // Show loading indicator to user
-            this.showLoading();
+    addShift(dataset) {
+        const shifts = this.getShiftList(dataset);
+        const last = shifts[shifts.length - 1];
+        shifts.push(last ? { open: last.close, close: '22:00' } : { open: '11:00', close: '20:00' });
 
-            // Call the backend endpoint for monthly report generation
-            const response = await fetch(`${this.config.apiUrl}/invoices/monthly-report?year=${year}&month=${month}`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+        this.markDirty('openingHours');
+        this.rerender(dataset.scope);
+    }
 
-            // Check if request was successful
-            if (!response.ok) {
-                throw new Error('Failed to generate monthly report');
-            }
+    removeShift(dataset) {
+        this.getShiftList(dataset).splice(Number(dataset.shift), 1);
+        this.markDirty('openingHours');
+        this.rerender(dataset.scope);
+    }
 
-            // Convert response to blob (binary PDF data)
-            const blob = await response.blob();
+    /**
+     * Add an all-day closure for tomorrow - the admin then adjusts date and reason
+     */
+    addException() {
+        const tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+
+        this.state.schedule.exceptions.push({
+            date: this.scheduleHelper.toDateKey(tomorrow),
+            closed: true,
+            shifts: [],
+            reason: ''
+        });
 
-            // Create a temporary URL for the PDF blob
-            const url = window.URL.createObjectURL(blob);
+        this.markDirty('openingHours');
+        this.renderExceptions();
+    }
 
-            // Create an invisible download link
-            const a = document.createElement('a');
-            a.href = url;
+    removeException(index) {
+        const exception = this.state.schedule.exceptions[index];
+        if (!exception) return;
 
-            // Set the filename with Hungarian naming and proper date formatting
-            a.download = `havi-osszefoglalo-${year}-${month.toString().padStart(2, '0')}.pdf`;
+        if (!confirm(`Biztosan törli a(z) ${exception.date} kivételt?`)) {
+            return;
+        }
 
-            // Trigger the download
-            document.body.appendChild(a);
-            a.click();
+        this.state.schedule.exceptions.splice(index, 1);
+        this.markDirty('openingHours');
+        this.renderExceptions();
+    }
 
-            // Cleanup: remove temporary URL and link element
-            window.URL.revokeObjectURL(url);
-            document.body.removeChild(a);
+    /**
+     * Apply a field change on an exception
+     */
+    updateException(index, field, input) {
+        const exception = this.state.schedule.exceptions[index];
+        if (!exception) return;
+
+        if (field === 'closed') {
+            exception.closed = input.checked;
+            // Special opening day starts from the regular hours of that weekday
+            if (!exception.closed && exception.shifts.length === 0 && exception.date) {
+                const weekday = new Date(`${exception.date}T00:00:00`).getDay();
+                exception.shifts = this.state.schedule.weekly[weekday].map(shift => ({ ...shift }));
+            }
+            if (exception.closed) {
+                exception.shifts = [];
+            }
+            this.renderExceptions();
+        } else {
+            exception[field] = input.value.trim();
+        }
 
-            // Show success message in Hungarian
-            this.showNotification('Havi összefoglaló sikeresen letöltve', 'success');
+        this.markDirty('openingHours');
+    }
 
-        } catch (error) {
-            console.error('Failed to generate monthly report:', error);
-            // Show error message in Hungarian
-            this.showNotification('Nem sikerült generálni a havi összefoglalót', 'error');
-        } finally {
-            // Always hide loading indicator
-            this.hideLoading();
+    rerender(scope) {
+        if (scope === 'exception') {
+            this.renderExceptions();
+        } else {
+            this.renderWeeklyHours();
         }
     }
 
-    async exportCustomRange(startDate, endDate) {
-        if (!startDate || !endDate) {
-            this.showNotification('Kérjük adja meg a kezdő és végső dátumot', 'warning');
+    /**
+     * Add an empty postal-code zone
+     */
+    addZone() {
+        this.state.zones.push({
+            id: `zone-${Date.now()}`,
+            name: '',
+            type: 'postal',
+            postalCodes: [],
+            maxDistanceKm: 0,
+            geometry: null,
+            fee: 0,
+            minOrderAmount: 0,
+            etaMinutes: null,
+            active: true
+        });
+
+        this.markDirty('deliveryZones');
+        this.renderDeliveryZones();
+    }
+
+    removeZone(index) {
+        const zone = this.state.zones[index];
+        if (!zone) return;
+
+        if (!confirm(`Biztosan törli a(z) "${zone.name || 'névtelen'}" zónát?`)) {
             return;
         }
 
-        try {
-            this.showLoading();
-            
-            const response = await fetch(`${this.config.apiUrl}/invoices/export/custom?startDate=${startDate}&endDate=${endDate}`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+        if (this.state.drawing) {
+            this.cancelDrawing(); // Indexes shift after removal
+        }
 
-            if (!response.ok) {
-                throw new Error('Failed to export custom range');
-            }
+        this.state.zones.splice(index, 1);
+        this.markDirty('deliveryZones');
+        this.renderDeliveryZones();
+    }
 
-            const blob = await response.blob();
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `custom-export-${startDate}-${endDate}.xlsx`;
-            document.body.appendChild(a);
-            a.click();
-            window.URL.revokeObjectURL(url);
-            document.body.removeChild(a);
+    /**
+     * Apply a field change on a delivery zone
+     */
+    updateZone(index, field, input) {
+        const zone = this.state.zones[index];
+        if (!zone) return;
+
+        switch (field) {
+            case 'postalCodes':
+                zone.postalCodes = input.value
+                    .split(/[,\s]+/)
+                    .map(code => code.trim())
+                    .filter(Boolean);
+                break;
+            case 'active':
+                zone.active = input.checked;
+                break;
+            case 'type':
+                zone.type = input.value;
+                break;
+            case 'etaMinutes':
+                zone.etaMinutes = parseInt(input.value, 10) || null;
+                break;
+            case 'fee':
+            case 'minOrderAmount':
+            case 'maxDistanceKm':
+                zone[field] = parseFloat(input.value) || 0;
+                break;
+            default:
+                zone[field] = input.value.trim();
+        }
 
-            this.showNotification('Egyedi export sikeresen letöltve', 'success');
+        this.markDirty('deliveryZones');
 
-        } catch (error) {
-            console.error('Failed to export custom range:', error);
-            this.showNotification('Nem sikerült exportálni az egyedi időszakot', 'error');
-        } finally {
-            this.hideLoading();
+        // Type and active state change the card layout
+        if (field === 'type' || field === 'active') {
+            this.renderDeliveryZones();
         }
     }
 
-    // Utility Methods
-    showLoading() {
-        const loading = document.getElementById('invoicesLoading');
-        if (loading) {
-            loading.style.display = 'flex';
+    /**
+     * Apply a change to the presets or the suggestion formula
+     */
+    updatePrepTimes(field, input) {
+        const settings = this.state.prepTimes;
+        if (!settings) return;
+
+        if (field === 'presets') {
+            settings.presets = input.value
+                .split(/[,\s]+/)
+                .map(value => parseInt(value, 10))
+                .filter(minutes => minutes >= 5 && minutes <= 480);
+            settings.presets = [...new Set(settings.presets)].sort((a, b) => a - b);
+            input.value = settings.presets.join(', ');
+        } else if (field === 'releaseMinutes') {
+            settings.preorders.releaseMinutes = parseInt(input.value, 10) || 0;
+        } else {
+            settings.suggestion[field] = parseFloat(input.value) || 0;
         }
-    }
 
-    hideLoading() {
-        const loading = document.getElementById('invoicesLoading');
-        if (loading) {
-            loading.style.display = 'none';
-        }
+        this.markDirty('prepTimes');
     }
 
-    debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
-    }
+    /**
+     * Add a rule for small pickup orders - the most common setup
+     */
+    addAcceptRule() {
+        if (!this.state.prepTimes) return;
+
+        this.state.prepTimes.autoAcceptRules.push({
+            id: `rule-${Date.now()}`,
+            name: '',
+            orderType: 'PICKUP',
+            maxOrderTotal: 30,
+            maxQueuedOrders: 5,
+            active: true
+        });
 
-    async refresh() {
-        await this.loadInitialData();
+        this.markDirty('prepTimes');
+        this.renderAcceptRules();
     }
 
-    destroy() {
-        this.cleanupModalListeners();
-        if (this.refreshInterval) {
-            clearInterval(this.refreshInterval);
+    removeAcceptRule(index) {
+        const rule = this.state.prepTimes?.autoAcceptRules[index];
+        if (!rule) return;
+
+        if (!confirm(`Biztosan törli a(z) "${rule.name || 'névtelen'}" szabályt?`)) {
+            return;
         }
-        super.destroy();
+
+        this.state.prepTimes.autoAcceptRules.splice(index, 1);
+        this.markDirty('prepTimes');
+        this.renderAcceptRules();
     }
-}
 
-// Make globally available for onclick handlers
-window.InvoicesApp = InvoicesApp;
-//window.invoicesApp = null; // Will be set when app is created                                
+    /**
+     * Apply a field change on an auto-accept rule
+     */
+    updateAcceptRule(index, field, input) {
+        const rule = this.state.prepTimes?.autoAcceptRules[index];
+        if (!rule) return;
+
+        switch (field) {
+            case 'active':
+                rule.active = input.checked;
+                this.renderAcceptRules();
+                break;
+            case 'maxOrderTotal':
+                rule.maxOrderTotal = parseFloat(input.value) || 0;
+                break;
+            case 'maxQueuedOrders':
+                rule.maxQueuedOrders = parseInt(input.value, 10) || 0;
+                break;
+            default:
+                rule[field] = input.value.trim();
+        }
 
+        this.markDirty('prepTimes');
+    }
 
-/**
- * Content App (Placeholder)
- * Will be expanded later for content management
- */
-class ContentApp extends BaseApp {
-    constructor() {
-        super('content');
+    /**
+     * Track unsaved changes per section
+     */
+    markDirty(section) {
+        this.state.dirty.add(section);
+        this.updateSaveButton();
     }
 
-    async initialize() {
-        console.log('✏️ Content App placeholder initialized');
+    markClean(section) {
+        this.state.dirty.delete(section);
+        this.updateSaveButton();
     }
-}
 
-/**
- * Settings App (Placeholder)
- * Will be expanded later for system settings
- */
-class SettingsApp extends BaseApp {
-    constructor() {
-        super('settings');
+    updateSaveButton() {
+        const saveBtn = document.getElementById('saveSettingsBtn');
+        if (saveBtn) {
+            saveBtn.disabled = this.state.dirty.size === 0 || this.state.isSaving;
+        }
     }
 
-    async initialize() {
-        console.log('⚙️ Settings App placeholder initialized');
+    async refresh() {
+        if (this.state.dirty.size > 0) return; // Don't discard unsaved edits
+        await Promise.all([
+            this.loadOpeningHours(),
+            this.loadDeliveryZones(),
+            this.loadPrepTimes(),
+            this.loadSlotCapacity()
+        ]);
     }
 }
 
@@ -4270,6 +7776,8 @@ window.DashboardApps = {
     MenuApp,
     StatsApp,
     ContentApp,
+    PromotionsApp,
+    LoyaltyApp,
     SettingsApp,
     UsersApp
 };
\ No newline at end of file
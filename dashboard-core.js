@@ -36,10 +36,13 @@ class AdminDashboard {
         this.apps = {
             dashboard: new DashboardOverview(),
             orders: new OrdersApp(),
+            delivery: new DriverApp(),
             menu: new MenuApp(),
             analytics: typeof StatsApp !== 'undefined' ? new StatsApp() : new BaseApp('analytics'),
             invoices: new InvoicesApp(),
             content: new ContentApp(),
+            promotions: new PromotionsApp(),
+            loyalty: new LoyaltyApp(),
             settings: new SettingsApp(),
             users: new UsersApp()
         };
@@ -47,18 +50,24 @@ class AdminDashboard {
         this.apps = {
             dashboard: new DashboardOverview(),
             orders: new OrdersApp(),
+            delivery: new DriverApp(),
             menu: new MenuApp(),
             analytics: typeof StatsApp !== 'undefined' ? new StatsApp() : new BaseApp('analytics'),
             invoices: new InvoicesApp(),
             content: new ContentApp(),
+            promotions: new PromotionsApp(),
+            loyalty: new LoyaltyApp(),
             settings: new SettingsApp(),
             users: new UsersApp()
         };
         
         // Make orders app globally accessible for onclick handlers
         window.ordersApp = this.apps.orders;
+        window.driverApp = this.apps.delivery;
         window.invoicesApp = this.apps.invoices;
         window.usersApp = this.apps.users;
+        window.promotionsApp = this.apps.promotions;
+        window.loyaltyApp = this.apps.loyalty;
 
         // Event listeners and security
         this.setupEventListeners();
@@ -89,7 +98,7 @@ class AdminDashboard {
             this.setupAutoRefresh();
             
             // Load default app
-            await this.loadApp('dashboard');
+            await this.loadApp(this.getDefaultApp());
             
             // Start time updates
             this.startTimeUpdates();
@@ -630,9 +639,9 @@ class AdminDashboard {
      */
     canAccessApp(app, role) {
         const permissions = {
-            'SUPER_ADMIN': ['dashboard', 'orders', 'menu', 'analytics', 'invoices', 'content', 'settings', 'users'],
-            'RESTAURANT_USER': ['dashboard', 'orders', 'menu', 'analytics', 'content', 'settings'],
-            'DELIVERY_USER': ['orders']
+            'SUPER_ADMIN': ['dashboard', 'orders', 'delivery', 'menu', 'analytics', 'invoices', 'content', 'promotions', 'loyalty', 'settings', 'users'],
+            'RESTAURANT_USER': ['dashboard', 'orders', 'delivery', 'menu', 'analytics', 'content', 'promotions', 'loyalty', 'settings'],
+            'DELIVERY_USER': ['delivery']
         };
 
         const hasAccess = permissions[role]?.includes(app) || false;
@@ -641,6 +650,13 @@ class AdminDashboard {
         return hasAccess;
     }
 
+    /**
+     * First app after login - drivers go straight to their delivery view
+     */
+    getDefaultApp() {
+        return this.state.user?.role === 'DELIVERY_USER' ? 'delivery' : 'dashboard';
+    }
+
     /**
      * Load specific app
      */
@@ -714,9 +730,12 @@ class AdminDashboard {
         const titles = {
             dashboard: 'Áttekintés',
             orders: 'Rendelések',
+            delivery: 'Kiszállítás',
             menu: 'Menü kezelés',
             analytics: 'Statisztikák',
             content: 'Tartalom szerkesztő',
+            promotions: 'Kuponkódok',
+            loyalty: 'Hűségpontok',
             settings: 'Beállítások'
         };
 
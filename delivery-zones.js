@@ -0,0 +1,248 @@
+/**
+ * Palace Cafe & Bar - Delivery Zones
+ * Configurable delivery areas used by checkout to price and validate deliveries
+ *
+ * Features:
+ * - Polygon areas drawn on the map in the admin Settings app (stored as GeoJSON)
+ * - Postal-code zones (list of postal codes)
+ * - Distance rings measured from the restaurant
+ * - Per-zone delivery fee, minimum order amount and estimated delivery time
+ * - Loaded from the backend, falling back to delivery-zones.json and built-in defaults
+ *
+ * @author Palace Development Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+class DeliveryZones {
+    constructor() {
+        this.config = {
+            apiUrl: window.API_BASE_URL,
+            fallbackUrl: '/delivery-zones.json'
+        };
+
+        this.zones = this.normalizeZones(this.getDefaultZones());
+        this.source = 'default';
+        this.loadPromise = null;
+    }
+
+    /**
+     * Built-in zones used when neither the backend nor the JSON file is reachable
+     */
+    getDefaultZones() {
+        return [
+            {
+                id: 'komarno',
+                name: 'Komárno',
+                type: 'postal',
+                postalCodes: ['94501', '94504'],
+                fee: 2.50,
+                minOrderAmount: 5.00,
+                etaMinutes: 45
+            }
+        ];
+    }
+
+    /**
+     * Load the zones once - subsequent calls share the same promise
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchZones();
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Try the backend first, then the static JSON file
+     */
+    async fetchZones() {
+        const loaded = await window.settingsSource.load({
+            label: 'delivery zones',
+            apiUrl: `${this.config.apiUrl}/restaurant/delivery-zones`,
+            fileUrl: this.config.fallbackUrl,
+            extract: data => {
+                const zones = Array.isArray(data) ? data : data?.zones;
+                return Array.isArray(zones) ? zones : null;
+            }
+        });
+
+        if (!loaded) {
+            console.warn('⚠️ Using built-in delivery zones');
+            return this.zones;
+        }
+
+        this.zones = this.normalizeZones(loaded.data);
+        this.source = loaded.source;
+        console.log(`🚚 Delivery zones loaded from ${loaded.source}:`, this.zones);
+        return this.zones;
+    }
+
+    /**
+     * Normalize raw zone data, dropping zones that can never match
+     */
+    normalizeZones(zones) {
+        return (zones || [])
+            .map((zone, index) => ({
+                id: String(zone.id || `zone-${index + 1}`),
+                name: zone.name || `Zóna ${index + 1}`,
+                type: ['postal', 'distance', 'polygon'].includes(zone.type) ? zone.type : 'postal',
+                postalCodes: (zone.postalCodes || [])
+                    .map(code => String(code).replace(/\s/g, ''))
+                    .filter(code => /^\d{5}$/.test(code)),
+                maxDistanceKm: Number(zone.maxDistanceKm) || 0,
+                geometry: this.normalizeGeometry(zone.geometry),
+                fee: Number(zone.fee) || 0,
+                minOrderAmount: Number(zone.minOrderAmount) || 0,
+                etaMinutes: parseInt(zone.etaMinutes, 10) || null,
+                active: zone.active !== false
+            }))
+            .filter(zone => {
+                if (zone.type === 'polygon') return zone.geometry !== null;
+                if (zone.type === 'distance') return zone.maxDistanceKm > 0;
+                return zone.postalCodes.length > 0;
+            });
+    }
+
+    /**
+     * Accept a GeoJSON Polygon or a Feature wrapping one
+     * @returns {{ type: 'Polygon', coordinates: number[][][] } | null}
+     */
+    normalizeGeometry(geometry) {
+        const polygon = geometry?.type === 'Feature' ? geometry.geometry : geometry;
+        if (!polygon || polygon.type !== 'Polygon' || !Array.isArray(polygon.coordinates)) {
+            return null;
+        }
+
+        const rings = polygon.coordinates
+            .filter(ring => Array.isArray(ring))
+            .map(ring => ring
+                .map(point => [Number(point[0]), Number(point[1])])
+                .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat))
+            )
+            .map(ring => {
+                // GeoJSON rings are closed - repeat the first point if missing
+                const [first, last] = [ring[0], ring[ring.length - 1]];
+                if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+                    return [...ring, first];
+                }
+                return ring;
+            });
+
+        // Outer ring needs at least a triangle (3 points + closing point)
+        if (rings.length === 0 || rings[0].length < 4) {
+            return null;
+        }
+
+        return { type: 'Polygon', coordinates: rings };
+    }
+
+    /**
+     * Active zones only
+     */
+    getActiveZones() {
+        return this.zones.filter(zone => zone.active);
+    }
+
+    /**
+     * Find the zone serving a postal code
+     */
+    findByPostalCode(postalCode) {
+        const code = String(postalCode || '').replace(/\s/g, '');
+        if (!code) return null;
+
+        return this.getActiveZones().find(zone =>
+            zone.type === 'postal' && zone.postalCodes.includes(code)
+        ) || null;
+    }
+
+    /**
+     * Find the polygon area containing a location
+     */
+    findByLocation(location) {
+        if (!location || !Number.isFinite(location.lat) || !Number.isFinite(location.lng)) return null;
+
+        return this.getActiveZones().find(zone =>
+            zone.type === 'polygon' && this.isPointInPolygon(location, zone.geometry)
+        ) || null;
+    }
+
+    /**
+     * Find the innermost distance ring for a distance from the restaurant
+     */
+    findByDistance(distanceKm) {
+        if (!Number.isFinite(distanceKm)) return null;
+
+        return this.getActiveZones()
+            .filter(zone => zone.type === 'distance' && distanceKm <= zone.maxDistanceKm)
+            .sort((a, b) => a.maxDistanceKm - b.maxDistanceKm)[0] || null;
+    }
+
+    /**
+     * Resolve the zone for an address - most precise match first:
+     * drawn polygon, then postal code, then distance ring
+     * @param {{ postalCode?: string, location?: { lat: number, lng: number }, distanceKm?: number }} address
+     */
+    findZone({ postalCode, location, distanceKm } = {}) {
+        return this.findByLocation(location) ||
+            this.findByPostalCode(postalCode) ||
+            this.findByDistance(distanceKm);
+    }
+
+    /**
+     * Whether any active zone needs coordinates to be matched
+     */
+    hasPolygonZones() {
+        return this.getActiveZones().some(zone => zone.type === 'polygon');
+    }
+
+    /**
+     * Ray-casting point-in-polygon test - works offline on the stored GeoJSON.
+     * Points inside a hole (inner ring) are outside the polygon.
+     */
+    isPointInPolygon({ lat, lng }, geometry) {
+        if (!geometry) return false;
+
+        const [outerRing, ...holes] = geometry.coordinates;
+        if (!this.isPointInRing(lng, lat, outerRing)) return false;
+
+        return !holes.some(hole => this.isPointInRing(lng, lat, hole));
+    }
+
+    isPointInRing(x, y, ring) {
+        let inside = false;
+
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+
+            const intersects = (yi > y) !== (yj > y) &&
+                x < (xj - xi) * (y - yi) / (yj - yi) + xi;
+            if (intersects) inside = !inside;
+        }
+
+        return inside;
+    }
+
+    /**
+     * All postal codes that can be delivered to, for error messages
+     */
+    getPostalCodes() {
+        return this.getActiveZones()
+            .filter(zone => zone.type === 'postal')
+            .flatMap(zone => zone.postalCodes);
+    }
+
+    /**
+     * Lowest fee across active zones, used for "from €X" labels
+     */
+    getLowestFee() {
+        const fees = this.getActiveZones().map(zone => zone.fee);
+        return fees.length > 0 ? Math.min(...fees) : 0;
+    }
+}
+
+// Shared instance used by checkout
+window.DeliveryZones = DeliveryZones;
+window.deliveryZones = new DeliveryZones();
@@ -0,0 +1,663 @@
+/**
+ * Palace Cafe & Bar - Driver App
+ * Mobile-first delivery view for drivers (DELIVERY_USER)
+ *
+ * Features:
+ * - Ready delivery orders with tap-to-claim assignment
+ * - The driver's run in route order, with a Google Maps route link
+ * - "Picked up" and "delivered" buttons using the Orders app status calls
+ * - Cash to collect for the current run
+ * - Shares the driver's approximate position with customers while orders are out for delivery
+ *
+ * Extends the Orders app so the socket, order loading and status updates stay in one place.
+ *
+ * @author Palace Development Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+class DriverApp extends OrdersApp {
+    constructor() {
+        super();
+        this.appName = 'delivery';
+        this.container = document.getElementById('delivery-app');
+
+        this.restaurantLocation = { lat: 47.7648, lng: 18.1281 }; // Komárno coordinates
+        this.geocodeCache = new Map(); // address -> { lat, lng } or null
+        this.routeOrderIds = []; // The driver's orders in stop order
+        this.routeKey = '';
+
+        // Location sharing while out for delivery
+        this.locationWatchId = null;
+        this.sharedOrderIds = []; // Orders currently receiving the position
+        this.lastLocationSentAt = 0;
+        this.locationIntervalMs = 15000;
+    }
+
+    async initialize() {
+        console.log('🛵 Initializing Driver App...');
+
+        this.setupWebSocket();
+        this.socket.on('orderDriverAssigned', (assignment) => {
+            console.log('🛵 Driver assignment updated:', assignment);
+            this.handleDriverAssignment(assignment);
+        });
+
+        await this.loadActiveOrders();
+        this.render();
+        this.setupEventListeners();
+
+        console.log('✅ Driver App initialized');
+    }
+
+    // ============================================
+    // ORDER GROUPS
+    // ============================================
+
+    getCurrentDriverId() {
+        return window.adminDashboard?.state.user?.id ?? null;
+    }
+
+    isMine(order) {
+        return order.driverId !== null && order.driverId !== undefined && order.driverId === this.getCurrentDriverId();
+    }
+
+    /**
+     * Split delivery orders into the driver's run, claimable orders and other drivers' orders
+     */
+    getDeliveryGroups() {
+        const deliveries = this.orders.filter(order => order.orderType === 'DELIVERY');
+
+        return {
+            run: deliveries.filter(order => ['READY', 'OUT_FOR_DELIVERY'].includes(order.status) && this.isMine(order)),
+            available: deliveries.filter(order => order.status === 'READY' && !order.driverId),
+            others: deliveries.filter(order => ['READY', 'OUT_FOR_DELIVERY'].includes(order.status) && order.driverId && !this.isMine(order)),
+            upcoming: deliveries.filter(order => ['CONFIRMED', 'PREPARING'].includes(order.status))
+        };
+    }
+
+    /**
+     * The driver's orders in route order - stops not yet placed go last
+     */
+    getRunInRouteOrder(run) {
+        const position = id => {
+            const index = this.routeOrderIds.indexOf(id);
+            return index === -1 ? Infinity : index;
+        };
+
+        return [...run].sort((a, b) => position(a.id) - position(b.id));
+    }
+
+    /**
+     * Cash the driver collects on this run - card orders are already paid
+     */
+    getCashToCollect(run) {
+        return run
+            .filter(order => order.paymentMethod !== 'CARD')
+            .reduce((sum, order) => sum + (Number(order.total) || 0), 0);
+    }
+
+    // ============================================
+    // RENDERING
+    // ============================================
+
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="driver-view">
+                <div class="driver-header">
+                    <h2>
+                        <i class="fas fa-motorcycle"></i>
+                        Kiszállítás
+                        <span class="connection-status" id="driverConnectionStatus">
+                            <i class="fas fa-circle"></i>
+                        </span>
+                    </h2>
+                    <button class="btn-refresh" id="refreshDriverOrders">
+                        <i class="fas fa-sync"></i>
+                    </button>
+                </div>
+
+                <div id="driverOrdersList">
+                    <!-- Delivery orders will be rendered here -->
+                </div>
+            </div>
+        `;
+
+        this.updateConnectionStatus();
+        this.renderOrdersList();
+    }
+
+    renderOrdersList() {
+        const container = document.getElementById('driverOrdersList');
+        if (!container) return;
+
+        const { run, available, others, upcoming } = this.getDeliveryGroups();
+        const route = this.getRunInRouteOrder(run);
+
+        this.updateLocationSharing(run);
+
+        container.innerHTML = `
+            <section class="driver-section">
+                ${this.renderRunSummary(route)}
+                ${route.length === 0 ? `
+                    <div class="driver-empty">
+                        <i class="fas fa-route"></i>
+                        <p>Nincs elvállalt rendelés. Válasszon a felvehetők közül.</p>
+                    </div>
+                ` : route.map((order, index) => this.renderStop(order, index)).join('')}
+            </section>
+
+            <section class="driver-section">
+                <h3 class="driver-section-title">
+                    Felvehető rendelések
+                    <span class="driver-count">${available.length}</span>
+                </h3>
+                ${available.length === 0 ? `
+                    <div class="driver-empty">
+                        <i class="fas fa-check"></i>
+                        <p>Jelenleg nincs kiszállításra váró kész rendelés.</p>
+                    </div>
+                ` : available.map(order => this.renderAvailableOrder(order)).join('')}
+                ${upcoming.length > 0 ? `
+                    <p class="driver-upcoming">
+                        <i class="fas fa-fire-burner"></i>
+                        ${upcoming.length} kiszállítás készül a konyhán
+                    </p>
+                ` : ''}
+            </section>
+
+            ${others.length > 0 ? `
+                <section class="driver-section">
+                    <h3 class="driver-section-title">Más futárnál</h3>
+                    ${others.map(order => `
+                        <div class="driver-card other">
+                            <div class="driver-card-header">
+                                <strong>${order.orderNumber}</strong>
+                                <span>${this.escapeHtml(order.driverName || 'Futár')}</span>
+                            </div>
+                            <div class="driver-address">${this.escapeHtml(order.deliveryAddress)}</div>
+                        </div>
+                    `).join('')}
+                </section>
+            ` : ''}
+        `;
+
+        this.updateRoute(run);
+    }
+
+    /**
+     * Stops, cash total and the route link of the driver's run
+     */
+    renderRunSummary(route) {
+        const cash = this.getCashToCollect(route);
+
+        return `
+            <div class="driver-run-summary">
+                <div class="driver-run-stat">
+                    <span>Megállók</span>
+                    <strong>${route.length}</strong>
+                </div>
+                <div class="driver-run-stat cash">
+                    <span>Beszedendő készpénz</span>
+                    <strong>${this.formatCurrency(cash)}</strong>
+                </div>
+                ${this.locationWatchId !== null ? `
+                    <div class="driver-run-stat sharing" title="A vásárlók látják a hozzávetőleges helyzetét">
+                        <span>Helymegosztás</span>
+                        <strong><i class="fas fa-location-arrow"></i></strong>
+                    </div>
+                ` : ''}
+                ${route.length > 0 ? `
+                    <a class="driver-route-link" href="${this.getRouteUrl(route)}" target="_blank" rel="noopener noreferrer">
+                        <i class="fas fa-route"></i>
+                        Útvonal
+                    </a>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * One stop of the driver's run
+     */
+    renderStop(order, index) {
+        const isPickedUp = order.status === 'OUT_FOR_DELIVERY';
+
+        return `
+            <div class="driver-card ${isPickedUp ? 'on-the-way' : ''}">
+                <div class="driver-card-header">
+                    <span class="driver-stop-number">${index + 1}</span>
+                    <strong>${order.orderNumber}</strong>
+                    ${this.renderPaymentInfo(order)}
+                </div>
+
+                <a class="driver-address" href="https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(order.deliveryAddress)}"
+                   target="_blank" rel="noopener noreferrer">
+                    <i class="fas fa-map-marker-alt"></i>
+                    ${this.escapeHtml(order.deliveryAddress)}
+                </a>
+
+                <div class="driver-customer">
+                    <span><i class="fas fa-user"></i> ${this.escapeHtml(order.customerName)}</span>
+                    <a href="tel:${this.escapeHtml(order.customerPhone)}">
+                        <i class="fas fa-phone"></i>
+                        ${this.escapeHtml(order.customerPhone)}
+                    </a>
+                </div>
+
+                ${order.deliveryNotes && order.deliveryNotes.trim() ? `
+                    <div class="driver-notes">
+                        <i class="fas fa-info-circle"></i>
+                        ${this.escapeHtml(order.deliveryNotes)}
+                    </div>
+                ` : ''}
+                ${(order.orderOptions || []).length > 0 ? `
+                    <div class="order-card-notes">${this.renderOrderOptionBadges(order)}</div>
+                ` : ''}
+
+                <div class="driver-actions">
+                    ${isPickedUp ? `
+                        <button class="btn-success" data-driver-action="deliver" data-order-id="${order.id}">
+                            <i class="fas fa-check-circle"></i>
+                            Kiszállítva
+                        </button>
+                    ` : `
+                        <button class="btn-secondary" data-driver-action="release" data-order-id="${order.id}">
+                            Visszaad
+                        </button>
+                        <button class="btn-info" data-driver-action="pickup" data-order-id="${order.id}">
+                            <i class="fas fa-box"></i>
+                            Felvettem
+                        </button>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+
+    renderAvailableOrder(order) {
+        return `
+            <div class="driver-card available">
+                <div class="driver-card-header">
+                    <strong>${order.orderNumber}</strong>
+                    ${this.renderPaymentInfo(order)}
+                </div>
+                <div class="driver-address">
+                    <i class="fas fa-map-marker-alt"></i>
+                    ${this.escapeHtml(order.deliveryAddress)}
+                </div>
+                <button class="btn-primary driver-claim" data-driver-action="claim" data-order-id="${order.id}">
+                    <i class="fas fa-hand-pointer"></i>
+                    Elvállalom
+                </button>
+            </div>
+        `;
+    }
+
+    renderPaymentInfo(order) {
+        return order.paymentMethod === 'CARD'
+            ? '<span class="driver-payment paid"><i class="fas fa-credit-card"></i> Fizetve</span>'
+            : `<span class="driver-payment cash"><i class="fas fa-money-bill-wave"></i> ${this.formatCurrency(order.total)}</span>`;
+    }
+
+    updateConnectionStatus() {
+        const statusEl = document.getElementById('driverConnectionStatus');
+        if (statusEl) {
+            statusEl.className = `connection-status ${this.connectionStatus}`;
+        }
+    }
+
+    // The kitchen summary cards and acceptance alerts are not part of this view
+    updateSummary() {}
+
+    updatePendingAlerts() {}
+
+    // ============================================
+    // ROUTE
+    // ============================================
+
+    /**
+     * Google Maps directions from the restaurant through every stop
+     */
+    getRouteUrl(route) {
+        const addresses = route.map(order => order.deliveryAddress);
+        const params = new URLSearchParams({
+            api: '1',
+            origin: `${this.restaurantLocation.lat},${this.restaurantLocation.lng}`,
+            destination: addresses[addresses.length - 1],
+            travelmode: 'driving'
+        });
+
+        if (addresses.length > 1) {
+            params.set('waypoints', addresses.slice(0, -1).join('|'));
+        }
+
+        return `https://www.google.com/maps/dir/?${params.toString()}`;
+    }
+
+    /**
+     * Order the run by nearest stop, starting from the restaurant.
+     * Re-runs only when the set of orders in the run changes.
+     */
+    async updateRoute(run) {
+        const key = run.map(order => order.id).sort((a, b) => a - b).join(',');
+        if (key === this.routeKey) return;
+        this.routeKey = key;
+
+        const stops = [];
+        for (const order of run) {
+            stops.push({ id: order.id, location: await this.getOrderLocation(order) });
+        }
+
+        // Stale once another update started while geocoding
+        if (key !== this.routeKey) return;
+
+        const located = stops.filter(stop => stop.location);
+        const ordered = [];
+        let current = this.restaurantLocation;
+
+        while (located.length > 0) {
+            let nearestIndex = 0;
+            located.forEach((stop, index) => {
+                if (this.getDistanceKm(current, stop.location) < this.getDistanceKm(current, located[nearestIndex].location)) {
+                    nearestIndex = index;
+                }
+            });
+
+            const [nearest] = located.splice(nearestIndex, 1);
+            ordered.push(nearest.id);
+            current = nearest.location;
+        }
+
+        // Addresses that could not be located keep their claim order at the end
+        stops.filter(stop => !stop.location).forEach(stop => ordered.push(stop.id));
+
+        if (ordered.join(',') !== this.routeOrderIds.join(',')) {
+            this.routeOrderIds = ordered;
+            this.renderOrdersList();
+        }
+    }
+
+    /**
+     * Coordinates saved at checkout, otherwise a cached address lookup
+     */
+    async getOrderLocation(order) {
+        if (order.deliveryLocation?.lat && order.deliveryLocation?.lng) {
+            return order.deliveryLocation;
+        }
+
+        const address = order.deliveryAddress;
+        if (!address) return null;
+
+        if (!this.geocodeCache.has(address)) {
+            try {
+                const response = await fetch(`https://nominatim.openstreetmap.org/search?format=json&limit=1&countrycodes=sk&q=${encodeURIComponent(address)}`);
+                const results = await response.json();
+
+                this.geocodeCache.set(address, Array.isArray(results) && results.length > 0
+                    ? { lat: parseFloat(results[0].lat), lng: parseFloat(results[0].lon) }
+                    : null);
+            } catch (error) {
+                console.warn('⚠️ Address geocoding failed:', error.message);
+                return null; // Not cached - retried on the next route update
+            }
+        }
+
+        return this.geocodeCache.get(address);
+    }
+
+    /**
+     * Haversine distance between two { lat, lng } points
+     */
+    getDistanceKm(from, to) {
+        const R = 6371;
+        const dLat = (to.lat - from.lat) * Math.PI / 180;
+        const dLng = (to.lng - from.lng) * Math.PI / 180;
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(from.lat * Math.PI / 180) * Math.cos(to.lat * Math.PI / 180) *
+            Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    // ============================================
+    // LOCATION SHARING
+    // ============================================
+
+    /**
+     * Share the position while any of the driver's orders is out for delivery
+     */
+    updateLocationSharing(run) {
+        const deliveringIds = run
+            .filter(order => order.status === 'OUT_FOR_DELIVERY')
+            .map(order => order.id);
+
+        // Delivered or handed back - the customer page stops showing the driver
+        const endedIds = this.sharedOrderIds.filter(id => !deliveringIds.includes(id));
+        if (endedIds.length > 0 && this.socket) {
+            this.socket.emit('driverLocationStop', { orderIds: endedIds });
+        }
+        this.sharedOrderIds = deliveringIds;
+
+        if (deliveringIds.length === 0) {
+            this.stopLocationSharing();
+        } else if (this.locationWatchId === null) {
+            this.startLocationSharing();
+        }
+    }
+
+    startLocationSharing() {
+        if (!('geolocation' in navigator)) {
+            console.warn('⚠️ Geolocation not supported - location sharing disabled');
+            return;
+        }
+
+        this.locationWatchId = navigator.geolocation.watchPosition(
+            (position) => this.sendLocation(position),
+            (error) => {
+                console.warn('⚠️ Geolocation error:', error.message);
+                if (error.code === error.PERMISSION_DENIED) {
+                    this.showNotification('A helymeghatározás le van tiltva - a vásárlók nem látják a futárt', 'warning');
+                    this.stopLocationSharing();
+                }
+            },
+            { enableHighAccuracy: true, maximumAge: 10000, timeout: 20000 }
+        );
+
+        console.log('📍 Location sharing started');
+    }
+
+    stopLocationSharing() {
+        if (this.locationWatchId === null) return;
+
+        navigator.geolocation.clearWatch(this.locationWatchId);
+        this.locationWatchId = null;
+        this.lastLocationSentAt = 0;
+
+        if (this.sharedOrderIds.length > 0 && this.socket) {
+            this.socket.emit('driverLocationStop', { orderIds: this.sharedOrderIds });
+        }
+
+        console.log('📍 Location sharing stopped');
+    }
+
+    /**
+     * Send the position, throttled and rounded to about 100 m.
+     * The backend forwards it to the tracking room of each order.
+     */
+    sendLocation(position) {
+        const now = Date.now();
+        if (!this.socket || now - this.lastLocationSentAt < this.locationIntervalMs) return;
+        this.lastLocationSentAt = now;
+
+        const location = {
+            lat: Math.round(position.coords.latitude * 1000) / 1000,
+            lng: Math.round(position.coords.longitude * 1000) / 1000
+        };
+
+        const orders = this.orders
+            .filter(order => this.sharedOrderIds.includes(order.id))
+            .map(order => {
+                const destination = order.deliveryLocation || this.geocodeCache.get(order.deliveryAddress);
+                return {
+                    id: order.id,
+                    orderNumber: order.orderNumber,
+                    distanceKm: destination ? Math.round(this.getDistanceKm(location, destination) * 10) / 10 : null
+                };
+            });
+
+        this.socket.emit('driverLocation', {
+            ...location,
+            orders,
+            updatedAt: new Date(now).toISOString()
+        });
+    }
+
+    // ============================================
+    // ACTIONS
+    // ============================================
+
+    setupEventListeners() {
+        if (!this.container) return;
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('#refreshDriverOrders')) {
+                this.syncWithServer();
+                return;
+            }
+
+            const button = e.target.closest('[data-driver-action]');
+            if (!button) return;
+
+            const orderId = parseInt(button.dataset.orderId);
+            switch (button.dataset.driverAction) {
+                case 'claim':
+                    this.claimOrder(orderId);
+                    break;
+                case 'release':
+                    this.releaseOrder(orderId);
+                    break;
+                case 'pickup':
+                    this.pickUpOrder(orderId);
+                    break;
+                case 'deliver':
+                    this.deliverOrder(orderId);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Assign a ready order to the current driver
+     */
+    async claimOrder(orderId) {
+        const order = this.orders.find(o => o.id === orderId);
+        if (!order || order.driverId) return;
+
+        // Optimistic - the backend refuses if another driver was faster
+        order.driverId = this.getCurrentDriverId();
+        this.renderOrdersList();
+
+        try {
+            const response = await this.apiCall(`/orders/${orderId}/claim`, { method: 'POST' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'API returned success: false');
+            }
+
+            Object.assign(order, response.data || {});
+            this.showNotification(`${order.orderNumber} hozzáadva a körhöz`, 'success');
+        } catch (error) {
+            console.error('Failed to claim order:', error);
+            this.showNotification('Nem sikerült elvállalni - lehet, hogy más futár már elvitte', 'error');
+            this.fallbackRefresh();
+        }
+    }
+
+    /**
+     * Give an order back before picking it up
+     */
+    async releaseOrder(orderId) {
+        const order = this.orders.find(o => o.id === orderId);
+        if (!order || order.status !== 'READY') return;
+
+        order.driverId = null;
+        order.driverName = null;
+        this.renderOrdersList();
+
+        try {
+            const response = await this.apiCall(`/orders/${orderId}/claim`, { method: 'DELETE' });
+
+            if (!response.success) {
+                throw new Error(response.error || 'API returned success: false');
+            }
+        } catch (error) {
+            console.error('Failed to release order:', error);
+            this.showNotification('Hiba a rendelés visszaadása során', 'error');
+            this.fallbackRefresh();
+        }
+    }
+
+    pickUpOrder(orderId) {
+        this.showProcessingState('delivery', orderId);
+        this.markOrderDelivery(orderId);
+    }
+
+    deliverOrder(orderId) {
+        const order = this.orders.find(o => o.id === orderId);
+        if (!order) return;
+
+        if (order.paymentMethod !== 'CARD' &&
+            !confirm(`${order.orderNumber} kiszállítva?\nBeszedendő: ${this.formatCurrency(order.total)}`)) {
+            return;
+        }
+
+        this.showProcessingState('complete', orderId);
+        this.completeOrder(orderId);
+    }
+
+    // ============================================
+    // REAL-TIME UPDATES
+    // ============================================
+
+    /**
+     * New orders are the kitchen's business - only keep the list in sync
+     */
+    handleNewOrder() {
+        this.syncWithServer();
+    }
+
+    /**
+     * Chime when a delivery becomes ready to pick up
+     */
+    handleOrderUpdate(updateData) {
+        const previous = this.orders.find(o => o.id === updateData.id);
+        super.handleOrderUpdate(updateData);
+
+        const order = this.orders.find(o => o.id === updateData.id);
+        if (order?.orderType === 'DELIVERY' && order.status === 'READY' && previous?.status !== 'READY' && !order.driverId) {
+            this.playNotificationSound();
+            this.showNotification(`${order.orderNumber} kész, felvehető`, 'info');
+        }
+    }
+
+    handleDriverAssignment({ orderId, driverId, driverName }) {
+        const order = this.orders.find(o => o.id === orderId);
+        if (!order) return;
+
+        order.driverId = driverId ?? null;
+        order.driverName = driverName ?? null;
+        this.renderOrdersList();
+    }
+
+    destroy() {
+        this.stopLocationSharing();
+        super.destroy();
+    }
+}
+
+// Make globally available
+window.DriverApp = DriverApp;
@@ -0,0 +1,156 @@
+/**
+ * Palace Cafe & Bar - Happy Hour Pricing
+ * Time-windowed price rules shared by the order page and checkout
+ *
+ * Features:
+ * - Percentage discounts per category or per menu item
+ * - Weekday and time window per rule (e.g. cocktails -20% 16:00-18:00)
+ * - The best matching rule wins when several apply
+ * - Loaded from the backend, falling back to happy-hour.json (no rules by default)
+ *
+ * Rules only discount the item's base price - paid extras and side upgrades keep their price.
+ *
+ * @author Palace Development Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+class HappyHourPricing {
+    constructor() {
+        this.config = {
+            apiUrl: window.API_BASE_URL,
+            fallbackUrl: '/happy-hour.json'
+        };
+
+        this.rules = [];
+        this.source = 'default';
+        this.loadPromise = null;
+    }
+
+    /**
+     * Load the rules once - pass { force: true } to refetch (e.g. right before submitting an order)
+     */
+    load({ force = false } = {}) {
+        if (!this.loadPromise || force) {
+            this.loadPromise = this.fetchRules();
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Try the backend first, then the static JSON file
+     */
+    async fetchRules() {
+        const loaded = await window.settingsSource.load({
+            label: 'happy hour',
+            apiUrl: `${this.config.apiUrl}/restaurant/happy-hour`,
+            fileUrl: this.config.fallbackUrl,
+            extract: data => {
+                const rules = Array.isArray(data) ? data : data?.rules;
+                return Array.isArray(rules) ? rules : null;
+            }
+        });
+
+        if (!loaded) {
+            console.warn('⚠️ No happy hour rules available');
+            return this.rules;
+        }
+
+        this.rules = this.normalizeRules(loaded.data);
+        this.source = loaded.source;
+        console.log(`🍹 Happy hour rules loaded from ${loaded.source}:`, this.rules);
+        return this.rules;
+    }
+
+    /**
+     * Normalize raw rules, dropping ones that can never apply
+     */
+    normalizeRules(rules) {
+        const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+        return (rules || [])
+            .map((rule, index) => ({
+                id: String(rule.id || `rule-${index + 1}`),
+                name: rule.name || 'Happy Hour',
+                days: Array.isArray(rule.days) && rule.days.length > 0
+                    ? rule.days.map(Number).filter(day => day >= 0 && day <= 6)
+                    : [0, 1, 2, 3, 4, 5, 6],
+                start: rule.start,
+                end: rule.end,
+                discountPercent: Math.min(Number(rule.discountPercent) || 0, 100),
+                categories: (rule.categories || []).map(String),
+                menuItemIds: (rule.menuItemIds || []).map(Number),
+                active: rule.active !== false
+            }))
+            .filter(rule =>
+                rule.active &&
+                rule.discountPercent > 0 &&
+                timeRegex.test(rule.start) &&
+                timeRegex.test(rule.end) &&
+                (rule.categories.length > 0 || rule.menuItemIds.length > 0)
+            );
+    }
+
+    toMinutes(timeString) {
+        const [hours, minutes] = timeString.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Check if a rule's time window contains the given moment
+     */
+    isRuleActive(rule, date = new Date()) {
+        if (!rule.days.includes(date.getDay())) return false;
+
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        return minutes >= this.toMinutes(rule.start) && minutes < this.toMinutes(rule.end);
+    }
+
+    /**
+     * Rules active at the given moment
+     */
+    getActiveRules(date = new Date()) {
+        return this.rules.filter(rule => this.isRuleActive(rule, date));
+    }
+
+    /**
+     * Best active rule for an item
+     * @param {{ id: number|string, category?: string }} item
+     */
+    getRuleForItem(item, date = new Date()) {
+        const itemId = parseInt(item.id);
+
+        return this.getActiveRules(date)
+            .filter(rule =>
+                rule.menuItemIds.includes(itemId) ||
+                (item.category && rule.categories.includes(item.category))
+            )
+            .sort((a, b) => b.discountPercent - a.discountPercent)[0] || null;
+    }
+
+    /**
+     * Unit price after happy hour
+     * @returns {{ price: number, originalPrice: number, rule: Object|null }}
+     */
+    getPrice(basePrice, item, date = new Date()) {
+        const rule = this.getRuleForItem(item, date);
+        if (!rule) {
+            return { price: basePrice, originalPrice: basePrice, rule: null };
+        }
+
+        const price = Math.round(basePrice * (100 - rule.discountPercent)) / 100;
+        return { price, originalPrice: basePrice, rule };
+    }
+
+    /**
+     * Identifies the set of active rules - changes whenever a window opens or closes
+     */
+    getSignature(date = new Date()) {
+        return this.getActiveRules(date).map(rule => rule.id).sort().join(',');
+    }
+}
+
+// Shared instance used by every page
+window.HappyHourPricing = HappyHourPricing;
+window.happyHourPricing = new HappyHourPricing();
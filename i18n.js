@@ -4,7 +4,7 @@ class I18n {
         this.translations = {};
         this.currentLang = 'hu';
         this.defaultLang = 'hu';
-        this.init();
+        this.ready = this.init(); // Resolves once the translations are applied
     }
 
     async init() {
@@ -0,0 +1,142 @@
+/**
+ * Palace Cafe & Bar - Loyalty Points
+ * Earn and redeem rules shared by checkout and the order confirmation page
+ *
+ * Features:
+ * - Points earned per euro spent, credited only once an order is completed
+ * - Points redeemed as a discount at checkout, capped at a share of the order
+ * - Loaded from the backend, falling back to loyalty.json and built-in defaults
+ *
+ * Balances live in the backend points ledger. The dashboard settles an order's points when the staff
+ * complete or cancel it (orders-app.js); the customer pages only read the balance (customer-account.js).
+ *
+ * @author Palace Development Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+class LoyaltyProgram {
+    constructor() {
+        this.config = {
+            apiUrl: window.API_BASE_URL,
+            fallbackUrl: '/loyalty.json'
+        };
+
+        // DELIVERED is the final status for both pickup and delivery orders
+        this.completedStatuses = ['COMPLETED', 'DELIVERED'];
+
+        this.rules = this.normalizeRules(this.getDefaultRules());
+        this.source = 'default';
+        this.loadPromise = null;
+    }
+
+    /**
+     * Built-in rules used when neither the backend nor the JSON file is reachable
+     */
+    getDefaultRules() {
+        return {
+            enabled: true,
+            pointsPerEuro: 1,
+            pointValue: 0.05, // € discount per point
+            minRedeemPoints: 100,
+            maxRedeemPercent: 50 // of the food subtotal
+        };
+    }
+
+    /**
+     * Load the rules once - subsequent calls share the same promise
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchRules();
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Try the backend first, then the static JSON file
+     */
+    async fetchRules() {
+        const loaded = await window.settingsSource.load({
+            label: 'loyalty rules',
+            apiUrl: `${this.config.apiUrl}/restaurant/loyalty`,
+            fileUrl: this.config.fallbackUrl,
+            extract: data => (data && typeof data === 'object' ? data : null)
+        });
+
+        if (!loaded) {
+            console.warn('⚠️ Using built-in loyalty rules');
+            return this.rules;
+        }
+
+        this.rules = this.normalizeRules(loaded.data);
+        this.source = loaded.source;
+        console.log(`⭐ Loyalty rules loaded from ${loaded.source}:`, this.rules);
+        return this.rules;
+    }
+
+    /**
+     * Fill missing values from the defaults and clamp the rest
+     */
+    normalizeRules(rules) {
+        const defaults = this.getDefaultRules();
+        const number = (value, fallback) =>
+            value === null || value === undefined || value === '' || !Number.isFinite(Number(value)) ? fallback : Number(value);
+
+        return {
+            enabled: rules.enabled !== false,
+            pointsPerEuro: Math.max(number(rules.pointsPerEuro, defaults.pointsPerEuro), 0),
+            pointValue: Math.max(number(rules.pointValue, defaults.pointValue), 0),
+            minRedeemPoints: Math.max(Math.floor(number(rules.minRedeemPoints, defaults.minRedeemPoints)), 0),
+            maxRedeemPercent: Math.min(Math.max(number(rules.maxRedeemPercent, defaults.maxRedeemPercent), 0), 100)
+        };
+    }
+
+    isEnabled() {
+        return this.rules.enabled && this.rules.pointsPerEuro > 0;
+    }
+
+    /**
+     * Whether an order status earns points - cancelled orders never do
+     */
+    isCompletedStatus(status) {
+        return this.completedStatuses.includes(status);
+    }
+
+    /**
+     * Points earned for the amount paid
+     */
+    getEarnedPoints(amount) {
+        if (!this.isEnabled() || !(amount > 0)) return 0;
+        return Math.floor(amount * this.rules.pointsPerEuro);
+    }
+
+    /**
+     * Euro value of a number of points
+     */
+    getPointsValue(points) {
+        return Math.round(points * this.rules.pointValue * 100) / 100;
+    }
+
+    /**
+     * Largest redemption allowed for a balance on an order
+     * @param {number} balance - available points
+     * @param {number} orderAmount - food subtotal after other discounts
+     * @returns {{ points: number, amount: number }}
+     */
+    getRedemption(balance, orderAmount) {
+        if (!this.isEnabled() || this.rules.pointValue <= 0 || balance < this.rules.minRedeemPoints || !(orderAmount > 0)) {
+            return { points: 0, amount: 0 };
+        }
+
+        const maxAmount = orderAmount * this.rules.maxRedeemPercent / 100;
+        const points = Math.min(Math.floor(balance), Math.floor(maxAmount / this.rules.pointValue + 1e-9));
+
+        return { points, amount: this.getPointsValue(points) };
+    }
+}
+
+// Shared instance used by every page
+window.LoyaltyProgram = LoyaltyProgram;
+window.loyaltyProgram = new LoyaltyProgram();
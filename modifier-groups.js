@@ -0,0 +1,490 @@
+/**
+ * Palace Cafe & Bar - Modifier Groups
+ * Data-driven item options (sauces, sides, extras...) shared by every page that shows or prices them
+ *
+ * Features:
+ * - Groups with min/max selections, a required flag and per-option prices
+ * - Groups are attached to menu items one by one (item.modifierGroupIds)
+ * - One renderer for the order page and the checkout edit modal
+ * - One price calculator and one description for the cart, checkout and confirmation page
+ *
+ * A selection is stored on the cart item, and sent with the order, as a snapshot:
+ * [{ groupId, groupName, options: [{ id, name, price }] }]
+ * so old orders keep the names and prices they were placed with when the menu changes.
+ *
+ * Managed in the Menu app. While the groups endpoint is missing, items that come with sides
+ * get the old sauce, fries and extras choices from /customization instead.
+ *
+ * @author Palace Development Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+// Groups built from the old /customization data and the order fields the backend reads them from
+const LEGACY_ORDER_FIELDS = {
+    'legacy-sauce': 'selectedSauce',
+    'legacy-fries': 'friesUpgrade',
+    'legacy-extras': 'extras'
+};
+
+class ModifierGroups {
+    constructor() {
+        this.config = {
+            apiUrl: window.API_BASE_URL
+        };
+
+        this.groups = [];
+        this.source = 'none'; // 'api', 'legacy' (old /customization data) or 'none'
+        this.loadPromise = null;
+    }
+
+    /**
+     * Load the groups once - subsequent calls share the same promise
+     */
+    load(lang = window.i18n?.currentLang || 'hu') {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchGroups(lang);
+        }
+        return this.loadPromise;
+    }
+
+    async fetchGroups(lang) {
+        try {
+            const response = await fetch(`${this.config.apiUrl}/menu/modifier-groups?lang=${lang}`, {
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Invalid modifier groups response');
+            }
+
+            this.groups = this.normalizeGroups(result.data);
+            this.source = 'api';
+            console.log('🎛️ Modifier groups loaded:', this.groups);
+
+        } catch (error) {
+            console.warn('⚠️ Could not load modifier groups, trying the old customization options:', error.message);
+            await this.fetchLegacyGroups(lang);
+        }
+
+        return this.groups;
+    }
+
+    /**
+     * Sauce, fries and extras from the old /customization endpoint, as groups
+     */
+    async fetchLegacyGroups(lang) {
+        try {
+            const response = await fetch(`${this.config.apiUrl}/customization?lang=${lang}`, {
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            if (!result.success || !result.data) {
+                throw new Error(result.error || 'Invalid customization response');
+            }
+
+            const { sauces = [], friesOptions = [], extras = [] } = result.data;
+            this.groups = this.normalizeGroups([
+                {
+                    id: 'legacy-sauce',
+                    name: this.label('customization.sauce', 'Szósz'),
+                    minSelect: 1,
+                    maxSelect: 1,
+                    required: true,
+                    options: sauces.map(sauce => ({ id: sauce.slug, name: sauce.name, isDefault: sauce.isDefault }))
+                },
+                {
+                    // Items with sides include the regular fries, other fries cost their addon
+                    id: 'legacy-fries',
+                    name: this.label('customization.fries', 'Köret'),
+                    minSelect: 1,
+                    maxSelect: 1,
+                    required: true,
+                    options: friesOptions.map(option => ({
+                        id: option.slug,
+                        name: option.name,
+                        price: option.slug === 'regular-fries' ? 0 : option.priceAddon,
+                        isDefault: option.slug === 'regular-fries'
+                    }))
+                },
+                {
+                    id: 'legacy-extras',
+                    name: this.label('customization.extras', 'Extrák'),
+                    minSelect: 0,
+                    maxSelect: 0,
+                    required: false,
+                    options: extras.map(extra => ({ id: extra.slug, name: extra.name, price: extra.price }))
+                }
+            ]).filter(group => group.options.length > 0);
+            this.source = 'legacy';
+            console.log('🎛️ Old customization options loaded as groups:', this.groups);
+
+        } catch (error) {
+            // Items with options are not sold until their groups load - see hasMissingGroups()
+            console.warn('⚠️ Could not load customization options:', error.message);
+            this.groups = [];
+            this.source = 'none';
+        }
+    }
+
+    /**
+     * Normalize raw groups - maxSelect 0 means no limit
+     */
+    normalizeGroups(groups) {
+        const count = value => Math.max(Math.floor(Number(value) || 0), 0);
+
+        return (Array.isArray(groups) ? groups : []).map(group => ({
+            id: group.id,
+            name: String(group.name || ''),
+            minSelect: count(group.minSelect),
+            maxSelect: count(group.maxSelect),
+            required: Boolean(group.required),
+            options: (group.options || []).map(option => ({
+                id: option.id,
+                name: String(option.name || ''),
+                price: Math.max(Number(option.price) || 0, 0),
+                isDefault: Boolean(option.isDefault),
+                isAvailable: option.isAvailable !== false
+            }))
+        }));
+    }
+
+    findGroup(groupId) {
+        return this.groups.find(group => String(group.id) === String(groupId)) || null;
+    }
+
+    /**
+     * Ids of the groups a menu item offers - with the old customization data,
+     * items that come with sides get the sauce, fries and extras groups
+     */
+    getGroupIdsForItem(item) {
+        if (item.modifierGroupIds?.length > 0) return item.modifierGroupIds;
+        if (this.source === 'legacy' && item.includesSides) {
+            return this.groups.map(group => group.id);
+        }
+        return [];
+    }
+
+    /**
+     * Groups attached to a menu or cart item, in the item's order
+     */
+    getGroupsForItem(item) {
+        return this.getGroupIdsForItem(item)
+            .map(groupId => this.findGroup(groupId))
+            .filter(Boolean);
+    }
+
+    /**
+     * True when the item offers options that could not be loaded - it cannot be ordered or edited
+     * until they are, otherwise the sauce or side choice would be silently lost
+     */
+    hasMissingGroups(item) {
+        if (this.source === 'none' && item.includesSides) return true;
+        return this.getGroupIdsForItem(item).some(groupId => !this.findGroup(groupId));
+    }
+
+    /**
+     * Fewest options the customer has to pick - optional groups may be left empty
+     */
+    getMinSelect(group) {
+        return group.required ? Math.max(group.minSelect, 1) : 0;
+    }
+
+    isSingleChoice(group) {
+        return group.maxSelect === 1;
+    }
+
+    // ============================================
+    // SELECTION
+    // ============================================
+
+    toSnapshot(group, options) {
+        return {
+            groupId: group.id,
+            groupName: group.name,
+            options: options.map(option => ({ id: option.id, name: option.name, price: option.price }))
+        };
+    }
+
+    /**
+     * Selections in the snapshot shape. The recorded snapshot always wins - only selections stored
+     * as bare { groupId, optionIds } are looked up in the current groups, and options or groups
+     * deleted since then are kept under their id rather than dropped.
+     */
+    toSnapshots(modifiers = []) {
+        return (modifiers || []).map(selection => {
+            if (Array.isArray(selection.options)) return selection;
+
+            const group = this.findGroup(selection.groupId);
+            return {
+                groupId: selection.groupId,
+                groupName: selection.groupName || group?.name || String(selection.groupId),
+                options: (selection.optionIds || []).map(optionId => {
+                    const option = group?.options.find(candidate => String(candidate.id) === String(optionId));
+                    return option
+                        ? { id: option.id, name: option.name, price: option.price }
+                        : { id: optionId, name: String(optionId), price: 0 };
+                })
+            };
+        }).filter(selection => selection.options.length > 0);
+    }
+
+    /**
+     * Preselected options of each group - required groups without a default are left for the customer
+     */
+    getDefaultSelection(groups) {
+        return groups
+            .map(group => {
+                const defaults = group.options.filter(option => option.isDefault && option.isAvailable);
+                return this.toSnapshot(group, group.maxSelect ? defaults.slice(0, group.maxSelect) : defaults);
+            })
+            .filter(selection => selection.options.length > 0);
+    }
+
+    /**
+     * Rebuild an earlier selection against the current groups (reorder, edited menu).
+     * Options no longer offered are dropped, required groups fall back to their defaults.
+     * @returns {{ modifiers: Array, changed: boolean }}
+     */
+    restoreSelection(groups, previous = []) {
+        let changed = false;
+
+        const modifiers = groups.map(group => {
+            const earlier = previous.find(selection => String(selection.groupId) === String(group.id));
+            const earlierIds = (earlier?.options?.map(option => option.id) || earlier?.optionIds || []).map(String);
+
+            let options = group.options.filter(option => option.isAvailable && earlierIds.includes(String(option.id)));
+            if (options.length !== earlierIds.length) changed = true;
+
+            if (options.length < this.getMinSelect(group)) {
+                options = group.options.filter(option => option.isDefault && option.isAvailable);
+                if (earlier) changed = true;
+            }
+
+            return this.toSnapshot(group, group.maxSelect ? options.slice(0, group.maxSelect) : options);
+        }).filter(selection => selection.options.length > 0);
+
+        if (previous.some(selection => !groups.some(group => String(group.id) === String(selection.groupId)))) {
+            changed = true;
+        }
+
+        return { modifiers, changed };
+    }
+
+    /**
+     * Selection currently checked in a rendered container
+     */
+    readSelection(container, groups) {
+        return groups.map(group => {
+            const checkedIds = Array.from(container.querySelectorAll(`input[data-modifier-group="${group.id}"]:checked`))
+                .map(input => input.value)
+                .filter(Boolean);
+            return this.toSnapshot(group, group.options.filter(option => checkedIds.includes(String(option.id))));
+        }).filter(selection => selection.options.length > 0);
+    }
+
+    /**
+     * @returns {string|null} Message for the first group with too few or too many options, null when valid
+     */
+    validateSelection(groups, modifiers) {
+        for (const group of groups) {
+            const selected = modifiers.find(selection => String(selection.groupId) === String(group.id))?.options.length || 0;
+
+            if (selected < this.getMinSelect(group) || (group.maxSelect && selected > group.maxSelect)) {
+                return `${group.name}: ${this.getRuleText(group)}`;
+            }
+        }
+        return null;
+    }
+
+    // ============================================
+    // PRICING
+    // ============================================
+
+    /**
+     * Price the options add to one unit of the item
+     */
+    getUnitPrice(modifiers = []) {
+        return modifiers.reduce((sum, selection) =>
+            sum + selection.options.reduce((groupSum, option) => groupSum + (Number(option.price) || 0), 0), 0);
+    }
+
+    /**
+     * Line total - the unit price comes from the page (variant, happy hour)
+     */
+    calculateItemTotal(unitPrice, item) {
+        return (unitPrice + this.getUnitPrice(item.modifiers)) * item.quantity;
+    }
+
+    // ============================================
+    // RENDERING
+    // ============================================
+
+    label(key, fallback) {
+        return window.i18n?.t ? window.i18n.t(key, fallback) : fallback;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    formatPrice(price) {
+        return `€${Number(price).toFixed(2)}`;
+    }
+
+    /**
+     * "kötelező, max. 2" - shown next to the group name and in validation messages
+     */
+    getRuleText(group) {
+        const parts = [];
+        const minSelect = this.getMinSelect(group);
+
+        if (group.required) parts.push(this.label('customization.required', 'kötelező'));
+        if (minSelect > 1) parts.push(`${this.label('customization.min', 'min.')} ${minSelect}`);
+        if (group.maxSelect > 1) parts.push(`${this.label('customization.max', 'max.')} ${group.maxSelect}`);
+
+        return parts.join(', ');
+    }
+
+    /**
+     * Option lists for the given groups with the selection checked.
+     * Single-choice groups are radios, optional ones get a "no thanks" choice.
+     */
+    renderGroups(groups, modifiers = []) {
+        return groups.map(group => {
+            const selectedIds = (modifiers.find(selection => String(selection.groupId) === String(group.id))?.options || [])
+                .map(option => String(option.id));
+            const inputType = this.isSingleChoice(group) ? 'radio' : 'checkbox';
+            const ruleText = this.getRuleText(group);
+
+            const noneOption = inputType === 'radio' && !group.required ? `
+                <label class="upgrade-option">
+                    <input type="radio" name="modifier-${group.id}" value="" data-modifier-group="${group.id}" ${selectedIds.length === 0 ? 'checked' : ''}>
+                    <span class="upgrade-label">
+                        <span class="upgrade-name">${this.label('customization.none', 'Nem kérek')}</span>
+                    </span>
+                </label>
+            ` : '';
+
+            const options = group.options.map(option => {
+                const priceLabel = !option.isAvailable
+                    ? this.label('orderPage.unavailable', 'Nem elérhető')
+                    : option.price > 0 ? `+${this.formatPrice(option.price)}` : this.label('customization.included', 'Alapár');
+
+                return `
+                    <label class="upgrade-option ${option.isAvailable ? '' : 'unavailable'}">
+                        <input type="${inputType}" name="modifier-${group.id}" value="${option.id}" data-modifier-group="${group.id}"
+                               ${selectedIds.includes(String(option.id)) ? 'checked' : ''} ${option.isAvailable ? '' : 'disabled'}>
+                        <span class="upgrade-label">
+                            <span class="upgrade-name">${this.escapeHtml(option.name)}</span>
+                            <span class="upgrade-price">${priceLabel}</span>
+                        </span>
+                    </label>
+                `;
+            }).join('');
+
+            return `
+                <div class="customization-section modifier-group" data-group-id="${group.id}">
+                    <h4 class="section-title">
+                        ${this.escapeHtml(group.name)}
+                        ${ruleText ? `<span class="modifier-rule">(${ruleText})</span>` : ''}
+                    </h4>
+                    <div class="fries-options">
+                        ${noneOption}
+                        ${options}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Keep multi-choice groups at their maximum and report every change.
+     * Bind once per container - groups are looked up when the change happens.
+     */
+    bindGroups(container, onChange) {
+        container.addEventListener('change', (e) => {
+            const groupId = e.target.dataset.modifierGroup;
+            if (groupId === undefined) return;
+
+            this.applyLimits(container, groupId);
+            onChange();
+        });
+    }
+
+    /**
+     * Disable the unchecked options of groups that reached their maximum
+     */
+    applyLimits(container, groupId = null) {
+        const groups = groupId === null ? this.groups : [this.findGroup(groupId)].filter(Boolean);
+
+        groups.filter(group => group.maxSelect > 1).forEach(group => {
+            const inputs = Array.from(container.querySelectorAll(`input[data-modifier-group="${group.id}"]`));
+            const isFull = inputs.filter(input => input.checked).length >= group.maxSelect;
+
+            inputs.forEach(input => {
+                const option = group.options.find(entry => String(entry.id) === input.value);
+                input.disabled = !option?.isAvailable || (isFull && !input.checked);
+            });
+        });
+    }
+
+    /**
+     * "Szósz: BBQ", "Extrák: Bacon (+€0.30), Sajt (+€0.30)" - one entry per group, HTML-escaped
+     */
+    describe(modifiers = []) {
+        return this.toSnapshots(modifiers).map(selection => {
+            const options = selection.options.map(option => Number(option.price) > 0
+                ? `${this.escapeHtml(option.name)} (+${this.formatPrice(option.price)})`
+                : this.escapeHtml(option.name));
+            return `${this.escapeHtml(selection.groupName)}: ${options.join(', ')}`;
+        });
+    }
+
+    /**
+     * sauce, fries and extras fields of the old order format, for selections of the old customization groups
+     */
+    toLegacyOrderData(modifiers = []) {
+        if (this.source !== 'legacy') return {};
+
+        const fields = {};
+        modifiers.forEach(selection => {
+            const field = LEGACY_ORDER_FIELDS[selection.groupId];
+            if (!field) return;
+
+            const optionIds = selection.options.map(option => option.id);
+            fields[field] = field === 'extras' ? optionIds : optionIds[0] || null;
+        });
+        return fields;
+    }
+
+    /**
+     * Order payload - the backend prices the options itself from optionIds and stores
+     * the snapshot for tickets, the confirmation page and "My orders"
+     */
+    toOrderData(modifiers = []) {
+        return modifiers.map(selection => ({
+            groupId: selection.groupId,
+            groupName: selection.groupName,
+            optionIds: selection.options.map(option => option.id),
+            options: selection.options.map(option => ({ id: option.id, name: option.name, price: option.price }))
+        }));
+    }
+}
+
+// Shared instance used by every page
+window.ModifierGroups = ModifierGroups;
+window.modifierGroups = new ModifierGroups();
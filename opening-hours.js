@@ -0,0 +1,259 @@
+/**
+ * Palace Cafe & Bar - Opening Hours Schedule
+ * Single opening-hours source shared by the order page, checkout and the closed overlay
+ *
+ * Features:
+ * - Weekly schedule with split shifts (several open/close pairs per day)
+ * - Date-based exceptions: holiday closures and special opening days
+ * - Pre-order window: how many days ahead customers may schedule an order
+ * - Loaded from the backend, falling back to opening-hours.json and built-in defaults
+ *
+ * @author Palace Development Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+class OpeningSchedule {
+    constructor() {
+        this.config = {
+            apiUrl: window.API_BASE_URL,
+            fallbackUrl: '/opening-hours.json',
+            lookaheadDays: 14
+        };
+
+        this.schedule = this.normalizeSchedule(this.getDefaultSchedule());
+        this.source = 'default';
+        this.loadPromise = null;
+    }
+
+    /**
+     * Built-in schedule used when neither the backend nor the JSON file is reachable
+     */
+    getDefaultSchedule() {
+        return {
+            orderCutoffMinutes: 30, // Online ordering closes this many minutes before closing time
+            preorderDays: 7, // Scheduled orders may be placed this many days ahead (0 = today only)
+            weekly: {
+                0: [], // Sunday - CLOSED
+                1: [], // Monday - CLOSED
+                2: [], // Tuesday - CLOSED
+                3: [{ open: '11:00', close: '20:00' }], // Wednesday
+                4: [{ open: '11:00', close: '20:00' }], // Thursday
+                5: [{ open: '11:00', close: '22:00' }], // Friday
+                6: [{ open: '11:00', close: '22:00' }]  // Saturday
+            },
+            exceptions: []
+        };
+    }
+
+    /**
+     * Load the schedule once - subsequent calls share the same promise
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchSchedule();
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Try the backend first, then the static JSON file
+     */
+    async fetchSchedule() {
+        const loaded = await window.settingsSource.load({
+            label: 'opening hours',
+            apiUrl: `${this.config.apiUrl}/restaurant/opening-hours`,
+            fileUrl: this.config.fallbackUrl,
+            extract: data => (data && data.weekly ? data : null)
+        });
+
+        if (!loaded) {
+            console.warn('⚠️ Using built-in opening hours');
+            return this.schedule;
+        }
+
+        this.schedule = this.normalizeSchedule(loaded.data);
+        this.source = loaded.source;
+        console.log(`🕒 Opening hours loaded from ${loaded.source}:`, this.schedule);
+        return this.schedule;
+    }
+
+    /**
+     * Normalize raw schedule data into { orderCutoffMinutes, preorderDays, weekly, exceptions }
+     */
+    normalizeSchedule(data) {
+        const weekly = {};
+        for (let day = 0; day < 7; day++) {
+            weekly[day] = this.normalizeShifts(data.weekly?.[day]);
+        }
+
+        const exceptions = (data.exceptions || [])
+            .filter(exception => /^\d{4}-\d{2}-\d{2}$/.test(exception.date))
+            .map(exception => ({
+                date: exception.date,
+                closed: Boolean(exception.closed),
+                shifts: exception.closed ? [] : this.normalizeShifts(exception.shifts),
+                reason: exception.reason || ''
+            }));
+
+        return {
+            orderCutoffMinutes: Number.isFinite(data.orderCutoffMinutes) ? data.orderCutoffMinutes : 30,
+            preorderDays: Number.isInteger(data.preorderDays)
+                ? Math.min(Math.max(data.preorderDays, 0), this.config.lookaheadDays)
+                : 7,
+            weekly,
+            exceptions
+        };
+    }
+
+    /**
+     * Accept a single { open, close } object, an array of them or null
+     */
+    normalizeShifts(shifts) {
+        if (!shifts) return [];
+        const list = Array.isArray(shifts) ? shifts : [shifts];
+
+        return list
+            .filter(shift => shift && this.isValidTimeString(shift.open) && this.isValidTimeString(shift.close))
+            .filter(shift => this.toMinutes(shift.open) < this.toMinutes(shift.close))
+            .sort((a, b) => this.toMinutes(a.open) - this.toMinutes(b.open))
+            .map(shift => ({ open: shift.open, close: shift.close }));
+    }
+
+    isValidTimeString(value) {
+        return typeof value === 'string' && /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(value);
+    }
+
+    /**
+     * Convert "HH:MM" to minutes since midnight
+     */
+    toMinutes(timeString) {
+        const [hours, minutes] = timeString.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Local calendar date as YYYY-MM-DD
+     */
+    toDateKey(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Get the exception entry for a given date, if any
+     */
+    getException(date = new Date()) {
+        const dateKey = this.toDateKey(date);
+        return this.schedule.exceptions.find(exception => exception.date === dateKey) || null;
+    }
+
+    /**
+     * Get the effective shifts for a date - exceptions override the weekly schedule
+     */
+    getShiftsForDate(date = new Date()) {
+        const exception = this.getException(date);
+        if (exception) {
+            return exception.shifts;
+        }
+        return this.schedule.weekly[date.getDay()] || [];
+    }
+
+    /**
+     * Get the shift the given moment falls into, or null
+     */
+    getShiftAt(date = new Date()) {
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        return this.getShiftsForDate(date).find(shift =>
+            minutes >= this.toMinutes(shift.open) && minutes < this.toMinutes(shift.close)
+        ) || null;
+    }
+
+    /**
+     * Check if the restaurant is open at the given moment
+     */
+    isOpen(date = new Date()) {
+        return this.getShiftAt(date) !== null;
+    }
+
+    /**
+     * Check if online orders can be placed at the given moment
+     * (open, and not within the cutoff window before closing)
+     */
+    isAcceptingOrders(date = new Date()) {
+        const shift = this.getShiftAt(date);
+        if (!shift) return false;
+
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        return minutes < this.toMinutes(shift.close) - this.schedule.orderCutoffMinutes;
+    }
+
+    /**
+     * Find the next shift start after the given moment
+     * @returns {{ date: Date, shift: Object, daysAhead: number } | null}
+     */
+    getNextOpening(from = new Date()) {
+        const fromMinutes = from.getHours() * 60 + from.getMinutes();
+
+        for (let i = 0; i <= this.config.lookaheadDays; i++) {
+            const day = new Date(from);
+            day.setDate(from.getDate() + i);
+
+            const shift = this.getShiftsForDate(day).find(candidate =>
+                i > 0 || this.toMinutes(candidate.open) > fromMinutes
+            );
+
+            if (shift) {
+                const [hours, minutes] = shift.open.split(':').map(Number);
+                day.setHours(hours, minutes, 0, 0);
+                return { date: day, shift, daysAhead: i };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if a scheduled order can still be placed for a shift within the pre-order window
+     * (later today before the cutoff, or any open day up to preorderDays ahead)
+     */
+    canPreorder(from = new Date()) {
+        const fromMinutes = from.getHours() * 60 + from.getMinutes();
+
+        return this.getUpcomingDays(from, this.schedule.preorderDays + 1).some(({ shifts }, i) =>
+            shifts.some(shift => i > 0 || this.toMinutes(shift.close) - this.schedule.orderCutoffMinutes > fromMinutes)
+        );
+    }
+
+    /**
+     * Effective schedule for the given number of days starting at a date
+     */
+    getUpcomingDays(from = new Date(), days = 7) {
+        const result = [];
+        for (let i = 0; i < days; i++) {
+            const date = new Date(from);
+            date.setDate(from.getDate() + i);
+            result.push({
+                date,
+                shifts: this.getShiftsForDate(date),
+                exception: this.getException(date)
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Format shifts as "11:00 - 14:00, 17:00 - 22:00"
+     */
+    formatShifts(shifts, closedLabel = 'Zárva') {
+        if (!shifts || shifts.length === 0) return closedLabel;
+        return shifts.map(shift => `${shift.open} - ${shift.close}`).join(', ');
+    }
+}
+
+// Shared instance used by every page
+window.OpeningSchedule = OpeningSchedule;
+window.openingSchedule = new OpeningSchedule();
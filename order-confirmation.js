@@ -15,16 +15,26 @@ class OrderConfirmation {
             socketUrl: window.SOCKET_URL,
             refreshInterval: 30000, // 30 seconds
             maxRetries: 3,
-            retryDelay: 2000
+            retryDelay: 2000,
+            // Driver ETA estimate
+            averageSpeedKmh: 25,
+            roadFactor: 1.3, // Streets are longer than the straight line
+            handoverMinutes: 2
         };
 
+        this.account = window.customerAccount || null;
+        this.loyalty = window.loyaltyProgram || null;
+        this.modifiers = window.modifierGroups; // Shared option pricing and labels (modifier-groups.js)
+        this.combos = window.comboDeals; // Combo pick labels (combo-deals.js)
+
         this.state = {
             orderNumber: null,
             orderData: null,
             isLoading: true,
             socket: null,
             retryCount: 0,
-            lastUpdate: null
+            lastUpdate: null,
+            driverLocation: null // { lat, lng, distanceKm, updatedAt } while out for delivery
         };
 
         this.statusProgression = {
@@ -65,20 +75,12 @@ class OrderConfirmation {
             this.getOrderNumberFromURL();
             
             if (!this.state.orderNumber) {
-                this.showError('Rendelés szám nem található az URL-ben');
+                // No confirmation link - let the guest look the order up instead
+                this.showLookupForm();
                 return;
             }
 
-            // Setup WebSocket connection for real-time updates
-            this.setupWebSocket();
-
-            this.initializeRollingStatus();
-            
-            // Load order data
-            await this.loadOrderData();            
-
-            // Setup periodic refresh as fallback
-            this.setupPeriodicRefresh();
+            await this.startTracking();
             
             console.log('✅ Order Confirmation initialized');
             
@@ -88,6 +90,118 @@ class OrderConfirmation {
         }
     }
 
+    /**
+     * Live tracking for the current order number
+     */
+    async startTracking() {
+        // Setup WebSocket connection for real-time updates
+        this.setupWebSocket();
+
+        this.initializeRollingStatus();
+        
+        // Option names for items that only carry the chosen option ids
+        await this.modifiers.load();
+
+        // Load order data
+        await this.loadOrderData();            
+
+        // Setup periodic refresh as fallback
+        this.setupPeriodicRefresh();
+    }
+
+    // ============================================
+    // GUEST ORDER LOOKUP
+    // ============================================
+
+    /**
+     * Show the "Track my order" form for customers without the confirmation URL
+     */
+    showLookupForm() {
+        document.body.classList.add('conf-lookup-mode');
+
+        const form = document.getElementById('orderLookupForm');
+        if (form && !form.dataset.bound) {
+            form.dataset.bound = 'true';
+            form.addEventListener('submit', (e) => this.handleLookup(e));
+        }
+
+        document.getElementById('lookupOrderNumber')?.focus();
+    }
+
+    /**
+     * Verify the order number against the phone number, then hand over to live tracking
+     */
+    async handleLookup(e) {
+        e.preventDefault();
+
+        const orderNumber = this.normalizeOrderNumber(document.getElementById('lookupOrderNumber')?.value);
+        const phone = this.normalizePhone(document.getElementById('lookupPhone')?.value);
+
+        if (!orderNumber || !phone) {
+            this.showLookupError(this.t('ocjs.lookupinvalid'));
+            return;
+        }
+
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        if (submitBtn) submitBtn.disabled = true;
+        this.showLookupError('');
+
+        try {
+            const response = await this.apiCall('/orders/lookup', {
+                method: 'POST',
+                body: JSON.stringify({ orderNumber, phone })
+            });
+
+            if (!response.success || !response.data?.orderNumber) {
+                throw new Error(response.error || 'Order not found');
+            }
+
+            this.state.orderNumber = response.data.orderNumber;
+
+            // Keep the tracking URL so a refresh or bookmark works like the confirmation link
+            const url = new URL(window.location);
+            url.searchParams.set('order', this.state.orderNumber);
+            window.history.replaceState({}, '', url);
+
+            document.body.classList.remove('conf-lookup-mode');
+            await this.startTracking();
+
+        } catch (error) {
+            console.warn('⚠️ Order lookup failed:', error.message);
+            const notFound = /HTTP 40[034]/.test(error.message) || error.message === 'Order not found';
+            this.showLookupError(this.t(notFound ? 'ocjs.lookupnotfound' : 'ocjs.lookupfailed'));
+        } finally {
+            if (submitBtn) submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Accept "#PCB-...", lowercase and surrounding spaces
+     */
+    normalizeOrderNumber(value) {
+        const orderNumber = String(value || '').trim().replace(/^#/, '').toUpperCase();
+        return /^[A-Z0-9-]{4,}$/.test(orderNumber) ? orderNumber : null;
+    }
+
+    /**
+     * Same phone formats as checkout: +421 910 123 456 or 0910 123 456
+     */
+    normalizePhone(value) {
+        let phone = String(value || '').replace(/[\s\-()]/g, '');
+        if (/^0\d{9}$/.test(phone)) {
+            phone = `+421${phone.slice(1)}`;
+        }
+        return /^\+?\d{9,15}$/.test(phone) ? phone : null;
+    }
+
+    showLookupError(message) {
+        const errorEl = document.getElementById('orderLookupError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.style.display = message ? 'block' : 'none';
+        }
+    }
+
     /**
      * Extract order number from URL parameters
      */
@@ -120,6 +234,9 @@ class OrderConfirmation {
             this.state.socket.on('connect', () => {
                 console.log('🔌 WebSocket connected');
                 this.updateConnectionStatus(true);
+
+                // Driver positions are only sent to the room of the tracked order
+                this.state.socket.emit('trackOrder', { orderNumber: this.state.orderNumber });
             });
             
             this.state.socket.on('disconnect', () => {
@@ -138,6 +255,24 @@ class OrderConfirmation {
                 console.log('✅ Order completion received:', orderData);
                 this.handleOrderCompletion(orderData);
             });
+
+            // Items, totals or address changed by staff
+            this.state.socket.on('orderUpdated', (orderData) => {
+                console.log('✏️ Order edited:', orderData);
+                this.handleOrderEdited(orderData);
+            });
+
+            // Live driver position while the order is out for delivery
+            this.state.socket.on('driverLocation', (locationData) => {
+                this.handleDriverLocation(locationData);
+            });
+
+            this.state.socket.on('driverLocationEnded', (data) => {
+                if (data?.orderNumber === this.state.orderNumber) {
+                    this.state.driverLocation = null;
+                    this.updateDriverTracking();
+                }
+            });
             
         } catch (error) {
             console.warn('⚠️ WebSocket setup failed:', error);
@@ -240,6 +375,10 @@ class OrderConfirmation {
                 // UPDATE THE ROLLING STATUS 
                 this.updateRollingStatus();
 
+                this.updateLoyaltyInfo();
+
+                this.updateDriverTracking();
+
                 // Show appropriate toast message
                 if (updateData.status === 'DELIVERED') {
                     this.showToast(this.t("ocjs.ordersuccess"), 'success');
@@ -259,6 +398,30 @@ class OrderConfirmation {
         }
     }
 
+    /**
+     * Reload the order quietly after staff changed it
+     */
+    async handleOrderEdited(orderData) {
+        const isMatchingOrder = orderData.orderNumber === this.state.orderNumber ||
+                               orderData.id === this.state.orderData?.id;
+        if (!isMatchingOrder) return;
+
+        try {
+            const response = await this.apiCall(`/orders/${this.state.orderNumber}/status`);
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load order data');
+            }
+
+            this.state.orderData = response.data;
+            this.state.lastUpdate = new Date();
+            this.renderOrderData();
+
+            this.showToast(this.t("ocjs.ordermodified"), 'info');
+        } catch (error) {
+            console.error('❌ Failed to reload edited order:', error);
+        }
+    }
+
     /**
      * Handle order completion
      */
@@ -289,6 +452,10 @@ class OrderConfirmation {
 
                 this.updateTrackingInfo();
 
+                this.updateLoyaltyInfo();
+
+                this.updateDriverTracking();
+
                 this.showToast(this.t("ocjs.ordersuccess"), 'success');
             } else {
                 console.log('🎉 No local order data, loading from API...');
@@ -337,6 +504,12 @@ class OrderConfirmation {
         // Update the rolling status to show current state
         this.updateRollingStatus();
 
+        // Loyalty points balance
+        this.updateLoyaltyInfo();
+
+        // Driver position while out for delivery
+        this.updateDriverTracking();
+
         // Hide loading state
         this.hideLoadingState();
     }
@@ -795,15 +968,8 @@ class OrderConfirmation {
             return item.totalPrice;
         }
 
-        // Fallback calculation
-        let total = item.price * item.quantity;
-
-        // Add any upgrade costs if available
-        if (item.upgradePrice) {
-            total += item.upgradePrice * item.quantity;
-        }
-
-        return total;
+        // Fallback calculation - older orders carry a flat upgrade price instead of option snapshots
+        return this.modifiers.calculateItemTotal((Number(item.price) || 0) + (Number(item.upgradePrice) || 0), item);
     }    
 
     /**
@@ -817,6 +983,9 @@ class OrderConfirmation {
 
         // Fallback for older orders without pre-formatted data
         const customizations = [];
+        if (item.variantName) customizations.push(item.variantName);
+        customizations.push(...this.modifiers.describe(item.modifiers));
+        customizations.push(...this.combos.describe(item.comboItems));
         if (item.selectedSauce) customizations.push(`Szósz: ${item.selectedSauce}`);
         if (item.friesUpgrade) customizations.push(`Krumpli: ${item.friesUpgrade}`);
         if (item.extras?.length > 0) customizations.push(`Extrák: ${item.extras.join(', ')}`);
@@ -830,8 +999,19 @@ class OrderConfirmation {
      */
     renderItemCustomizations(item) {
         const customizations = [];
+
+        // Size variant
+        if (item.variantName) {
+            customizations.push(this.escapeHtml(item.variantName));
+        }
+
+        // Option groups
+        customizations.push(...this.modifiers.describe(item.modifiers));
+
+        // Combo picks, one per slot
+        customizations.push(...this.combos.describe(item.comboItems));
         
-        // Selected sauce
+        // Selected sauce - older orders
         if (item.selectedSauce) {
             customizations.push(`Szósz: ${this.escapeHtml(item.selectedSauce)}`);
         }
@@ -1023,6 +1203,65 @@ class OrderConfirmation {
         `;
     }
 
+    // ============================================
+    // LOYALTY POINTS
+    // ============================================
+
+    /**
+     * Show the balance and what this order earns. Crediting happens in the backend
+     * when the staff complete the order, so this only reads the ledger.
+     */
+    async updateLoyaltyInfo() {
+        const section = document.getElementById('loyaltySection');
+        const container = document.getElementById('loyaltyInfo');
+        const order = this.state.orderData;
+        if (!section || !container || !order || !this.loyalty) return;
+
+        try {
+            await this.loyalty.load();
+            if (!this.loyalty.isEnabled() || !this.account?.supportsLoyalty()) {
+                section.style.display = 'none';
+                return;
+            }
+
+            const isCompleted = this.loyalty.isCompletedStatus(order.status);
+            const earnedPoints = this.loyalty.getEarnedPoints(Number(order.total) || 0);
+
+            if (!this.account?.isSignedIn()) {
+                container.innerHTML = `
+                    <p class="conf-loyalty-note">
+                        ${this.t('ocjs.loyaltyguest')} <a href="my-orders.html">${this.t('ocjs.loyaltysignin')}</a>
+                    </p>
+                `;
+                section.style.display = 'block';
+                return;
+            }
+
+            const { balance } = await this.account.getLoyalty();
+
+            let statusText = '';
+            if (order.status === 'CANCELLED') {
+                statusText = this.t('ocjs.loyaltycancelled');
+            } else if (earnedPoints > 0) {
+                statusText = `${isCompleted ? this.t('ocjs.loyaltyearned') : this.t('ocjs.loyaltypending')} +${earnedPoints} ${this.t('ocjs.loyaltypoints')}`;
+            }
+
+            container.innerHTML = `
+                <div class="conf-loyalty-balance">
+                    <span class="conf-loyalty-value">${balance}</span>
+                    <span class="conf-loyalty-label">${this.t('ocjs.loyaltypoints')}</span>
+                </div>
+                <div class="conf-loyalty-worth">≈ ${this.formatCurrency(this.loyalty.getPointsValue(balance))}</div>
+                ${statusText ? `<p class="conf-loyalty-note">${statusText}</p>` : ''}
+            `;
+            section.style.display = 'block';
+
+        } catch (error) {
+            console.warn('⚠️ Could not update loyalty points:', error.message);
+            section.style.display = 'none';
+        }
+    }
+
     /**
      * Update tracking information
      */
@@ -1069,6 +1308,110 @@ class OrderConfirmation {
         }
     }
 
+    // ============================================
+    // LIVE DRIVER POSITION
+    // ============================================
+
+    /**
+     * Driver position shared from the driver view - already rounded to roughly 100 m
+     */
+    handleDriverLocation(locationData) {
+        if (!locationData || locationData.orderNumber !== this.state.orderNumber) return;
+
+        this.state.driverLocation = {
+            lat: Number(locationData.lat),
+            lng: Number(locationData.lng),
+            distanceKm: locationData.distanceKm ?? null,
+            updatedAt: locationData.updatedAt ? new Date(locationData.updatedAt) : new Date()
+        };
+
+        this.updateDriverTracking();
+    }
+
+    /**
+     * Show position and ETA only while the order is out for delivery
+     */
+    updateDriverTracking() {
+        const section = document.getElementById('driverTrackingSection');
+        const info = document.getElementById('driverTrackingInfo');
+        const map = document.getElementById('driverMap');
+        if (!section || !info || !map) return;
+
+        const order = this.state.orderData;
+        if (!order || order.orderType !== 'DELIVERY' || order.status !== 'OUT_FOR_DELIVERY') {
+            section.style.display = 'none';
+            map.removeAttribute('src');
+            this.state.driverLocation = null;
+            return;
+        }
+
+        section.style.display = 'block';
+
+        const driver = this.state.driverLocation;
+        if (!driver) {
+            info.innerHTML = `<p class="conf-driver-waiting">${this.t('ocjs.driverwaiting')}</p>`;
+            map.style.display = 'none';
+            return;
+        }
+
+        const distanceKm = this.getDriverDistanceKm(driver, order);
+        const etaMinutes = distanceKm !== null ? this.getDriverEtaMinutes(distanceKm) : null;
+
+        info.innerHTML = `
+            ${etaMinutes !== null ? `
+                <div class="conf-driver-eta">
+                    ${this.t('ocjs.drivereta')} <strong>${etaMinutes} ${this.t('ocjs.minute')}</strong>
+                </div>
+                <div class="conf-driver-row">
+                    <span>${this.t('ocjs.driverdistance')}</span>
+                    <span>${distanceKm.toFixed(1)} km</span>
+                </div>
+            ` : ''}
+            <div class="conf-driver-row">
+                <span>${this.t('ocjs.driverupdated')}</span>
+                <span>${this.formatTime(driver.updatedAt)}</span>
+            </div>
+            <p class="conf-driver-note">${this.t('ocjs.driverlocation')}</p>
+        `;
+
+        // Reloading the embedded map on every update would flicker - only follow real movement
+        const mapSrc = `https://maps.google.com/maps?q=${driver.lat},${driver.lng}&z=15&output=embed`;
+        if (map.getAttribute('src') !== mapSrc) {
+            map.setAttribute('src', mapSrc);
+        }
+        map.style.display = 'block';
+    }
+
+    /**
+     * Straight-line distance to the delivery address, or the driver's own estimate
+     */
+    getDriverDistanceKm(driver, order) {
+        const destination = order.deliveryLocation;
+        if (destination?.lat && destination?.lng) {
+            return this.calculateDistance(driver.lat, driver.lng, destination.lat, destination.lng);
+        }
+        return Number.isFinite(driver.distanceKm) ? driver.distanceKm : null;
+    }
+
+    getDriverEtaMinutes(distanceKm) {
+        const drivingMinutes = distanceKm * this.config.roadFactor / this.config.averageSpeedKmh * 60;
+        return Math.max(Math.ceil(drivingMinutes + this.config.handoverMinutes), 1);
+    }
+
+    /**
+     * Haversine distance in km
+     */
+    calculateDistance(lat1, lng1, lat2, lng2) {
+        const R = 6371;
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLng = (lng2 - lng1) * Math.PI / 180;
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
     /**
      * Show loading state
      */
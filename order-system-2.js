@@ -382,20 +382,21 @@ class OrderSystem {
         this.apiUrl = window.API_BASE_URL;
         this.cart = [];
         this.currentItem = null;
-        this.customizationOptions = null;
         this.deliveryFee = 2.50;
+
+        // Categories that bypass the customization modal unless there is a size or an option to pick
+        this.directAddCategories = ['sides', 'nonalcoholic', 'sauces', 'deliverabledesserts', 'snacks'];
         this.menuData = null;
-        this.operatingHours = {
-            0: null,// Sunday - CLOSED
-            1: null, // Monday - CLOSED
-            2: null, // Tuesday - CLOSED
-            3: { open: '11:00', close: '19:30' }, // Wednesday
-            4: { open: '11:00', close: '19:30' }, // Thursday
-            5: { open: '11:00', close: '21:00' }, // Friday
-            6: { open: '11:00', close: '21:00' }  // Saturday
-        };
+        this.schedule = window.openingSchedule; // Shared opening hours (opening-hours.js)
+        this.happyHour = window.happyHourPricing; // Time-windowed price rules (happy-hour.js)
+        this.account = window.customerAccount; // Optional customer account (customer-account.js)
+        this.modifiers = window.modifierGroups; // Option groups attached to items (modifier-groups.js)
+        this.combos = window.comboDeals; // Meal deals with a pick per slot (combo-deals.js)
+        this.happyHourSignature = '';
+        this.happyHourTimer = null;
 
         this.isAcceptingOrders = true;
+        this.isPreorderOnly = false; // Closed right now, but a later shift can be pre-ordered
         this.orderStatusCheckTimer = null;
         this.refreshCountdown = 60;
         this.countdownInterval = null;
@@ -435,8 +436,14 @@ class OrderSystem {
 
         try {
             this.showLoading();
-            // Check if restaurant is open
-            if (!this.isRestaurantOpen()) {
+
+            // Load the shared opening hours before checking if we're open,
+            // and the happy hour rules before the menu prices are rendered
+            await Promise.all([this.schedule.load(), this.happyHour.load()]);
+
+            // Closed right now - the menu stays open for pre-orders while a later shift is bookable
+            this.isPreorderOnly = !this.isRestaurantOpen();
+            if (this.isPreorderOnly && !this.schedule.canPreorder()) {
                 this.hideLoading();
                 this.showClosedOverlay();
                 return; // Stop initialization if closed
@@ -446,16 +453,22 @@ class OrderSystem {
 
             this.clearCart();
 
-            // Load menu and customization options
+            // Load menu and the option groups attached to its items
             await Promise.all([
                 this.loadMenu(),
-                this.loadCustomizationOptions(),
+                this.modifiers.load(),
                 this.loadAllergenData()
             ]);
 
             this.setupEventListeners();
             this.setupCartItemEventListeners();
             this.loadCartFromStorage();
+            this.applyPendingReorder();
+            this.startHappyHourWatcher();
+
+            if (this.isPreorderOnly) {
+                this.showPreorderOnlyMessage();
+            }
 
             this.hideLoading();
             console.log('✅ Order System ready!');
@@ -474,7 +487,11 @@ class OrderSystem {
             const urlParams = new URLSearchParams(window.location.search);
             const lang = urlParams.get('lang') || localStorage.getItem('lang') || 'hu';
 
-            const response = await fetch(`${this.apiUrl}/menu/deliverable?lang=${lang}`);
+            // Combos are rendered as the first menu section
+            const [response] = await Promise.all([
+                fetch(`${this.apiUrl}/menu/deliverable?lang=${lang}`),
+                this.combos.load(lang)
+            ]);
             const result = await response.json();
 
             if (!result.success) {
@@ -496,28 +513,6 @@ class OrderSystem {
         }
     }
 
-    async loadCustomizationOptions() {
-        try {
-            const urlParams = new URLSearchParams(window.location.search);
-            const lang = urlParams.get('lang') || localStorage.getItem('lang') || 'hu';
-
-            const currentLang = window.i18n?.currentLang || 'hu';
-            const response = await fetch(`${this.apiUrl}/customization?lang=${currentLang}`);
-            const result = await response.json();
-
-            if (!result.success) {
-                throw new Error(result.error || 'Failed to load customization options');
-            }
-
-            console.log('🎛️ Customization options loaded:', result.data);
-            this.customizationOptions = result.data;
-
-        } catch (error) {
-            console.error('❌ Customization loading error:', error);
-            throw error;
-        }
-    }
-
     async loadAllergenData() {
         try {
             const urlParams = new URLSearchParams(window.location.search);
@@ -554,6 +549,10 @@ class OrderSystem {
                     name: item.name,
                     price: item.price,
                     quantity: item.quantity,
+                    modifiers: this.modifiers.toOrderData(item.modifiers),
+                    ...this.modifiers.toLegacyOrderData(item.modifiers),
+                    comboId: item.combo?.id || null,
+                    comboItems: this.combos.toOrderData(item.combo?.items),
                     customizations: item.customization
                 })),
                 subtotal: this.calculateSubtotal(),
@@ -593,28 +592,26 @@ class OrderSystem {
     }
 
 /**
-     * Check if restaurant is currently open
+     * Check if restaurant is currently open for online orders
      */
     isRestaurantOpen() {
         const now = new Date();
-        const currentDay = now.getDay(); // 0 = Sunday, 1 = Monday, etc.
         const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-        
-        const todayHours = this.operatingHours[currentDay];
-        
+        const todayShifts = this.schedule.getShiftsForDate(now);
+
         // If no hours defined for today, restaurant is closed
-        if (!todayHours) {
+        if (todayShifts.length === 0) {
             console.log('❌ Restaurant closed today (no operating hours)');
             return false;
         }
-        
-        // Check if current time is within operating hours
-        const isOpen = currentTime >= todayHours.open && currentTime < todayHours.close;
-        
+
+        // Ordering closes orderCutoffMinutes before the end of each shift
+        const isOpen = this.schedule.isAcceptingOrders(now);
+
         console.log(`⏰ Current time: ${currentTime}`);
-        console.log(`📅 Today's hours: ${todayHours.open} - ${todayHours.close}`);
+        console.log(`📅 Today's hours: ${this.schedule.formatShifts(todayShifts)}`);
         console.log(`🏪 Restaurant is: ${isOpen ? 'OPEN' : 'CLOSED'}`);
-        
+
         return isOpen;
     }
 
@@ -622,80 +619,82 @@ class OrderSystem {
      * Calculate next opening time
      */
     getNextOpening() {
-        const now = new Date();
-        const currentDay = now.getDay();
-        const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-        
         const dayNames = ['Vasárnap', 'Hétfő', 'Kedd', 'Szerda', 'Csütörtök', 'Péntek', 'Szombat'];
-        
-        // Check if we open later today
-        const todayHours = this.operatingHours[currentDay];
-        if (todayHours && currentTime < todayHours.open) {
-            return `Ma ${todayHours.open}-kor`;
+        const nextOpening = this.schedule.getNextOpening(new Date());
+
+        if (!nextOpening) {
+            return 'Hamarosan'; // Fallback
         }
-        
-        // Check next 7 days
-        for (let i = 1; i <= 7; i++) {
-            const checkDay = (currentDay + i) % 7;
-            const hours = this.operatingHours[checkDay];
-            
-            if (hours) {
-                const dayName = dayNames[checkDay];
-                if (i === 1) {
-                    return `Holnap (${dayName}) ${hours.open}-kor`;
-                } else {
-                    return `${dayName} ${hours.open}-kor`;
-                }
-            }
+
+        const { date, shift, daysAhead } = nextOpening;
+        const dayName = dayNames[date.getDay()];
+
+        if (daysAhead === 0) {
+            return `Ma ${shift.open}-kor`;
         }
-        
-        return 'Hamarosan'; // Fallback
+        if (daysAhead === 1) {
+            return `Holnap (${dayName}) ${shift.open}-kor`;
+        }
+        if (daysAhead < 7) {
+            return `${dayName} ${shift.open}-kor`;
+        }
+
+        // More than a week away (e.g. holiday closure) - show the date as well
+        const dateText = date.toLocaleDateString('hu-HU', { month: 'long', day: 'numeric' });
+        return `${dateText} (${dayName}) ${shift.open}-kor`;
     }
 
     /**
-     * Get appropriate closed message based on time/day
+     * Get appropriate closed message based on today's schedule
      */
     getClosedMessage() {
         const now = new Date();
-        const currentDay = now.getDay();
-        const currentHour = now.getHours();
-        
-        // Monday or Tuesday (closed days)
-        if (currentDay === 1 || currentDay === 2) {
+        const currentMinutes = now.getHours() * 60 + now.getMinutes();
+        const todayShifts = this.schedule.getShiftsForDate(now);
+        const exception = this.schedule.getException(now);
+
+        // Holiday closure or special day set in the admin Settings app
+        if (exception && exception.reason) {
             return {
-                icon: '🌴',
-                message: 'A szakács pihenőnapja! Szerda-tól várunk újra.'
+                icon: exception.closed ? '📅' : '⏰',
+                message: exception.closed
+                    ? 'Ma rendkívüli zárva tartás miatt nem fogadunk rendeléseket.'
+                    : 'Ma rendkívüli nyitvatartással működünk, jelenleg nem fogadunk rendeléseket.',
+                reason: exception.reason
             };
         }
-        
-        // Sunday
-        if (currentDay === 0) {
+
+        // No opening hours today (rest day or holiday closure)
+        if (todayShifts.length === 0) {
             return {
-                icon: '😴',
-                message: 'Vasárnap zárva tartunk. Szerda-től várunk szeretettel!'
+                icon: '🌴',
+                message: 'A szakács pihenőnapja! Hamarosan újra várunk.'
             };
         }
-        
-        // Late night (after 20:00 on Wed-Thu, after 22:00 on Fri-Sat)
-        if (currentHour >= 20) {
+
+        const firstOpen = this.schedule.toMinutes(todayShifts[0].open);
+        const lastClose = this.schedule.toMinutes(todayShifts[todayShifts.length - 1].close);
+
+        // Early morning (before the first shift)
+        if (currentMinutes < firstOpen) {
             return {
-                icon: '🌙',
-                message: 'Mára zárva! Holnap újra szeretettel várunk.'
+                icon: '☕',
+                message: 'Még készülünk a nyitásra. Hamarosan indulunk!'
             };
         }
-        
-        // Early morning (before 11:00)
-        if (currentHour < 11) {
+
+        // Late (last orders are already closed)
+        if (currentMinutes >= lastClose - this.schedule.schedule.orderCutoffMinutes) {
             return {
-                icon: '☕',
-                message: 'Még készülünk a nyitásra. Hamarosan indulunk!'
+                icon: '🌙',
+                message: 'Mára zárva! Hamarosan újra szeretettel várunk.'
             };
         }
-        
-        // Default
+
+        // Between two shifts of a split day
         return {
-            icon: '🍔',
-            message: 'Jelenleg zárva vagyunk.'
+            icon: '⏸️',
+            message: 'Rövid szünetet tartunk, hamarosan újra nyitunk!'
         };
     }
 
@@ -718,6 +717,9 @@ class OrderSystem {
                     <div class="closed-icon">${closedInfo.icon}</div>
                     <h2 class="closed-title">Jelenleg zárva vagyunk</h2>
                     <p class="closed-message">${closedInfo.message}</p>
+                    ${closedInfo.reason ? `
+                        <p class="closed-reason">${this.escapeHtml(closedInfo.reason)}</p>
+                    ` : ''}
                     <div class="next-opening">
                         📅 Nyitás: ${nextOpening}
                     </div>
@@ -781,6 +783,30 @@ class OrderSystem {
         }
     }
 
+    /**
+     * Tell customers that, while closed, orders are scheduled for a later shift (checkout forces the time picker)
+     */
+    showPreorderOnlyMessage() {
+        const orderMain = document.getElementById('orderMain');
+        if (orderMain && !document.getElementById('preorderOnlyBanner')) {
+            const banner = document.createElement('div');
+            banner.id = 'preorderOnlyBanner';
+            banner.style.cssText = `
+                background: rgba(255, 193, 7, 0.9);
+                color: #000;
+                padding: 1rem 2rem;
+                text-align: center;
+                font-weight: 600;
+                font-size: 1.1rem;
+                border-radius: 10px;
+                margin-bottom: 2rem;
+                box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
+            `;
+            banner.innerHTML = `📅 Jelenleg zárva vagyunk - előrendelést leadhat egy későbbi időpontra (nyitás: ${this.getNextOpening()})`;
+            orderMain.insertBefore(banner, orderMain.firstChild);
+        }
+    }
+
     /**
      * Disable all ordering functionality
      */
@@ -810,22 +836,24 @@ class OrderSystem {
         
         if (!modal) {
             const dayNames = ['Vasárnap', 'Hétfő', 'Kedd', 'Szerda', 'Csütörtök', 'Péntek', 'Szombat'];
-            const today = new Date().getDay();
-            
+
+            // Show the next 7 days so holiday closures and special days appear on their date
             let hoursHTML = '';
-            for (let i = 0; i < 7; i++) {
-                const hours = this.operatingHours[i];
-                const isToday = i === today;
-                const hoursText = hours ? `${hours.open} - ${hours.close}` : 'Zárva';
-                const closedClass = hours ? '' : 'closed';
-                
+            this.schedule.getUpcomingDays(new Date(), 7).forEach(({ date, shifts, exception }, index) => {
+                const isToday = index === 0;
+                const hoursText = this.schedule.formatShifts(shifts, 'Zárva');
+                const closedClass = shifts.length > 0 ? '' : 'closed';
+
                 hoursHTML += `
                     <li ${isToday ? 'class="today"' : ''}>
-                        <span class="day-name">${dayNames[i]}</span>
+                        <span class="day-name">${dayNames[date.getDay()]}</span>
                         <span class="day-hours ${closedClass}">${hoursText}</span>
+                        ${exception && exception.reason ? `
+                            <span class="day-exception">${this.escapeHtml(exception.reason)}</span>
+                        ` : ''}
                     </li>
                 `;
-            }
+            });
             
             modal = document.createElement('div');
             modal.id = 'hoursModal';
@@ -876,12 +904,16 @@ class OrderSystem {
         navScroll.innerHTML = '';
 
         // Use the actual category names from the API response (already translated)
-        Object.keys(menuData).forEach((categoryName, index) => {
-            const category = menuData[categoryName];
+        const categories = Object.keys(menuData).map(categoryName => ({ name: categoryName, slug: menuData[categoryName].slug }));
+        if (this.combos.getAvailableCombos().length > 0) {
+            categories.unshift({ name: this.t('orderPage.combos'), slug: 'combos' });
+        }
+
+        categories.forEach((category, index) => {
             const button = document.createElement('button');
             button.className = `category-nav-item ${index === 0 ? 'active' : ''}`;
             button.dataset.category = category.slug; // Use slug for navigation
-            button.innerHTML = `<span>${categoryName}</span>`; // Use translated name for display
+            button.innerHTML = `<span>${category.name}</span>`; // Use translated name for display
 
             button.addEventListener('click', () => this.scrollToCategory(category.slug));
 
@@ -895,6 +927,11 @@ class OrderSystem {
 
         orderMain.innerHTML = '';
 
+        const combos = this.combos.getAvailableCombos();
+        if (combos.length > 0) {
+            orderMain.appendChild(this.renderComboSection(combos));
+        }
+
         // Use the actual category names from the API response (already translated)
         Object.keys(menuData).forEach(categoryName => {
             const category = menuData[categoryName];
@@ -920,7 +957,18 @@ class OrderSystem {
 
     renderCategoryItems(items) {
         return items.map(item => {
-            const badge = item.badge ? `<div class="food-badge ${item.badge.toLowerCase()}">${item.badge}</div>` : '';
+            // Items with sizes show the cheapest available one
+            const variants = this.getAvailableVariants(item);
+            const pricing = this.getItemPricing(variants.length > 0
+                ? { ...item, price: Math.min(...variants.map(variant => variant.price)) }
+                : item);
+            const pricePrefix = variants.length > 1 ? `${this.t('orderPage.priceFrom')} ` : '';
+            const badge = pricing.rule
+                ? `<div class="food-badge happy-hour">-${pricing.rule.discountPercent}% ${this.escapeHtml(pricing.rule.name)}</div>`
+                : item.badge ? `<div class="food-badge ${item.badge.toLowerCase()}">${item.badge}</div>` : '';
+            const price = pricing.rule
+                ? `<span class="food-price">${pricePrefix}<s class="food-price-original">€${pricing.originalPrice.toFixed(2)}</s> €${pricing.price.toFixed(2)}</span>`
+                : `<span class="food-price">${pricePrefix}€${pricing.price.toFixed(2)}</span>`;
             const image = item.imageUrl ? `<img src="${item.imageUrl}" alt="${item.name}" loading="lazy">` : `<div class="no-image">${this.t('orderPage.noImage')}</div>`;
 
             return `
@@ -934,7 +982,7 @@ class OrderSystem {
                         <p class="food-description">${item.description || ''}</p>
                         ${this.renderAllergenBadges(item.allergens || [])}
                         <div class="food-price-row">
-                            <span class="food-price">€${item.price.toFixed(2)}</span>
+                            ${price}
                             <button class="add-to-cart-btn" onclick="orderSystem.handleAddToCartClick(event, ${item.id})">
                                 <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
                                     <path d="M12 5V19M5 12H19" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
@@ -948,6 +996,57 @@ class OrderSystem {
         }).join('');
     }
 
+    /**
+     * Meal deals shown before the menu categories
+     */
+    renderComboSection(combos) {
+        const section = document.createElement('section');
+        section.className = 'food-category combo-category';
+        section.id = 'combos';
+        section.dataset.category = 'combos';
+
+        section.innerHTML = `
+            <div class="category-header">
+                <h2 class="category-title">${this.t('orderPage.combos')}</h2>
+                <p class="category-description">${this.t('orderPage.combosDescription')}</p>
+            </div>
+            <div class="food-grid" id="combos-grid">
+                ${combos.map(combo => this.renderComboCard(combo)).join('')}
+            </div>
+        `;
+
+        return section;
+    }
+
+    renderComboCard(combo) {
+        const image = combo.imageUrl
+            ? `<img src="${combo.imageUrl}" alt="${this.escapeHtml(combo.name)}" loading="lazy">`
+            : `<div class="no-image">${this.t('orderPage.noImage')}</div>`;
+        const description = combo.description || combo.slots.map(slot => slot.name).join(' + ');
+
+        return `
+            <div class="food-card combo-card" data-combo-id="${combo.id}">
+                <div class="food-image">
+                    ${image}
+                    <div class="food-badge combo">${this.t('orderPage.combo')}</div>
+                </div>
+                <div class="food-info">
+                    <h3 class="food-name">${this.escapeHtml(combo.name)}</h3>
+                    <p class="food-description">${this.escapeHtml(description)}</p>
+                    <div class="food-price-row">
+                        <span class="food-price">€${combo.price.toFixed(2)}</span>
+                        <button class="add-to-cart-btn" onclick="orderSystem.handleComboClick(event, '${combo.id}')">
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
+                                <path d="M12 5V19M5 12H19" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                            </svg>
+                            ${this.t('order.addToCart')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * Render allergen badges for a menu item
      */
@@ -1041,13 +1140,22 @@ class OrderSystem {
             return;
         }
 
+        if (this.modifiers.hasMissingGroups(item)) {
+            this.showErrorToast(this.t('orderPage.optionsUnavailable'));
+            return;
+        }
+
+        const variant = this.getDefaultVariant(item);
+        const groups = this.modifiers.getGroupsForItem(item);
+
         this.currentItem = {
             ...item,
+            price: variant ? variant.price : item.price,
+            variant,
+            groups,
+            modifiers: this.modifiers.getDefaultSelection(groups),
             quantity: 1,
             customization: {
-                sauce: null,
-                fries: item.includesSides ? 'regular-fries' : 'none',
-                extras: [],
                 removeInstructions: '',
                 specialInstructions: ''
             }
@@ -1055,136 +1163,150 @@ class OrderSystem {
 
         document.getElementById('modalFoodName').textContent = item.name;
         document.getElementById('modalFoodDescription').textContent = item.description || '';
-        document.getElementById('modalFoodPrice').textContent = `€${item.price.toFixed(2)}`;
+        this.updateModalPrice();
 
         if (item.imageUrl) {
             document.getElementById('modalFoodImage').src = item.imageUrl;
             document.getElementById('modalFoodImage').alt = item.name;
         }
 
-        const sauceSection = document.getElementById('sauceSection');
-        const friesSection = document.getElementById('friesSection');
-        const extrasSection = document.getElementById('extrasSection');
+        const variantSection = document.getElementById('variantSection');
+        if (variantSection) {
+            variantSection.style.display = item.variants.length > 0 ? 'block' : 'none';
+            this.renderVariantOptions();
+        }
 
-        // Always show fries section - content will differ based on includesSides
-        friesSection.style.display = 'block';
-        this.renderFriesOptions();
+        this.renderModifierGroups();
+        this.renderComboSlots();
+        this.resetCustomizationForm();
+        this.updateModalTotal();
 
-        if (item.includesSides) {
-            // Show sauce and extras for items with sides included
-            sauceSection.style.display = 'block';
-            extrasSection.style.display = 'block';
-            this.renderSauceOptions();
-            this.renderExtrasOptions();
-        } else {
-            // Hide sauce and extras for items without sides
-            sauceSection.style.display = 'none';
-            
+        const modal = document.getElementById('customizationModal');
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+
+        const firstOption = modal.querySelector('#variantOptions input:not(:disabled), #modifierGroups input:not(:disabled)');
+        if (firstOption) {
+            setTimeout(() => firstOption.focus(), 300);
         }
+    }
 
-        // IMPORTANT: Setup form validation AFTER rendering options
-        this.setupFormValidation();
+    /**
+     * Same modal for a combo - one pick per slot instead of sizes and option groups
+     */
+    openComboModal(comboId) {
+        const combo = this.combos.findCombo(comboId);
+        if (!combo || !this.combos.isAvailable(combo)) {
+            this.showErrorToast(this.t('orderPage.unavailable'));
+            return;
+        }
 
-        this.resetCustomizationForm();
+        this.currentItem = {
+            ...this.createComboItem(combo, this.combos.getDefaultSelection(combo)),
+            quantity: 1,
+            customization: {
+                removeInstructions: '',
+                specialInstructions: ''
+            }
+        };
 
-        // Update total after a small delay to ensure DOM is ready
-        setTimeout(() => {
-            this.updateModalTotal();
-        }, 50);
+        document.getElementById('modalFoodName').textContent = combo.name;
+        document.getElementById('modalFoodDescription').textContent = combo.description;
+        this.updateModalPrice();
+
+        if (combo.imageUrl) {
+            document.getElementById('modalFoodImage').src = combo.imageUrl;
+            document.getElementById('modalFoodImage').alt = combo.name;
+        }
+
+        const variantSection = document.getElementById('variantSection');
+        if (variantSection) {
+            variantSection.style.display = 'none';
+        }
+
+        this.renderModifierGroups();
+        this.renderComboSlots();
+        this.resetCustomizationForm();
+        this.updateModalTotal();
 
         const modal = document.getElementById('customizationModal');
         modal.classList.add('active');
         document.body.style.overflow = 'hidden';
 
-        // Focus handling - only focus sauce if it's visible
-        if (item.includesSides) {
-            const firstSauceOption = document.querySelector('input[name="sauce"]');
-            if (firstSauceOption) {
-                setTimeout(() => firstSauceOption.focus(), 300);
-            }
-        } else {
-            const firstFriesOption = document.querySelector('input[name="fries"]');
-            if (firstFriesOption) {
-                setTimeout(() => firstFriesOption.focus(), 300);
-            }
+        const firstOption = modal.querySelector('#comboSlots input:not(:disabled)');
+        if (firstOption) {
+            setTimeout(() => firstOption.focus(), 300);
         }
     }
 
-    renderSauceOptions() {
-        const sauceContainer = document.getElementById('sauceOptions');
-        if (!sauceContainer || !this.customizationOptions?.sauces) return;
+    /**
+     * Cart-ready combo with the given picks - priced at the bundle price, never split into its items
+     */
+    createComboItem(combo, items) {
+        return {
+            id: `combo-${combo.id}`,
+            name: combo.name,
+            description: combo.description,
+            price: combo.price,
+            imageUrl: combo.imageUrl,
+            category: 'combos',
+            variants: [],
+            variant: null,
+            groups: [],
+            modifierGroupIds: [],
+            modifiers: [],
+            combo: { id: combo.id, name: combo.name, items }
+        };
+    }
 
-        sauceContainer.innerHTML = this.customizationOptions.sauces.map(sauce => `
-            <label class="sauce-option">
-                <input type="radio" name="sauce" value="${sauce.slug}" ${sauce.isDefault ? 'checked' : ''} required>
-                <span class="sauce-label">${sauce.name}</span>
-            </label>
-        `).join('');
+    renderComboSlots() {
+        const container = document.getElementById('comboSlots');
+        if (!container || !this.currentItem) return;
+
+        const combo = this.currentItem.combo && this.combos.findCombo(this.currentItem.combo.id);
+        container.innerHTML = combo ? this.combos.renderSlots(combo, this.currentItem.combo.items) : '';
     }
 
-    renderFriesOptions() {
-        const friesContainer = document.getElementById('friesOptions');
-        if (!friesContainer || !this.customizationOptions?.friesOptions) return;
+    /**
+     * Pick up the slot choices checked in the modal
+     */
+    updateModalCombo() {
+        const container = document.getElementById('comboSlots');
+        const combo = this.currentItem?.combo && this.combos.findCombo(this.currentItem.combo.id);
+        if (!container || !combo) return;
 
-        let optionsHTML = '';
+        this.currentItem.combo.items = this.combos.readSelection(container, combo);
+        this.updateAddToCartButtonState();
+    }
 
-        if (this.currentItem.includesSides) {
-            // Items WITH sides included - regular fries free, others show addon price
-            optionsHTML = this.customizationOptions.friesOptions.map(option => {
-                const isRegularFries = option.slug === 'regular-fries'; // Fixed: was 'regular'
-                const priceLabel = isRegularFries ? this.t('customization.included') : `+€${option.priceAddon.toFixed(2)}`;
-                const isChecked = isRegularFries ? 'checked' : '';
+    /**
+     * @returns {string|null} Message for a combo missing a pick, null for complete combos and other items
+     */
+    getComboError(item) {
+        if (!item.combo) return null;
 
-                return `
-                    <label class="upgrade-option">
-                        <input type="radio" name="fries" value="${option.slug}" ${isChecked}>
-                        <span class="upgrade-label">
-                            <span class="upgrade-name">${option.name}</span>
-                            <span class="upgrade-price">${priceLabel}</span>
-                        </span>
-                    </label>
-                `;
-            }).join('');
-        } else {
-            // Items WITHOUT sides included - add "no sides" option + full prices for fries
-            optionsHTML = `
-                <label class="upgrade-option">
-                    <input type="radio" name="fries" value="none" checked>
-                    <span class="upgrade-label">
-                        <span class="upgrade-name">Nem kérek köretet</span>
-                        <span class="upgrade-price">Alapár</span>
-                    </span>
-                </label>
-            `;
+        const combo = this.combos.findCombo(item.combo.id);
+        return combo ? this.combos.validateSelection(combo, item.combo.items) : this.t('orderPage.unavailable');
+    }
 
-            // Add all fries options with their full addon prices
-            optionsHTML += this.customizationOptions.friesOptions.map(option => `
-                <label class="upgrade-option">
-                    <input type="radio" name="fries" value="${option.slug}">
-                    <span class="upgrade-label">
-                        <span class="upgrade-name">${option.name}</span>
-                        <span class="upgrade-price">+€${option.priceAddon.toFixed(2)}</span>
-                    </span>
-                </label>
-            `).join('');
-        }
+    renderModifierGroups() {
+        const container = document.getElementById('modifierGroups');
+        if (!container || !this.currentItem) return;
 
-        friesContainer.innerHTML = optionsHTML;
+        container.innerHTML = this.modifiers.renderGroups(this.currentItem.groups, this.currentItem.modifiers);
+        this.modifiers.applyLimits(container);
     }
 
-    renderExtrasOptions() {
-        const extrasContainer = document.getElementById('extrasOptions');
-        if (!extrasContainer || !this.customizationOptions?.extras) return;
+    /**
+     * Pick up the options checked in the modal and reprice it
+     */
+    updateModalModifiers() {
+        const container = document.getElementById('modifierGroups');
+        if (!container || !this.currentItem) return;
 
-        extrasContainer.innerHTML = this.customizationOptions.extras.map(extra => `
-            <label class="extra-option">
-                <input type="checkbox" name="extras" value="${extra.slug}">
-                <span class="extra-label">
-                    <span class="extra-name">${extra.name}</span>
-                    <span class="extra-price">+€${extra.price.toFixed(2)}</span>
-                </span>
-            </label>
-        `).join('');
+        this.currentItem.modifiers = this.modifiers.readSelection(container, this.currentItem.groups);
+        this.updateModalTotal();
+        this.updateAddToCartButtonState();
     }
 
     closeModal() {
@@ -1201,30 +1323,6 @@ class OrderSystem {
         document.getElementById('removeInstructions').value = '';
         document.getElementById('specialInstructions').value = '';
 
-        // Reset extras
-        document.querySelectorAll('input[name="extras"]').forEach(input => {
-            input.checked = false;
-        });
-
-        // Reset sauce selection
-        const sauceInputs = document.querySelectorAll('input[name="sauce"]');
-        sauceInputs.forEach(input => input.checked = input.hasAttribute('checked'));
-
-        // Reset fries selection based on item type
-        if (this.currentItem.includesSides) {
-            // Items WITH sides included - default to regular fries
-            const regularFries = document.querySelector('input[name="fries"][value="regular-fries"]');
-            if (regularFries) {
-                regularFries.checked = true;
-            }
-        } else {
-            // Items WITHOUT sides included - default to no sides
-            const noSides = document.querySelector('input[name="fries"][value="none"]');
-            if (noSides) {
-                noSides.checked = true;
-            }
-        }
-
         this.updateQuantityButtons();
         this.updateAddToCartButtonState();
     }
@@ -1232,65 +1330,18 @@ class OrderSystem {
     updateModalTotal() {
         if (!this.currentItem) return;
 
-        let total = this.currentItem.price * this.currentItem.quantity;
-        console.log('Base total:', total);
-
-        const selectedFries = document.querySelector('input[name="fries"]:checked');
-        console.log('Selected fries value:', selectedFries?.value);
-
-        if (selectedFries && this.customizationOptions?.friesOptions) {
-            if (this.currentItem.includesSides) {
-                // Items WITH sides included - regular fries are FREE, only charge for upgrades
-                if (selectedFries.value === 'regular-fries') {
-                    // Regular fries are free when sides are included - add nothing
-                    console.log('Regular fries selected for item with sides included: +€0.00');
-                } else if (selectedFries.value !== 'none') {
-                    // Any other fries option - charge the addon price
-                    const friesOption = this.customizationOptions.friesOptions.find(f => f.slug === selectedFries.value);
-                    if (friesOption) {
-                        console.log('Adding upgrade fries price:', friesOption.priceAddon);
-                        total += friesOption.priceAddon * this.currentItem.quantity;
-                    }
-                }
-            } else {
-                // Items WITHOUT sides included - charge full price for any fries, nothing for "none"
-                if (selectedFries.value === 'none') {
-                    console.log('No sides selected, adding €0.00');
-                    // Add nothing - no sides means no extra cost
-                } else {
-                    // Any fries option - charge the full addon price
-                    const friesOption = this.customizationOptions.friesOptions.find(f => f.slug === selectedFries.value);
-                    if (friesOption) {
-                        console.log('Adding full fries price for item without sides:', friesOption.priceAddon);
-                        total += friesOption.priceAddon * this.currentItem.quantity;
-                    }
-                }
-            }
-        }
-
-        // Handle extras pricing (unchanged from original)
-        const selectedExtras = document.querySelectorAll('input[name="extras"]:checked');
-        if (selectedExtras.length > 0) {
-            const extraPrice = 0.30; // You might want to get this from customizationOptions.extras
-            total += selectedExtras.length * extraPrice * this.currentItem.quantity;
-            console.log('Adding extras:', selectedExtras.length, 'x', extraPrice);
-        }
-
-        console.log('Final total:', total);
+        const total = this.modifiers.calculateItemTotal(this.getItemPricing(this.currentItem).price, this.currentItem);
         document.getElementById('modalTotalPrice').textContent = `€${total.toFixed(2)}`;
     }
 
     updateAddToCartButtonState() {
         const addToCartBtn = document.getElementById('addToCartModalBtn');
-        const sauceSelected = document.querySelector('input[name="sauce"]:checked');
+        if (!addToCartBtn || !this.currentItem) return;
 
-        if (addToCartBtn) {
-            if (this.currentItem?.includesSides) {
-                addToCartBtn.disabled = !sauceSelected;
-            } else {
-                addToCartBtn.disabled = false;
-            }
-        }
+        const variantMissing = this.currentItem.variants.length > 0 && !this.currentItem.variant;
+        addToCartBtn.disabled = variantMissing ||
+            Boolean(this.modifiers.validateSelection(this.currentItem.groups, this.currentItem.modifiers)) ||
+            Boolean(this.getComboError(this.currentItem));
     }
 
     // ============================================
@@ -1307,22 +1358,22 @@ class OrderSystem {
             return;
         }
 
+        if (this.modifiers.hasMissingGroups(item)) {
+            this.showErrorToast(this.t('orderPage.optionsUnavailable'));
+            return;
+        }
+
         // Get the category for this item
         const itemCategory = this.getItemCategory(itemId);
         console.log('Item category:', itemCategory, 'for item:', item.name);
 
-        // Categories that should bypass customization modal
-        const directAddCategories = ['sides', 'nonalcoholic', 'sauces', 'deliverabledesserts','snacks'];
-
-        if (directAddCategories.includes(itemCategory)) {
+        if (this.directAddCategories.includes(itemCategory) && item.variants.length === 0 && item.modifierGroupIds.length === 0) {
             // Add directly to cart without customization
             const cartItem = {
                 ...item,
                 quantity: 1,
+                modifiers: [],
                 customization: {
-                    sauce: null,
-                    fries: 'none',
-                    extras: [],
                     removeInstructions: '',
                     specialInstructions: ''
                 }
@@ -1336,6 +1387,13 @@ class OrderSystem {
         }
     }
 
+    handleComboClick(e, comboId) {
+        e.preventDefault();
+        e.stopPropagation();
+
+        this.openComboModal(comboId);
+    }
+
     /**
      * Get the category slug for a given item ID
      */
@@ -1355,18 +1413,24 @@ class OrderSystem {
     addToCartFromModal() {
         if (!this.currentItem) return;
 
-        if (this.currentItem.includesSides) {
-            const selectedSauce = document.querySelector('input[name="sauce"]:checked');
-            if (!selectedSauce) {
-                this.showErrorToast('Kérjük válassz szószt!');
-                return;
-            }
+        if (this.currentItem.variants.length > 0 && !this.currentItem.variant) {
+            this.showErrorToast(this.t('orderPage.chooseVariant'));
+            return;
+        }
+
+        const modifierError = this.modifiers.validateSelection(this.currentItem.groups, this.currentItem.modifiers);
+        if (modifierError) {
+            this.showErrorToast(modifierError);
+            return;
+        }
+
+        const comboError = this.getComboError(this.currentItem);
+        if (comboError) {
+            this.showErrorToast(comboError);
+            return;
         }
 
         const customization = {
-            sauce: document.querySelector('input[name="sauce"]:checked')?.value || null,
-            fries: document.querySelector('input[name="fries"]:checked')?.value || null,
-            extras: Array.from(document.querySelectorAll('input[name="extras"]:checked')).map(input => input.value),
             removeInstructions: document.getElementById('removeInstructions').value.trim(),
             specialInstructions: document.getElementById('specialInstructions').value.trim()
         };
@@ -1389,16 +1453,20 @@ class OrderSystem {
             console.log('Found existing item, increasing quantity');
             this.cart[existingItemIndex].quantity += item.quantity;
         } else {
-            const itemCategory = this.getItemCategory(item.id);
+            // Combos are not on the menu and carry their own category
+            const itemCategory = this.getItemCategory(item.id) || item.category || null;
 
             const cartItem = {
                 id: cartItemId,
                 originalId: item.id,
                 name: item.name,
                 description: item.description,
-                price: item.price,
+                price: item.price, // Price of the selected variant when the item has sizes
                 imageUrl: item.imageUrl,
-                includesSides: item.includesSides, 
+                variant: item.variant || null,
+                modifierGroupIds: item.modifierGroupIds || [],
+                modifiers: item.modifiers || [],
+                combo: item.combo || null,
                 quantity: item.quantity,
                 customization: item.customization,
                 category: itemCategory,
@@ -1419,9 +1487,9 @@ class OrderSystem {
         const timestamp = Date.now();
         const components = [
             item.id || item.originalId, // Original food ID
-            item.customization?.sauce || '',
-            item.customization?.fries || '',
-            (item.customization?.extras || []).sort().join(','),
+            item.variant?.id || '',
+            (item.modifiers || []).map(selection => `${selection.groupId}:${selection.options.map(option => option.id).join(',')}`).join(';'),
+            (item.combo?.items || []).map(pick => `${pick.slotId}:${pick.menuItemId}`).join(';'),
             item.customization?.removeInstructions || '',
             item.customization?.specialInstructions || '',
             timestamp // Ensures uniqueness
@@ -1535,41 +1603,15 @@ class OrderSystem {
 
     getItemCustomizationsText(item) {
         const customizations = [];
-    
-        if (item.customization.sauce && this.customizationOptions?.sauces) {
-            const sauce = this.customizationOptions.sauces.find(s => s.slug === item.customization.sauce);
-            if (sauce) customizations.push(`${this.t('customization.sauce')}: ${sauce.name}`);
-        }
-    
-        if (item.customization.fries && this.customizationOptions?.friesOptions) {
-            const friesOption = this.customizationOptions.friesOptions.find(f => f.slug === item.customization.fries);
-            if (friesOption) {
-                if (item.includesSides) {
-                    // Items WITH sides included - only show price for non-regular fries
-                    if (friesOption.slug !== 'regular-fries' && friesOption.priceAddon > 0) {
-                        customizations.push(`${friesOption.name} (+€${friesOption.priceAddon.toFixed(2)})`);
-                    } else if (friesOption.slug === 'regular-fries') {
-                        // Don't show price for regular fries when sides are included
-                        customizations.push(`${friesOption.name}`);
-                    }
-                } else {
-                    // Items WITHOUT sides included - show price for all fries
-                    if (friesOption.priceAddon > 0) {
-                        customizations.push(`${friesOption.name} (+€${friesOption.priceAddon.toFixed(2)})`);
-                    }
-                }
-            }
+
+        if (item.variant) {
+            customizations.push(this.escapeHtml(item.variant.name));
         }
     
-        if (item.customization.extras?.length > 0) {
-            const extraPrice = 0.30;
-            const extraLabels = item.customization.extras.map(extra => {
-                // Try to get name from API first, fallback to slug
-                const extraData = this.customizationOptions?.extras?.find(e => e.slug === extra);
-                const extraName = extraData ? extraData.name : extra;
-                return `${extraName} (+€${extraPrice.toFixed(2)})`;
-            });
-            customizations.push(`${this.t('customization.extras')}: ${extraLabels.join(', ')}`);
+        customizations.push(...this.modifiers.describe(item.modifiers));
+
+        if (item.combo) {
+            customizations.push(...this.combos.describe(item.combo.items));
         }
 
         if (item.customization.removeInstructions) {
@@ -1584,37 +1626,219 @@ class OrderSystem {
     }
 
     calculateItemTotal(item) {
-        let total = item.price * item.quantity;
-
-        if (item.customization.fries && this.customizationOptions?.friesOptions) {
-            const friesOption = this.customizationOptions.friesOptions.find(f => f.slug === item.customization.fries);
-            if (friesOption) {
-                if (item.includesSides) {
-                    // Items WITH sides included - regular fries are FREE, only charge for upgrades
-                    if (friesOption.slug !== 'regular-fries') {  // ← FIXED: was 'regular'
-                        // Only add cost for non-regular fries (sweet potato, etc.)
-                        total += friesOption.priceAddon * item.quantity;
-                    }
-                    // Regular fries add €0.00 - they're included for free
-                } else {
-                    // Items WITHOUT sides included - charge full price for any fries
-                    if (item.customization.fries !== 'none') {
-                        total += friesOption.priceAddon * item.quantity;
-                    }
-                }
+        return this.modifiers.calculateItemTotal(this.getItemPricing(item).price, item);
+    }
+
+    calculateSubtotal() {
+        return this.cart.reduce((sum, item) => sum + this.calculateItemTotal(item), 0);
+    }
+
+    // ============================================
+    // REORDER
+    // ============================================
+
+    /**
+     * Rebuild the cart from an order staged on the "My orders" page.
+     * Items no longer on the menu are skipped, options no longer offered are dropped.
+     */
+    applyPendingReorder() {
+        const reorder = this.account?.takePendingReorder();
+        if (!reorder) return;
+
+        console.log('🔁 Rebuilding cart from order:', reorder.orderNumber);
+
+        const unavailable = [];
+        const adjusted = [];
+
+        reorder.items.forEach(entry => {
+            if (entry.comboId) {
+                this.reorderCombo(entry, unavailable, adjusted);
+                return;
             }
+
+            const menuItem = this.findItemById(entry.menuItemId);
+            if (!menuItem || this.modifiers.hasMissingGroups(menuItem)) {
+                unavailable.push(entry.name);
+                return;
+            }
+
+            // Sizes no longer offered fall back to the default one
+            const requested = this.getAvailableVariants(menuItem).find(option => String(option.id) === String(entry.variantId));
+            const variant = requested
+                ? { id: requested.id, name: requested.name, price: requested.price }
+                : this.getDefaultVariant(menuItem);
+            if (menuItem.variants.length > 0 && !variant) {
+                unavailable.push(entry.name);
+                return;
+            }
+
+            const { modifiers, changed } = this.modifiers.restoreSelection(
+                this.modifiers.getGroupsForItem(menuItem),
+                entry.modifiers
+            );
+            if (changed || (entry.variantId && !requested)) adjusted.push(menuItem.name);
+
+            this.addItemToCart({
+                ...menuItem,
+                price: variant ? variant.price : menuItem.price,
+                variant,
+                modifiers,
+                quantity: entry.quantity,
+                customization: {
+                    removeInstructions: entry.customization?.removeInstructions || '',
+                    specialInstructions: entry.customization?.specialInstructions || ''
+                }
+            });
+        });
+
+        if (unavailable.length === reorder.items.length) {
+            this.showErrorToast('A korábbi rendelés tételei már nem rendelhetők.');
+            return;
         }
 
-        if (item.customization.extras?.length > 0) {
-            const extraPrice = 0.30; // Hardcoded €0.30 per extra
-            total += item.customization.extras.length * extraPrice * item.quantity;
+        if (unavailable.length > 0 || adjusted.length > 0) {
+            const warnings = [];
+            if (unavailable.length > 0) warnings.push(`Már nem elérhető: ${unavailable.join(', ')}`);
+            if (adjusted.length > 0) warnings.push(`Módosított feltétek: ${adjusted.join(', ')}`);
+            this.showErrorToast(warnings.join(' • '));
+        } else {
+            this.showSuccessToast('Korábbi rendelés a kosárba helyezve!');
         }
 
-        return total;
+        this.toggleCart();
     }
 
-    calculateSubtotal() {
-        return this.cart.reduce((sum, item) => sum + this.calculateItemTotal(item), 0);
+    /**
+     * Put a combo from an earlier order back in the cart, with picks no longer offered replaced by the slot default
+     */
+    reorderCombo(entry, unavailable, adjusted) {
+        const combo = this.combos.findCombo(entry.comboId);
+        if (!combo || !this.combos.isAvailable(combo)) {
+            unavailable.push(entry.name);
+            return;
+        }
+
+        const { items, changed } = this.combos.restoreSelection(combo, entry.comboItems);
+        if (this.combos.validateSelection(combo, items)) {
+            unavailable.push(entry.name);
+            return;
+        }
+        if (changed) adjusted.push(combo.name);
+
+        this.addItemToCart({
+            ...this.createComboItem(combo, items),
+            quantity: entry.quantity,
+            customization: {
+                removeInstructions: entry.customization?.removeInstructions || '',
+                specialInstructions: entry.customization?.specialInstructions || ''
+            }
+        });
+    }
+
+    // ============================================
+    // VARIANTS
+    // ============================================
+
+    /**
+     * Sizes of an item that can be ordered right now
+     */
+    getAvailableVariants(item) {
+        return (item.variants || []).filter(variant => variant.isAvailable !== false);
+    }
+
+    /**
+     * Variant preselected in the modal - the marked default, or the first available one
+     */
+    getDefaultVariant(item) {
+        const variants = this.getAvailableVariants(item);
+        const variant = variants.find(option => option.isDefault) || variants[0];
+        return variant ? { id: variant.id, name: variant.name, price: variant.price } : null;
+    }
+
+    renderVariantOptions() {
+        const variantContainer = document.getElementById('variantOptions');
+        if (!variantContainer || !this.currentItem) return;
+
+        variantContainer.innerHTML = this.currentItem.variants.map(variant => {
+            const isAvailable = variant.isAvailable !== false;
+            const pricing = this.getItemPricing({ ...this.currentItem, price: variant.price });
+            const priceLabel = isAvailable ? `€${pricing.price.toFixed(2)}` : this.t('orderPage.unavailable');
+
+            return `
+                <label class="upgrade-option ${isAvailable ? '' : 'unavailable'}">
+                    <input type="radio" name="variant" value="${variant.id}"
+                           ${variant.id === this.currentItem.variant?.id ? 'checked' : ''} ${isAvailable ? '' : 'disabled'}>
+                    <span class="upgrade-label">
+                        <span class="upgrade-name">${this.escapeHtml(variant.name)}</span>
+                        <span class="upgrade-price">${priceLabel}</span>
+                    </span>
+                </label>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Switch the modal item to another size and reprice it
+     */
+    selectVariant(variantId) {
+        if (!this.currentItem) return;
+
+        const variant = this.getAvailableVariants(this.currentItem).find(option => String(option.id) === String(variantId));
+        if (!variant) return;
+
+        this.currentItem.variant = { id: variant.id, name: variant.name, price: variant.price };
+        this.currentItem.price = variant.price;
+
+        this.updateModalPrice();
+        this.updateModalTotal();
+        this.updateAddToCartButtonState();
+    }
+
+    updateModalPrice() {
+        const pricing = this.getItemPricing(this.currentItem);
+        document.getElementById('modalFoodPrice').innerHTML = pricing.rule
+            ? `<s class="food-price-original">€${pricing.originalPrice.toFixed(2)}</s> €${pricing.price.toFixed(2)}`
+            : `€${pricing.price.toFixed(2)}`;
+    }
+
+    // ============================================
+    // HAPPY HOUR PRICING
+    // ============================================
+
+    /**
+     * Unit price of a menu or cart item with the active happy hour rule applied
+     */
+    getItemPricing(item) {
+        const itemId = item.originalId || item.id;
+        return this.happyHour.getPrice(item.price, {
+            id: itemId,
+            category: item.category || this.getItemCategory(itemId)
+        });
+    }
+
+    /**
+     * Re-render prices when a happy hour window opens or closes while the page is open
+     */
+    startHappyHourWatcher() {
+        this.happyHourSignature = this.happyHour.getSignature();
+
+        if (this.happyHourTimer) {
+            clearInterval(this.happyHourTimer);
+        }
+
+        this.happyHourTimer = setInterval(() => {
+            const signature = this.happyHour.getSignature();
+            if (signature === this.happyHourSignature) return;
+
+            console.log('🍹 Happy hour changed, updating prices');
+            this.happyHourSignature = signature;
+
+            if (this.menuData) {
+                this.renderMenu(this.menuData);
+            }
+            this.updateCartUI();
+            this.saveCartToStorage();
+        }, 60000);
     }
 
     updateCartSummary() {
@@ -1679,6 +1903,25 @@ class OrderSystem {
         if (decreaseBtn) decreaseBtn.addEventListener('click', () => this.updateQuantity(-1));
         if (increaseBtn) increaseBtn.addEventListener('click', () => this.updateQuantity(1));
         if (addToCartModalBtn) addToCartModalBtn.addEventListener('click', () => this.addToCartFromModal());
+
+        const variantOptions = document.getElementById('variantOptions');
+        if (variantOptions) {
+            variantOptions.addEventListener('change', (e) => {
+                if (e.target.name === 'variant') this.selectVariant(e.target.value);
+            });
+        }
+
+        const modifierGroups = document.getElementById('modifierGroups');
+        if (modifierGroups) {
+            this.modifiers.bindGroups(modifierGroups, () => this.updateModalModifiers());
+        }
+
+        const comboSlots = document.getElementById('comboSlots');
+        if (comboSlots) {
+            comboSlots.addEventListener('change', (e) => {
+                if (e.target.dataset.comboSlot !== undefined) this.updateModalCombo();
+            });
+        }
         if (checkoutBtn) checkoutBtn.addEventListener('click', () => this.handleCheckout());
 
         this.setupFormValidation();
@@ -1751,26 +1994,8 @@ class OrderSystem {
     }
 
     setupFormValidation() {
-        const sauceInputs = document.querySelectorAll('input[name="sauce"]');
-        const friesInputs = document.querySelectorAll('input[name="fries"]');
-        const extraInputs = document.querySelectorAll('input[name="extras"]');
         const textInputs = document.querySelectorAll('#removeInstructions, #specialInstructions');
 
-        sauceInputs.forEach(input => {
-            input.addEventListener('change', () => {
-                this.updateAddToCartButtonState();
-                this.updateModalTotal();
-            });
-        });
-
-        friesInputs.forEach(input => {
-            input.addEventListener('change', () => this.updateModalTotal());
-        });
-
-        extraInputs.forEach(input => {
-            input.addEventListener('change', () => this.updateModalTotal());
-        });
-
         textInputs.forEach(input => {
             input.addEventListener('input', (e) => this.sanitizeTextInput(e));
         });
@@ -1904,7 +2129,9 @@ class OrderSystem {
                     description: item.description || '',
                     price: item.price,
                     imageUrl: item.imageUrl || null,
-                    includesSides: item.includesSides !== undefined ? item.includesSides : (category.slug !== 'sides')
+                    variants: item.variants || [],
+                    includesSides: Boolean(item.includesSides),
+                    modifierGroupIds: this.modifiers.getGroupIdsForItem(item)
                 };
             }
         }
@@ -15,6 +15,55 @@ class OrdersApp extends BaseApp {
         this.timers = new Map();
         this.connectionStatus = 'disconnected';
         this.modalEventListeners = []; // Track modal listeners for cleanup
+        this.modalOrderId = null; // Order shown in the details modal
+
+        // Kitchen display mode
+        this.kitchenMode = false;
+        this.kitchenSelectedId = null;
+        this.kitchenKeyHandler = null;
+        this.kitchenTimerInterval = null;
+
+        // Station routing - each device remembers which station it shows
+        this.stationStorageKey = 'palace_kitchen_station';
+        this.stationFilter = localStorage.getItem(this.stationStorageKey) || 'all';
+        this.categoryStations = {}; // categoryId -> station, from the Menu app
+
+        // Order-level options chosen at checkout
+        this.orderOptionLabels = {
+            'CUTLERY': { icon: 'fa-utensils', label: 'Evőeszköz + szalvéta' },
+            'NO_PLASTIC_BAG': { icon: 'fa-leaf', label: 'Nem kér szatyrot' },
+            'RING_BELL': { icon: 'fa-bell', label: 'Csengessen' },
+            'LEAVE_AT_DOOR': { icon: 'fa-door-closed', label: 'Ajtó elé' }
+        };
+
+        // Kitchen tickets and receipts (ticket-printer.js)
+        this.printer = window.ticketPrinter;
+
+        // Prep-time presets and auto-accept rules (prep-times.js), edited in Settings
+        this.prepTimes = window.prepTimes;
+
+        // Option groups attached to menu items (modifier-groups.js), managed in the Menu app
+        this.modifiers = window.modifierGroups;
+
+        // Per-item packaging fee, the same rule checkout charges (packaging-fee.js)
+        this.packaging = window.packagingFee;
+
+        // Meal deals with a pick per slot (combo-deals.js), managed in the Menu app
+        this.combos = window.comboDeals;
+
+        // Repeating alerts while orders wait for acceptance
+        this.alertInterval = null;
+        this.titleFlashInterval = null;
+        this.originalTitle = document.title; // Restored when the flashing stops
+        this.escalatedOrderIds = new Set(); // Escalations already logged
+
+        // Pre-orders held back until their release time
+        this.upcomingInterval = null;
+        this.upcomingOrderIds = new Set();
+
+        // Order editing - draft of the order being changed in the modal
+        this.orderEdit = null;
+        this.editorOptions = null; // Menu items and option groups, loaded on first edit
         
         this.initNotificationSound();
     }
@@ -23,7 +72,7 @@ class OrdersApp extends BaseApp {
         console.log('🛒 Initializing Orders Management App...');
         
         this.setupWebSocket();
-        await this.loadActiveOrders();
+        await Promise.all([this.loadActiveOrders(), this.loadCategoryStations(), this.loadPrepTimes(), this.modifiers.load('hu')]);
         this.render();
         this.setupEventListeners();
         
@@ -209,6 +258,16 @@ class OrdersApp extends BaseApp {
             console.log('✅ Order completed:', orderData);
             this.handleOrderCompletion(orderData);
         });
+
+        this.socket.on('orderItemProgress', (progressData) => {
+            console.log('🍳 Item progress updated:', progressData);
+            this.handleItemProgress(progressData);
+        });
+
+        this.socket.on('orderUpdated', (orderData) => {
+            console.log('✏️ Order edited:', orderData);
+            this.handleOrderEdited(orderData);
+        });
     }
 
     setupDisconnectedFallback() {
@@ -239,6 +298,38 @@ class OrdersApp extends BaseApp {
         }
     }
 
+    /**
+     * Station of every menu category, set in the Menu app
+     */
+    async loadCategoryStations() {
+        try {
+            const response = await this.apiCall('/menu/categories');
+            this.categoryStations = {};
+            (response.data || []).forEach(category => {
+                if (category.station) {
+                    this.categoryStations[category.id] = category.station;
+                }
+            });
+        } catch (error) {
+            console.error('Failed to load category stations:', error);
+            this.categoryStations = {};
+        }
+    }
+
+    /**
+     * Prep-time settings - the built-in defaults stay in place if they cannot be loaded
+     */
+    async loadPrepTimes() {
+        try {
+            const response = await this.apiCall('/settings/prep-times');
+            if (response.success) {
+                this.prepTimes.setSettings(response.data);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load prep-time settings, using defaults:', error.message);
+        }
+    }
+
     render() {
         if (!this.container) return;
         
@@ -252,6 +343,21 @@ class OrdersApp extends BaseApp {
                     </div>
                 </div>
                 <div class="orders-actions">
+                    ${this.renderStationFilter('stationFilter')}
+                    ${'Notification' in window && Notification.permission === 'default' ? `
+                        <button class="btn-secondary" id="enableDesktopAlerts">
+                            <i class="fas fa-bell"></i>
+                            Asztali értesítések
+                        </button>
+                    ` : ''}
+                    <button class="btn-secondary" id="openKitchenDisplay">
+                        <i class="fas fa-expand"></i>
+                        Konyhai kijelző
+                    </button>
+                    <button class="btn-secondary" id="openPrinterSettings" title="Nyomtató beállítások">
+                        <i class="fas fa-print"></i>
+                        Nyomtató
+                    </button>
                     <button class="btn-refresh" id="refreshOrders">
                         <i class="fas fa-sync"></i>
                         Frissítés
@@ -297,6 +403,8 @@ class OrdersApp extends BaseApp {
                     </div>
                 </div>
             </div>
+
+            ${this.renderPrinterSettingsModal()}
         `;
         
         this.updateConnectionStatus();
@@ -304,22 +412,15 @@ class OrdersApp extends BaseApp {
         this.updateSummary();
     }
 
-    renderOrdersList() {
-        const container = document.getElementById('ordersList');
-        if (!container) return;
-        
-        if (this.orders.length === 0) {
-            container.innerHTML = `
-                <div class="empty-orders">
-                    <i class="fas fa-inbox"></i>
-                    <h3>Nincsenek aktív rendelések</h3>
-                    <p>Az új rendelések automatikusan megjelennek itt.</p>
-                </div>
-            `;
-            return;
-        }
-        
-        const sortedOrders = [...this.orders].sort((a, b) => {
+    /**
+     * Active orders in working order: status first, then due time, then arrival
+     */
+    getSortedOrders() {
+        const orders = this.stationFilter === 'all'
+            ? this.orders
+            : this.orders.filter(order => this.getStationItems(order).length > 0);
+
+        return [...orders].sort((a, b) => {
             const statusPriority = {
                 'PENDING': 0,
                 'CONFIRMED': 1,
@@ -338,9 +439,66 @@ class OrdersApp extends BaseApp {
             
             return new Date(a.createdAt) - new Date(b.createdAt);
         });
+    }
+
+    renderOrdersList() {
+        // Keep the kitchen display in sync with every list change
+        if (this.kitchenMode) {
+            this.renderKitchenDisplay();
+        }
+
+        this.updatePendingAlerts();
+
+        const container = document.getElementById('ordersList');
+        if (!container) return;
+        
+        if (this.orders.length === 0) {
+            container.innerHTML = `
+                <div class="empty-orders">
+                    <i class="fas fa-inbox"></i>
+                    <h3>Nincsenek aktív rendelések</h3>
+                    <p>Az új rendelések automatikusan megjelennek itt.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const sortedOrders = this.getSortedOrders();
+
+        if (sortedOrders.length === 0) {
+            container.innerHTML = `
+                <div class="empty-orders">
+                    <i class="fas fa-inbox"></i>
+                    <h3>Nincs rendelés ennél az állomásnál</h3>
+                    <p>A többi állomás rendelései a szűrő átállításával láthatók.</p>
+                </div>
+            `;
+            this.updateUpcomingRelease([]);
+            return;
+        }
+
+        const upcomingOrders = sortedOrders.filter(order => this.prepTimes.isUpcoming(order));
+        const currentOrders = sortedOrders.filter(order => !this.prepTimes.isUpcoming(order));
+
+        container.innerHTML = `
+            ${currentOrders.map(order => this.renderOrderCard(order)).join('')}
+            ${this.renderUpcomingLane(upcomingOrders)}
+        `;
         
-        container.innerHTML = sortedOrders.map(order => `
-            <div class="order-card ${order.status.toLowerCase()}" data-order-id="${order.id}">
+        this.startTimers();
+        this.updateUpcomingRelease(upcomingOrders);
+
+        container.querySelectorAll('.order-card').forEach(card => {
+            card.addEventListener('click', () => {
+                const orderId = parseInt(card.dataset.orderId);
+                this.openOrderModal(orderId);
+            });
+        });
+    }
+
+    renderOrderCard(order) {
+        return `
+            <div class="order-card ${order.status.toLowerCase()} ${this.prepTimes.isEscalated(order) ? 'escalated' : ''}" data-order-id="${order.id}">
                 <div class="order-header">
                     <div class="order-number">${order.orderNumber}</div>
                     <div class="order-status status-${order.status.toLowerCase()}">
@@ -359,29 +517,30 @@ class OrdersApp extends BaseApp {
                 </div>
                 
                 <div class="order-items">
-                    ${order.items.slice(0, 3).map(item => 
-                        `<span class="item-tag">${item.quantity}x ${this.escapeHtml(item.name)}</span>`
-                    ).join('')}
-                    ${order.items.length > 3 ? `<span class="item-more">+${order.items.length - 3} további</span>` : ''}
+                    ${this.renderCardItems(order)}
                 </div>
+
+                ${this.hasOrderNotes(order) ? `
+                    <div class="order-card-notes">
+                        ${this.renderOrderOptionBadges(order)}
+                        ${order.specialNotes && order.specialNotes.trim() ? `
+                            <span class="order-note-badge" title="${this.escapeHtml(order.specialNotes)}">
+                                <i class="fas fa-sticky-note"></i>
+                                Megjegyzés
+                            </span>
+                        ` : ''}
+                    </div>
+                ` : ''}
                 
                 <div class="order-footer">
                     <div class="order-total">${this.formatCurrency(order.total)}</div>
+                    ${this.renderItemProgress(order)}
                     <div class="order-time">
                         ${this.renderOrderTime(order)}
                     </div>
                 </div>
             </div>
-        `).join('');
-        
-        this.startTimers();
-
-        container.querySelectorAll('.order-card').forEach(card => {
-            card.addEventListener('click', () => {
-                const orderId = parseInt(card.dataset.orderId);
-                this.openOrderModal(orderId);
-            });
-        });
+        `;
     }
 
     /**
@@ -405,6 +564,29 @@ class OrdersApp extends BaseApp {
         }
     }
 
+    /**
+     * Whether the customer left an order-level note or option
+     */
+    hasOrderNotes(order) {
+        return (order.orderOptions && order.orderOptions.length > 0) ||
+            Boolean(order.specialNotes && order.specialNotes.trim());
+    }
+
+    /**
+     * Badges for the cutlery / bag / doorstep options
+     */
+    renderOrderOptionBadges(order) {
+        return (order.orderOptions || []).map(option => {
+            const config = this.orderOptionLabels[option] || { icon: 'fa-info-circle', label: option };
+            return `
+                <span class="order-option-badge option-${option.toLowerCase().replace(/_/g, '-')}">
+                    <i class="fas ${config.icon}"></i>
+                    ${this.escapeHtml(config.label)}
+                </span>
+            `;
+        }).join('');
+    }
+
     renderOrderTime(order) {
         const now = new Date();
         const createdAt = new Date(order.createdAt);
@@ -448,7 +630,10 @@ class OrdersApp extends BaseApp {
 
     updateTimer(orderId) {
         const order = this.orders.find(o => o.id === orderId);
-        if (!order || !order.estimatedTime) return;
+        if (!order) return;
+
+        this.updateKitchenTimer(order);
+        if (!order.estimatedTime) return;
         
         const now = new Date();
         const estimatedTime = new Date(order.estimatedTime);
@@ -466,6 +651,35 @@ class OrdersApp extends BaseApp {
         }
     }
 
+    /**
+     * Colour-coded ticket timer: waiting time before acceptance, countdown while cooking
+     */
+    updateKitchenTimer(order) {
+        const timerElement = document.getElementById(`kds-timer-${order.id}`);
+        if (!timerElement) return;
+
+        const now = new Date();
+        let text = '';
+        let level = 'ok';
+
+        if (order.status === 'PENDING') {
+            const waiting = Math.floor((now - new Date(order.createdAt)) / (1000 * 60));
+            text = `${waiting}'`;
+            level = waiting >= 5 ? 'overdue' : waiting >= 2 ? 'warning' : 'ok';
+        } else if (['CONFIRMED', 'PREPARING'].includes(order.status) && order.estimatedTime) {
+            const remaining = Math.floor((new Date(order.estimatedTime) - now) / (1000 * 60));
+            text = remaining >= 0 ? `${remaining}'` : `+${-remaining}'`;
+            level = remaining < 0 ? 'overdue' : remaining <= 5 ? 'warning' : 'ok';
+        } else if (order.status === 'READY' && order.readyAt) {
+            const waiting = Math.floor((now - new Date(order.readyAt)) / (1000 * 60));
+            text = `${waiting}'`;
+            level = waiting >= 10 ? 'warning' : 'ok';
+        }
+
+        timerElement.textContent = text;
+        timerElement.className = `kds-timer kds-timer-${level}`;
+    }
+
     openOrderModal(orderId) {
         const order = this.orders.find(o => o.id === orderId);
         if (!order) return;
@@ -476,6 +690,7 @@ class OrdersApp extends BaseApp {
         
         modalTitle.textContent = `Rendelés ${order.orderNumber}`;
         modalBody.innerHTML = this.renderOrderModal(order);
+        this.modalOrderId = orderId;
         
         modal.classList.add('active');
         document.body.classList.add('modal-open');
@@ -514,6 +729,34 @@ class OrdersApp extends BaseApp {
             { element: closeBtn, event: 'click', handler: closeBtnHandler }
         );
 
+        // Item done ticks
+        modal.querySelectorAll('[data-item-toggle]').forEach(button => {
+            const toggleHandler = () => {
+                this.toggleItemPrepared(parseInt(button.dataset.orderId), button.dataset.itemToggle);
+            };
+
+            button.addEventListener('click', toggleHandler);
+            this.modalEventListeners.push({ element: button, event: 'click', handler: toggleHandler });
+        });
+
+        // Print buttons keep the modal open
+        modal.querySelectorAll('[data-print]').forEach(button => {
+            const printHandler = () => {
+                this.printOrder(parseInt(button.dataset.orderId), button.dataset.print);
+            };
+
+            button.addEventListener('click', printHandler);
+            this.modalEventListeners.push({ element: button, event: 'click', handler: printHandler });
+        });
+
+        // Edit button swaps the details for the editor
+        modal.querySelectorAll('[data-edit-order]').forEach(button => {
+            const editHandler = () => this.openOrderEditor(parseInt(button.dataset.editOrder));
+
+            button.addEventListener('click', editHandler);
+            this.modalEventListeners.push({ element: button, event: 'click', handler: editHandler });
+        });
+
         // Setup action button listeners
         modal.querySelectorAll('[data-action]').forEach(button => {
             const actionHandler = (e) => {
@@ -673,6 +916,21 @@ class OrdersApp extends BaseApp {
                     </div>
                 </div>
 
+                ${this.hasOrderNotes(order) ? `
+                    <div class="detail-section">
+                        <h4>Megjegyzés és kérések</h4>
+                        <div class="order-option-badges">
+                            ${this.renderOrderOptionBadges(order)}
+                        </div>
+                        ${order.specialNotes && order.specialNotes.trim() ? `
+                            <div class="special-notes">
+                                <i class="fas fa-sticky-note"></i>
+                                <span>${this.escapeHtml(order.specialNotes)}</span>
+                            </div>
+                        ` : ''}
+                    </div>
+                ` : ''}
+
                 <!-- NEW: Time Information Section -->
                 <div class="detail-section">
                     <h4>Időpont információ</h4>
@@ -715,11 +973,19 @@ class OrdersApp extends BaseApp {
                 </div>
 
                 <div class="detail-section">
-                    <h4>Rendelt tételek</h4>
+                    <h4>Rendelt tételek ${this.renderItemProgress(order)}</h4>
                     <div class="order-items-detailed">
-                        ${order.items.map(item => `
-                            <div class="item-detailed">
-                                <div class="item-header">
+                        ${order.items.map((item, index) => `
+                            <div class="item-detailed ${item.isPrepared ? 'prepared' : ''}">
+                                <div class="item-header ${this.canTrackItems(order) ? 'with-toggle' : ''}">
+                                    ${this.canTrackItems(order) ? `
+                                        <button class="item-done-toggle ${item.isPrepared ? 'done' : ''}"
+                                                data-item-toggle="${this.getItemKey(item, index)}"
+                                                data-order-id="${order.id}"
+                                                title="${item.isPrepared ? 'Visszaállítás' : 'Kész'}">
+                                            <i class="fas fa-check"></i>
+                                        </button>
+                                    ` : ''}
                                     <span class="item-name">${this.escapeHtml(item.name)}</span>
                                     <span class="item-quantity">×${item.quantity}</span>
                                     <span class="item-price">${this.formatCurrency(item.totalPrice)}</span>
@@ -740,6 +1006,10 @@ class OrdersApp extends BaseApp {
                     </div>
                 </div>
 
+                ${this.renderOrderEdits(order)}
+
+                ${this.renderPrintActions(order)}
+
                 <div class="modal-actions">
                     ${this.renderModalActions(order)}
                 </div>
@@ -747,6 +1017,13 @@ class OrdersApp extends BaseApp {
         `;
     }
 
+    /**
+     * Clock time only, e.g. 14:30
+     */
+    formatTime(date) {
+        return this.formatDate(date, { year: undefined, month: undefined, day: undefined });
+    }
+
     getScheduledTimeStatus(scheduledFor) {
         if (!scheduledFor) return '';
 
@@ -768,6 +1045,26 @@ class OrdersApp extends BaseApp {
     renderItemCustomizations(item) {
         const customizations = [];
 
+        if (item.variantName) {
+            customizations.push(`<span class="custom-tag variant">${this.escapeHtml(item.variantName)}</span>`);
+        }
+
+        this.modifiers.toSnapshots(item.modifiers).forEach(selection => {
+            const options = selection.options.map(option => this.escapeHtml(option.name)).join(', ');
+            customizations.push(`<span class="custom-tag modifier">${this.escapeHtml(selection.groupName)}: ${options}</span>`);
+        });
+
+        // A combo stays one line with its picks grouped under it
+        if (item.comboItems && item.comboItems.length > 0) {
+            customizations.push(`<div class="combo-items">
+                <span class="combo-items-title"><i class="fas fa-layer-group"></i> Menü</span>
+                ${item.comboItems.map(pick => `
+                    <span class="custom-tag combo">${this.escapeHtml(pick.slotName)}: ${this.escapeHtml(pick.name)}</span>
+                `).join('')}
+            </div>`);
+        }
+
+        // Older orders keep the fixed sauce, fries and extras fields
         if (item.selectedSauce) {
             customizations.push(`<span class="custom-tag sauce">Szósz: ${this.escapeHtml(item.selectedSauce)}</span>`);
         }
@@ -834,6 +1131,17 @@ class OrdersApp extends BaseApp {
     }
 
     renderModalActions(order) {
+        const editAction = this.canEditOrder(order) ? `
+            <button class="btn-secondary" data-edit-order="${order.id}">
+                <i class="fas fa-edit"></i>
+                Szerkesztés
+            </button>
+        ` : '';
+
+        return this.renderStatusActions(order) + editAction;
+    }
+
+    renderStatusActions(order) {
         switch (order.status) {
             case 'PENDING':
                 return `
@@ -892,6 +1200,8 @@ class OrdersApp extends BaseApp {
             document.body.classList.remove('modal-open');
             this.cleanupModalListeners();
         }
+        this.modalOrderId = null;
+        this.orderEdit = null;
     }
 
     setupEventListeners() {
@@ -905,6 +1215,39 @@ class OrdersApp extends BaseApp {
             });
         }
         
+        const stationFilter = document.getElementById('stationFilter');
+        if (stationFilter) {
+            stationFilter.addEventListener('change', (e) => {
+                this.setStationFilter(e.target.value);
+            });
+        }
+
+        const kitchenBtn = document.getElementById('openKitchenDisplay');
+        if (kitchenBtn) {
+            kitchenBtn.addEventListener('click', () => {
+                this.enterKitchenMode();
+            });
+        }
+        
+        const desktopAlertsBtn = document.getElementById('enableDesktopAlerts');
+        if (desktopAlertsBtn) {
+            desktopAlertsBtn.addEventListener('click', async () => {
+                const permission = await Notification.requestPermission();
+                if (permission !== 'default') {
+                    desktopAlertsBtn.remove();
+                }
+            });
+        }
+
+        const printerBtn = document.getElementById('openPrinterSettings');
+        if (printerBtn) {
+            printerBtn.addEventListener('click', () => {
+                this.openPrinterSettings();
+            });
+        }
+
+        this.setupPrinterSettingsListeners();
+        
         const archiveBtn = document.getElementById('viewArchived');
         if (archiveBtn) {
             archiveBtn.addEventListener('click', () => {
@@ -945,6 +1288,11 @@ class OrdersApp extends BaseApp {
         if (statusEl) {
             statusEl.className = `connection-status ${this.connectionStatus}`;
         }
+
+        const kitchenStatusEl = document.getElementById('kdsConnectionStatus');
+        if (kitchenStatusEl) {
+            kitchenStatusEl.className = `connection-status ${this.connectionStatus}`;
+        }
     }
 
     handleNewOrder(orderData) {
@@ -955,10 +1303,21 @@ class OrdersApp extends BaseApp {
         
         // Show text notification
         this.showNotification(`Új rendelés érkezett: ${orderData.orderNumber}`, 'info');
+        this.showDesktopNotification('Új rendelés', `${orderData.orderNumber} - elfogadásra vár`, `order-${orderData.orderNumber}`);
         
         this.loadActiveOrders().then(() => {
             this.renderOrdersList();
             this.updateSummary();
+
+            // The socket payload is a summary - work from the full order
+            const order = this.orders.find(o => o.id === orderData.id || o.orderNumber === orderData.orderNumber);
+            if (!order) return;
+
+            this.autoAcceptOrder(order);
+
+            if (this.printer && this.printer.settings.autoPrint) {
+                this.printOrder(order.id, 'kitchen');
+            }
         });
     }
     
@@ -1053,6 +1412,7 @@ class OrdersApp extends BaseApp {
             if (response.success) {
                 console.log(`✅ API confirmed order ${orderId} cancelled`);
                 this.showNotification('Rendelés elutasítva. Stornó számla generálva és elküldve.', 'success');
+                this.settleLoyaltyPoints(orderId, 'refund');
                 
                 setTimeout(() => this.syncWithServer(), 1000);
             } else {
@@ -1122,6 +1482,7 @@ class OrdersApp extends BaseApp {
             if (response.success) {
                 console.log(`✅ API confirmed order ${orderId} completed`);
                 this.showNotification('Rendelés sikeresen befejezve', 'success');
+                this.settleLoyaltyPoints(orderId, 'credit');
             
                 setTimeout(() => this.syncWithServer(), 1000);
             } else {
@@ -1134,6 +1495,27 @@ class OrdersApp extends BaseApp {
         }
     }
 
+    /**
+     * Points move in the backend ledger only here, when the staff finish an order:
+     * 'credit' adds the earned points on completion, 'refund' gives back redeemed points on cancellation.
+     * The backend works out the points from the loyalty rules and ignores repeats for the same order.
+     */
+    async settleLoyaltyPoints(orderId, action) {
+        try {
+            const response = await this.apiCall(`/loyalty/orders/${orderId}/${action}`, {
+                method: 'POST'
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'API returned success: false');
+            }
+            console.log(`⭐ Loyalty points ${action} recorded for order ${orderId}`);
+        } catch (error) {
+            console.error(`Failed to ${action} loyalty points:`, error);
+            this.showNotification('A hűségpontok rögzítése nem sikerült', 'warning');
+        }
+    }
+
     // NEW: Non-blocking server sync
     async syncWithServer() {
         try {
@@ -1165,6 +1547,8 @@ class OrdersApp extends BaseApp {
         const order = this.orders.find(o => o.id === orderId);
         if (!order) return;
 
+        const { options, suggested } = this.getAcceptTimeOptions(order);
+
         const overlay = document.createElement('div');
         overlay.className = 'time-selector-overlay';
         overlay.id = 'timeSelectorOverlay';
@@ -1177,10 +1561,12 @@ class OrdersApp extends BaseApp {
                 </div>
 
                 <div class="time-options">
-                    <div class="time-option" data-minutes="10">10 perc</div>
-                    <div class="time-option" data-minutes="15">15 perc</div>
-                    <div class="time-option" data-minutes="20">20 perc</div>
-                    <div class="time-option" data-minutes="25">25 perc</div>
+                    ${options.map(minutes => `
+                        <div class="time-option ${minutes === suggested ? 'suggested selected' : ''}" data-minutes="${minutes}">
+                            ${minutes} perc
+                            ${minutes === suggested ? '<small>Javasolt</small>' : ''}
+                        </div>
+                    `).join('')}
                 </div>
 
                 <div class="custom-time-section">
@@ -1200,18 +1586,18 @@ class OrdersApp extends BaseApp {
 
                 <div class="time-selector-actions">
                     <button class="btn-cancel-time" id="cancelTimeSelector">Mégse</button>
-                    <button class="btn-confirm-time" id="confirmTimeSelector" disabled>Elfogadás</button>
+                    <button class="btn-confirm-time" id="confirmTimeSelector">Elfogadás</button>
                 </div>
             </div>
         `;
 
         document.body.appendChild(overlay);
-        this.setupTimeSelectorListeners(overlay, orderId);
+        this.setupTimeSelectorListeners(overlay, orderId, suggested);
         overlay.classList.add('active');
     }
 
-    setupTimeSelectorListeners(overlay, orderId) {
-        let selectedMinutes = null;
+    setupTimeSelectorListeners(overlay, orderId, suggestedMinutes) {
+        let selectedMinutes = suggestedMinutes;
 
         const timeOptions = overlay.querySelectorAll('.time-option');
         const customInput = overlay.querySelector('#customTimeInput');
@@ -1538,7 +1924,1513 @@ class OrdersApp extends BaseApp {
         modal.querySelector('.modal-close').onclick = () => this.closeModal();
     }
 
+    // ============================================
+    // UNACCEPTED ORDER ALERTS
+    // ============================================
+
+    /**
+     * Start or stop the repeating alert depending on whether anything waits for acceptance
+     */
+    updatePendingAlerts() {
+        const pendingOrders = this.orders.filter(order => order.status === 'PENDING');
+
+        if (pendingOrders.length === 0) {
+            this.stopPendingAlerts();
+            this.escalatedOrderIds.clear();
+            return;
+        }
+
+        if (!this.alertInterval) {
+            this.alertInterval = setInterval(() => this.runPendingAlert(), this.prepTimes.settings.alerts.repeatSeconds * 1000);
+        }
+
+        if (!this.titleFlashInterval) {
+            let flashOn = false;
+            this.originalTitle = document.title;
+            this.titleFlashInterval = setInterval(() => {
+                const count = this.orders.filter(order => order.status === 'PENDING').length;
+                flashOn = !flashOn;
+                document.title = flashOn ? `🔔 (${count}) Új rendelés!` : this.originalTitle;
+            }, 1000);
+        }
+    }
+
+    stopPendingAlerts() {
+        if (this.alertInterval) {
+            clearInterval(this.alertInterval);
+            this.alertInterval = null;
+        }
+
+        if (this.titleFlashInterval) {
+            clearInterval(this.titleFlashInterval);
+            this.titleFlashInterval = null;
+            document.title = this.originalTitle;
+        }
+    }
+
+    /**
+     * One alert round: repeat the sound and escalate orders past the timeout
+     */
+    runPendingAlert() {
+        const pendingOrders = this.orders.filter(order => order.status === 'PENDING');
+        if (pendingOrders.length === 0) {
+            this.stopPendingAlerts();
+            return;
+        }
+
+        this.playNotificationSound();
+
+        const newlyEscalated = pendingOrders.filter(order =>
+            this.prepTimes.isEscalated(order) && !this.escalatedOrderIds.has(order.id)
+        );
+
+        newlyEscalated.forEach(order => this.escalateOrder(order));
+
+        if (newlyEscalated.length > 0) {
+            this.renderOrdersList();
+        }
+    }
+
+    /**
+     * Flag an order nobody accepted and log it for the manager
+     */
+    async escalateOrder(order) {
+        this.escalatedOrderIds.add(order.id);
+
+        const waitingMinutes = Math.floor((new Date() - new Date(order.createdAt)) / 60000);
+        console.warn(`🚨 Order ${order.orderNumber} waiting ${waitingMinutes} minutes without acceptance`);
+
+        this.showNotification(`${order.orderNumber} már ${waitingMinutes} perce vár elfogadásra!`, 'error');
+        this.showDesktopNotification('Elfogadatlan rendelés!', `${order.orderNumber} már ${waitingMinutes} perce vár`, `escalated-${order.id}`, true);
+
+        try {
+            await this.apiCall(`/orders/${order.id}/escalations`, {
+                method: 'POST',
+                body: JSON.stringify({ type: 'UNACCEPTED', waitingMinutes })
+            });
+        } catch (error) {
+            console.error('Failed to log order escalation:', error);
+        }
+    }
+
+    /**
+     * Desktop popup - only when the staff allowed notifications on this device
+     */
+    showDesktopNotification(title, body, tag, requireInteraction = false) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+        try {
+            const notification = new Notification(title, { body, tag, requireInteraction });
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+        } catch (error) {
+            console.warn('Could not show desktop notification:', error);
+        }
+    }
+
+    // ============================================
+    // PREP TIMES & AUTO-ACCEPT
+    // ============================================
+
+    /**
+     * Preset prep times plus the suggestion for this order
+     * @returns {{ options: number[], suggested: number }}
+     */
+    getAcceptTimeOptions(order) {
+        const suggested = this.prepTimes.getSuggestedMinutes(order, this.orders);
+        const options = [...new Set([...this.prepTimes.settings.presets, suggested])].sort((a, b) => a - b);
+
+        return { options, suggested };
+    }
+
+    /**
+     * Accept a new order with the suggested time when an auto-accept rule matches.
+     * Every open dashboard evaluates the rules - the backend only accepts a PENDING order once.
+     */
+    autoAcceptOrder(order) {
+        const rule = this.prepTimes.findAutoAcceptRule(order, this.orders);
+        if (!rule) return;
+
+        const minutes = this.prepTimes.getSuggestedMinutes(order, this.orders);
+        console.log(`🤖 Auto-accepting order ${order.orderNumber} (${rule.name || rule.id}) with ${minutes} minutes`);
+
+        this.showNotification(`${order.orderNumber} automatikusan elfogadva - ${minutes} perc`, 'info');
+        this.optimisticUpdate(order.id, 'accept');
+        this.acceptOrder(order.id, minutes);
+    }
+
+    // ============================================
+    // TICKET PRINTING
+    // ============================================
+
+    /**
+     * Print buttons for active orders - archived orders are read-only
+     */
+    renderPrintActions(order) {
+        if (!this.printer || !this.orders.some(o => o.id === order.id)) return '';
+
+        return `
+            <div class="print-actions">
+                <button class="btn-secondary" data-print="kitchen" data-order-id="${order.id}">
+                    <i class="fas fa-receipt"></i>
+                    Konyhai jegy
+                </button>
+                <button class="btn-secondary" data-print="receipt" data-order-id="${order.id}">
+                    <i class="fas fa-file-invoice"></i>
+                    Nyugta
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Print a kitchen ticket or customer receipt for an active order
+     * @param {number} orderId
+     * @param {'kitchen'|'receipt'} type
+     */
+    async printOrder(orderId, type) {
+        const order = this.orders.find(o => o.id === orderId);
+        if (!order || !this.printer) return;
+
+        const optionLabels = Object.fromEntries(
+            Object.entries(this.orderOptionLabels).map(([code, option]) => [code, option.label])
+        );
+
+        try {
+            const output = await this.printer.print(order, { type, optionLabels });
+            if (this.printer.settings.mode === 'escpos' && output === 'browser') {
+                this.showNotification('A nyomtató nem érhető el, böngészős nyomtatás', 'warning');
+            }
+        } catch (error) {
+            console.error('❌ Printing failed:', error);
+            this.showNotification('Nyomtatás sikertelen', 'error');
+        }
+    }
+
+    renderPrinterSettingsModal() {
+        if (!this.printer) return '';
+        const settings = this.printer.settings;
+
+        return `
+            <div class="modal" id="printerSettingsModal">
+                <div class="modal-backdrop"></div>
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>Nyomtató beállítások</h3>
+                        <button class="modal-close">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="modal-body">
+                        <form id="printerSettingsForm">
+                            <div class="printer-settings-grid">
+                                <div class="form-group">
+                                    <label for="printerMode">Nyomtatás módja</label>
+                                    <select id="printerMode" name="mode">
+                                        <option value="browser" ${settings.mode === 'browser' ? 'selected' : ''}>Böngésző</option>
+                                        <option value="escpos" ${settings.mode === 'escpos' ? 'selected' : ''}>ESC/POS nyomtató</option>
+                                    </select>
+                                </div>
+                                <div class="form-group">
+                                    <label for="printerPaper">Papírszélesség</label>
+                                    <select id="printerPaper" name="paper">
+                                        <option value="80mm" ${settings.paper === '80mm' ? 'selected' : ''}>80 mm</option>
+                                        <option value="58mm" ${settings.paper === '58mm' ? 'selected' : ''}>58 mm</option>
+                                    </select>
+                                </div>
+                                <div class="form-group printer-field-wide">
+                                    <label for="printerBridgeUrl">Nyomtató híd címe</label>
+                                    <input type="url" id="printerBridgeUrl" name="bridgeUrl" value="${this.escapeHtml(settings.bridgeUrl)}">
+                                    <small>Csak ESC/POS módban - a helyi szolgáltatás továbbítja a jegyet a nyomtatónak</small>
+                                </div>
+                                <div class="form-group printer-field-wide">
+                                    <label class="printer-checkbox">
+                                        <input type="checkbox" id="printerAutoPrint" name="autoPrint" ${settings.autoPrint ? 'checked' : ''}>
+                                        Konyhai jegy automatikus nyomtatása új rendelésnél
+                                    </label>
+                                </div>
+                            </div>
+                            <p class="printer-device-note">
+                                <i class="fas fa-info-circle"></i>
+                                A beállítások csak ezen az eszközön érvényesek.
+                            </p>
+                            <div class="modal-actions">
+                                <button type="button" class="btn-secondary" id="printerTestPrint">
+                                    <i class="fas fa-print"></i>
+                                    Próbanyomtatás
+                                </button>
+                                <button type="submit" class="btn-primary">
+                                    <i class="fas fa-save"></i>
+                                    Mentés
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    openPrinterSettings() {
+        const modal = document.getElementById('printerSettingsModal');
+        if (!modal) return;
+
+        modal.classList.add('active');
+        document.body.classList.add('modal-open');
+    }
+
+    closePrinterSettings() {
+        const modal = document.getElementById('printerSettingsModal');
+        if (!modal) return;
+
+        modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+
+    setupPrinterSettingsListeners() {
+        const modal = document.getElementById('printerSettingsModal');
+        if (!modal) return;
+
+        modal.querySelector('.modal-backdrop').addEventListener('click', () => this.closePrinterSettings());
+        modal.querySelector('.modal-close').addEventListener('click', () => this.closePrinterSettings());
+
+        const form = document.getElementById('printerSettingsForm');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.printer.saveSettings(this.getPrinterFormSettings(form));
+            this.closePrinterSettings();
+            this.showNotification('Nyomtató beállítások mentve', 'success');
+        });
+
+        document.getElementById('printerTestPrint').addEventListener('click', () => {
+            this.printer.saveSettings(this.getPrinterFormSettings(form));
+            this.printer.print(this.getTestOrder(), { type: 'kitchen' });
+        });
+    }
+
+    getPrinterFormSettings(form) {
+        return {
+            mode: form.elements.mode.value,
+            paper: form.elements.paper.value,
+            bridgeUrl: form.elements.bridgeUrl.value.trim() || this.printer.getDefaultSettings().bridgeUrl,
+            autoPrint: form.elements.autoPrint.checked
+        };
+    }
+
+    /**
+     * Sample ticket with accented text, to check the code page and paper width
+     */
+    getTestOrder() {
+        return {
+            orderNumber: 'TESZT',
+            orderType: 'DELIVERY',
+            createdAt: new Date().toISOString(),
+            scheduledFor: null,
+            customerName: 'Próba Ügyfél',
+            customerPhone: '+421 900 000 000',
+            deliveryAddress: 'Hlavná 1, Komárno',
+            items: [
+                { quantity: 2, name: 'Palace Burger', totalPrice: 19.8, modifiers: [{ groupId: 1, groupName: 'Szósz', options: [{ id: 1, name: 'Fokhagymás', price: 0 }] }, { groupId: 2, groupName: 'Extrák', options: [{ id: 5, name: 'Extra sajt', price: 0.3 }] }], removeItems: ['Hagyma'] },
+                { quantity: 1, name: 'Sült krumpli', totalPrice: 3.5 }
+            ],
+            total: 23.3,
+            paymentMethod: 'CASH',
+            specialNotes: 'Árvíztűrő tükörfúrógép'
+        };
+    }
+
+    // ============================================
+    // KITCHEN STATIONS
+    // ============================================
+
+    /**
+     * Station of a line item - items of unassigned categories belong to every station
+     */
+    getItemStation(item) {
+        const categoryId = item.categoryId ?? item.menuItem?.categoryId ?? item.category?.id;
+        return item.station || this.categoryStations[categoryId] || null;
+    }
+
+    /**
+     * Line items the selected station has to make, with their position in the order
+     */
+    getStationItems(order) {
+        return order.items
+            .map((item, index) => ({ item, index }))
+            .filter(({ item }) => {
+                if (this.stationFilter === 'all') return true;
+                const station = this.getItemStation(item);
+                return !station || station === this.stationFilter;
+            });
+    }
+
+    /**
+     * First few item tags of an order card, limited to the selected station
+     */
+    renderCardItems(order) {
+        const items = this.getStationItems(order);
+
+        return `
+            ${items.slice(0, 3).map(({ item }) =>
+                `<span class="item-tag">${item.quantity}x ${this.escapeHtml(item.name)}</span>`
+            ).join('')}
+            ${items.length > 3 ? `<span class="item-more">+${items.length - 3} további</span>` : ''}
+        `;
+    }
+
+    renderStationFilter(id) {
+        return `
+            <select class="station-filter" id="${id}" title="Állomás">
+                <option value="all" ${this.stationFilter === 'all' ? 'selected' : ''}>Minden állomás</option>
+                ${Object.entries(window.KITCHEN_STATIONS || {}).map(([station, config]) => `
+                    <option value="${station}" ${this.stationFilter === station ? 'selected' : ''}>${config.label}</option>
+                `).join('')}
+            </select>
+        `;
+    }
+
+    setStationFilter(station) {
+        this.stationFilter = station;
+        localStorage.setItem(this.stationStorageKey, station);
+
+        document.querySelectorAll('.station-filter').forEach(select => {
+            select.value = station;
+        });
+
+        this.renderOrdersList();
+    }
+
+    // ============================================
+    // PER-ITEM PREPARATION TRACKING
+    // ============================================
+
+    /**
+     * Stable key of an order line - falls back to the position for items without an id
+     */
+    getItemKey(item, index) {
+        return String(item.id ?? index);
+    }
+
+    /**
+     * Items can be ticked off while the order is being prepared
+     */
+    canTrackItems(order) {
+        return ['CONFIRMED', 'PREPARING'].includes(order.status);
+    }
+
+    areAllItemsPrepared(order) {
+        return order.items.length > 0 && order.items.every(item => item.isPrepared);
+    }
+
+    renderItemProgress(order) {
+        if (!this.canTrackItems(order) || order.items.length === 0) return '';
+
+        const prepared = order.items.filter(item => item.isPrepared).length;
+        return `
+            <span class="item-progress ${prepared === order.items.length ? 'complete' : ''}">
+                <i class="fas fa-list-check"></i>
+                ${prepared}/${order.items.length} kész
+            </span>
+        `;
+    }
+
+    /**
+     * Tick or untick a line item - saved on the server, which broadcasts it to every dashboard
+     */
+    async toggleItemPrepared(orderId, itemKey) {
+        const order = this.orders.find(o => o.id === orderId);
+        const item = order?.items.find((entry, index) => this.getItemKey(entry, index) === itemKey);
+        if (!order || !item || !this.canTrackItems(order)) return;
+
+        const prepared = !item.isPrepared;
+        this.applyItemProgress(order, itemKey, prepared);
+
+        try {
+            const response = await this.apiCall(`/orders/${orderId}/items/${encodeURIComponent(itemKey)}/prepared`, {
+                method: 'PUT',
+                body: JSON.stringify({ prepared })
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'API returned success: false');
+            }
+        } catch (error) {
+            console.error('Failed to update item progress:', error);
+            this.showNotification('Hiba a tétel állapotának mentése során', 'error');
+            this.applyItemProgress(order, itemKey, !prepared);
+            return;
+        }
+
+        if (prepared && this.areAllItemsPrepared(order)) {
+            this.handleAllItemsPrepared(order);
+        }
+    }
+
+    /**
+     * Last item ticked: the kitchen display bumps the order to ready,
+     * the desktop view asks first
+     */
+    handleAllItemsPrepared(order) {
+        if (this.kitchenMode) {
+            this.runKitchenAction('ready', order.id);
+            return;
+        }
+
+        if (confirm(`Minden tétel elkészült (${order.orderNumber}). Készre állítod a rendelést?`)) {
+            this.closeModal();
+            this.showProcessingState('ready', order.id);
+            this.markOrderReady(order.id);
+        }
+    }
+
+    /**
+     * Progress update from another dashboard
+     */
+    handleItemProgress(progressData) {
+        const order = this.orders.find(o => o.id === progressData.orderId);
+        if (!order) return;
+
+        const itemKey = String(progressData.itemId);
+        const item = order.items.find((entry, index) => this.getItemKey(entry, index) === itemKey);
+        if (!item || Boolean(item.isPrepared) === Boolean(progressData.prepared)) return;
+
+        this.applyItemProgress(order, itemKey, progressData.prepared);
+    }
+
+    applyItemProgress(order, itemKey, prepared) {
+        const item = order.items.find((entry, index) => this.getItemKey(entry, index) === itemKey);
+        if (!item) return;
+
+        item.isPrepared = Boolean(prepared);
+
+        this.renderOrdersList();
+        this.refreshOpenModal(order.id);
+    }
+
+    /**
+     * Re-render the order modal if it is showing this order
+     */
+    refreshOpenModal(orderId) {
+        const modal = document.getElementById('orderModal');
+        const modalBody = document.getElementById('modalBody');
+        const order = this.orders.find(o => o.id === orderId);
+        if (this.modalOrderId !== orderId || !modal?.classList.contains('active') || !modalBody || !order) return;
+
+        // Keep an unsaved edit on screen
+        if (this.orderEdit?.orderId === orderId) return;
+
+        document.getElementById('modalTitle').textContent = `Rendelés ${order.orderNumber}`;
+        modalBody.innerHTML = this.renderOrderModal(order);
+        this.cleanupModalListeners();
+        this.setupModalListeners(modal);
+    }
+
+    // ============================================
+    // UPCOMING PRE-ORDERS
+    // ============================================
+
+    /**
+     * Orders the kitchen works on now - pre-orders wait in the upcoming lane
+     */
+    getKitchenOrders() {
+        return this.getSortedOrders().filter(order => !this.prepTimes.isUpcoming(order));
+    }
+
+    /**
+     * Pre-orders grouped by day, earliest slot first
+     */
+    renderUpcomingLane(orders) {
+        if (orders.length === 0) return '';
+
+        const days = new Map();
+        [...orders]
+            .sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor))
+            .forEach(order => {
+                const dayLabel = this.formatDate(order.scheduledFor, { weekday: 'long', year: undefined, hour: undefined, minute: undefined });
+                if (!days.has(dayLabel)) days.set(dayLabel, []);
+                days.get(dayLabel).push(order);
+            });
+
+        return `
+            <section class="upcoming-lane">
+                <div class="upcoming-lane-header">
+                    <h3><i class="fas fa-calendar-alt"></i> Előrendelések (${orders.length})</h3>
+                    <span>A konyhára ${this.prepTimes.settings.preorders.releaseMinutes} perccel az időpont előtt kerülnek</span>
+                </div>
+                ${[...days].map(([dayLabel, dayOrders]) => `
+                    <div class="upcoming-day">
+                        <h4>${dayLabel}</h4>
+                        <div class="upcoming-orders">
+                            ${dayOrders.map(order => `
+                                <div class="order-card upcoming ${order.status.toLowerCase()} ${this.prepTimes.isEscalated(order) ? 'escalated' : ''}" data-order-id="${order.id}">
+                                    <div class="order-header">
+                                        <div class="order-number">${order.orderNumber}</div>
+                                        <div class="upcoming-slot">
+                                            <i class="fas fa-clock"></i>
+                                            ${this.formatTime(order.scheduledFor)}
+                                        </div>
+                                    </div>
+                                    <div class="order-customer">
+                                        <span>${this.escapeHtml(order.customerName)}</span>
+                                        <span class="order-type ${order.orderType.toLowerCase()}">
+                                            <i class="fas fa-${order.orderType === 'DELIVERY' ? 'truck' : 'store'}"></i>
+                                            ${order.orderType === 'DELIVERY' ? 'Szállítás' : 'Elvitel'}
+                                        </span>
+                                    </div>
+                                    <div class="order-footer">
+                                        <div class="order-total">${this.formatCurrency(order.total)}</div>
+                                        <div class="order-status status-${order.status.toLowerCase()}">
+                                            ${order.status === 'PENDING' ? 'Elfogadásra vár' : `Konyhára: ${this.formatTime(this.prepTimes.getReleaseTime(order))}`}
+                                        </div>
+                                    </div>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+            </section>
+        `;
+    }
+
+    /**
+     * Watch held pre-orders once a minute while there are any
+     */
+    updateUpcomingRelease(upcomingOrders) {
+        this.upcomingOrderIds = new Set(upcomingOrders.map(order => order.id));
+
+        if (this.upcomingOrderIds.size === 0) {
+            this.stopUpcomingRelease();
+            return;
+        }
+
+        if (!this.upcomingInterval) {
+            this.upcomingInterval = setInterval(() => this.releaseDueOrders(), 60000);
+        }
+    }
+
+    stopUpcomingRelease() {
+        if (this.upcomingInterval) {
+            clearInterval(this.upcomingInterval);
+            this.upcomingInterval = null;
+        }
+    }
+
+    /**
+     * Move pre-orders whose release time has come onto the kitchen board
+     */
+    releaseDueOrders() {
+        const released = this.orders.filter(order =>
+            this.upcomingOrderIds.has(order.id) && !this.prepTimes.isUpcoming(order)
+        );
+        if (released.length === 0) return;
+
+        this.playNotificationSound();
+
+        released.forEach(order => {
+            const slot = this.formatTime(order.scheduledFor);
+            this.showNotification(`Előrendelés a konyhára: ${order.orderNumber} (${slot})`, 'info');
+            this.showDesktopNotification('Előrendelés', `${order.orderNumber} - ${slot}`, `preorder-${order.orderNumber}`);
+
+            if (this.printer && this.printer.settings.autoPrint) {
+                this.printOrder(order.id, 'kitchen');
+            }
+        });
+
+        this.renderOrdersList();
+        this.updateSummary();
+    }
+
+    // ============================================
+    // ORDER EDITING
+    // ============================================
+
+    /**
+     * Orders that can still be changed - once the driver has left it is too late
+     */
+    canEditOrder(order) {
+        return ['PENDING', 'CONFIRMED', 'PREPARING', 'READY'].includes(order.status) &&
+            this.orders.some(o => o.id === order.id);
+    }
+
+    /**
+     * Deliverable menu items and option groups for the editor, loaded once
+     */
+    async loadEditorOptions() {
+        if (this.editorOptions) return this.editorOptions;
+
+        const [menuResponse] = await Promise.all([
+            this.apiCall('/menu/deliverable-items'),
+            this.modifiers.load('hu')
+        ]);
+
+        const menuItems = Object.entries(menuResponse.data || {}).flatMap(([categoryName, category]) =>
+            (category.items || []).map(item => ({ ...item, categoryName, categorySlug: category.slug }))
+        );
+
+        this.editorOptions = { menuItems };
+
+        return this.editorOptions;
+    }
+
+    /**
+     * Comparable form of an option selection - group and option order do not matter
+     */
+    getModifierKey(modifiers = []) {
+        return this.modifiers.toSnapshots(modifiers)
+            .map(selection => `${selection.groupId}:${selection.options.map(option => option.id).sort().join(',')}`)
+            .sort()
+            .join(';');
+    }
+
+    async openOrderEditor(orderId) {
+        const order = this.orders.find(o => o.id === orderId);
+        if (!order || !this.canEditOrder(order)) return;
+
+        try {
+            await this.loadEditorOptions();
+        } catch (error) {
+            console.error('❌ Failed to load menu for editing:', error);
+            this.showNotification('Nem sikerült betölteni az étlapot', 'error');
+            return;
+        }
+
+        const { menuItems } = this.editorOptions;
+
+        this.orderEdit = {
+            orderId,
+            nextKey: order.items.length,
+            deliveryAddress: order.deliveryAddress || '',
+            reason: '',
+            items: order.items.map((item, index) => {
+                const menuItem = menuItems.find(entry => entry.id === item.menuItemId) || {};
+                const modifiers = this.modifiers.toSnapshots(item.modifiers);
+                const unitPrice = (Number(item.totalPrice) || 0) / (Number(item.quantity) || 1);
+
+                return {
+                    key: index,
+                    id: item.id,
+                    menuItemId: item.menuItemId,
+                    variantId: item.variantId || null,
+                    name: item.variantName ? `${item.name} (${item.variantName})` : item.name,
+                    // Price without the options, so option changes reprice the item
+                    basePrice: unitPrice - this.modifiers.getUnitPrice(modifiers),
+                    quantity: Number(item.quantity) || 1,
+                    modifierGroupIds: this.modifiers.getGroupIdsForItem(menuItem),
+                    categorySlug: menuItem.categorySlug || null,
+                    modifiers,
+                    // Combos keep their picks - only the quantity and notes are edited
+                    comboId: item.comboId || null,
+                    comboItems: item.comboItems || [],
+                    // Older orders keep their fixed sauce, fries and extras as they were
+                    legacyOptions: {
+                        selectedSauce: item.selectedSauce || null,
+                        friesUpgrade: item.friesUpgrade || null,
+                        extras: item.extras || []
+                    },
+                    removeItems: (item.removeItems || []).join(', '),
+                    specialNotes: item.specialNotes || ''
+                };
+            })
+        };
+
+        this.renderOrderEditor();
+    }
+
+    renderOrderEditor() {
+        const modal = document.getElementById('orderModal');
+        const modalBody = document.getElementById('modalBody');
+        const order = this.orders.find(o => o.id === this.orderEdit?.orderId);
+        if (!modal || !modalBody || !order) return;
+
+        const edit = this.orderEdit;
+        const { menuItems } = this.editorOptions;
+
+        document.getElementById('modalTitle').textContent = `Rendelés ${order.orderNumber} szerkesztése`;
+        modalBody.innerHTML = `
+            <form class="order-editor" id="orderEditForm">
+                <div class="detail-section">
+                    <h4>Tételek</h4>
+                    <div class="edit-items">
+                        ${edit.items.length ? edit.items.map(item => this.renderEditItem(item)).join('') : `
+                            <p class="edit-empty">A rendelésben nincs tétel</p>
+                        `}
+                    </div>
+                    <div class="edit-add-item">
+                        <select id="editAddItem">
+                            <option value="">Tétel hozzáadása...</option>
+                            ${menuItems.filter(item => item.isAvailable !== false).map(item => `
+                                <option value="${item.id}">${this.escapeHtml(item.categoryName)} - ${this.escapeHtml(item.name)} (${this.formatCurrency(item.price)})</option>
+                            `).join('')}
+                        </select>
+                        <button type="button" class="btn-secondary" data-edit="add">
+                            <i class="fas fa-plus"></i>
+                            Hozzáadás
+                        </button>
+                    </div>
+                </div>
+
+                <div class="detail-section">
+                    <h4>Rendelés adatai</h4>
+                    <div class="edit-fields">
+                        ${order.orderType === 'DELIVERY' ? `
+                            <label class="edit-field">
+                                <span>Szállítási cím</span>
+                                <input type="text" data-edit-field="deliveryAddress" value="${this.escapeHtml(edit.deliveryAddress)}">
+                            </label>
+                        ` : ''}
+                        <label class="edit-field">
+                            <span>Módosítás oka</span>
+                            <input type="text" data-edit-field="reason" value="${this.escapeHtml(edit.reason)}"
+                                   placeholder="pl. telefonon kérte">
+                        </label>
+                    </div>
+                </div>
+
+                <div class="edit-total">
+                    <span>Eredeti: ${this.formatCurrency(order.total)}</span>
+                    <strong id="editTotal">Új összeg: ${this.formatCurrency(this.getEditTotal(order))}</strong>
+                    <small>A végleges összeget mentéskor a rendszer számolja újra</small>
+                </div>
+
+                <div class="modal-actions">
+                    <button type="submit" class="btn-primary">
+                        <i class="fas fa-save"></i>
+                        Módosítás mentése
+                    </button>
+                    <button type="button" class="btn-secondary" data-edit="discard">
+                        Mégse
+                    </button>
+                </div>
+            </form>
+        `;
+
+        this.cleanupModalListeners();
+        this.setupModalListeners(modal);
+        this.setupOrderEditorListeners(modalBody);
+    }
+
+    renderEditItem(item) {
+        return `
+            <div class="edit-item" data-edit-key="${item.key}">
+                <div class="edit-item-header">
+                    <span class="item-name">${this.escapeHtml(item.name)}</span>
+                    <div class="edit-quantity">
+                        <button type="button" data-edit="decrease" data-key="${item.key}" aria-label="Kevesebb">
+                            <i class="fas fa-minus"></i>
+                        </button>
+                        <span>${item.quantity}</span>
+                        <button type="button" data-edit="increase" data-key="${item.key}" aria-label="Több">
+                            <i class="fas fa-plus"></i>
+                        </button>
+                    </div>
+                    <span class="item-price">${this.formatCurrency(this.getEditUnitPrice(item) * item.quantity)}</span>
+                    <button type="button" class="edit-remove" data-edit="remove" data-key="${item.key}" title="Törlés">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                <details class="edit-customization">
+                    <summary>Testreszabás</summary>
+                    <div class="edit-fields">
+                        ${this.renderEditModifiers(item)}
+                        <label class="edit-field">
+                            <span>Elhagyva</span>
+                            <input type="text" data-item-field="removeItems" value="${this.escapeHtml(item.removeItems)}" placeholder="pl. hagyma">
+                        </label>
+                        <label class="edit-field">
+                            <span>Megjegyzés</span>
+                            <input type="text" data-item-field="specialNotes" value="${this.escapeHtml(item.specialNotes)}">
+                        </label>
+                    </div>
+                </details>
+            </div>
+        `;
+    }
+
+    /**
+     * Option groups of the item - single-choice groups as a select, the others as checkboxes
+     */
+    renderEditModifiers(item) {
+        return this.modifiers.getGroupsForItem(item).map(group => {
+            const selectedIds = (item.modifiers.find(selection => String(selection.groupId) === String(group.id))?.options || [])
+                .map(option => String(option.id));
+            const optionLabel = option => `${this.escapeHtml(option.name)}${option.price > 0 ? ` (+${this.formatCurrency(option.price)})` : ''}`;
+
+            if (this.modifiers.isSingleChoice(group)) {
+                return `
+                    <label class="edit-field">
+                        <span>${this.escapeHtml(group.name)}</span>
+                        <select data-item-modifier="${group.id}">
+                            <option value="">Nincs</option>
+                            ${group.options.map(option => `
+                                <option value="${option.id}" ${selectedIds.includes(String(option.id)) ? 'selected' : ''}>${optionLabel(option)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `;
+            }
+
+            return `
+                <div class="edit-field edit-extras">
+                    <span>${this.escapeHtml(group.name)}</span>
+                    ${group.options.map(option => `
+                        <label class="checkbox-inline">
+                            <input type="checkbox" data-item-modifier="${group.id}" value="${option.id}" ${selectedIds.includes(String(option.id)) ? 'checked' : ''}>
+                            ${optionLabel(option)}
+                        </label>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Apply a select or checkbox change to the item's option snapshot
+     */
+    updateEditModifier(item, target) {
+        const group = this.modifiers.findGroup(target.dataset.itemModifier);
+        if (!group) return;
+
+        const selectedIds = (item.modifiers.find(selection => String(selection.groupId) === String(group.id))?.options || [])
+            .map(option => String(option.id));
+
+        let optionIds;
+        if (target.tagName === 'SELECT') {
+            optionIds = target.value ? [target.value] : [];
+        } else {
+            optionIds = target.checked ? [...selectedIds, target.value] : selectedIds.filter(id => id !== target.value);
+        }
+
+        item.modifiers = [
+            ...item.modifiers.filter(selection => String(selection.groupId) !== String(group.id)),
+            this.modifiers.toSnapshot(group, group.options.filter(option => optionIds.includes(String(option.id))))
+        ].filter(selection => selection.options.length > 0);
+
+        // Paid options change the price right away - the list itself waits for the next re-render
+        const order = this.orders.find(o => o.id === this.orderEdit.orderId);
+        const priceEl = document.querySelector(`#orderEditForm [data-edit-key="${item.key}"] .item-price`);
+        const totalEl = document.getElementById('editTotal');
+        if (priceEl) priceEl.textContent = this.formatCurrency(this.getEditUnitPrice(item) * item.quantity);
+        if (totalEl && order) totalEl.textContent = `Új összeg: ${this.formatCurrency(this.getEditTotal(order))}`;
+    }
+
+    /**
+     * Unit price of an edited item - its price without options plus the options picked now
+     */
+    getEditUnitPrice(item) {
+        return item.basePrice + this.modifiers.getUnitPrice(item.modifiers);
+    }
+
+    /**
+     * Estimated new total - items keep their original price, new items use the menu price, options are repriced.
+     * Packaging is counted like checkout does; the discount and redeemed points stay as they were.
+     */
+    getEditTotal(order) {
+        const itemsTotal = this.orderEdit.items.reduce((sum, item) => sum + this.getEditUnitPrice(item) * item.quantity, 0);
+        const packaging = this.packaging.calculate(this.orderEdit.items.map(item => ({
+            category: item.categorySlug,
+            quantity: item.quantity
+        })));
+
+        const total = itemsTotal +
+            (Number(order.deliveryFee) || 0) +
+            packaging.amount -
+            (Number(order.discountAmount) || 0) -
+            (Number(order.loyaltyDiscount) || 0);
+        return Math.max(total, 0);
+    }
+
+    setupOrderEditorListeners(container) {
+        const form = container.querySelector('#orderEditForm');
+        if (!form) return;
+
+        const clickHandler = (e) => {
+            const button = e.target.closest('[data-edit]');
+            if (!button) return;
+
+            const item = this.orderEdit.items.find(i => i.key === parseInt(button.dataset.key));
+
+            switch (button.dataset.edit) {
+                case 'increase':
+                    if (!item) return;
+                    item.quantity++;
+                    break;
+                case 'decrease':
+                    if (!item) return;
+                    if (item.quantity > 1) item.quantity--;
+                    break;
+                case 'remove':
+                    if (!item) return;
+                    this.orderEdit.items = this.orderEdit.items.filter(i => i !== item);
+                    break;
+                case 'add':
+                    if (!this.addEditItem(parseInt(form.querySelector('#editAddItem').value))) return;
+                    break;
+                case 'discard':
+                    this.orderEdit = null;
+                    this.refreshOpenModal(this.modalOrderId);
+                    return;
+                default:
+                    return;
+            }
+
+            this.renderOrderEditor();
+        };
+
+        // Field edits only touch the draft - the list is re-rendered on the next button click
+        const changeHandler = (e) => {
+            const target = e.target;
+            const itemElement = target.closest('[data-edit-key]');
+            const item = itemElement && this.orderEdit.items.find(i => i.key === parseInt(itemElement.dataset.editKey));
+
+            if (target.dataset.editField) {
+                this.orderEdit[target.dataset.editField] = target.value;
+            } else if (item && target.dataset.itemField) {
+                item[target.dataset.itemField] = target.value;
+            } else if (item && target.dataset.itemModifier) {
+                this.updateEditModifier(item, target);
+            }
+        };
+
+        const submitHandler = (e) => {
+            e.preventDefault();
+            this.saveOrderEdit();
+        };
+
+        form.addEventListener('click', clickHandler);
+        form.addEventListener('input', changeHandler);
+        form.addEventListener('change', changeHandler);
+        form.addEventListener('submit', submitHandler);
+
+        this.modalEventListeners.push(
+            { element: form, event: 'click', handler: clickHandler },
+            { element: form, event: 'input', handler: changeHandler },
+            { element: form, event: 'change', handler: changeHandler },
+            { element: form, event: 'submit', handler: submitHandler }
+        );
+    }
+
+    addEditItem(menuItemId) {
+        const menuItem = this.editorOptions.menuItems.find(item => item.id === menuItemId);
+        if (!menuItem) return false;
+
+        // Sized items are added in their default size with the default options
+        const variants = (menuItem.variants || []).filter(variant => variant.isAvailable !== false);
+        const variant = variants.find(option => option.isDefault) || variants[0];
+        const modifiers = this.modifiers.getDefaultSelection(this.modifiers.getGroupsForItem(menuItem));
+
+        this.orderEdit.items.push({
+            key: this.orderEdit.nextKey++,
+            id: null,
+            menuItemId: menuItem.id,
+            variantId: variant?.id || null,
+            name: variant ? `${menuItem.name} (${variant.name})` : menuItem.name,
+            basePrice: Number(variant ? variant.price : menuItem.price) || 0,
+            quantity: 1,
+            modifierGroupIds: this.modifiers.getGroupIdsForItem(menuItem),
+            categorySlug: menuItem.categorySlug || null,
+            modifiers,
+            comboId: null,
+            comboItems: [],
+            legacyOptions: {},
+            removeItems: '',
+            specialNotes: ''
+        });
+
+        return true;
+    }
+
+    /**
+     * Readable list of what changed, stored with the audit entry
+     */
+    describeOrderEdit(order) {
+        const changes = [];
+        const draftItems = this.orderEdit.items;
+
+        order.items.forEach((original, index) => {
+            const item = draftItems.find(i => i.id ? i.id === original.id : i.key === index);
+            if (!item) {
+                changes.push(`Törölve: ${original.quantity}× ${original.name}`);
+                return;
+            }
+
+            if (item.quantity !== Number(original.quantity)) {
+                changes.push(`${original.name}: ${original.quantity} → ${item.quantity} db`);
+            }
+
+            const originalCustomization = [
+                this.getModifierKey(original.modifiers),
+                (original.removeItems || []).join(', '),
+                original.specialNotes || ''
+            ];
+            const customization = [this.getModifierKey(item.modifiers), item.removeItems, item.specialNotes];
+            if (customization.join('|') !== originalCustomization.join('|')) {
+                changes.push(`${original.name}: testreszabás módosítva`);
+            }
+        });
+
+        draftItems.filter(item => !item.id && item.key >= order.items.length).forEach(item => {
+            changes.push(`Hozzáadva: ${item.quantity}× ${item.name}`);
+        });
+
+        if (order.orderType === 'DELIVERY' && this.orderEdit.deliveryAddress.trim() !== (order.deliveryAddress || '')) {
+            changes.push(`Cím: ${this.orderEdit.deliveryAddress.trim()}`);
+        }
+
+        return changes;
+    }
+
+    async saveOrderEdit() {
+        const edit = this.orderEdit;
+        const order = this.orders.find(o => o.id === edit?.orderId);
+        if (!order) return;
+
+        if (edit.items.length === 0) {
+            this.showNotification('Legalább egy tétel kell - az üres rendelést töröld inkább', 'warning');
+            return;
+        }
+
+        if (order.orderType === 'DELIVERY' && !edit.deliveryAddress.trim()) {
+            this.showNotification('A szállítási cím nem lehet üres', 'warning');
+            return;
+        }
+
+        for (const item of edit.items) {
+            const modifierError = this.modifiers.validateSelection(this.modifiers.getGroupsForItem(item), item.modifiers);
+            if (modifierError) {
+                this.showNotification(`${item.name} - ${modifierError}`, 'warning');
+                return;
+            }
+        }
+
+        const changes = this.describeOrderEdit(order);
+        if (changes.length === 0) {
+            this.showNotification('Nincs módosítás', 'info');
+            return;
+        }
+
+        const submitButton = document.querySelector('#orderEditForm button[type="submit"]');
+        if (submitButton) submitButton.disabled = true;
+
+        try {
+            // The backend recalculates the totals, records who made the change and notifies the customer
+            const response = await this.apiCall(`/orders/${order.id}`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    items: edit.items.map(item => ({
+                        id: item.id || null,
+                        menuItemId: item.menuItemId,
+                        variantId: item.variantId || null,
+                        quantity: item.quantity,
+                        ...item.legacyOptions,
+                        ...this.modifiers.toLegacyOrderData(item.modifiers),
+                        modifiers: this.modifiers.toOrderData(item.modifiers),
+                        comboId: item.comboId || null,
+                        comboItems: this.combos.toOrderData(item.comboItems),
+                        removeItems: item.removeItems.split(',').map(text => text.trim()).filter(Boolean),
+                        specialNotes: item.specialNotes.trim() || null
+                    })),
+                    deliveryAddress: order.orderType === 'DELIVERY' ? edit.deliveryAddress.trim() : null,
+                    reason: edit.reason.trim() || null,
+                    changes
+                })
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Order update failed');
+            }
+
+            this.orderEdit = null;
+            this.applyOrderEdit(response.data);
+            this.showNotification(`Rendelés módosítva: ${order.orderNumber}`, 'success');
+        } catch (error) {
+            console.error('❌ Failed to update order:', error);
+            this.showNotification(`Módosítás sikertelen: ${error.message}`, 'error');
+            if (submitButton) submitButton.disabled = false;
+        }
+    }
+
+    /**
+     * Take over an edited order - from our own save or from another device
+     */
+    applyOrderEdit(orderData) {
+        const orderIndex = this.orders.findIndex(o => o.id === orderData?.id);
+        if (orderIndex === -1) {
+            this.fallbackRefresh();
+            return;
+        }
+
+        this.orders[orderIndex] = { ...this.orders[orderIndex], ...orderData };
+        this.renderOrdersList();
+        this.updateSummary();
+        this.refreshOpenModal(orderData.id);
+    }
+
+    handleOrderEdited(orderData) {
+        // Someone else changed the order we are editing - their version wins
+        if (this.orderEdit?.orderId === orderData.id) {
+            this.orderEdit = null;
+            this.showNotification(`A rendelést közben módosították: ${orderData.orderNumber}`, 'warning');
+        }
+
+        this.applyOrderEdit(orderData);
+    }
+
+    /**
+     * Change history of the order, newest first
+     */
+    renderOrderEdits(order) {
+        const edits = order.edits || [];
+        if (edits.length === 0) return '';
+
+        return `
+            <div class="detail-section">
+                <h4>Módosítások</h4>
+                <div class="order-edits">
+                    ${[...edits].reverse().map(edit => `
+                        <div class="order-edit-entry">
+                            <div class="order-edit-meta">
+                                <strong>${this.escapeHtml(edit.editedByName || edit.editedBy || 'Ismeretlen')}</strong>
+                                <span>${this.formatDate(edit.createdAt, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</span>
+                                ${edit.previousTotal !== undefined && edit.newTotal !== undefined ? `
+                                    <span>${this.formatCurrency(edit.previousTotal)} → ${this.formatCurrency(edit.newTotal)}</span>
+                                ` : ''}
+                            </div>
+                            <ul>
+                                ${(edit.changes || []).map(change => `<li>${this.escapeHtml(change)}</li>`).join('')}
+                            </ul>
+                            ${edit.reason ? `<small>Ok: ${this.escapeHtml(edit.reason)}</small>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // ============================================
+    // KITCHEN DISPLAY (KDS)
+    // ============================================
+
+    /**
+     * Fullscreen kitchen display - large tickets, no modals, bump-bar keys
+     */
+    enterKitchenMode() {
+        if (this.kitchenMode) return;
+
+        this.kitchenMode = true;
+        this.kitchenSelectedId = null;
+        this.closeModal();
+
+        const display = document.createElement('div');
+        display.className = 'kds-display';
+        display.id = 'kitchenDisplay';
+        document.body.appendChild(display);
+        document.body.classList.add('kds-open');
+
+        // Fullscreen needs a user gesture - the button click provides it
+        if (document.documentElement.requestFullscreen) {
+            document.documentElement.requestFullscreen().catch(error => {
+                console.warn('⚠️ Fullscreen not available:', error.message);
+            });
+        }
+
+        this.kitchenKeyHandler = (e) => this.handleKitchenKeys(e);
+        document.addEventListener('keydown', this.kitchenKeyHandler);
+
+        // Timers tick for every ticket, not only confirmed ones
+        this.kitchenTimerInterval = setInterval(() => {
+            this.orders.forEach(order => this.updateTimer(order.id));
+        }, 30000);
+
+        this.renderKitchenDisplay();
+        console.log('🍳 Kitchen display mode on');
+    }
+
+    exitKitchenMode() {
+        if (!this.kitchenMode) return;
+
+        this.kitchenMode = false;
+        document.getElementById('kitchenDisplay')?.remove();
+        document.body.classList.remove('kds-open');
+
+        if (this.kitchenKeyHandler) {
+            document.removeEventListener('keydown', this.kitchenKeyHandler);
+            this.kitchenKeyHandler = null;
+        }
+
+        if (this.kitchenTimerInterval) {
+            clearInterval(this.kitchenTimerInterval);
+            this.kitchenTimerInterval = null;
+        }
+
+        if (document.fullscreenElement && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+
+        console.log('🍳 Kitchen display mode off');
+    }
+
+    renderKitchenDisplay() {
+        const display = document.getElementById('kitchenDisplay');
+        if (!display) return;
+
+        const orders = this.getKitchenOrders();
+        if (!orders.some(order => order.id === this.kitchenSelectedId)) {
+            this.kitchenSelectedId = orders[0]?.id ?? null;
+        }
+
+        display.innerHTML = `
+            <div class="kds-header">
+                <div class="kds-title">
+                    <i class="fas fa-fire-burner"></i>
+                    Konyha
+                    <span class="connection-status ${this.connectionStatus}" id="kdsConnectionStatus">
+                        <i class="fas fa-circle"></i>
+                    </span>
+                    ${this.renderStationFilter('kdsStationFilter')}
+                </div>
+                <div class="kds-legend">
+                    <span><kbd>←</kbd><kbd>→</kbd> választás</span>
+                    <span><kbd>1</kbd> elfogadás (javasolt idő)</span>
+                    <span><kbd>2</kbd> kész</span>
+                    <span><kbd>3</kbd> átadva / szállítás</span>
+                    <span><i class="fas fa-hand-pointer"></i> tétel kész</span>
+                    <span><kbd>Esc</kbd> kilépés</span>
+                </div>
+                <button class="kds-exit" id="exitKitchenDisplay">
+                    <i class="fas fa-compress"></i>
+                    Kilépés
+                </button>
+            </div>
+
+            <div class="kds-tickets">
+                ${orders.length === 0 ? `
+                    <div class="kds-empty">
+                        <i class="fas fa-inbox"></i>
+                        <h3>Nincsenek aktív rendelések</h3>
+                    </div>
+                ` : orders.map((order, index) => this.renderKitchenTicket(order, index)).join('')}
+            </div>
+        `;
+
+        display.querySelector('#exitKitchenDisplay').addEventListener('click', () => this.exitKitchenMode());
+        display.querySelector('#kdsStationFilter').addEventListener('change', (e) => this.setStationFilter(e.target.value));
+
+        display.querySelectorAll('.kds-ticket').forEach(ticket => {
+            ticket.addEventListener('click', (e) => {
+                const orderId = parseInt(ticket.dataset.orderId);
+                const actionButton = e.target.closest('[data-kds-action]');
+                const itemToggle = e.target.closest('[data-item-toggle]');
+
+                if (itemToggle) {
+                    this.selectKitchenTicket(orderId);
+                    this.toggleItemPrepared(orderId, itemToggle.dataset.itemToggle);
+                } else if (actionButton) {
+                    this.runKitchenAction(actionButton.dataset.kdsAction, orderId, parseInt(actionButton.dataset.minutes) || undefined);
+                } else {
+                    this.selectKitchenTicket(orderId);
+                }
+            });
+        });
+
+        orders.forEach(order => this.updateTimer(order.id));
+    }
+
+    renderKitchenTicket(order, index) {
+        return `
+            <div class="kds-ticket status-${order.status.toLowerCase()} ${order.id === this.kitchenSelectedId ? 'selected' : ''} ${this.prepTimes.isEscalated(order) ? 'escalated' : ''}"
+                 data-order-id="${order.id}">
+                <div class="kds-ticket-header">
+                    <span class="kds-ticket-index">${index + 1}</span>
+                    <span class="kds-ticket-number">${order.orderNumber}</span>
+                    <span class="kds-ticket-type">
+                        <i class="fas fa-${order.orderType === 'DELIVERY' ? 'truck' : 'store'}"></i>
+                    </span>
+                    <span class="kds-timer" id="kds-timer-${order.id}"></span>
+                </div>
+
+                <div class="kds-ticket-status">
+                    ${this.getStatusText(order.status)}
+                    ${this.renderItemProgress(order)}
+                </div>
+
+                ${order.scheduledFor ? `
+                    <div class="kds-ticket-scheduled">
+                        <i class="fas fa-clock"></i>
+                        ${this.formatTime(order.scheduledFor)}
+                    </div>
+                ` : ''}
+
+                <div class="kds-ticket-items">
+                    ${this.getStationItems(order).map(({ item, index }) => `
+                        <div class="kds-item ${item.isPrepared ? 'prepared' : ''}"
+                             ${this.canTrackItems(order) ? `data-item-toggle="${this.getItemKey(item, index)}"` : ''}>
+                            <div class="kds-item-name">
+                                ${item.isPrepared ? '<i class="fas fa-check-circle kds-item-check"></i>' : ''}
+                                <span class="kds-item-quantity">${item.quantity}×</span>
+                                ${this.escapeHtml(item.name)}
+                            </div>
+                            ${this.renderItemCustomizations(item)}
+                        </div>
+                    `).join('')}
+                    ${this.getStationItems(order).length < order.items.length ? `
+                        <div class="kds-other-stations">
+                            +${order.items.length - this.getStationItems(order).length} tétel más állomáson
+                        </div>
+                    ` : ''}
+                </div>
+
+                ${this.hasOrderNotes(order) ? `
+                    <div class="kds-ticket-notes">
+                        ${this.renderOrderOptionBadges(order)}
+                        ${order.specialNotes && order.specialNotes.trim() ? `
+                            <p><i class="fas fa-sticky-note"></i> ${this.escapeHtml(order.specialNotes)}</p>
+                        ` : ''}
+                    </div>
+                ` : ''}
+
+                <div class="kds-ticket-actions">
+                    ${this.renderKitchenActions(order)}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Touch buttons for the next step - accepting offers the prep time right on the ticket
+     */
+    renderKitchenActions(order) {
+        const nextAction = this.getKitchenNextAction(order);
+
+        if (nextAction === 'accept') {
+            const { options, suggested } = this.getAcceptTimeOptions(order);
+            return options.map(minutes => `
+                <button class="kds-action kds-accept ${minutes === suggested ? 'suggested' : ''}" data-kds-action="accept" data-minutes="${minutes}">
+                    ${minutes}'
+                </button>
+            `).join('');
+        }
+
+        const labels = {
+            'ready': '<i class="fas fa-utensils"></i> Kész',
+            'delivery': '<i class="fas fa-truck"></i> Szállítás',
+            'complete': '<i class="fas fa-check-circle"></i> Átadva'
+        };
+
+        return nextAction ? `
+            <button class="kds-action kds-${nextAction}" data-kds-action="${nextAction}">
+                ${labels[nextAction]}
+            </button>
+        ` : '';
+    }
+
+    /**
+     * Next step for an order, same flow as the modal buttons
+     */
+    getKitchenNextAction(order) {
+        switch (order.status) {
+            case 'PENDING':
+                return 'accept';
+            case 'CONFIRMED':
+            case 'PREPARING':
+                return 'ready';
+            case 'READY':
+                return order.orderType === 'DELIVERY' ? 'delivery' : 'complete';
+            case 'OUT_FOR_DELIVERY':
+                return 'complete';
+            default:
+                return null;
+        }
+    }
+
+    selectKitchenTicket(orderId) {
+        this.kitchenSelectedId = orderId;
+
+        document.querySelectorAll('#kitchenDisplay .kds-ticket').forEach(ticket => {
+            const isSelected = parseInt(ticket.dataset.orderId) === orderId;
+            ticket.classList.toggle('selected', isSelected);
+            if (isSelected) {
+                ticket.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Bump-bar keys: arrows select a ticket, 1 accepts, 2 marks ready, 3 hands over
+     */
+    handleKitchenKeys(e) {
+        if (!this.kitchenMode || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const orders = this.getKitchenOrders();
+        const selectedIndex = orders.findIndex(order => order.id === this.kitchenSelectedId);
+        const selectedOrder = orders[selectedIndex];
+
+        switch (e.key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+                e.preventDefault();
+                if (orders.length > 0) {
+                    this.selectKitchenTicket(orders[Math.min(selectedIndex + 1, orders.length - 1)].id);
+                }
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                e.preventDefault();
+                if (orders.length > 0) {
+                    this.selectKitchenTicket(orders[Math.max(selectedIndex - 1, 0)].id);
+                }
+                break;
+            case '1':
+                if (selectedOrder?.status === 'PENDING') {
+                    this.runKitchenAction('accept', selectedOrder.id);
+                }
+                break;
+            case '2':
+                if (selectedOrder && this.getKitchenNextAction(selectedOrder) === 'ready') {
+                    this.runKitchenAction('ready', selectedOrder.id);
+                }
+                break;
+            case '3':
+                if (selectedOrder && ['delivery', 'complete'].includes(this.getKitchenNextAction(selectedOrder))) {
+                    this.runKitchenAction(this.getKitchenNextAction(selectedOrder), selectedOrder.id);
+                }
+                break;
+            case 'Escape':
+                this.exitKitchenMode();
+                break;
+        }
+    }
+
+    /**
+     * Same optimistic flow as the modal, without confirmation dialogs
+     */
+    async runKitchenAction(action, orderId, minutes) {
+        const order = this.orders.find(o => o.id === orderId);
+        const acceptMinutes = minutes || (order ? this.prepTimes.getSuggestedMinutes(order, this.orders) : null);
+
+        this.showProcessingState(action, orderId);
+
+        switch (action) {
+            case 'accept':
+                await this.acceptOrder(orderId, acceptMinutes);
+                break;
+            case 'ready':
+                await this.markOrderReady(orderId);
+                break;
+            case 'delivery':
+                await this.markOrderDelivery(orderId);
+                break;
+            case 'complete':
+                await this.completeOrder(orderId);
+                break;
+        }
+    }
+
     destroy() {
+        this.exitKitchenMode();
+        this.stopPendingAlerts();
+        this.stopUpcomingRelease();
         this.timers.forEach(timer => clearInterval(timer));
         this.timers.clear();
         
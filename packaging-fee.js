@@ -0,0 +1,49 @@
+/**
+ * Palace Cafe & Bar - Packaging Fee
+ * Takeaway packaging charged per food item, shared by checkout and the admin order editor
+ *
+ * Features:
+ * - Fixed fee per food item
+ * - Drinks, sides, sauces and desserts are packed without a fee
+ *
+ * @author Palace Development Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+class PackagingFee {
+    constructor() {
+        this.feePerItem = 0.50;
+
+        // Menu category slugs that are not charged
+        this.nonFoodCategories = [
+            'sides', 'nonalcoholic', 'sauces', 'drink',
+            'coffees', 'lemonades', 'specialty', 'cocktails',
+            'alcohol', 'shots', 'desserts'
+        ];
+    }
+
+    /**
+     * Items without a known category are not charged
+     */
+    isCharged(category) {
+        return Boolean(category) && !this.nonFoodCategories.includes(category);
+    }
+
+    /**
+     * @param {Array<{ category: ?string, quantity: number }>} items
+     * @returns {{ count: number, amount: number }} Charged items and the fee for them
+     */
+    calculate(items) {
+        const count = items
+            .filter(item => this.isCharged(item.category))
+            .reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
+
+        return { count, amount: count * this.feePerItem };
+    }
+}
+
+// Shared instance used by checkout and the dashboard
+window.PackagingFee = PackagingFee;
+window.packagingFee = new PackagingFee();
@@ -0,0 +1,176 @@
+/**
+ * Palace Cafe & Bar - Preparation Times
+ * Prep-time presets, suggested times, auto-accept rules and unaccepted-order alerts for the admin dashboard
+ *
+ * Features:
+ * - Editable preset buttons for accepting orders
+ * - Suggested prep time from the kitchen queue and the number of items
+ * - Auto-accept rules by order type, order total and queue length
+ * - Repeating alert interval and escalation timeout for orders nobody accepts
+ * - Release time of pre-orders held in the upcoming lane
+ *
+ * Edited in the Settings app and applied by the Orders app.
+ *
+ * @author Palace Development Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+class PrepTimes {
+    constructor() {
+        // Orders still waiting for the kitchen
+        this.queuedStatuses = ['PENDING', 'CONFIRMED', 'PREPARING'];
+
+        this.settings = this.normalizeSettings(this.getDefaultSettings());
+    }
+
+    /**
+     * Built-in settings used until the backend answers
+     */
+    getDefaultSettings() {
+        return {
+            presets: [10, 15, 20, 25],
+            suggestion: {
+                baseMinutes: 10,
+                perItemMinutes: 2, // for every item after the first
+                perQueuedOrderMinutes: 3,
+                maxMinutes: 60
+            },
+            autoAcceptRules: [],
+            alerts: {
+                repeatSeconds: 30,
+                escalateAfterMinutes: 5
+            },
+            preorders: {
+                releaseMinutes: 60 // Sent to the kitchen this long before the slot
+            }
+        };
+    }
+
+    /**
+     * Fill missing values from the defaults and clamp the rest
+     */
+    normalizeSettings(data) {
+        const defaults = this.getDefaultSettings();
+        const number = (value, fallback) =>
+            value === null || value === undefined || value === '' || !Number.isFinite(Number(value)) ? fallback : Number(value);
+
+        const presets = (Array.isArray(data?.presets) ? data.presets : defaults.presets)
+            .map(minutes => Math.round(number(minutes, 0)))
+            .filter(minutes => minutes >= 5 && minutes <= 480);
+
+        const suggestion = { ...defaults.suggestion, ...(data?.suggestion || {}) };
+        const alerts = { ...defaults.alerts, ...(data?.alerts || {}) };
+        const preorders = { ...defaults.preorders, ...(data?.preorders || {}) };
+
+        return {
+            presets: [...new Set(presets)].sort((a, b) => a - b),
+            suggestion: {
+                baseMinutes: Math.max(number(suggestion.baseMinutes, defaults.suggestion.baseMinutes), 5),
+                perItemMinutes: Math.max(number(suggestion.perItemMinutes, defaults.suggestion.perItemMinutes), 0),
+                perQueuedOrderMinutes: Math.max(number(suggestion.perQueuedOrderMinutes, defaults.suggestion.perQueuedOrderMinutes), 0),
+                maxMinutes: Math.min(Math.max(number(suggestion.maxMinutes, defaults.suggestion.maxMinutes), 5), 480)
+            },
+            autoAcceptRules: (Array.isArray(data?.autoAcceptRules) ? data.autoAcceptRules : []).map((rule, index) => ({
+                id: rule.id || `rule-${index + 1}`,
+                name: String(rule.name || '').trim(),
+                orderType: ['PICKUP', 'DELIVERY'].includes(rule.orderType) ? rule.orderType : 'ANY',
+                maxOrderTotal: Math.max(number(rule.maxOrderTotal, 0), 0), // 0 = no limit
+                maxQueuedOrders: Math.max(Math.floor(number(rule.maxQueuedOrders, 0)), 0), // 0 = no limit
+                active: rule.active !== false
+            })),
+            alerts: {
+                repeatSeconds: Math.min(Math.max(Math.round(number(alerts.repeatSeconds, defaults.alerts.repeatSeconds)), 5), 300),
+                escalateAfterMinutes: Math.min(Math.max(number(alerts.escalateAfterMinutes, defaults.alerts.escalateAfterMinutes), 1), 60)
+            },
+            preorders: {
+                releaseMinutes: Math.min(Math.max(Math.round(number(preorders.releaseMinutes, defaults.preorders.releaseMinutes)), 15), 480)
+            }
+        };
+    }
+
+    setSettings(data) {
+        this.settings = this.normalizeSettings(data);
+        return this.settings;
+    }
+
+    /**
+     * Total quantity of the order's items
+     */
+    getItemCount(order) {
+        return (order.items || []).reduce((count, item) => count + (Number(item.quantity) || 1), 0);
+    }
+
+    /**
+     * Orders ahead of this one in the kitchen
+     */
+    getQueueLength(order, activeOrders) {
+        return activeOrders.filter(other =>
+            other.id !== order.id && this.queuedStatuses.includes(other.status) && !this.isUpcoming(other)
+        ).length;
+    }
+
+    /**
+     * Suggested prep time, rounded up to 5 minutes
+     * @param {Object} order
+     * @param {Array} activeOrders - orders currently shown in the Orders app
+     * @returns {number} Minutes
+     */
+    getSuggestedMinutes(order, activeOrders = []) {
+        const { baseMinutes, perItemMinutes, perQueuedOrderMinutes, maxMinutes } = this.settings.suggestion;
+        const extraItems = Math.max(this.getItemCount(order) - 1, 0);
+
+        const minutes = baseMinutes +
+            extraItems * perItemMinutes +
+            this.getQueueLength(order, activeOrders) * perQueuedOrderMinutes;
+
+        return Math.min(Math.ceil(minutes / 5) * 5, maxMinutes);
+    }
+
+    /**
+     * When a scheduled order is due in the kitchen, or null for ASAP orders
+     */
+    getReleaseTime(order) {
+        if (!order.scheduledFor) return null;
+        return new Date(new Date(order.scheduledFor).getTime() - this.settings.preorders.releaseMinutes * 60000);
+    }
+
+    /**
+     * Whether a pre-order is still held back from the kitchen.
+     * Once accepted and started it stays in the kitchen whatever the slot.
+     */
+    isUpcoming(order, now = new Date()) {
+        const releaseTime = this.getReleaseTime(order);
+        return Boolean(releaseTime) && ['PENDING', 'CONFIRMED'].includes(order.status) && now < releaseTime;
+    }
+
+    /**
+     * Whether a pending order has waited past the escalation timeout
+     */
+    isEscalated(order, now = new Date()) {
+        if (order.status !== 'PENDING' || !order.createdAt) return false;
+        return now - new Date(order.createdAt) >= this.settings.alerts.escalateAfterMinutes * 60000;
+    }
+
+    /**
+     * First active rule that accepts the order on its own, or null.
+     * Scheduled orders are always left for staff to plan.
+     */
+    findAutoAcceptRule(order, activeOrders = []) {
+        if (order.status !== 'PENDING' || order.scheduledFor) return null;
+
+        const queueLength = this.getQueueLength(order, activeOrders);
+
+        return this.settings.autoAcceptRules.find(rule =>
+            rule.active &&
+            (rule.orderType === 'ANY' || rule.orderType === order.orderType) &&
+            (!rule.maxOrderTotal || Number(order.total) < rule.maxOrderTotal) &&
+            (!rule.maxQueuedOrders || queueLength < rule.maxQueuedOrders)
+        ) || null;
+    }
+}
+
+// Shared instance for the Orders and Settings apps
+window.PrepTimes = PrepTimes;
+window.prepTimes = new PrepTimes();
@@ -0,0 +1,65 @@
+/**
+ * Palace Cafe & Bar - Settings Source
+ * Loads restaurant settings from the backend, falling back to the static JSON file deployed with the site
+ *
+ * Features:
+ * - Backend first, then the JSON file next to the pages
+ * - Accepts both the backend's { success, data } wrapper and a bare JSON file
+ * - Each module checks the payload format itself
+ *
+ * Used by the opening hours, delivery zones, happy hour, loyalty and slot capacity modules,
+ * which keep their built-in defaults when neither source answers.
+ *
+ * @author Palace Development Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+class SettingsSource {
+    /**
+     * @param {Object} options
+     * @param {string} options.label - Name used in console messages, e.g. "opening hours"
+     * @param {string} options.apiUrl - Backend endpoint
+     * @param {string} options.fileUrl - Static JSON fallback
+     * @param {function(*): *} options.extract - Usable payload from the unwrapped data, or null if the format is wrong
+     * @returns {Promise<{ data: *, source: string }|null>} null when no source answered with a valid payload
+     */
+    async load({ label, apiUrl, fileUrl, extract }) {
+        const sources = [
+            { name: 'api', url: apiUrl },
+            { name: 'file', url: fileUrl }
+        ];
+
+        for (const source of sources) {
+            try {
+                const response = await fetch(source.url, {
+                    headers: { 'Content-Type': 'application/json' }
+                });
+
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                const result = await response.json();
+                // Backend wraps the payload in { success, data }, the JSON file does not
+                const data = extract(result && result.data !== undefined ? result.data : result);
+
+                if (result.success === false || data === null || data === undefined) {
+                    throw new Error(result.error || `Invalid ${label} format`);
+                }
+
+                return { data, source: source.name };
+
+            } catch (error) {
+                console.warn(`⚠️ Could not load ${label} from ${source.name}:`, error.message);
+            }
+        }
+
+        return null;
+    }
+}
+
+// Shared instance used by every settings module
+window.SettingsSource = SettingsSource;
+window.settingsSource = new SettingsSource();
@@ -0,0 +1,120 @@
+/**
+ * Palace Cafe & Bar - Slot Capacity
+ * How many orders and items the kitchen takes per pickup/delivery time slot
+ *
+ * Features:
+ * - Per-weekday limits for each 15-minute slot: maximum orders and maximum items
+ * - A limit of 0 means no limit
+ * - Checks a slot's current bookings (from the backend) against the limits, including the customer's own cart
+ * - Loaded from the backend, falling back to slot-capacity.json and built-in defaults
+ *
+ * Edited in the Settings app and applied by checkout.
+ *
+ * @author Palace Development Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+class SlotCapacity {
+    constructor() {
+        this.config = {
+            apiUrl: window.API_BASE_URL,
+            fallbackUrl: '/slot-capacity.json'
+        };
+
+        this.settings = this.normalizeSettings(this.getDefaultSettings());
+        this.source = 'default';
+        this.loadPromise = null;
+    }
+
+    /**
+     * Built-in limits used when neither the backend nor the JSON file is reachable - no limits
+     */
+    getDefaultSettings() {
+        const weekly = {};
+        for (let day = 0; day < 7; day++) {
+            weekly[day] = { maxOrders: 0, maxItems: 0 };
+        }
+        return { weekly };
+    }
+
+    /**
+     * Load the limits once - subsequent calls share the same promise
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchSettings();
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Try the backend first, then the static JSON file
+     */
+    async fetchSettings() {
+        const loaded = await window.settingsSource.load({
+            label: 'slot capacity',
+            apiUrl: `${this.config.apiUrl}/restaurant/slot-capacity`,
+            fileUrl: this.config.fallbackUrl,
+            extract: data => (data && data.weekly ? data : null)
+        });
+
+        if (!loaded) {
+            console.warn('⚠️ Using built-in slot capacity (no limits)');
+            return this.settings;
+        }
+
+        this.settings = this.normalizeSettings(loaded.data);
+        this.source = loaded.source;
+        console.log(`🧮 Slot capacity loaded from ${loaded.source}:`, this.settings);
+        return this.settings;
+    }
+
+    /**
+     * Normalize raw data into { weekly: { 0-6: { maxOrders, maxItems } } }
+     */
+    normalizeSettings(data) {
+        const limit = value => Math.max(Math.floor(Number(value) || 0), 0);
+        const weekly = {};
+
+        for (let day = 0; day < 7; day++) {
+            const dayLimits = data?.weekly?.[day] || {};
+            weekly[day] = {
+                maxOrders: limit(dayLimits.maxOrders),
+                maxItems: limit(dayLimits.maxItems)
+            };
+        }
+
+        return { weekly };
+    }
+
+    /**
+     * Limits of the weekday the slot falls on
+     */
+    getLimits(date) {
+        return this.settings.weekly[date.getDay()];
+    }
+
+    /**
+     * Whether a slot cannot take the order
+     * @param {Date} date - Start of the slot
+     * @param {{ orders: number, items: number, full?: boolean }} usage - Orders and items already booked
+     * @param {number} itemCount - Items in the order being placed
+     */
+    isFull(date, usage, itemCount = 0) {
+        if (!usage) return false;
+        if (usage.full) return true;
+
+        const { maxOrders, maxItems } = this.getLimits(date);
+        const orders = Number(usage.orders) || 0;
+        const items = Number(usage.items) || 0;
+
+        return (maxOrders > 0 && orders >= maxOrders) ||
+            (maxItems > 0 && items + itemCount > maxItems);
+    }
+}
+
+// Shared instance for checkout and the Settings app
+window.SlotCapacity = SlotCapacity;
+window.slotCapacity = new SlotCapacity();
@@ -115,6 +115,7 @@ class StatsApp extends BaseApp {
                                 <i class="fas fa-arrow-up"></i>
                                 +0%
                             </span>
+                            <small class="refund-note" id="refundNote"></small>
                         </div>
                     </div>
 
@@ -406,6 +407,7 @@ class StatsApp extends BaseApp {
             // Set fallback data
             this.statsData.overview = {
                 totalRevenue: 0,
+                refundedAmount: 0,
                 totalOrders: 0,
                 avgOrderValue: 0,
                 revenueByType: [],
@@ -538,7 +540,7 @@ class StatsApp extends BaseApp {
                 labels: this.statsData.revenueTrends.map(item => this.formatDateLabel(item.date)),
                 datasets: [{
                     label: 'Bevétel',
-                    data: this.statsData.revenueTrends.map(item => item.revenue),
+                    data: this.statsData.revenueTrends.map(item => item.revenue - (item.refunds || 0)),
                     borderColor: this.chartColors.primary,
                     backgroundColor: this.createGradient(ctx.getContext('2d'), this.chartColors.gradients.gold),
                     borderWidth: 3,
@@ -679,7 +681,7 @@ class StatsApp extends BaseApp {
                     item.orderType === 'DELIVERY' ? 'Szállítás' : 'Elvitel'
                 ),
                 datasets: [{
-                    data: revenueByType.map(item => item._sum.total || 0),
+                    data: revenueByType.map(item => this.getNetRevenue(item)),
                     backgroundColor: [this.chartColors.info, this.chartColors.success],
                     borderColor: '#fff',
                     borderWidth: 3,
@@ -702,7 +704,7 @@ class StatsApp extends BaseApp {
                             label: (context) => {
                                 const item = revenueByType[context.dataIndex];
                                 return [
-                                    `Bevétel: ${this.formatCurrency(item._sum.total || 0)}`,
+                                    `Bevétel: ${this.formatCurrency(this.getNetRevenue(item))}`,
                                     `Rendelések: ${item._count} db`
                                 ];
                             }
@@ -749,7 +751,7 @@ class StatsApp extends BaseApp {
                     paymentMethodLabels[item.paymentMethod] || item.paymentMethod
                 ),
                 datasets: [{
-                    data: this.statsData.paymentMethods.map(item => item._sum.total || 0),
+                    data: this.statsData.paymentMethods.map(item => this.getNetRevenue(item)),
                     backgroundColor: [
                         this.chartColors.warning,
                         this.chartColors.primary,
@@ -777,7 +779,7 @@ class StatsApp extends BaseApp {
                             label: (context) => {
                                 const item = this.statsData.paymentMethods[context.dataIndex];
                                 return [
-                                    `Bevétel: ${this.formatCurrency(item._sum.total || 0)}`,
+                                    `Bevétel: ${this.formatCurrency(this.getNetRevenue(item))}`,
                                     `Rendelések: ${item._count} db`
                                 ];
                             }
@@ -1201,9 +1203,11 @@ class StatsApp extends BaseApp {
         const paymentMethods = this.statsData.paymentMethods || [];
 
         // Calculate revenue stats
+        const netOverview = this.getNetOverview();
         const revenue = [
-            { label: 'Összes bevétel', value: this.formatCurrency(overview.totalRevenue) },
-            { label: 'Átlagos rendelésérték', value: this.formatCurrency(overview.avgOrderValue) },
+            { label: 'Összes bevétel', value: this.formatCurrency(netOverview.totalRevenue) },
+            { label: 'Visszatérítések', value: this.formatCurrency(overview.refundedAmount || 0) },
+            { label: 'Átlagos rendelésérték', value: this.formatCurrency(netOverview.avgOrderValue) },
             { label: 'Rendelések száma', value: overview.totalOrders.toLocaleString() }
         ];
 
@@ -1215,24 +1219,45 @@ class StatsApp extends BaseApp {
         ];
 
         // Calculate payment method percentages
-        const totalPaymentRevenue = paymentMethods.reduce((sum, method) => sum + (method._sum.total || 0), 0);
+        const totalPaymentRevenue = paymentMethods.reduce((sum, method) => sum + this.getNetRevenue(method), 0);
         const payments = paymentMethods.map(method => ({
             label: this.getPaymentMethodName(method.paymentMethod),
             value: totalPaymentRevenue > 0 ? 
-                `${Math.round((method._sum.total / totalPaymentRevenue) * 100)}%` : '0%'
+                `${Math.round((this.getNetRevenue(method) / totalPaymentRevenue) * 100)}%` : '0%'
         }));
 
         // Calculate order type percentages
-        const totalTypeRevenue = revenueByType.reduce((sum, type) => sum + (type._sum.total || 0), 0);
+        const totalTypeRevenue = revenueByType.reduce((sum, type) => sum + this.getNetRevenue(type), 0);
         const orderTypes = revenueByType.map(type => ({
             label: type.orderType === 'DELIVERY' ? 'Szállítás' : 'Elvitel',
             value: totalTypeRevenue > 0 ? 
-                `${Math.round((type._sum.total / totalTypeRevenue) * 100)}%` : '0%'
+                `${Math.round((this.getNetRevenue(type) / totalTypeRevenue) * 100)}%` : '0%'
         }));
 
         return { revenue, orders, payments, orderTypes };
     }
 
+    /**
+     * Revenue of a grouped row after partial refunds
+     */
+    getNetRevenue(group) {
+        return (group._sum?.total || 0) - (group.refundedAmount || 0);
+    }
+
+    /**
+     * Overview revenue and average order value after partial refunds
+     */
+    getNetOverview() {
+        const { totalRevenue = 0, totalOrders = 0, avgOrderValue = 0, refundedAmount = 0 } = this.statsData.overview || {};
+        if (!refundedAmount) return { totalRevenue, avgOrderValue };
+
+        const netRevenue = totalRevenue - refundedAmount;
+        return {
+            totalRevenue: netRevenue,
+            avgOrderValue: totalOrders > 0 ? netRevenue / totalOrders : 0
+        };
+    }
+
     getPaymentMethodName(method) {
         const names = {
             'CASH': 'Készpénz',
@@ -1492,7 +1517,8 @@ class StatsApp extends BaseApp {
     updateOverviewCards() {
         if (!this.statsData.overview) return;
 
-        const { totalRevenue, totalOrders, avgOrderValue } = this.statsData.overview;
+        const { totalOrders, refundedAmount } = this.statsData.overview;
+        const { totalRevenue, avgOrderValue } = this.getNetOverview();
 
         // Update total revenue
         const totalRevenueEl = document.getElementById('totalRevenue');
@@ -1500,6 +1526,12 @@ class StatsApp extends BaseApp {
             totalRevenueEl.textContent = this.formatCurrency(totalRevenue);
         }
 
+        // Partial refunds already taken off the revenue
+        const refundNoteEl = document.getElementById('refundNote');
+        if (refundNoteEl) {
+            refundNoteEl.textContent = refundedAmount > 0 ? `${this.formatCurrency(refundedAmount)} visszatérítés levonva` : '';
+        }
+
         // Update total orders
         const totalOrdersEl = document.getElementById('totalOrders');
         if (totalOrdersEl) {
@@ -1632,7 +1664,7 @@ class StatsApp extends BaseApp {
             csvContent += 'Módszer,Bevétel,Rendelések száma\n';
             paymentMethods.forEach(method => {
                 const methodName = this.getPaymentMethodName(method.paymentMethod);
-                csvContent += `"${methodName}",${method._sum.total || 0},${method._count}\n`;
+                csvContent += `"${methodName}",${this.getNetRevenue(method)},${method._count}\n`;
             });
         }
 
@@ -0,0 +1,476 @@
+/**
+ * Palace Cafe & Bar - Ticket Printer
+ * Kitchen tickets and customer receipts for the Orders app
+ *
+ * Features:
+ * - 80mm (48 columns) and 58mm (32 columns) layouts
+ * - ESC/POS byte output, sent to a local print bridge over HTTP
+ * - Browser print fallback through a hidden iframe
+ * - Plain text and byte buffer renderers without DOM access, so output can be checked in tests
+ *
+ * Printer settings are stored per device - every till or kitchen tablet has its own printer.
+ *
+ * @author Palace Development Team
+ * @version 1.0.0
+ */
+
+'use strict';
+
+class TicketPrinter {
+    constructor() {
+        this.config = {
+            storageKey: 'palace_printer_settings',
+            restaurantName: 'Palace Cafe & Bar',
+            restaurantAddress: 'Komárno',
+            restaurantPhone: '+421 910 447 348'
+        };
+
+        this.paperWidths = {
+            '80mm': 48,
+            '58mm': 32
+        };
+
+        // ESC/POS commands
+        this.commands = {
+            init: [0x1B, 0x40],
+            codePage852: [0x1B, 0x74, 18],
+            alignLeft: [0x1B, 0x61, 0],
+            alignCenter: [0x1B, 0x61, 1],
+            alignRight: [0x1B, 0x61, 2],
+            boldOn: [0x1B, 0x45, 1],
+            boldOff: [0x1B, 0x45, 0],
+            sizeNormal: [0x1D, 0x21, 0x00],
+            sizeDouble: [0x1D, 0x21, 0x11],
+            feed: [0x1B, 0x64, 4],
+            cut: [0x1D, 0x56, 0x42, 0x00]
+        };
+
+        // Accented characters in code page 852 - everything else falls back to ASCII
+        this.codePage852 = {
+            'á': 0xA0, 'é': 0x82, 'í': 0xA1, 'ó': 0xA2, 'ö': 0x94, 'ő': 0x8B, 'ú': 0xA3, 'ü': 0x81, 'ű': 0xFB,
+            'Á': 0xB5, 'É': 0x90, 'Í': 0xD6, 'Ó': 0xE0, 'Ö': 0x99, 'Ő': 0x8A, 'Ú': 0xE9, 'Ü': 0x9A, 'Ű': 0xEB,
+            'č': 0x9F, 'ď': 0xD4, 'ľ': 0x96, 'ĺ': 0x92, 'ň': 0xE5, 'ř': 0xFD, 'ŕ': 0xEA, 'š': 0xE7, 'ť': 0x9C,
+            'ž': 0xA7, 'ý': 0xEC, 'ä': 0x84, 'ô': 0x93,
+            'Č': 0xAC, 'Ď': 0xD2, 'Ľ': 0x95, 'Ĺ': 0x91, 'Ň': 0xD5, 'Ř': 0xFC, 'Ŕ': 0xE8, 'Š': 0xE6, 'Ť': 0x9B,
+            'Ž': 0xA6, 'Ý': 0xED, 'Ä': 0x8E, 'Ô': 0xE2, '×': 0x9E
+        };
+
+        this.settings = this.loadSettings();
+    }
+
+    // ============================================
+    // SETTINGS
+    // ============================================
+
+    getDefaultSettings() {
+        return {
+            mode: 'browser', // 'browser' or 'escpos'
+            paper: '80mm',
+            bridgeUrl: 'http://localhost:9100/print',
+            autoPrint: false // Kitchen ticket for every new order
+        };
+    }
+
+    loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.config.storageKey) || '{}');
+            return { ...this.getDefaultSettings(), ...stored };
+        } catch (error) {
+            console.warn('⚠️ Invalid printer settings, using defaults:', error.message);
+            return this.getDefaultSettings();
+        }
+    }
+
+    saveSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        if (!this.paperWidths[this.settings.paper]) {
+            this.settings.paper = '80mm';
+        }
+        localStorage.setItem(this.config.storageKey, JSON.stringify(this.settings));
+        return this.settings;
+    }
+
+    // ============================================
+    // TICKET LAYOUT
+    // ============================================
+
+    /**
+     * Build the ticket as a list of layout lines shared by every renderer
+     * @param {Object} order - order as returned by /orders/active
+     * @param {Object} options - { type: 'kitchen'|'receipt', paper: '80mm'|'58mm', optionLabels: { CODE: label } }
+     * @returns {Array<{ type: string, text?: string, align?: string, bold?: boolean, double?: boolean }>}
+     */
+    buildTicket(order, options = {}) {
+        const width = this.getWidth(options.paper);
+        const type = options.type || 'kitchen';
+        return type === 'receipt'
+            ? this.buildReceipt(order, width, options)
+            : this.buildKitchenTicket(order, width, options);
+    }
+
+    buildKitchenTicket(order, width, options) {
+        const lines = [];
+        const isDelivery = order.orderType === 'DELIVERY';
+
+        lines.push({ type: 'text', text: isDelivery ? 'SZÁLLÍTÁS' : 'ELVITEL', align: 'center', bold: true, double: true });
+        lines.push({ type: 'text', text: `#${order.orderNumber}`, align: 'center', bold: true, double: true });
+        lines.push({ type: 'text', text: `Beérkezett: ${this.formatDateTime(order.createdAt)}`, align: 'center' });
+        lines.push({
+            type: 'text',
+            text: order.scheduledFor ? `KÉRT IDŐPONT: ${this.formatDateTime(order.scheduledFor)}` : 'AMILYEN HAMAR CSAK LEHET',
+            align: 'center',
+            bold: true
+        });
+        lines.push({ type: 'rule' });
+
+        order.items.forEach(item => {
+            this.wrap(`${item.quantity}x ${item.name}`, width).forEach(text => {
+                lines.push({ type: 'text', text, bold: true });
+            });
+            this.getCustomizationLines(item).forEach(detail => {
+                this.wrap(detail, width - 3).forEach(text => lines.push({ type: 'text', text: `   ${text}` }));
+            });
+        });
+
+        this.pushNotes(lines, order, width, options);
+
+        if (isDelivery && order.deliveryAddress) {
+            lines.push({ type: 'rule' });
+            this.wrap(`Cím: ${order.deliveryAddress}`, width).forEach(text => lines.push({ type: 'text', text }));
+            if (order.deliveryNotes) {
+                this.wrap(`Megjegyzés: ${order.deliveryNotes}`, width).forEach(text => lines.push({ type: 'text', text }));
+            }
+        }
+
+        lines.push({ type: 'rule' });
+        lines.push({ type: 'text', text: `${order.customerName || ''}${order.customerPhone ? ` - ${order.customerPhone}` : ''}` });
+        lines.push({ type: 'cut' });
+        return lines;
+    }
+
+    buildReceipt(order, width, options) {
+        const lines = [];
+
+        lines.push({ type: 'text', text: this.config.restaurantName, align: 'center', bold: true, double: true });
+        lines.push({ type: 'text', text: this.config.restaurantAddress, align: 'center' });
+        lines.push({ type: 'text', text: this.config.restaurantPhone, align: 'center' });
+        lines.push({ type: 'rule' });
+        lines.push({ type: 'text', text: this.columns(`Rendelés #${order.orderNumber}`, this.formatDateTime(order.createdAt), width) });
+        if (order.scheduledFor) {
+            lines.push({ type: 'text', text: `Kért időpont: ${this.formatDateTime(order.scheduledFor)}` });
+        }
+        lines.push({ type: 'rule' });
+
+        order.items.forEach(item => {
+            const price = this.formatPrice(item.totalPrice);
+            const [first, ...rest] = this.wrap(`${item.quantity}x ${item.name}`, width - price.length - 1);
+            lines.push({ type: 'text', text: this.columns(first, price, width) });
+            rest.forEach(text => lines.push({ type: 'text', text }));
+            this.getCustomizationLines(item).forEach(detail => {
+                this.wrap(detail, width - 3).forEach(text => lines.push({ type: 'text', text: `   ${text}` }));
+            });
+        });
+
+        lines.push({ type: 'rule' });
+        if (order.orderType === 'DELIVERY' && order.deliveryFee) {
+            lines.push({ type: 'text', text: this.columns('Szállítási díj', this.formatPrice(order.deliveryFee), width) });
+        }
+        if (order.discountAmount) {
+            lines.push({ type: 'text', text: this.columns('Kedvezmény', `-${this.formatPrice(order.discountAmount)}`, width) });
+        }
+        if (order.loyaltyDiscount) {
+            lines.push({ type: 'text', text: this.columns('Hűségpontok', `-${this.formatPrice(order.loyaltyDiscount)}`, width) });
+        }
+        lines.push({ type: 'text', text: this.columns('ÖSSZESEN', this.formatPrice(order.total), width), bold: true });
+        lines.push({
+            type: 'text',
+            text: `Fizetés: ${order.paymentMethod === 'CARD' ? 'Bankkártya (fizetve)' : 'Készpénz'}`
+        });
+
+        if (order.orderType === 'DELIVERY' && order.deliveryAddress) {
+            lines.push({ type: 'rule' });
+            this.wrap(`Szállítási cím: ${order.deliveryAddress}`, width).forEach(text => lines.push({ type: 'text', text }));
+        }
+
+        this.pushNotes(lines, order, width, options);
+
+        lines.push({ type: 'rule' });
+        lines.push({ type: 'text', text: 'Köszönjük a rendelést!', align: 'center', bold: true });
+        lines.push({ type: 'text', text: 'Nem adóügyi bizonylat', align: 'center' });
+        lines.push({ type: 'cut' });
+        return lines;
+    }
+
+    /**
+     * Order-level options and notes
+     */
+    pushNotes(lines, order, width, options) {
+        const optionLabels = options.optionLabels || {};
+        const orderOptions = (order.orderOptions || []).map(option => optionLabels[option] || option);
+
+        if (orderOptions.length === 0 && !order.specialNotes) return;
+
+        lines.push({ type: 'rule' });
+        if (orderOptions.length > 0) {
+            this.wrap(orderOptions.join(', '), width).forEach(text => lines.push({ type: 'text', text, bold: true }));
+        }
+        if (order.specialNotes) {
+            this.wrap(`Megjegyzés: ${order.specialNotes}`, width).forEach(text => lines.push({ type: 'text', text, bold: true }));
+        }
+    }
+
+    /**
+     * Same details as the order modal customizations
+     */
+    getCustomizationLines(item) {
+        const details = [];
+
+        if (item.variantName) details.push(item.variantName);
+        (window.modifierGroups?.toSnapshots(item.modifiers) || item.modifiers || []).forEach(selection => {
+            details.push(`${selection.groupName}: ${selection.options.map(option => option.name).join(', ')}`);
+        });
+        (item.comboItems || []).forEach(pick => details.push(`${pick.slotName}: ${pick.name}`));
+        if (item.selectedSauce) details.push(`Szósz: ${item.selectedSauce}`);
+        if (item.friesUpgrade) details.push(`Krumpli: ${item.friesUpgrade}`);
+        (item.extras || []).forEach(extra => details.push(`+ ${extra}`));
+        (item.removeItems || []).forEach(removed => details.push(`- NEM: ${removed}`));
+        if (item.specialNotes && item.specialNotes.trim()) details.push(`! ${item.specialNotes.trim()}`);
+
+        return details;
+    }
+
+    // ============================================
+    // RENDERERS
+    // ============================================
+
+    /**
+     * Plain text ticket - also used by the browser print fallback
+     */
+    renderText(order, options = {}) {
+        const width = this.getWidth(options.paper);
+
+        return this.buildTicket(order, options)
+            .filter(line => line.type !== 'cut')
+            .map(line => line.type === 'rule' ? '-'.repeat(width) : this.alignText(line.text, line.align, width))
+            .join('\n');
+    }
+
+    /**
+     * ESC/POS byte buffer for the printer
+     * @returns {Uint8Array}
+     */
+    renderBytes(order, options = {}) {
+        const width = this.getWidth(options.paper);
+        const bytes = [...this.commands.init, ...this.commands.codePage852];
+
+        this.buildTicket(order, options).forEach(line => {
+            if (line.type === 'cut') {
+                bytes.push(...this.commands.feed, ...this.commands.cut);
+                return;
+            }
+
+            if (line.type === 'rule') {
+                bytes.push(...this.commands.alignLeft, ...this.encode('-'.repeat(width)), 0x0A);
+                return;
+            }
+
+            bytes.push(...this.commands[line.align === 'center' ? 'alignCenter' : line.align === 'right' ? 'alignRight' : 'alignLeft']);
+            if (line.bold) bytes.push(...this.commands.boldOn);
+            if (line.double) bytes.push(...this.commands.sizeDouble);
+
+            // Double size halves the columns
+            const text = line.double ? this.wrap(line.text, Math.floor(width / 2)).join('\n') : line.text;
+            bytes.push(...this.encode(text), 0x0A);
+
+            if (line.double) bytes.push(...this.commands.sizeNormal);
+            if (line.bold) bytes.push(...this.commands.boldOff);
+        });
+
+        return Uint8Array.from(bytes);
+    }
+
+    /**
+     * Encode text for code page 852
+     */
+    encode(text) {
+        const bytes = [];
+
+        for (const char of String(text)) {
+            const code = char.charCodeAt(0);
+            if (char === '\n' || (code >= 0x20 && code < 0x7F)) {
+                bytes.push(code);
+            } else if (this.codePage852[char]) {
+                bytes.push(this.codePage852[char]);
+            } else if (char === '€') {
+                bytes.push(...[...'EUR'].map(letter => letter.charCodeAt(0)));
+            } else {
+                // Strip the accent, or print a placeholder
+                const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+                const plainCode = plain.charCodeAt(0);
+                bytes.push(plain.length === 1 && plainCode >= 0x20 && plainCode < 0x7F ? plainCode : 0x3F);
+            }
+        }
+
+        return bytes;
+    }
+
+    // ============================================
+    // OUTPUT
+    // ============================================
+
+    /**
+     * Print a ticket with the configured printer, falling back to the browser dialog
+     * @returns {Promise<'escpos'|'browser'>}
+     */
+    async print(order, options = {}) {
+        const printOptions = { paper: this.settings.paper, ...options };
+
+        if (this.settings.mode === 'escpos') {
+            try {
+                await this.sendToBridge(this.renderBytes(order, printOptions));
+                console.log(`🖨️ ${printOptions.type || 'kitchen'} ticket sent to ESC/POS printer: ${order.orderNumber}`);
+                return 'escpos';
+            } catch (error) {
+                console.warn('⚠️ ESC/POS printing failed, using browser print:', error.message);
+            }
+        }
+
+        this.printInBrowser(order, printOptions);
+        return 'browser';
+    }
+
+    /**
+     * Raw bytes to the local print bridge, which forwards them to the printer
+     */
+    async sendToBridge(bytes) {
+        const response = await fetch(this.settings.bridgeUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: bytes
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+    }
+
+    /**
+     * Print the text ticket from a hidden iframe - no popup to block.
+     * Chrome started with --kiosk-printing prints without the dialog.
+     */
+    printInBrowser(order, options) {
+        const text = this.renderText(order, options);
+        const iframe = document.createElement('iframe');
+        iframe.className = 'ticket-print-frame';
+        iframe.style.position = 'fixed';
+        iframe.style.width = '0';
+        iframe.style.height = '0';
+        iframe.style.border = '0';
+        document.body.appendChild(iframe);
+
+        const doc = iframe.contentDocument;
+        doc.open();
+        doc.write(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <meta charset="UTF-8">
+                <title>${this.escapeHtml(order.orderNumber)}</title>
+                <style>
+                    @page { size: ${options.paper} auto; margin: 2mm; }
+                    body { margin: 0; }
+                    pre { font-family: 'Courier New', monospace; font-size: ${options.paper === '58mm' ? '9pt' : '10pt'}; white-space: pre-wrap; margin: 0; }
+                </style>
+            </head>
+            <body><pre>${this.escapeHtml(text)}</pre></body>
+            </html>
+        `);
+        doc.close();
+
+        iframe.contentWindow.focus();
+        iframe.contentWindow.print();
+
+        // Remove after the print dialog has taken its copy
+        setTimeout(() => iframe.remove(), 1000);
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    getWidth(paper) {
+        return this.paperWidths[paper || this.settings.paper] || this.paperWidths['80mm'];
+    }
+
+    /**
+     * Word wrap, breaking words longer than the line
+     */
+    wrap(text, width) {
+        const lines = [];
+        let current = '';
+
+        String(text || '').split(/\s+/).filter(Boolean).forEach(word => {
+            while (word.length > width) {
+                if (current) {
+                    lines.push(current);
+                    current = '';
+                }
+                lines.push(word.slice(0, width));
+                word = word.slice(width);
+            }
+
+            if (!current) {
+                current = word;
+            } else if (current.length + 1 + word.length <= width) {
+                current += ` ${word}`;
+            } else {
+                lines.push(current);
+                current = word;
+            }
+        });
+
+        if (current || lines.length === 0) lines.push(current);
+        return lines;
+    }
+
+    /**
+     * Left text and right-aligned value on one line
+     */
+    columns(left, right, width) {
+        const space = Math.max(width - left.length - right.length, 1);
+        return `${left}${' '.repeat(space)}${right}`;
+    }
+
+    alignText(text, align, width) {
+        if (align === 'center') {
+            return ' '.repeat(Math.max(Math.floor((width - text.length) / 2), 0)) + text;
+        }
+        if (align === 'right') {
+            return text.padStart(width);
+        }
+        return text;
+    }
+
+    formatPrice(amount) {
+        return `${(Number(amount) || 0).toFixed(2)} EUR`;
+    }
+
+    formatDateTime(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Shared instance for the Orders app
+window.TicketPrinter = TicketPrinter;
+window.ticketPrinter = new TicketPrinter();